@@ -0,0 +1,402 @@
+/*
+ * analyzer.js
+ *
+ * Pre-flight analysis of job files.  The analyzer follows the g-code for a file (OpenSBP files are
+ * simulated first to produce their g-code) and works out how big the job is and how long it will take:
+ *
+ *   - The extents of the tool path (in work coordinates, since the work offsets in effect at run time aren't known yet)
+ *   - The total distance travelled at rapid and at feed rates
+ *   - The number of tool changes (M6)
+ *   - An estimate of the run time, based on the velocity and jerk limits in the G2 configuration
+ *
+ * The time estimate treats each run of moves that are (nearly) in the same direction as a single move
+ * that starts and ends at rest, accelerating with the jerk limited profile that G2 uses.  It's not exact,
+ * but it's a lot better than distance/feedrate.
+ */
+var path = require('path');
+var config = require('./config');
+var gcode = require('./gcode_util');
+var log = require('./log').logger('analyzer');
+
+var AXES = ['x','y','z','a','b'];
+var LINEAR_AXES = ['x','y','z'];
+
+// Moves that change direction by less than this angle (in degrees) are considered to be one continuous move
+var JUNCTION_ANGLE = 10;
+
+// Number of segments per full circle used to find the extents of an arc
+var ARC_SEGMENTS = 72;
+
+function round(value) {
+	return Math.round(value*1000)/1000;
+}
+
+// Analyzer constructor
+// Velocity and jerk limits are read from the driver configuration, in the machine units
+function Analyzer() {
+	this.units = config.machine.get('units') || 'in';
+
+	// Velocity limits (mm/min) and jerk limits (mm/min^3) for each axis
+	this.limits = {};
+	AXES.forEach(function(axis) {
+		var linear = LINEAR_AXES.indexOf(axis) >= 0;
+		var convert = function(value) {
+			return linear ? gcode.toMM(value, this.units) : value;
+		}.bind(this);
+		this.limits[axis] = {
+			rapid : convert(config.driver.get(axis + 'vm') || 0),
+			feed : convert(config.driver.get(axis + 'fr') || 0),
+			jerk : convert(config.driver.get(axis + 'jm') || 0)*1000000
+		};
+	}.bind(this));
+
+	// Tool position in work coordinates (mm) - null until a move establishes it
+	this.position = {};
+	AXES.forEach(function(axis) {
+		this.position[axis] = null;
+	}.bind(this));
+
+	// G-code modal state
+	this.gcodeUnits = this.units;
+	this.absolute = true;
+	this.motion = null;
+	this.feedrate = null;
+
+	// Results (mm)
+	this.extents = {};
+	this.rapid_distance = 0;
+	this.feed_distance = 0;
+	this.tool_changes = 0;
+	this.time = 0;
+	this.lines = 0;
+
+	// The current run of moves for the time estimate
+	this.run = null;
+}
+
+// Convert an axis value in the current g-code units to mm (rotary axes are never converted)
+Analyzer.prototype._toMM = function(axis, value) {
+	return LINEAR_AXES.indexOf(axis) >= 0 ? gcode.toMM(value, this.gcodeUnits) : value;
+};
+
+// Add a point (work coordinates, mm) to the extents
+Analyzer.prototype._extend = function(point) {
+	AXES.forEach(function(axis) {
+		var value = point[axis];
+		if(value === null || value === undefined || isNaN(value)) { return; }
+		var extent = this.extents[axis];
+		if(extent) {
+			extent.min = Math.min(extent.min, value);
+			extent.max = Math.max(extent.max, value);
+		} else {
+			this.extents[axis] = {min : value, max : value};
+		}
+	}.bind(this));
+};
+
+// Return the time (in minutes) to travel the specified distance from rest to rest
+// at the specified velocity with the specified jerk.  Acceleration follows a jerk-limited S curve.
+//   length - The distance travelled (mm)
+//        v - The cruise velocity (mm/min)
+//        j - The jerk (mm/min^3)
+function moveTime(length, v, j) {
+	if(length <= 0 || v <= 0) { return 0; }
+	if(!j || j <= 0) { return length/v; }
+	var accel_distance = v*Math.sqrt(v/j);
+	if(length >= 2*accel_distance) {
+		return 4*Math.sqrt(v/j) + (length - 2*accel_distance)/v;
+	}
+	// Never reaches cruise velocity
+	var peak = Math.pow(length*Math.sqrt(j)/2, 2/3);
+	return 4*Math.sqrt(peak/j);
+}
+
+// Finish the current run of moves, adding its time to the estimate
+Analyzer.prototype._endRun = function() {
+	if(this.run) {
+		this.time += moveTime(this.run.length, this.run.velocity, this.run.jerk);
+		this.run = null;
+	}
+};
+
+// Account for a move in the time estimate
+//      delta - The move (mm) as an axis -> distance object
+//     length - The length of the path (mm)
+//      rapid - True for a rapid (G0) move
+Analyzer.prototype._addMove = function(delta, length, rapid) {
+	if(length <= 0) { return; }
+
+	// The velocity and jerk along the move are limited by the axis that gets there first
+	var velocity = rapid ? Infinity : (this.feedrate || Infinity);
+	var jerk = Infinity;
+	var direction = {};
+	AXES.forEach(function(axis) {
+		var component = Math.abs(delta[axis])/length;
+		direction[axis] = delta[axis]/length;
+		if(component > 0) {
+			var limits = this.limits[axis];
+			var vmax = rapid ? limits.rapid : (limits.feed || limits.rapid);
+			if(vmax > 0) { velocity = Math.min(velocity, vmax/component); }
+			if(limits.jerk > 0) { jerk = Math.min(jerk, limits.jerk/component); }
+		}
+	}.bind(this));
+	if(!isFinite(velocity)) { velocity = 0; }
+	if(!isFinite(jerk)) { jerk = 0; }
+
+	// Continue the current run if this move goes the same way at the same speed
+	var run = this.run;
+	if(run && run.rapid === rapid && run.velocity === velocity) {
+		var dot = 0;
+		AXES.forEach(function(axis) {
+			dot += direction[axis]*run.direction[axis];
+		});
+		if(dot >= Math.cos(JUNCTION_ANGLE*Math.PI/180)) {
+			run.length += length;
+			run.jerk = Math.min(run.jerk, jerk);
+			run.direction = direction;
+			return;
+		}
+	}
+	this._endRun();
+	this.run = {rapid : rapid, velocity : velocity, jerk : jerk, length : length, direction : direction};
+};
+
+// Analyze a single line of g-code
+Analyzer.prototype.analyzeLine = function(line) {
+	this.lines += 1;
+
+	var words = gcode.parseWords(line);
+
+	var nonModal = null;
+	words.G.forEach(function(g) {
+		switch(g) {
+			case 0: case 1: case 2: case 3: case 38.2: case 38.3: case 80:
+				this.motion = g;
+				break;
+			case 20:
+				this.gcodeUnits = 'in';
+				break;
+			case 21:
+				this.gcodeUnits = 'mm';
+				break;
+			case 90:
+				this.absolute = true;
+				break;
+			case 91:
+				this.absolute = false;
+				break;
+			case 4: case 10: case 28.2: case 28.3: case 53: case 92:
+				nonModal = g;
+				break;
+		}
+	}.bind(this));
+
+	if(words.F !== undefined) {
+		this.feedrate = this._toMM('x', words.F);
+	}
+
+	words.M.forEach(function(mcode) {
+		switch(mcode) {
+			case 6:
+				this.tool_changes += 1;
+				this._endRun();
+				break;
+			case 0: case 1: case 2: case 30: case 60:
+				this._endRun();
+				break;
+		}
+	}.bind(this));
+
+	var axes = AXES.filter(function(axis) {
+		return words[axis.toUpperCase()] !== undefined;
+	});
+
+	switch(nonModal) {
+		case 4:
+			// Dwell (P is in seconds)
+			this._endRun();
+			this.time += (words.P || 0)/60;
+			return;
+
+		case 10:
+		case 28.3:
+		case 92:
+			// These don't move the tool
+			return;
+
+		case 28.2:
+			// Homing leaves the tool somewhere we can't know
+			this._endRun();
+			axes.forEach(function(axis) {
+				this.position[axis] = null;
+			}.bind(this));
+			return;
+	}
+
+	if(axes.length === 0 || this.motion === null || this.motion === 80) {
+		return;
+	}
+
+	// Work out where the move ends up.  Moves in machine coordinates (G53) can't be related to the
+	// work coordinates used for everything else, so they end up somewhere unknown.
+	var start = {};
+	var end = {};
+	AXES.forEach(function(axis) {
+		start[axis] = end[axis] = this.position[axis];
+	}.bind(this));
+	axes.forEach(function(axis) {
+		var value = this._toMM(axis, words[axis.toUpperCase()]);
+		if(nonModal === 53) {
+			end[axis] = null;
+		} else if(this.absolute) {
+			end[axis] = value;
+		} else {
+			end[axis] = start[axis] === null ? null : start[axis] + value;
+		}
+	}.bind(this));
+
+	// Distance covered along each axis (axes whose positions aren't known don't count)
+	var delta = {};
+	AXES.forEach(function(axis) {
+		delta[axis] = (start[axis] === null || end[axis] === null) ? 0 : end[axis] - start[axis];
+	});
+	var linear = Math.sqrt(delta.x*delta.x + delta.y*delta.y + delta.z*delta.z);
+	var length = linear || Math.sqrt(delta.a*delta.a + delta.b*delta.b);
+
+	var arc = null;
+	if((this.motion === 2 || this.motion === 3) && start.x !== null && start.y !== null) {
+		arc = this._arc(start, end, words, this.motion === 2);
+	}
+	if(arc) {
+		var planar = Math.abs(arc.sweep)*arc.r;
+		linear = Math.sqrt(planar*planar + delta.z*delta.z);
+		length = linear;
+		arc.points.forEach(this._extend.bind(this));
+	}
+	this._extend(end);
+
+	var rapid = (this.motion === 0);
+	if(rapid) {
+		this.rapid_distance += linear;
+	} else {
+		this.feed_distance += linear;
+	}
+	this._addMove(delta, length, rapid);
+
+	// After a probing move, we don't know where the tool stopped
+	if(this.motion === 38.2 || this.motion === 38.3) {
+		this._endRun();
+		axes.forEach(function(axis) {
+			end[axis] = null;
+		});
+	}
+	this.position = end;
+};
+
+// Compute the center, radius, sweep and a list of points along an arc (in the XY plane) specified
+// by its start and end point and the I,J or R words.  Returns null if the arc can't be computed.
+Analyzer.prototype._arc = function(start, end, words, clockwise) {
+	var ex = end.x === null ? start.x : end.x;
+	var ey = end.y === null ? start.y : end.y;
+	var cx, cy, r;
+	if(words.R !== undefined) {
+		var x = ex - start.x;
+		var y = ey - start.y;
+		r = this._toMM('x', words.R);
+		var h = 4*r*r - x*x - y*y;
+		if(h < 0 || (x === 0 && y === 0)) { return null; }
+		h = -Math.sqrt(h)/Math.sqrt(x*x + y*y);
+		if(!clockwise) { h = -h; }
+		if(r < 0) { h = -h; r = -r; }
+		cx = start.x + 0.5*(x - y*h);
+		cy = start.y + 0.5*(y + x*h);
+	} else if(words.I !== undefined || words.J !== undefined) {
+		cx = start.x + this._toMM('x', words.I || 0);
+		cy = start.y + this._toMM('y', words.J || 0);
+		r = Math.sqrt(Math.pow(start.x - cx, 2) + Math.pow(start.y - cy, 2));
+	} else {
+		return null;
+	}
+
+	var a0 = Math.atan2(start.y - cy, start.x - cx);
+	var sweep = Math.atan2(ey - cy, ex - cx) - a0;
+	if(clockwise) {
+		if(sweep >= 0) { sweep -= 2*Math.PI; }
+	} else {
+		if(sweep <= 0) { sweep += 2*Math.PI; }
+	}
+
+	var points = [];
+	var segments = Math.max(1, Math.ceil(ARC_SEGMENTS*Math.abs(sweep)/(2*Math.PI)));
+	for(var i=1; i<=segments; i++) {
+		var angle = a0 + sweep*i/segments;
+		points.push({x : cx + r*Math.cos(angle), y : cy + r*Math.sin(angle)});
+	}
+	return {r : r, sweep : sweep, points : points};
+};
+
+// Analyze a string of g-code, one line at a time
+Analyzer.prototype.analyzeString = function(s) {
+	s.split('\n').forEach(this.analyzeLine.bind(this));
+};
+
+// Return the results of the analysis.  Lengths are in the machine units, times are in seconds.
+Analyzer.prototype.getResult = function() {
+	this._endRun();
+	var units = this.units;
+	var extents = {};
+	var size = {};
+	AXES.forEach(function(axis) {
+		var extent = this.extents[axis];
+		if(extent) {
+			var linear = LINEAR_AXES.indexOf(axis) >= 0;
+			var convert = function(value) {
+				return round(linear ? gcode.fromMM(value, units) : value);
+			};
+			extents[axis + 'min'] = convert(extent.min);
+			extents[axis + 'max'] = convert(extent.max);
+			size[axis] = convert(extent.max - extent.min);
+		}
+	}.bind(this));
+
+	return {
+		units : units,
+		extents : extents,
+		size : size,
+		rapid_distance : round(gcode.fromMM(this.rapid_distance, units)),
+		feed_distance : round(gcode.fromMM(this.feed_distance, units)),
+		tool_changes : this.tool_changes,
+		estimated_time : Math.round(this.time*60),
+		lines : this.lines
+	};
+};
+
+// Analyze a file on disk
+// OpenSBP files are simulated to get their g-code, which is then analyzed.
+//   filename - Full path to the file to analyze
+//   callback - Called with the analysis result (see getResult()) or with error if error
+var analyzeFile = function(filename, callback) {
+	var machine = require('./machine').machine;
+	if(!machine) {
+		return callback(new Error('Cannot analyze a file without a machine.'));
+	}
+	machine.getGCodeForFile(filename, function(err, gcode) {
+		if(err) {
+			return callback(err);
+		}
+		try {
+			var analyzer = new Analyzer();
+			analyzer.analyzeString(gcode.toString());
+			var result = analyzer.getResult();
+			result.analyzed_at = Date.now();
+			log.info('Analyzed ' + path.basename(filename) + ': ' + result.estimated_time + ' seconds, ' + result.lines + ' lines');
+			callback(null, result);
+		} catch(e) {
+			log.error(e);
+			callback(e);
+		}
+	});
+};
+
+exports.Analyzer = Analyzer;
+exports.analyzeFile = analyzeFile;
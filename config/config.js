@@ -332,7 +332,7 @@ Config.createDataDirectories = function(callback) {
 			}
 		});
 	}.bind(this);
-	dirs = [null, 'debug', 'backup', 'db', 'log', 'files', 'config', 'apps', 'macros', 'profiles', 'approot', path.join('approot','approot')];
+	dirs = [null, 'debug', 'backup', 'db', 'log', 'files', 'config', 'apps', 'macros', 'profiles', 'userdata', 'approot', path.join('approot','approot')];
 	async.eachSeries(dirs, create_directory, callback);
 };
 
@@ -10,7 +10,7 @@ var path = require('path');
 var util = require('util');
 var fs = require('fs-extra');
 var PLATFORM = require('process').platform;
-var G2 = require('../g2.js');
+var drivers = require('../driver');
 var exec = require('child_process').exec;
 var Config = require('./config').Config;
 var log = require('../log');
@@ -25,6 +25,7 @@ util.inherits(EngineConfig, Config);
 
 // The update function
 // Nothing special here EXCEPT:
+// The motion controller driver has to be one there is (see driver.js) or the engine would not start.
 // If the value passed in for the profile is different than the current profile, we write
 // the configuration to disk and exit the engine altogether.  It is assumed that systemd (or whoever launched the engine)
 // will pick up and restart the engine after the abort.
@@ -32,6 +33,9 @@ EngineConfig.prototype.update = function(data, callback) {
 	var profile_changed = false;
 	try {
 		for(var key in data) {
+			if((key === 'driver') && !(data[key] in drivers.DRIVERS)) {
+				throw new Error('Unknown motion controller driver: ' + data[key] + ' (must be one of ' + Object.keys(drivers.DRIVERS).join(', ') + ')');
+			}
 			if((key === 'profile')) {
 				var newProfile = data[key];
 				// Make note if the profile changed.  If so, we want to apply the new profile
@@ -168,6 +168,8 @@ G2Config.prototype.configureStatusReports = function(callback) {
 						"line":true,
 						"coor":true,
 						"unit":true,
+						"momo":true,
+						"spc":true,
 						"in1":true,
 						"in2":true,
 						"in3":true,
@@ -20,6 +20,7 @@ var MachineConfig = require('./machine_config').MachineConfig;
 var DashboardCofnig = require('./dashboard_config').DashboardConfig;
 var InstanceConfig = require('./instance_config').InstanceConfig;
 var ProfileConfig = require('./profile_config').ProfileConfig;
+var ToolConfig = require('./tool_config').ToolConfig;
 
 var log = require('../log').logger('config');
 
@@ -44,6 +45,11 @@ function configureOpenSBP(callback) {
 	exports.opensbp.init(callback);
 }
 
+function configureTools(callback) {
+	exports.tools = new ToolConfig();
+	exports.tools.init(callback);
+}
+
 function configureDashboard(callback) {
 	exports.dashboard = new DashboardConfig(driver);
 	exports.dashboard.init(callback);
@@ -169,6 +175,7 @@ exports.profiles = new ProfileConfig();
 exports.configureEngine = configureEngine;
 exports.configureDriver = configureDriver;
 exports.configureOpenSBP = configureOpenSBP;
+exports.configureTools = configureTools;
 exports.configureMachine = configureMachine;
 exports.configureInstance = configureInstance;
 exports.configureUser = configureUser;
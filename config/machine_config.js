@@ -10,6 +10,17 @@ var Config = require('./config').Config;
 var log = require('../log').logger('machine_config');
 var u = require('../util');
 
+// Before there were input functions (see inputs.js) a few functions were hardwired to the inputs named by these
+// settings.  The values are the ones the default profile used to have.
+var LEGACY_INPUT_SETTINGS = {
+	auth_input : 2,
+	quit_input : 4,
+	ap_input : 2,
+	ap_time : 8,
+	interlock_required : false,
+	interlock_input : 2
+};
+
 var MachineConfig = function() {
 	Config.call(this, 'machine');
 };
@@ -17,7 +28,67 @@ util.inherits(MachineConfig, Config);
 
 MachineConfig.prototype.init = function(machine, callback) {
 	this.machine = machine;
-	Config.prototype.init.call(this, callback);
+	Config.prototype.init.call(this, function(err, result) {
+		if(err) {
+			return callback(err);
+		}
+		this.migrateInputs(function(err) {
+			if(err) {
+				return callback(err);
+			}
+			this.setupOutputs(function(err) {
+				callback(err, result);
+			});
+		}.bind(this));
+	}.bind(this));
+}
+
+// Make the input functions that do what the old input settings did (see LEGACY_INPUT_SETTINGS) if there are no
+// input functions yet, and drop the old settings.  This is also where a new machine gets its input functions.
+//   callback - Called once the configuration is saved, or with error if error
+MachineConfig.prototype.migrateInputs = function(callback) {
+	if(this.get('inputs')) {
+		return setImmediate(callback, null);
+	}
+	var DEBOUNCE = require('../inputs').DEBOUNCE;
+	var settings = {};
+	for(var key in LEGACY_INPUT_SETTINGS) {
+		settings[key] = this.has(key) ? this.get(key) : LEGACY_INPUT_SETTINGS[key];
+	}
+	var mappings = {};
+	var map = function(input, action, states, hold) {
+		mappings['in' + input + '_' + action] = {
+			input : Number(input),
+			action : action,
+			polarity : 'normal',
+			debounce : DEBOUNCE,
+			hold : hold || 0,
+			states : states
+		};
+	}
+
+	// The okay button starts what the machine is armed for, and resumes.  If it's also the quit button,
+	// it quits from a pause instead (and only resumes from an interlock)
+	map(settings.auth_input, 'start', 'armed');
+	if(settings.auth_input == settings.quit_input) {
+		map(settings.quit_input, 'quit', 'paused');
+		map(settings.auth_input, 'resume', 'interlock');
+	} else {
+		map(settings.auth_input, 'resume', 'paused,interlock');
+		map(settings.quit_input, 'quit', 'paused');
+	}
+	if(Number(settings.ap_input)) {
+		map(settings.ap_input, 'ap_collapse', '', Number(settings.ap_time));
+	}
+	if(settings.interlock_required) {
+		map(settings.interlock_input, 'interlock', '');
+	}
+
+	log.info('Setting up the input functions: ' + Object.keys(mappings).join(', '));
+	Object.keys(LEGACY_INPUT_SETTINGS).forEach(function(key) {
+		delete this._cache[key];
+	}.bind(this));
+	this.update({inputs : mappings}, callback, true);
 }
 
 // Convenience function that rounds a number to the appropriate number of decimals for the current unit type.
@@ -26,6 +97,17 @@ function round(number, units) {
 	return Math.round(number*decimals)/decimals
 }
 
+// Give a machine that has no named outputs (see outputs.js) the default ones
+//   callback - Called once the configuration is saved, or with error if error
+MachineConfig.prototype.setupOutputs = function(callback) {
+	if(this.get('outputs')) {
+		return setImmediate(callback, null);
+	}
+	var defaults = JSON.parse(JSON.stringify(require('../outputs').DEFAULT_OUTPUTS));
+	log.info('Setting up the named outputs: ' + Object.keys(defaults).join(', '));
+	this.update({outputs : defaults}, callback, true);
+}
+
 // 
 MachineConfig.prototype.update = function(data, callback, force) {
 	var current_units = this.get('units');
@@ -43,8 +125,11 @@ MachineConfig.prototype.update = function(data, callback, force) {
 		if(!force && current_units && current_units != new_units) {
 			var conv = (new_units == 'mm') ? 25.4 : 1/25.4;
 
-			['xmin','xmax','ymin','ymax'].forEach(function(key) {
-				this._cache.envelope[key] = round(this._cache.envelope[key]*conv, new_units);
+			// Only the linear axes are converted - A and B limits are in degrees
+			['xmin','xmax','ymin','ymax','zmin','zmax'].forEach(function(key) {
+				if(typeof this._cache.envelope[key] === 'number') {
+					this._cache.envelope[key] = round(this._cache.envelope[key]*conv, new_units);
+				}
 			}.bind(this));
 
 			['xy_speed',
@@ -57,6 +142,14 @@ MachineConfig.prototype.update = function(data, callback, force) {
 			 'z_jerk'].forEach(function(key) {
 				this._cache.manual[key] = round(this._cache.manual[key]*conv, new_units);
 			}.bind(this));
+
+			// The tool measurement location (machine coordinates), search distance and speed
+			['x','y','z','distance','feedrate'].forEach(function(key) {
+				var value = this._cache.tool_measure ? parseFloat(this._cache.tool_measure[key]) : NaN;
+				if(!isNaN(value)) {
+					this._cache.tool_measure[key] = round(value*conv, new_units);
+				}
+			}.bind(this));
 		}
 	}
 
@@ -67,6 +67,10 @@ OpenSBPConfig.prototype.getVariable = function(name) {
 OpenSBPConfig.prototype.setVariable = function(name, value, callback) {
 	var name = name.replace('$','');
 	var u = {'variables' : {}}
+	// Arrays replace the old value outright (rather than being merged into it)
+	if(typeof value === 'object' && this._cache.variables) {
+		delete this._cache.variables[name];
+	}
 	u.variables[name] = value;
 	this.update(u, callback, true);
 }
@@ -0,0 +1,174 @@
+/*
+ * tool_config.js
+ *
+ * Configuration tree for the tool library.  The tool table is a map of tool number to tool, where each tool looks like:
+ *
+ *   {number : 2, name : '1/8 in. Ball Nose', diameter : 0.125, length : 1.2, feedrate : 1, plunge_rate : 0.5, spindle_speed : 16000}
+ *
+ * Diameter and length offset are in the units of the tool table (the `units` key) and feedrate and plunge rate in those
+ * units per second, like the move speeds in the OpenSBP configuration.  Changing the units converts all of these.
+ *
+ * The tool table also keeps track of the tool that is currently in the spindle (`current`, 0 for none) and the number
+ * of the macro (if any) that is run for tool changes (`macro`).  See tools.js for the tool change itself.
+ *
+ * Tool length offsets can be measured on the touch-off plate (see the TM command).  They are measured relative to the
+ * reference tool (`reference_tool`), whose length offset is 0 by definition.  `reference_z` is the machine Z position
+ * (in mm, regardless of the units of the table) where the reference tool last touched the plate, or null if it hasn't
+ * been measured yet.
+ */
+var util = require('util');
+var Config = require('./config').Config;
+var log = require('../log').logger('config');
+
+// Tool fields that are lengths, or speeds in length units, and so are converted when the units change
+var LENGTH_FIELDS = ['diameter', 'length', 'feedrate', 'plunge_rate'];
+
+// Convenience function that rounds a number to the appropriate number of decimals for the unit type.
+function round(number, units) {
+	var decimals = units == 'mm' ? 100 : 1000;
+	return Math.round(number*decimals)/decimals
+}
+
+// Check a tool and return a clean copy of it.  Throw an error if it isn't valid.
+//   number - The tool number
+//     tool - The tool data
+function validateTool(number, tool) {
+	number = Number(number);
+	if(isNaN(number) || number < 1 || number !== Math.floor(number)) {
+		throw new Error("Invalid tool number: " + number + " (Tool numbers are whole numbers, 1 or more)");
+	}
+	var retval = {
+		number : number,
+		name : tool.name ? String(tool.name) : 'Tool ' + number
+	};
+	['diameter', 'length', 'feedrate', 'plunge_rate', 'spindle_speed'].forEach(function(key) {
+		var value = tool[key];
+		if(value === undefined || value === null || value === '') {
+			retval[key] = key === 'length' || key === 'diameter' ? 0 : null;
+			return;
+		}
+		value = Number(value);
+		if(isNaN(value) || (key !== 'length' && value < 0)) {
+			throw new Error("Invalid " + key.replace('_', ' ') + " for tool " + number + ": " + tool[key]);
+		}
+		retval[key] = value;
+	});
+	return retval;
+}
+
+var ToolConfig = function() {
+	Config.call(this, 'tools');
+};
+util.inherits(ToolConfig, Config);
+
+// Update the tool table with the provided data.
+// Tools in `data.tools` replace the tools with the same number outright.  A tool that is null is removed.
+ToolConfig.prototype.update = function(data, callback, force) {
+	var current_units = this.get('units');
+	try {
+		for(var key in data) {
+			if(key === 'tools') {
+				this._cache.tools = this._cache.tools || {};
+				for(var number in data.tools) {
+					if(data.tools[number] === null) {
+						delete this._cache.tools[number];
+					} else {
+						var tool = validateTool(number, data.tools[number]);
+						this._cache.tools[tool.number] = tool;
+					}
+				}
+			} else {
+				this._cache[key] = data[key];
+			}
+		}
+	} catch (e) {
+		return callback(e);
+	}
+
+	// Convert the tool dimensions if the units have changed
+	var new_units = this.get('units');
+	if(!force && current_units && new_units != current_units) {
+		var conv = (new_units == 'mm') ? 25.4 : 1/25.4;
+		for(var number in this._cache.tools) {
+			var tool = this._cache.tools[number];
+			LENGTH_FIELDS.forEach(function(key) {
+				if(typeof tool[key] === 'number') {
+					tool[key] = round(tool[key]*conv, new_units);
+				}
+			});
+		}
+	}
+
+	this.save(function(err, result) {
+		if(err) {
+			callback(err);
+		} else {
+			callback(null, data);
+		}
+	});
+};
+
+// Apply this configuration.  There's nothing to apply; the tool table is consulted at tool change time.
+ToolConfig.prototype.apply = function(callback) {
+	setImmediate(callback, null);
+};
+
+// Return the tool with the specified number, or null if there's no such tool in the table
+//   number - The tool number
+ToolConfig.prototype.getTool = function(number) {
+	var tools = this._cache.tools || {};
+	return tools[number] || null;
+};
+
+// Return a list of all the tools in the table, ordered by tool number
+ToolConfig.prototype.getTools = function() {
+	var tools = this._cache.tools || {};
+	return Object.keys(tools).map(function(number) {
+		return tools[number];
+	}).sort(function(a, b) {
+		return a.number - b.number;
+	});
+};
+
+// Add a tool to the table, or replace the tool with the same number
+//     number - The tool number
+//       tool - The tool data (see the top of this file)
+//   callback - Called with the tool as stored, or with error if error
+ToolConfig.prototype.setTool = function(number, tool, callback) {
+	var u = {'tools' : {}};
+	u.tools[number] = tool;
+	this.setMany(u, function(err) {
+		if(err) { return callback(err); }
+		callback(null, this.getTool(number));
+	}.bind(this));
+};
+
+// Remove a tool from the table
+//     number - The tool number
+//   callback - Called once the tool is removed, or with error if there's no such tool
+ToolConfig.prototype.deleteTool = function(number, callback) {
+	if(!this.getTool(number)) {
+		return callback(new Error("No such tool: " + number));
+	}
+	log.info("Removing tool " + number + " from the tool table");
+	var u = {'tools' : {}};
+	u.tools[number] = null;
+	this.setMany(u, callback);
+};
+
+// Return the length offset of the specified tool in the specified units (0 for an unknown tool)
+//   number - The tool number
+//    units - 'in' or 'mm'
+ToolConfig.prototype.getLengthOffset = function(number, units) {
+	var tool = this.getTool(number);
+	if(!tool || !tool.length) {
+		return 0;
+	}
+	var table_units = this.get('units');
+	if(!units || units === table_units) {
+		return tool.length;
+	}
+	return units === 'mm' ? tool.length*25.4 : tool.length/25.4;
+};
+
+exports.ToolConfig = ToolConfig;
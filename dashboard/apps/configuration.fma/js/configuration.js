@@ -2,6 +2,10 @@ require('./jquery.dragster.js');
 require('jquery');
 var setApps = require('./app_manager.js');
 var setUsers = require('./user_manager');
+var setTools = require('./tool_manager');
+var setInputs = require('./input_manager');
+var setOutputs = require('./output_manager');
+var setLeveling = require('./leveling');
 var Foundation = require('../../../static/js/libs/foundation.min.js');
 var moment = require('../../../static/js/libs/moment.js');
 var Fabmo = require('../../../static/js/libs/fabmo.js');
@@ -330,14 +334,6 @@ $('body').click(function(event){
         }
     });
 
-    $("#machine-interlock_required").on('change', function() {
-        if ($(this).is(':checked')) {
-            $(this).attr('value', 'true');
-        } else {
-            $(this).attr('value', 'false');
-        }
-    });
-
     $('.machine-input').change( function() {
         setConfig(this.id, this.value);
     });
@@ -410,4 +406,8 @@ $('body').click(function(event){
 
     setApps(fabmo);
     setUsers(fabmo);
+    setTools(fabmo);
+    setInputs(fabmo);
+    setOutputs(fabmo);
+    setLeveling(fabmo);
 });
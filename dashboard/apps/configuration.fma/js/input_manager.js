@@ -0,0 +1,135 @@
+module.exports = function inputs(fabmo) {
+var INPUT_COUNT = 8;
+var ACTION_NAMES = {
+  'start' : 'Start (Okay)',
+  'pause' : 'Pause',
+  'resume' : 'Resume',
+  'quit' : 'Quit',
+  'interlock' : 'Interlock',
+  'estop' : 'E-Stop',
+  'macro' : 'Run Macro',
+  'variable' : 'Set Variable',
+  'ap_collapse' : 'AP Mode'
+};
+var POLARITY_NAMES = {
+  'normal' : 'Normal',
+  'inverted' : 'Inverted'
+};
+var actions = [];
+
+setupInputManager();
+
+function setupInputManager() {
+  refreshInputs();
+
+  $('#add-input').on('click', function() {
+    fabmo.setInput({input : 1, action : 'pause'}, function(err) {
+      if(err) {
+        fabmo.notify('error', err);
+      }
+      refreshInputs();
+    });
+  });
+}
+
+function refreshInputs() {
+  fabmo.getInputs(function(err, result) {
+    if(err) {
+      return fabmo.notify('error', err);
+    }
+    actions = result.actions;
+    refreshInputsListView(result.mappings);
+  });
+}
+
+function escape(value) {
+  return (value === null || value === undefined) ? '' : String(value).replace(/"/g, '&quot;');
+}
+
+function select(field, options, value) {
+  var html = '<select class="input-function-input" data-field="' + field + '">';
+  $.each(options, function(key, name) {
+    html += '<option value="' + key + '"' + (String(key) === String(value) ? ' selected' : '') + '>' + name + '</option>';
+  });
+  return html + '</select>';
+}
+
+function text(field, value, disabled) {
+  return '<input type="text" class="input-function-input" data-field="' + field + '" value="' + escape(value) + '"' + (disabled ? ' disabled' : '') + ' />';
+}
+
+function refreshInputsListView(mappings) {
+  $('.input-listing').empty();
+  $.each(mappings, function(key, mapping) {
+    var inputs = {};
+    for(var i=1; i<=Math.max(INPUT_COUNT, mapping.input); i++) {
+      inputs[i] = 'Input ' + i;
+    }
+    var action_names = {};
+    actions.forEach(function(action) {
+      action_names[action] = ACTION_NAMES[action] || action;
+    });
+    var target = '';
+    switch(mapping.action) {
+      case 'macro':
+        target = text('macro', mapping.macro);
+        break;
+      case 'variable':
+        target = text('variable', mapping.variable ? '$' + mapping.variable : '');
+        break;
+      default:
+        target = text('none', '', true);
+        break;
+    }
+    var rowid = 'input_' + mapping.id;
+    var html = [
+      '<tr id="' + rowid + '"' + (mapping.active ? ' class="active-input"' : '') + '>',
+        '<td>' + select('input', inputs, mapping.input) + '</td>',
+        '<td>' + select('action', action_names, mapping.action) + '</td>',
+        '<td>' + target + '</td>',
+        '<td>' + text('value', mapping.value, mapping.action !== 'variable') + '</td>',
+        '<td>' + select('polarity', POLARITY_NAMES, mapping.polarity) + '</td>',
+        '<td>' + text('debounce', mapping.debounce) + '</td>',
+        '<td>' + text('hold', mapping.hold) + '</td>',
+        '<td>' + text('states', mapping.states) + '</td>',
+        '<td><div class="delete-button" id="delete_' + rowid + '"><img class="svg" src="images/recycling10.svg"></div></td>',
+      '</tr>'
+    ].join('');
+    $('.input-listing').append(html);
+
+    $('#' + rowid + ' .input-function-input').on('change', function() {
+      var update = {id : mapping.id};
+      var field = $(this).data('field');
+      update[field] = $(this).val();
+      // A new function starts out in its own default states
+      if(field === 'action') {
+        update.states = null;
+      }
+      fabmo.setInput(update, function(err) {
+        if(err) {
+          fabmo.notify('error', err);
+        }
+        refreshInputs();
+      });
+    });
+
+    $('#delete_' + rowid).on('click', function() {
+      fabmo.showModal({
+        title : 'Delete input function',
+        message : 'Are you sure you want to remove the ' + (ACTION_NAMES[mapping.action] || mapping.action) + ' function from input ' + mapping.input + '?',
+        okText : 'Yes',
+        cancelText : 'No',
+        ok : function() {
+          fabmo.deleteInput(mapping.id, function(err) {
+            if(err) {
+              fabmo.notify('error', err);
+            }
+            refreshInputs();
+          });
+        },
+        cancel : function() {}
+      });
+    });
+  });
+}
+};
@@ -0,0 +1,59 @@
+module.exports = function leveling(fabmo) {
+var FIELDS = ['x1', 'y1', 'x2', 'y2', 'spacing', 'distance', 'speed', 'input', 'clearance'];
+
+setupLeveling();
+
+function setupLeveling() {
+  refreshHeightMap();
+
+  $('#leveling-probe').on('click', function() {
+    var grid = {};
+    FIELDS.forEach(function(field) {
+      grid[field] = $('#leveling-' + field).val();
+    });
+    fabmo.probeHeightMap(grid, function(err, result) {
+      if(err) {
+        return fabmo.notify('error', err);
+      }
+      $('#leveling-progress').text('Probing ' + result.points + ' points...');
+    });
+  });
+
+  $('#leveling-apply, #leveling-apply_gcode').on('change', function() {
+    var settings = {};
+    settings[this.id.replace('leveling-', '')] = $(this).is(':checked');
+    fabmo.setLeveling(settings, function(err) {
+      if(err) {
+        fabmo.notify('error', err);
+      }
+      refreshHeightMap();
+    });
+  });
+
+  $('#leveling-view').on('click', function() {
+    fabmo.launchApp('previewer', {'heightmap' : true});
+  });
+
+  fabmo.on('heightmap', function(progress) {
+    var done = progress.index + 1;
+    $('#leveling-progress').text('Probed ' + done + ' of ' + progress.total + ' points.');
+    if(done === progress.total) {
+      // The height map is stored once the last point is in
+      setTimeout(refreshHeightMap, 1000);
+    }
+  });
+}
+
+function refreshHeightMap() {
+  fabmo.getHeightMap(function(err, heightmap) {
+    if(err) {
+      $('#leveling-apply, #leveling-apply_gcode').prop('checked', false);
+      $('#leveling-summary').text('No height map yet.');
+      return;
+    }
+    $('#leveling-apply').prop('checked', heightmap.apply);
+    $('#leveling-apply_gcode').prop('checked', heightmap.apply_gcode);
+    $('#leveling-summary').text('Height map of ' + heightmap.points.length + ' points (' + heightmap.units + ')');
+  });
+}
+};
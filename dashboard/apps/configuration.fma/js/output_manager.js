@@ -0,0 +1,91 @@
+module.exports = function outputs(fabmo) {
+var FIELDS = ['output', 'description', 'on', 'off', 'on_delay', 'off_delay'];
+
+setupOutputManager();
+
+function setupOutputManager() {
+  refreshOutputs();
+
+  $('#add-output').on('click', function() {
+    var name = $('#new-output-name').val().trim();
+    fabmo.setOutput({name : name, output : 1}, function(err) {
+      if(err) {
+        fabmo.notify('error', err);
+      } else {
+        $('#new-output-name').val('');
+      }
+      refreshOutputs();
+    });
+  });
+}
+
+function refreshOutputs() {
+  fabmo.getOutputs(function(err, result) {
+    if(err) {
+      return fabmo.notify('error', err);
+    }
+    refreshOutputsListView(result.outputs);
+  });
+}
+
+function refreshOutputsListView(outputs) {
+  $('.output-listing').empty();
+  $.each(outputs, function(key, output) {
+    var rowid = 'output_' + output.name;
+    var cells = FIELDS.map(function(field) {
+      var value = (output[field] === null || output[field] === undefined) ? '' : output[field];
+      return '<td><input type="text" class="output-input" data-field="' + field + '" value="' + String(value).replace(/"/g, '&quot;') + '" /></td>';
+    });
+    var html = [
+      '<tr id="' + rowid + '">',
+        '<td>' + output.name + '</td>',
+        cells.join(''),
+        '<td>',
+          '<button class="button radius tiny" id="switch_' + rowid + '">' + (output.value ? 'Turn Off' : 'Turn On') + '</button>',
+          '<div class="delete-button" id="delete_' + rowid + '"><img class="svg" src="images/recycling10.svg"></div>',
+        '</td>',
+      '</tr>'
+    ].join('');
+    $('.output-listing').append(html);
+
+    $('#' + rowid + ' .output-input').on('change', function() {
+      var update = {name : output.name};
+      update[$(this).data('field')] = $(this).val();
+      fabmo.setOutput(update, function(err) {
+        if(err) {
+          fabmo.notify('error', err);
+        }
+        refreshOutputs();
+      });
+    });
+
+    $('#switch_' + rowid).on('click', function() {
+      fabmo.switchOutput(output.name, output.value ? 'off' : 'on', function(err) {
+        if(err) {
+          fabmo.notify('error', err);
+        }
+        // The new value shows up in the next status report
+        setTimeout(refreshOutputs, 500);
+      });
+    });
+
+    $('#delete_' + rowid).on('click', function() {
+      fabmo.showModal({
+        title : 'Delete output ' + output.name,
+        message : 'Are you sure you want to remove the ' + output.name + ' output?  (Nothing will switch output ' + output.output + ' automatically anymore.)',
+        okText : 'Yes',
+        cancelText : 'No',
+        ok : function() {
+          fabmo.deleteOutput(output.name, function(err) {
+            if(err) {
+              fabmo.notify('error', err);
+            }
+            refreshOutputs();
+          });
+        },
+        cancel : function() {}
+      });
+    });
+  });
+}
+};
@@ -0,0 +1,105 @@
+module.exports = function tools(fabmo) {
+var FIELDS = ['name', 'diameter', 'length', 'feedrate', 'plunge_rate', 'spindle_speed'];
+var library = null;
+
+setupToolManager();
+
+function setupToolManager() {
+  refreshTools();
+
+  $('.tools-input').on('change', function() {
+    var update = {};
+    update[this.id.replace('tools-', '')] = $(this).val();
+    fabmo.updateTools(update, function(err, result) {
+      if(err) {
+        fabmo.notify('error', err);
+      }
+      refreshTools();
+    });
+  });
+
+  $('#measure-tool').on('click', function() {
+    fabmo.measureTool(function(err) {
+      if(err) {
+        fabmo.notify('error', err);
+      }
+    });
+  });
+
+  $('#add-tool').on('click', function() {
+    var number = 1;
+    library.tools.forEach(function(tool) {
+      number = Math.max(number, tool.number + 1);
+    });
+    fabmo.updateTool(number, {name : 'Tool ' + number}, function(err) {
+      if(err) {
+        fabmo.notify('error', err);
+      }
+      refreshTools();
+    });
+  });
+}
+
+function refreshTools() {
+  fabmo.getTools(function(err, result) {
+    if(err) {
+      return fabmo.notify('error', err);
+    }
+    library = result;
+    $('#tools-current').val(library.current);
+    $('#tools-macro').val(library.macro === null ? '' : library.macro);
+    $('#tools-units').val(library.units);
+    $('#tools-reference_tool').val(library.reference_tool);
+    $('#tools-reference_status').val(library.reference_z === null ? 'No' : 'Yes');
+    refreshToolsListView(library.tools);
+  });
+}
+
+function refreshToolsListView(tools) {
+  $('.tool-listing').empty();
+  $.each(tools, function(key, tool) {
+    var toolid = 'tool_' + tool.number;
+    var cells = FIELDS.map(function(field) {
+      var value = (tool[field] === null || tool[field] === undefined) ? '' : tool[field];
+      return '<td><input type="text" class="tool-input" data-field="' + field + '" value="' + String(value).replace(/"/g, '&quot;') + '" /></td>';
+    });
+    var html = [
+      '<tr id="' + toolid + '">',
+        '<td>' + tool.number + (tool.number === library.current ? ' (current)' : '') + '</td>',
+        cells.join(''),
+        '<td><div class="delete-button" id="delete_' + toolid + '"><img class="svg" src="images/recycling10.svg"></div></td>',
+      '</tr>'
+    ].join('');
+    $('.tool-listing').append(html);
+
+    $('#' + toolid + ' .tool-input').on('change', function() {
+      var update = {};
+      update[$(this).data('field')] = $(this).val();
+      fabmo.updateTool(tool.number, update, function(err) {
+        if(err) {
+          fabmo.notify('error', err);
+        }
+        refreshTools();
+      });
+    });
+
+    $('#delete_' + toolid).on('click', function() {
+      fabmo.showModal({
+        title : 'Delete tool ' + tool.number,
+        message : 'Are you sure you want to remove ' + tool.name + ' from the tool table?',
+        okText : 'Yes',
+        cancelText : 'No',
+        ok : function() {
+          fabmo.deleteTool(tool.number, function(err) {
+            if(err) {
+              fabmo.notify('error', err);
+            }
+            refreshTools();
+          });
+        },
+        cancel : function() {}
+      });
+    });
+  });
+}
+};
@@ -11,6 +11,7 @@ var newOrder = [];
 
 
 setupAppManager();
+setupOverrides();
 
     
 
@@ -272,6 +273,40 @@ function holdfunction (e) {
 }
 
 
+// Feed rate and spindle speed override sliders
+// These follow the override values in the machine status, except while they are being dragged
+function setupOverrides() {
+    var dragging = {};
+    ['feed', 'spindle'].forEach(function(key) {
+        var slider = $('#' + key + '-override');
+        slider.on('input', function() {
+            dragging[key] = true;
+            $('#' + key + '-override-value').text(slider.val() + '%');
+        });
+        slider.on('change', function() {
+            dragging[key] = false;
+            var overrides = {};
+            overrides[key] = Number(slider.val());
+            fabmo.setOverride(overrides, function(err) {
+                if(err) {
+                    fabmo.notify('error', err.message || err);
+                }
+            });
+        });
+    });
+
+    fabmo.on('status', function(status) {
+        ['feed', 'spindle'].forEach(function(key) {
+            var value = status[key + '_override'];
+            if(value !== undefined && !dragging[key]) {
+                $('#' + key + '-override').val(value);
+                $('#' + key + '-override-value').text(value + '%');
+            }
+        });
+    });
+    fabmo.requestStatus();
+}
+
 function getsetFabmoCongif (){
 
 }
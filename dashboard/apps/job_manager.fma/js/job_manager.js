@@ -115,9 +115,7 @@ function updateQueue(callback) {
     // if (jobs.pending.length === jobElements && jobs.pending.length != 0 && jobs.running.length === 0) {
     //   return
     // } else {
-      jobs.pending.sort(function(a, b) {
-        return a.order - b.order;
-      });
+      // Pending jobs come in the order they will run (by priority, then order)
       if (jobs.running.length) {
         var current = jobs.running[0];
         jobs.pending.unshift(current);
@@ -148,9 +146,11 @@ function clearRecent() {
   }
 }
 
-function createQueueMenu(id) {
-  var menu = "<div data-jobid='JOBID' class='ellipses' title='more actions'><span>...</span></div><div class='commentBox'></div><div class='dropDown'><ul class='jobActions'><li><a class='previewJob' data-jobid='JOBID'>Preview Job</a></li><li><a class='editJob' data-jobid='JOBID'>Edit Job</a></li><li><a class='downloadJob' data-jobid='JOBID'>Download Job</a></li><li><a class='deleteJob' data-jobid='JOBID'>Delete Job</a></li></ul></div>";
-  return menu.replace(/JOBID/g, id);
+function createQueueMenu(job) {
+  var hold = job.hold ? "<li><a class='releaseJob' data-jobid='JOBID'>Release Job</a></li>" : "<li><a class='holdJob' data-jobid='JOBID'>Hold Job</a></li>";
+  var schedule = hold + "<li><a class='priorityJob' data-jobid='JOBID'>Set Priority...</a></li><li><a class='runAtJob' data-jobid='JOBID'>Run At...</a></li><li><a class='requireToolJob' data-jobid='JOBID'>Require Tool...</a></li><li><a class='requireMaterialJob' data-jobid='JOBID'>Require Material...</a></li>";
+  var menu = "<div data-jobid='JOBID' class='ellipses' title='more actions'><span>...</span></div><div class='commentBox'></div><div class='dropDown'><ul class='jobActions'>" + schedule + "<li><a class='previewJob' data-jobid='JOBID'>Preview Job</a></li><li><a class='editJob' data-jobid='JOBID'>Edit Job</a></li><li><a class='downloadJob' data-jobid='JOBID'>Download Job</a></li><li><a class='deleteJob' data-jobid='JOBID'>Delete Job</a></li></ul></div>";
+  return menu.replace(/JOBID/g, job._id);
 }
 
 function createRecentMenu(id) {
@@ -182,6 +182,44 @@ function search(nameKey, arr) {
   }
 }
 
+// Summarize the scheduling of a pending job, eg: "Priority 2, needs tool 3 - On hold"
+function formatSchedule(job) {
+  var parts = [];
+  var requires = job.requires || {};
+  if (job.priority) {
+    parts.push('Priority ' + job.priority);
+  }
+  if (job.run_at) {
+    parts.push('runs after ' + moment(job.run_at).format('lll'));
+  }
+  if (requires.tool !== null && requires.tool !== undefined) {
+    parts.push('needs tool ' + requires.tool);
+  }
+  if (requires.material) {
+    parts.push('needs ' + requires.material);
+  }
+  var text = parts.join(', ');
+  if (job.wait) {
+    text += (text ? ' - ' : '') + '<span class="wait">' + job.wait + '</span>';
+  }
+  return text;
+}
+
+// Summarize the pre-flight analysis of a job, eg: "About 42 minutes, 24 x 48 in"
+function formatAnalysis(analysis) {
+  if (!analysis) {
+    return '';
+  }
+  var text = 'About ' + moment.duration(analysis.estimated_time, 'seconds').humanize();
+  if (analysis.size && analysis.size.x !== undefined && analysis.size.y !== undefined) {
+    text += ', ' + analysis.size.x + ' x ' + analysis.size.y + ' ' + analysis.units;
+  }
+  if (analysis.tool_changes) {
+    text += ', ' + analysis.tool_changes + (analysis.tool_changes === 1 ? ' tool change' : ' tool changes');
+  }
+  return text;
+}
+
 function addQueueEntries(jobs) {
   var elements = document.getElementsByClassName('job_item'); //All current jobs in DOM
   var table = document.getElementById('queue_table');
@@ -211,9 +249,9 @@ function addQueueEntries(jobs) {
         listItem.setAttribute("data-id", jobs[i]._id);
         table.appendChild(listItem);
         var id = document.getElementById(jobs[i]._id);
-        id.innerHTML = '<div id="menu"></div><div class="job_name">' + jobs[i].name + '</div><div class="description">' + jobs[i].description + '</div><div class="created-date">'+ moment(jobs[i].created_at).fromNow(); +'</div>';
+        id.innerHTML = '<div id="menu"></div><div class="job_name">' + jobs[i].name + '</div><div class="description">' + jobs[i].description + '</div><div class="analysis">' + formatAnalysis(jobs[i].analysis) + '</div><div class="schedule">' + formatSchedule(jobs[i]) + '</div><div class="created-date">'+ moment(jobs[i].created_at).fromNow(); +'</div>';
         var menu = id.firstChild;
-        menu.innerHTML = createQueueMenu(jobs[i]._id);
+        menu.innerHTML = createQueueMenu(jobs[i]);
       // }
     };
     setFirstCard(); //Add play button and css style for first card
@@ -327,8 +365,17 @@ function clearHistory() {
   }
 }
 
-function createHistoryMenu(id) {
-  var menu = "<div class='ellipses' title='More Actions'><span>...</span></div><div class='commentBox'></div><div class='dropDown'><ul class='jobActions'><li><a class='previewJob' data-jobid='JOBID'>Preview Job</a></li><li><a class='editJob' data-jobid='JOBID'>Edit Job</a></li><li><a class='resubmitJob' data-jobid='JOBID'>Add To Queue</a></li><li><a class='downloadJob' data-jobid='JOBID'>Download Job</a></li><li><a class='deleteJob' data-jobid='JOBID'>Delete Job</a></li></ul></div>"
+function createHistoryMenu(job) {
+  // Jobs that didn't finish can be picked up part way through (at a line, or at a copy for arrays)
+  var resume = "";
+  if(job.state === 'failed' || job.state === 'cancelled') {
+    if(!job.array) {
+      resume = "<li><a class='resumeJob' data-jobid='JOBID'>Resume From Line...</a></li>";
+    } else if(job.copies_done < job.array.offsets.length) {
+      resume = "<li><a class='resumeArray' data-jobid='JOBID'>Resume At Copy " + (job.copies_done + 1) + "</a></li>";
+    }
+  }
+  var menu = "<div class='ellipses' title='More Actions'><span>...</span></div><div class='commentBox'></div><div class='dropDown'><ul class='jobActions'><li><a class='previewJob' data-jobid='JOBID'>Preview Job</a></li><li><a class='editJob' data-jobid='JOBID'>Edit Job</a></li><li><a class='resubmitJob' data-jobid='JOBID'>Add To Queue</a></li>" + resume + "<li><a class='downloadJob' data-jobid='JOBID'>Download Job</a></li><li><a class='deleteJob' data-jobid='JOBID'>Delete Job</a></li></ul></div>"
   return menu.replace(/JOBID/g, id)
 }
 
@@ -344,9 +391,9 @@ function addHistoryEntries(jobs) {
     var done = row.insertCell(3);
     var time = row.insertCell(4);
 
-    menu.innerHTML = createHistoryMenu(job._id);
+    menu.innerHTML = createHistoryMenu(job);
     // thumbnail.innerHTML = createPreviewThumbnail(job, 50, 50);
-    name.innerHTML = '<div class="job-' + job.state + '">' + job.name + '</div>';
+    name.innerHTML = '<div class="job-' + job.state + '">' + job.name + (job.start_line ? ' (from line ' + job.start_line + ')' : '') + (job.array ? ' (' + job.copies_done + ' of ' + job.array.offsets.length + ' copies)' : '') + '</div>';
     done.innerHTML = moment(job.finished_at).fromNow();
     time.innerHTML = moment.utc(job.finished_at - job.started_at).format('HH:mm:ss');
   });
@@ -379,6 +426,109 @@ function bindMenuEvents() {
 
 
 
+  $('.resumeJob').off('click');
+  $('.resumeJob').click(function(e) {
+    e.preventDefault();
+    var line = parseInt(window.prompt('Resume this job from line:', ''));
+    if (line > 0) {
+      fabmo.resubmitJob(this.dataset.jobid, {start_line: line}, function(err, result) {
+        updateOrder();
+        fabmo.getJobsInQueue(function(err, data) {
+          $('.toggle-topbar').click();
+          $('#nav-pending').click();
+          updateQueue(false);
+        });
+      });
+    }
+    hideDropDown();
+  });
+
+  // Scheduling of pending jobs
+  var schedule = function(id, settings) {
+    fabmo.scheduleJob(id, settings, function(err, job) {
+      if (err) {
+        fabmo.notify('error', err);
+      }
+      updateQueue();
+    });
+    hideDropDown();
+  };
+
+  $('.holdJob').off('click');
+  $('.holdJob').click(function(e) {
+    e.preventDefault();
+    schedule(this.dataset.jobid, {hold: true});
+  });
+
+  $('.releaseJob').off('click');
+  $('.releaseJob').click(function(e) {
+    e.preventDefault();
+    schedule(this.dataset.jobid, {hold: false});
+  });
+
+  $('.priorityJob').off('click');
+  $('.priorityJob').click(function(e) {
+    e.preventDefault();
+    var priority = window.prompt('Priority for this job (jobs with a higher priority run first):', '0');
+    if (priority !== null) {
+      schedule(this.dataset.jobid, {priority: priority});
+    } else {
+      hideDropDown();
+    }
+  });
+
+  $('.runAtJob').off('click');
+  $('.runAtJob').click(function(e) {
+    e.preventDefault();
+    var time = window.prompt('Run this job after (for example "' + moment().add(1, 'hours').format('YYYY-MM-DD HH:mm') + '") or leave blank to run any time:', '');
+    if (time !== null) {
+      var run_at = time.trim() ? moment(time).valueOf() : null;
+      if (run_at !== null && isNaN(run_at)) {
+        fabmo.notify('error', 'Invalid time: ' + time);
+        return hideDropDown();
+      }
+      schedule(this.dataset.jobid, {run_at: run_at});
+    } else {
+      hideDropDown();
+    }
+  });
+
+  $('.requireToolJob').off('click');
+  $('.requireToolJob').click(function(e) {
+    e.preventDefault();
+    var tool = window.prompt('Tool this job needs in the spindle (leave blank for any tool):', '');
+    if (tool !== null) {
+      schedule(this.dataset.jobid, {requires: {tool: tool.trim()}});
+    } else {
+      hideDropDown();
+    }
+  });
+
+  $('.requireMaterialJob').off('click');
+  $('.requireMaterialJob').click(function(e) {
+    e.preventDefault();
+    var material = window.prompt('Material this job needs to be loaded (leave blank for any material):', '');
+    if (material !== null) {
+      schedule(this.dataset.jobid, {requires: {material: material.trim()}});
+    } else {
+      hideDropDown();
+    }
+  });
+
+  $('.resumeArray').off('click');
+  $('.resumeArray').click(function(e) {
+    e.preventDefault();
+    fabmo.resubmitJob(this.dataset.jobid, {next_copy: true}, function(err, result) {
+      updateOrder();
+      fabmo.getJobsInQueue(function(err, data) {
+        $('.toggle-topbar').click();
+        $('#nav-pending').click();
+        updateQueue(false);
+      });
+    });
+    hideDropDown();
+  });
+
   $('.previewJob').off('click');
   $('.previewJob').click(function(e) {
     e.preventDefault();
@@ -1272,6 +1422,22 @@ $(document).ready(function() {
     $('#job_selector').click();
   });
 
+  // Jobs that need a material only run once it's loaded
+  fabmo.getConfig(function(err, config) {
+    if (!err) {
+      $('#loaded-material').val(config.machine.material || '');
+    }
+  });
+
+  $('#loaded-material').change(function(e) {
+    fabmo.setConfig({machine: {material: this.value.trim()}}, function(err) {
+      if (err) {
+        fabmo.notify('error', err);
+      }
+      updateQueue();
+    });
+  });
+
   $('#clear-jobs').click(function(e) {
     fabmo.clearJobQueue(function(err, data) {
       updateQueue();
@@ -75,6 +75,44 @@ function initializeLiveViewerHandler(jobId) {
     });
 }
 
+/**
+ * Initializes the display of the height map (the surface used for leveling).
+ * The points of a height map that is being probed are displayed as they come
+ * in, and the finished height map is displayed once probing is done.
+ */
+function initializeHeightMap() {
+    var points = [];
+    var probing = false;
+
+    function showHeightMap() {
+        fabmo.getHeightMap(function(err, heightMap) {
+            if(err) {
+                fabmo.notify('info', err);
+                return;
+            }
+            viewer.setHeightMap(heightMap);
+        });
+    }
+
+    fabmo.on("heightmap", function(progress) {
+        if(progress.index === 0) {
+            points = [];
+        }
+        probing = true;
+        points.push(progress.point);
+        viewer.setHeightMapProgress(points);
+    });
+
+    fabmo.on("status", function(status) {
+        if(probing && status.state === "idle") {
+            probing = false;
+            showHeightMap();
+        }
+    });
+
+    showHeightMap();
+}
+
 /**
  * Initializes the viewer object.
  * @param {string} gcode The G-Code to display.
@@ -127,7 +165,10 @@ $(document).ready(function() {
         if(err) {
             console.log(err);
         }
-        if('job' in args) {
+        if('heightmap' in args) {
+            initializeViewer("", false, -1);
+            initializeHeightMap();
+        } else if('job' in args) {
             var url = '/job/' + args.job + '/gcode';
             $.ajax({
                 url: url,
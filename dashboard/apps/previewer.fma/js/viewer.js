@@ -417,6 +417,119 @@ exports.Viewer = function(container, widthCanvas, heightCanvas,
         return false;
     };
 
+    // Returns the color of a point of the height map: blue for the lowest
+    // point, through to red for the highest
+    function heightColor(z, min, max) {
+        var ratio = (max > min) ? (z - min) / (max - min) : 0.5;
+        var color = new THREE.Color();
+        color.setHSL((1 - ratio) * 2 / 3, 1, 0.5);
+        return color;
+    }
+
+    // Removes the height map (or the points of the height map being probed)
+    function removeHeightMap() {
+        if(that.heightMapObject !== undefined) {
+            that.scene.remove(that.heightMapObject);
+            that.heightMapObject = undefined;
+        }
+    }
+
+    // Makes the camera look down at the height map
+    function showHeightMap(points) {
+        var min = { x : Infinity, y : Infinity, z : Infinity };
+        var max = { x : -Infinity, y : -Infinity, z : -Infinity };
+        points.forEach(function(point) {
+            min.x = Math.min(min.x, point[0]);
+            min.y = Math.min(min.y, point[1]);
+            min.z = Math.min(min.z, point[2]);
+            max.x = Math.max(max.x, point[0]);
+            max.y = Math.max(max.y, point[1]);
+            max.z = Math.max(max.z, point[2]);
+        });
+        var center = {
+            x : (min.x + max.x) / 2,
+            y : (min.y + max.y) / 2,
+            z : (min.z + max.z) / 2
+        };
+        //Same magic numbers as showPlane
+        var zoom = (that.camera.inPerspectiveMode === true) ? 0.25 : 20;
+        lookAtPoint(center, { x : center.x, y : center.y, z : center.z + 1 },
+                zoom);
+        return { min : min, max : max };
+    }
+
+    /**
+     * Displays a height map (the surface used for leveling) as a mesh,
+     * colored from blue (lowest) to red (highest).
+     *
+     * @function setHeightMap
+     * @memberof GCodeViewer.Viewer
+     * @instance
+     * @param {object} heightMap - The height map.
+     * @param {Array} heightMap.points - The points (`[x, y, z]`).
+     * @param {Array} heightMap.triangles - The triangles of the mesh
+     *   (`[i, j, k]`, indexes into the points).
+     */
+    that.setHeightMap = function(heightMap) {
+        removeHeightMap();
+        if(heightMap.points.length === 0) {
+            return;
+        }
+        var bounds = showHeightMap(heightMap.points);
+        var geometry = new THREE.Geometry();
+        var colors = [];
+        heightMap.points.forEach(function(point) {
+            geometry.vertices.push(new THREE.Vector3(point[0], point[1],
+                        point[2]));
+            colors.push(heightColor(point[2], bounds.min.z, bounds.max.z));
+        });
+        heightMap.triangles.forEach(function(triangle) {
+            var face = new THREE.Face3(triangle[0], triangle[1], triangle[2]);
+            face.vertexColors = [
+                colors[triangle[0]], colors[triangle[1]], colors[triangle[2]]
+            ];
+            geometry.faces.push(face);
+        });
+        var material = new THREE.MeshBasicMaterial({
+            vertexColors : THREE.VertexColors,
+            side : THREE.DoubleSide,
+            wireframe : true
+        });
+        that.heightMapObject = new THREE.Mesh(geometry, material);
+        that.scene.add(that.heightMapObject);
+        that.refreshDisplay();
+    };
+
+    /**
+     * Displays the points of a height map that is being probed, joined in
+     * the order they were probed.
+     *
+     * @function setHeightMapProgress
+     * @memberof GCodeViewer.Viewer
+     * @instance
+     * @param {Array} points - The points probed so far (`[x, y, z]`).
+     */
+    that.setHeightMapProgress = function(points) {
+        removeHeightMap();
+        if(points.length === 0) {
+            return;
+        }
+        var bounds = showHeightMap(points);
+        var geometry = new THREE.Geometry();
+        points.forEach(function(point) {
+            geometry.vertices.push(new THREE.Vector3(point[0], point[1],
+                        point[2]));
+            geometry.colors.push(heightColor(point[2], bounds.min.z,
+                        bounds.max.z));
+        });
+        var material = new THREE.LineBasicMaterial({
+            vertexColors : THREE.VertexColors
+        });
+        that.heightMapObject = new THREE.Line(geometry, material);
+        that.scene.add(that.heightMapObject);
+        that.refreshDisplay();
+    };
+
     // initialize
 
     //Members declaration
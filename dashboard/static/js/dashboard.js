@@ -29,7 +29,9 @@ define(function(require) {
       'disconnect' : [],
       'reconnect' : [],
       'video_frame': [],
-      'upload_progress': []
+      'upload_progress': [],
+      'heightmap': [],
+      'firmware': []
     };
     this._registerHandlers();
     this._setupMessageListener();
@@ -78,6 +80,12 @@ define(function(require) {
     this.engine.on('upload_progress', function(frame) {
       this._fireEvent('upload_progress', frame);
     }.bind(this));
+    this.engine.on('heightmap', function(progress) {
+      this._fireEvent('heightmap', progress);
+    }.bind(this));
+    this.engine.on('firmware', function(progress) {
+      this._fireEvent('firmware', progress);
+    }.bind(this));
     this.engine.on('connect', function() {
       this._fireEvent('reconnect', null);
     }.bind(this));
@@ -273,7 +281,7 @@ define(function(require) {
     this._registerHandler('resubmitJob', function(data, callback) {
       var options = data.options || {};
       var id = data.id;
-      this.engine.resubmitJob(id, function(err, result) {
+      this.engine.resubmitJob(id, {start_line : options.start_line, next_copy : options.next_copy}, function(err, result) {
         if (err) {
           callback(err);
         } else {
@@ -316,6 +324,16 @@ define(function(require) {
       })
     }.bind(this));
 
+    this._registerHandler('scheduleJob', function(data, callback) {
+      this.engine.scheduleJob(data.id, data.settings, function(err, job) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, job);
+        }
+      });
+    }.bind(this));
+
     this._registerHandler('updateOrder', function(data, callback) {
       this.engine.updateOrder(data, function(err, result) {
         if (err) {
@@ -387,6 +405,16 @@ define(function(require) {
       });
     }.bind(this));
 
+    this._registerHandler('setOverride', function(data, callback) {
+      this.engine.setOverride(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      });
+    }.bind(this));
+
     this._registerHandler('manualNudge', function(data, callback) {
       this.engine.manualNudge(data.dir, data.dist, function(err, result) {
         if (err) {
@@ -713,6 +741,219 @@ define(function(require) {
       }.bind(this));
     }.bind(this));
 
+    ///
+    /// TOOLS
+    ///
+    this._registerHandler('getTools', function(data, callback) {
+      this.engine.getTools(function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('updateTools', function(data, callback) {
+      this.engine.updateTools(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('updateTool', function(data, callback) {
+      this.engine.updateTool(data.number, data.tool, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('deleteTool', function(data, callback) {
+      this.engine.deleteTool(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('measureTool', function(data, callback) {
+      this.engine.measureTool(function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('getHeightMap', function(data, callback) {
+      this.engine.getHeightMap(function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('setLeveling', function(data, callback) {
+      this.engine.setLeveling(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('probeHeightMap', function(data, callback) {
+      this.engine.probeHeightMap(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('getMaintenance', function(data, callback) {
+      this.engine.getMaintenance(function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('setMaintenanceTask', function(data, callback) {
+      this.engine.setMaintenanceTask(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('acknowledgeMaintenanceTask', function(data, callback) {
+      this.engine.acknowledgeMaintenanceTask(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('deleteMaintenanceTask', function(data, callback) {
+      this.engine.deleteMaintenanceTask(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('getInputs', function(data, callback) {
+      this.engine.getInputs(function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('setInput', function(data, callback) {
+      this.engine.setInput(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('deleteInput', function(data, callback) {
+      this.engine.deleteInput(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('getOutputs', function(data, callback) {
+      this.engine.getOutputs(function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('setOutput', function(data, callback) {
+      this.engine.setOutput(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('switchOutput', function(data, callback) {
+      this.engine.switchOutput(data.name, data.value, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('deleteOutput', function(data, callback) {
+      this.engine.deleteOutput(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('getFirmwareInfo', function(data, callback) {
+      this.engine.getFirmwareInfo(function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
+    this._registerHandler('flashFirmware', function(data, callback) {
+      this.engine.flashFirmware(data, function(err, result) {
+        if (err) {
+          callback(err);
+        } else {
+          callback(null, result);
+        }
+      }.bind(this));
+    }.bind(this));
+
     ///
     /// USER MANAGEMENT
     ///
@@ -37,7 +37,9 @@ var FabMoDashboard = function(options) {
 		'disconnect' : [],
 		'reconnect' : [],
     	'video_frame' : [],
-      'upload_progress':[]
+      'upload_progress':[],
+		'heightmap' : [],
+		'firmware' : []
 	};
 	this._setupMessageListener();
     // listen for escape key press to quit the engine
@@ -502,6 +504,9 @@ function _makeJob(obj) {
 /**
  * Submit one or more jobs to the dashboard.
  * @param {Array|Object|jQuery} jobs A single job object, an array containing multiple job objects, or a jQuery object that points to a file type form input, or a form containing a file type input.
+ * Job objects have a `file` and may also have a `name`, a `description` and a `level` setting (true or false to turn surface leveling on or off for a G-Code job, regardless of the leveling configuration).
+ * G-Code jobs may also have an `array`, to cut the file several times at different offsets: Either a grid of copies, like `{columns : 3, rows : 2, x : 10, y : 8}` (x and y apart), or a list of offsets, like `{offsets : [[0, 0], [12, 0], [0, 9.5]]}`.  Array jobs count the copies that are done (`copies_done`) so a cancelled array can be resumed at the next copy (see resubmitJob)
+ * G-Code jobs may also have a `transform`: Coordinate transformations that are applied to the file when it's submitted, such as `{rotate : {angle : 90, x : 0, y : 0}, array : {columns : 3, rows : 2, x : 10, y : 8}}`.  The transformations are the same as the OpenSBP `transforms` settings (rotate, shearx, sheary, scale and move - a scale of -1 mirrors the part) plus `array`, which cuts copies of the part, and `units`, which are the units of all the distances (the machine units by default)
  * @param {Object} [options] Options for job submission. Currently only accepts one option: `stayHere` which if true, will prevent the dashboard from jumping to the job manager when the job has been submitted.
  *
  */
@@ -545,13 +550,34 @@ FabMoDashboard.prototype.updateOrder = function(data, callback) {
 	this._call("updateOrder", data, callback);
 }
 
+/**
+ * Change when a pending job can run.  Jobs that can't run yet stay in the queue, and are skipped when the next job is run.
+ * The reason a job can't run yet is the `wait` field of the jobs returned by getJobsInQueue.
+ *
+ * @method scheduleJob
+ * @param {Number} id The ID of the job
+ * @param {Object} settings The settings to change
+ * @param {Boolean} settings.hold True to hold the job in the queue, false to release it
+ * @param {Number} settings.priority Priority of the job.  Jobs with a higher priority run first.
+ * @param {Number} settings.run_at Time the job can run after (UNIX timestamp) or null for any time
+ * @param {Object} settings.requires The tool (`tool`) and material (`material`) the job needs, or null for either.  The material that is loaded is the `material` machine setting.
+ * @param {function} callback
+ * @param {Error} callback.err Error object if there was an error.
+ * @param {Object} callback.job The job
+ */
+FabMoDashboard.prototype.scheduleJob = function(id, settings, callback) {
+	this._call("scheduleJob", {id : id, settings : settings}, callback);
+}
+
 /**
  * Resubmit a job by its ID.  Resubmitted jobs come in at the back of the job queue.
  *
  * @method resubmitJob
  * @param {Number} id The ID of the job to resubmit
  * @param {Object} options Job submission options
- * @param {Object} options Job submission options
+ * @param {Boolean} options.stayHere Don't switch to the job manager after the job is resubmitted
+ * @param {Number} options.start_line Resume the job from this line instead of running the whole file (failed or cancelled jobs only)
+ * @param {Boolean} options.next_copy Resume an array job at the copy it stopped on, instead of cutting all of the copies again (failed or cancelled jobs only)
  * @param {function} callback
  * @param {Error} callback.err Error object if there was an error.
  */
@@ -688,6 +714,23 @@ FabMoDashboard.prototype.resume = function(callback) {
 	this._call("resume",null, callback);
 }
 
+/**
+ * Set the feed rate and/or spindle speed override.  Overrides apply immediately, even to a job that is
+ * running, and stay in effect until they are changed.  The values in effect are reported in the
+ * `feed_override` and `spindle_override` fields of the machine status.
+ *
+ * @method setOverride
+ * @param {Object} overrides
+ * @param {Number} [overrides.feed] Feed rate override, as a percentage of the programmed feed rate (5-200)
+ * @param {Number} [overrides.spindle] Spindle speed override, as a percentage of the programmed speed (5-200)
+ * @param {function} callback
+ * @param {Error} callback.err Error object if there was an error.
+ * @param {Object} callback.override The override values now in effect
+ */
+FabMoDashboard.prototype.setOverride = function(overrides, callback) {
+	this._call("setOverride", overrides, callback);
+}
+
 /**
  * Perform a fixed manual move in a single axis.  (Sometimes called a nudge)
  *
@@ -971,6 +1014,308 @@ FabMoDashboard.prototype.deleteMacro = function(id, callback) {
 	this._call("deleteMacro", id, callback);
 }
 
+/**
+ * Get the tool library: the tools in the tool table, and the tool table settings.
+ *
+ * @method getTools
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ * @param {Object} callback.library The tool library
+ * @param {String} callback.library.units The units of the tool dimensions (`in` or `mm`)
+ * @param {Number} callback.library.current The number of the tool in the spindle (0 for none)
+ * @param {Number} callback.library.macro The number of the macro run for tool changes (null for none)
+ * @param {Array} callback.library.tools List of tools, ordered by tool number
+ */
+FabMoDashboard.prototype.getTools = function(callback) {
+	this._call("getTools", null, callback);
+}
+
+/**
+ * Change the tool table settings and/or add a tool to the tool table.
+ *
+ * @method updateTools
+ * @param {Object} library Any of `units`, `current` and `macro` (see getTools), and/or a `tool` to add
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ * @param {Object} callback.library The updated tool library
+ */
+FabMoDashboard.prototype.updateTools = function(library, callback) {
+	this._call("updateTools", library, callback);
+}
+
+/**
+ * Update (or create) the tool with the specified number.
+ *
+ * @method updateTool
+ * @param {Number} number The tool number
+ * @param {Object} tool The tool fields to update (`name`, `diameter`, `length`, `feedrate`, `plunge_rate`, `spindle_speed`)
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ * @param {Object} callback.tool The updated tool
+ */
+FabMoDashboard.prototype.updateTool = function(number, tool, callback) {
+	this._call("updateTool", {'number':number, 'tool':tool}, callback);
+}
+
+/**
+ * Remove the tool with the specified number from the tool table.
+ *
+ * @method deleteTool
+ * @param {Number} number The tool number
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ */
+FabMoDashboard.prototype.deleteTool = function(number, callback) {
+	this._call("deleteTool", number, callback);
+}
+
+/**
+ * Measure the length of the tool in the spindle on the touch-off plate, and store its length offset in the tool table.
+ * The tool is measured relative to the reference tool.  Measuring the reference tool itself sets the reference.
+ *
+ * @method measureTool
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ */
+FabMoDashboard.prototype.measureTool = function(callback) {
+	this._call("measureTool", null, callback);
+}
+
+/**
+ * Get the height map that is used for surface leveling.
+ *
+ * @method getHeightMap
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error (eg: if there is no height map yet)
+ * @param {Object} callback.heightmap The height map
+ * @param {Array} callback.heightmap.points The points of the height map (`[x, y, z]`)
+ * @param {Array} callback.heightmap.triangles The triangulation of the points (`[i, j, k]`, indexes into `points`)
+ * @param {String} callback.heightmap.units The units of the points (`in` or `mm`)
+ * @param {Boolean} callback.heightmap.apply True if leveling is applied to OpenSBP jobs
+ * @param {Boolean} callback.heightmap.apply_gcode True if leveling is applied to G-Code jobs
+ */
+FabMoDashboard.prototype.getHeightMap = function(callback) {
+	this._call("getHeightMap", null, callback);
+}
+
+/**
+ * Turn surface leveling on or off for the jobs that follow.
+ *
+ * @method setLeveling
+ * @param {Object} settings The settings to change (at least one of them)
+ * @param {Boolean} settings.apply True to apply leveling to OpenSBP jobs
+ * @param {Boolean} settings.apply_gcode True to apply leveling to G-Code jobs.  Jobs can override this with their `level` option.
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ */
+FabMoDashboard.prototype.setLeveling = function(settings, callback) {
+	this._call("setLeveling", settings, callback);
+}
+
+/**
+ * Probe a grid of points on the surface to make a new height map, and turn leveling on once it's done.
+ * Each point is reported with a `heightmap` event as it is probed.  The event data looks like:
+ * `{point : [x, y, z], index : 0, total : 25, units : 'in'}`
+ *
+ * @method probeHeightMap
+ * @param {Object} grid The grid to probe
+ * @param {Number} grid.x1 X location of the first corner of the grid
+ * @param {Number} grid.y1 Y location of the first corner of the grid
+ * @param {Number} grid.x2 X location of the opposite corner of the grid
+ * @param {Number} grid.y2 Y location of the opposite corner of the grid
+ * @param {Number} grid.spacing Distance between the points of the grid
+ * @param {Number} [grid.distance] Distance to search down from the clearance height at each point
+ * @param {Number} [grid.speed] Search speed (units/sec)
+ * @param {Number} [grid.input] Input that the probe is connected to
+ * @param {Number} [grid.clearance] Height to travel between points at
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ * @param {Object} callback.result The number of points in the grid (`points`)
+ */
+FabMoDashboard.prototype.probeHeightMap = function(grid, callback) {
+	this._call("probeHeightMap", grid, callback);
+}
+
+/**
+ * Get the machine usage counters and the maintenance tasks, with how soon each one is due.
+ * A `change` event with the topic `maintenance` is fired when a maintenance task comes due.
+ *
+ * @method getMaintenance
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ * @param {Object} callback.maintenance Usage and maintenance
+ * @param {Object} callback.maintenance.usage Usage counters: `travel` (mm or degrees for each axis) `spindle_hours`, `run_hours` and `jobs`
+ * @param {Array} callback.maintenance.counters Names of the counters that tasks can go by (`spindle_hours`, `travel.x`, etc.)
+ * @param {Array} callback.maintenance.tasks The maintenance tasks (`id`, `name`, `component`, `counter`, `every`, `since`, `remaining`, `due`)
+ */
+FabMoDashboard.prototype.getMaintenance = function(callback) {
+	this._call("getMaintenance", null, callback);
+}
+
+/**
+ * Add a maintenance task, or change the one with the same id.  A new task counts from now.
+ *
+ * @method setMaintenanceTask
+ * @param {Object} task The task, eg: `{name : 'Lubricate rails', component : 'rails', counter : 'spindle_hours', every : 40}`
+ * @param {String} [task.id] Task id (made from the name if not provided)
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ */
+FabMoDashboard.prototype.setMaintenanceTask = function(task, callback) {
+	this._call("setMaintenanceTask", task, callback);
+}
+
+/**
+ * Acknowledge that a maintenance task has been done, so it counts from now until it is due again.
+ *
+ * @method acknowledgeMaintenanceTask
+ * @param {String} id The id of the task
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ */
+FabMoDashboard.prototype.acknowledgeMaintenanceTask = function(id, callback) {
+	this._call("acknowledgeMaintenanceTask", id, callback);
+}
+
+/**
+ * Remove a maintenance task.
+ *
+ * @method deleteMaintenanceTask
+ * @param {String} id The id of the task
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ */
+FabMoDashboard.prototype.deleteMaintenanceTask = function(id, callback) {
+	this._call("deleteMaintenanceTask", id, callback);
+}
+
+/**
+ * Get the input functions, which say what the machine does when its digital inputs become active.
+ *
+ * @method getInputs
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ * @param {Object} callback.inputs The input functions
+ * @param {Array} callback.inputs.actions The actions an input can have (`start`, `pause`, `resume`, `quit`, `interlock`, `estop`, `macro`, `variable` and `ap_collapse`)
+ * @param {Object} callback.inputs.default_states The states each action happens in, unless the input function says otherwise
+ * @param {Array} callback.inputs.mappings The input functions (`id`, `input`, `action`, `polarity`, `debounce`, `hold`, `states`, `macro`, `variable`, `value`, `active`)
+ */
+FabMoDashboard.prototype.getInputs = function(callback) {
+	this._call("getInputs", null, callback);
+}
+
+/**
+ * Add an input function, or change the one with the same id.  Anything not provided is left as it was.
+ *
+ * @method setInput
+ * @param {Object} mapping The input function, eg: `{input : 3, action : 'pause', debounce : 50}`
+ * @param {String} [mapping.id] Input function id (made from the input and action if not provided)
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ */
+FabMoDashboard.prototype.setInput = function(mapping, callback) {
+	this._call("setInput", mapping, callback);
+}
+
+/**
+ * Remove an input function.
+ *
+ * @method deleteInput
+ * @param {String} id The id of the input function
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ */
+FabMoDashboard.prototype.deleteInput = function(id, callback) {
+	this._call("deleteInput", id, callback);
+}
+
+/**
+ * Get the named outputs: The outputs that have something connected to them, and the machine events that switch them.
+ *
+ * @method getOutputs
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ * @param {Object} callback.outputs The named outputs
+ * @param {Array} callback.outputs.events The events that can switch outputs (`job_start`, `job_end`, `run_start`, `run_end`, `pause`, `resume`, `spindle_on` and `spindle_off`)
+ * @param {Array} callback.outputs.outputs The named outputs (`name`, `output`, `description`, `on`, `off`, `on_delay`, `off_delay`, `value`, `pending`)
+ */
+FabMoDashboard.prototype.getOutputs = function(callback) {
+	this._call("getOutputs", null, callback);
+}
+
+/**
+ * Add a named output, or change the one with the same name.  Anything not provided is left as it was.
+ *
+ * @method setOutput
+ * @param {Object} output The output, eg: `{name : 'dust_collector', output : 2, on : 'job_start', off : 'job_end', off_delay : 10}`
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ */
+FabMoDashboard.prototype.setOutput = function(output, callback) {
+	this._call("setOutput", output, callback);
+}
+
+/**
+ * Switch a named output on or off.
+ *
+ * @method switchOutput
+ * @param {String} name The name of the output
+ * @param {String} value `on` or `off`
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ */
+FabMoDashboard.prototype.switchOutput = function(name, value, callback) {
+	this._call("switchOutput", {name : name, value : value}, callback);
+}
+
+/**
+ * Remove a named output.
+ *
+ * @method deleteOutput
+ * @param {String} name The name of the output
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ */
+FabMoDashboard.prototype.deleteOutput = function(name, callback) {
+	this._call("deleteOutput", name, callback);
+}
+
+/**
+ * Compare the G2 firmware on the motion controller with the firmware that ships with the engine.
+ *
+ * @method getFirmwareInfo
+ * @param callback
+ * @param {Error} callback.err Error object if there was an error.
+ * @param {Object} callback.info The firmware information
+ * @param {Object} callback.info.board The build (`fb`) and version (`fv`) of the firmware on the motion controller (null if it is not connected)
+ * @param {Object} callback.info.bundled The build (`fb`), version (`fv`), `md5` and `size` of the bundled firmware
+ * @param {String} callback.info.status `current`, `outdated` (the bundled firmware is newer), `newer` or `unknown`
+ * @param {Boolean} callback.info.flashing True if the firmware is being updated
+ */
+FabMoDashboard.prototype.getFirmwareInfo = function(callback) {
+	this._call("getFirmwareInfo", null, callback);
+}
+
+/**
+ * Install the bundled G2 firmware on the motion controller.  The machine must be idle.  The update takes a minute
+ * or two, and is reported with `firmware` events, eg: `{stage : 'write', done : 120, total : 650}`  The stages are
+ * `bootloader`, `erase`, `write`, `verify` and `reconnect`, followed by `done` (with the new `fb` and `fv`) or `error` (with a `message`)
+ *
+ * @method flashFirmware
+ * @param {Object} [options] Options
+ * @param {String} [options.port] The port that the bootloader shows up on, if it is not the G2 port
+ * @param callback
+ * @param {Error} callback.err Error object if the update could not be started.
+ * @param {Object} callback.bundled The firmware being installed (see getFirmwareInfo)
+ */
+FabMoDashboard.prototype.flashFirmware = function(options, callback) {
+	if(typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+	this._call("flashFirmware", options || {}, callback);
+}
+
 /**
  * Get the configuration object for the currently running app.  The configuration object is a JSON object
  * of no specific description that is saved with each app.  It can be used to store app-specific configuration data.
@@ -60,6 +60,8 @@ var FabMoAPI = function(base_url) {
 		'change' : [],
     	'video_frame': [],
       'upload_progress':[],
+		'heightmap' : [],
+		'firmware' : [],
 	};
 	var url = window.location.origin;
 	this.base_url = url.replace(/\/$/,'');
@@ -88,6 +90,14 @@ FabMoAPI.prototype._initializeWebsocket = function() {
 			this.emit('change', topic);
 		}.bind(this));
 
+		this.socket.on('heightmap', function(progress) {
+			this.emit('heightmap', progress);
+		}.bind(this));
+
+		this.socket.on('firmware', function(progress) {
+			this.emit('firmware', progress);
+		}.bind(this));
+
 		this.socket.on('connect', function() {
 			console.info("Websocket connected");
 			this.emit('connect');
@@ -277,6 +287,11 @@ FabMoAPI.prototype.resume = function(callback) {
 	this.command('resume', {}, callback);
 }
 
+// Set the feed rate and/or spindle speed override (percent) eg: {feed : 50}
+FabMoAPI.prototype.setOverride = function(overrides, callback) {
+	this.socket.emit('override', overrides, callback);
+}
+
 // Jobs
 FabMoAPI.prototype.getJobQueue = function(callback) {
 	this._get('/jobs/queue', callback, callback, 'jobs');
@@ -288,8 +303,23 @@ FabMoAPI.prototype.getJob = function(id, callback) {
 
 FabMoAPI.prototype.getJobInfo = FabMoAPI.prototype.getJob;
 
-FabMoAPI.prototype.resubmitJob = function(id, callback) {
-	this._post('/job/' + id, {}, callback, callback);
+FabMoAPI.prototype.resubmitJob = function(id, options, callback) {
+	if(typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+	var data = {};
+	if(options && options.start_line) {
+		data.start_line = options.start_line;
+	}
+	if(options && options.next_copy) {
+		data.next_copy = true;
+	}
+	this._post('/job/' + id, data, callback, callback);
+}
+
+FabMoAPI.prototype.scheduleJob = function(id, settings, callback) {
+	this._post('/job/' + id + '/schedule', settings, callback, callback, 'job');
 }
 
 FabMoAPI.prototype.updateOrder= function(data, callback) {
@@ -366,6 +396,95 @@ FabMoAPI.prototype.deleteMacro = function(id, callback) {
 	this._del('/macros/' + id, {}, callback, callback);
 }
 
+// Tools
+FabMoAPI.prototype.getTools = function(callback) {
+	this._get('/tools', callback, callback);
+}
+
+FabMoAPI.prototype.updateTools = function(library, callback) {
+	this._post('/tools', library, callback, callback);
+}
+
+FabMoAPI.prototype.updateTool = function(number, tool, callback) {
+	this._post('/tools/' + number, tool, callback, callback, 'tool');
+}
+
+FabMoAPI.prototype.deleteTool = function(number, callback) {
+	this._del('/tools/' + number, {}, callback, callback);
+}
+
+FabMoAPI.prototype.measureTool = function(callback) {
+	this._post('/tools/measure', {}, callback, callback);
+}
+
+// Maintenance
+FabMoAPI.prototype.getMaintenance = function(callback) {
+	this._get('/maintenance', callback, callback);
+}
+
+FabMoAPI.prototype.setMaintenanceTask = function(task, callback) {
+	this._post('/maintenance', task, callback, callback);
+}
+
+FabMoAPI.prototype.acknowledgeMaintenanceTask = function(id, callback) {
+	this._post('/maintenance/' + id + '/ack', {}, callback, callback);
+}
+
+FabMoAPI.prototype.deleteMaintenanceTask = function(id, callback) {
+	this._del('/maintenance/' + id, {}, callback, callback);
+}
+
+// Input functions
+FabMoAPI.prototype.getInputs = function(callback) {
+	this._get('/inputs', callback, callback);
+}
+
+FabMoAPI.prototype.setInput = function(mapping, callback) {
+	this._post('/inputs', mapping, callback, callback);
+}
+
+FabMoAPI.prototype.deleteInput = function(id, callback) {
+	this._del('/inputs/' + id, {}, callback, callback);
+}
+
+// Named outputs
+FabMoAPI.prototype.getOutputs = function(callback) {
+	this._get('/outputs', callback, callback);
+}
+
+FabMoAPI.prototype.setOutput = function(output, callback) {
+	this._post('/outputs', output, callback, callback);
+}
+
+FabMoAPI.prototype.switchOutput = function(name, value, callback) {
+	this._post('/outputs/' + name, {value : value}, callback, callback);
+}
+
+FabMoAPI.prototype.deleteOutput = function(name, callback) {
+	this._del('/outputs/' + name, {}, callback, callback);
+}
+
+// Firmware
+FabMoAPI.prototype.getFirmwareInfo = function(callback) {
+	this._get('/firmware', callback, callback);
+}
+
+FabMoAPI.prototype.flashFirmware = function(options, callback) {
+	this._post('/firmware/flash', options || {}, callback, callback);
+}
+
+FabMoAPI.prototype.getHeightMap = function(callback) {
+	this._get('/heightmap', callback, callback);
+}
+
+FabMoAPI.prototype.setLeveling = function(settings, callback) {
+	this._post('/heightmap', settings, callback, callback);
+}
+
+FabMoAPI.prototype.probeHeightMap = function(grid, callback) {
+	this._post('/heightmap/probe', grid, callback, callback);
+}
+
 FabMoAPI.prototype.runCode = function(runtime, code, callback) {
 	var data = {'cmd' : code, 'runtime':runtime}
 	this._post('/code', data, callback, callback);
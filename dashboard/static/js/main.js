@@ -131,8 +131,14 @@ require("../css/toastr.min.css");
                     if (topic === 'apps') {
                         context.apps.fetch();
                     }
+                    if (topic === 'maintenance') {
+                        notifyMaintenance();
+                    }
                 });
 
+                // Remind the operator of any maintenance that is due
+                notifyMaintenance();
+
                 dashboard.engine.on('status', function(status) {
                     if(status.state == 'dead') {
                         dashboard.showModal({
@@ -144,6 +150,19 @@ require("../css/toastr.min.css");
                         return;
                     }
 
+                    // The engine is reconnecting to the motion controller, or updating its firmware (it goes to idle or stopped once it's back)
+                    if(status.state === 'disconnected') {
+                        if(last_state_seen !== 'disconnected') {
+                            dashboard.showModal({
+                                title: status.info.message ? 'Updating Firmware...' : 'Reconnecting...',
+                                message: status.info.message || status.info.error,
+                                noButton : true
+                            });
+                            last_state_seen = status.state;
+                        }
+                        return;
+                    }
+
                     if(status.state === "manual") {
                         if(!status['hideKeypad']) {
                             $('.modalDim').show();
@@ -173,7 +192,8 @@ require("../css/toastr.min.css");
 
                     if ((status.state != "armed" && last_state_seen === "armed") || 
                         (status.state != "paused" && last_state_seen === "paused") ||
-                        (status.state != "interlock" && last_state_seen === "interlock")) {
+                        (status.state != "interlock" && last_state_seen === "interlock") ||
+                        (status.state != "disconnected" && last_state_seen === "disconnected")) {
                         dashboard.hideModal();
                         modalIsShown = false;
                     }
@@ -422,6 +442,20 @@ require("../css/toastr.min.css");
             $('#beacon_consent_container').hide();
     });
 
+    // Show a notification for each maintenance task that is due (see maintenance.js)
+    function notifyMaintenance() {
+        dashboard.engine.getMaintenance(function(err, maintenance) {
+            if(err) {
+                return;
+            }
+            maintenance.tasks.forEach(function(task) {
+                if(task.due) {
+                    dashboard.notification('warning', 'Maintenance is due: ' + task.name + (task.component ? ' (' + task.component + ')' : ''));
+                }
+            });
+        });
+    }
+
     function showDaisy(callback) {
 
         if (daisyIsShown) {
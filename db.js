@@ -10,6 +10,7 @@
 var assert = require('assert');
 var async = require('async');
 var fs = require('fs-extra');
+var path = require('path');
 var crypto = require('crypto');
 var log = require('./log').logger('db');
 var config = require('./config');
@@ -17,6 +18,8 @@ var util = require('./util');
 var ncp = require('ncp').ncp;
 var process = require('process');
 var cnctosvg = require("cnctosvg");
+var analyzer = require('./analyzer');
+var transform = require('./transform');
 
 
 // Connect to TingoDB database that stores the files
@@ -37,6 +40,12 @@ var thumbnails;
 var maxStorage = 500000000;
 var totalSize = 0;
 
+// Return the name of the user that is logged in, or null if nobody is
+function currentUser() {
+	var user = require('./authentication').getCurrentUser();
+	return (user && user.username) || null;
+}
+
 // This function sends an event over the websocket to inform the dashboard that something in the job queue or history has changed.
 function notifyChange() {
 	var machine = require('./machine').machine;
@@ -54,16 +63,43 @@ function notifyChange() {
  *     'cancelled' - Job was cancelled by user intervention
  *     'failed' - Job failed due to error
  *     'trash' - Job is marked for deletion from the history
+ *   start_line and resumed_from are set for jobs that resume another job part way through its file (see resume())
+ *   level is true or false to turn surface leveling on or off for a G-Code job, or null to go by the configuration (see leveling.js)
+ *   transform is the coordinate transformations that were applied to the file when the job was submitted (see transform.js)
+ *   array is set for jobs that cut copies of their file at several offsets (see transform.normalizeArray)  Such a job starts
+ *     at copy first_copy (counting from 0) and copies_done is the number of copies that have been cut, counting from the first.
+ *   user is the name of the user that submitted the job (or resubmitted it)
+ *   hold, priority, run_at and requires decide when a pending job can run (see schedule() and getQueue())
+ *   timeline is the list of things that happened while the job ran (see addEvent()) and stats is where the time went:
+ *     time_in_state - Milliseconds spent in each machine state, eg: {running : 60000, paused : 5000}
+ *      spindle_time - Milliseconds the spindle was on
+ *      cut_distance - Distance travelled at feed rates (in stats.units)
+ *     The machine keeps these up to date for the running job (see Machine.prototype._trackJob)
  */
 Job = function(options) {
     this.file_id = options.file_id || null;
     this.name = options.name || "Untitled Job";
     this.description = options.description || "";
+    this.user = options.user || currentUser();
     this.created_at = Date.now();
     this.started_at = null;
     this.finished_at = null;
     this.state = "pending";
     this.order = options.order || null;
+    this.analysis = options.analysis || null;
+    this.start_line = options.start_line || null;
+    this.resumed_from = options.resumed_from || null;
+    this.level = (options.level === undefined || options.level === null) ? null : (options.level === true || options.level === 'true');
+    this.transform = options.transform || null;
+    this.array = options.array || null;
+    this.first_copy = options.first_copy || 0;
+    this.copies_done = this.first_copy;
+    this.hold = false;
+    this.priority = 0;
+    this.run_at = null;
+    this.requires = {tool : null, material : null};
+    this.timeline = [];
+    this.stats = null;
 };
 
 // Clone a job.  Used for re-running files, usually.
@@ -71,11 +107,140 @@ Job.prototype.clone = function(callback) {
 	var job = new Job({
 		file_id : this.file_id,
 		name : this.name,
-		description : this.description 
+		description : this.description,
+		analysis : this.analysis,
+		level : this.level,
+		transform : this.transform,
+		array : this.array
 	});
 	job.save(callback);
 };
 
+// Create a new job that runs this job's file starting at the specified line.  Used to pick up where a
+// failed or cancelled job left off, without re-cutting everything that was already done.
+//       line - The line of the file to start at (1-based)
+//   callback - Called with the new job or with error if error
+Job.prototype.resume = function(line, callback) {
+	line = parseInt(line);
+	if(isNaN(line) || line < 1) {
+		return setImmediate(callback, new Error('Invalid line to resume from: ' + line));
+	}
+	if(this.state !== 'failed' && this.state !== 'cancelled') {
+		return setImmediate(callback, new Error('Cannot resume a job that is ' + this.state));
+	}
+	if(this.array) {
+		return setImmediate(callback, new Error('Array jobs resume at the next copy, not at a line'));
+	}
+	log.info('Resuming job id ' + this._id + ' from line ' + line);
+	var job = new Job({
+		file_id : this.file_id,
+		name : this.name,
+		description : this.description,
+		analysis : this.analysis,
+		level : this.level,
+		transform : this.transform,
+		start_line : line,
+		resumed_from : this._id
+	});
+	job.save(callback);
+};
+
+// Create a new job that cuts the copies of this array job that are left (starting with the one that was being cut when
+// this job stopped)
+//   callback - Called with the new job or with error if error
+Job.prototype.resumeArray = function(callback) {
+	if(!this.array) {
+		return setImmediate(callback, new Error('Job ' + this._id + ' is not an array job'));
+	}
+	if(this.state !== 'failed' && this.state !== 'cancelled') {
+		return setImmediate(callback, new Error('Cannot resume a job that is ' + this.state));
+	}
+	if(this.copies_done >= this.array.offsets.length) {
+		return setImmediate(callback, new Error('All of the copies of this job are done'));
+	}
+	log.info('Resuming job id ' + this._id + ' at copy ' + (this.copies_done + 1) + ' of ' + this.array.offsets.length);
+	var job = new Job({
+		file_id : this.file_id,
+		name : this.name,
+		description : this.description,
+		analysis : this.analysis,
+		level : this.level,
+		transform : this.transform,
+		array : this.array,
+		first_copy : this.copies_done,
+		resumed_from : this._id
+	});
+	job.save(callback);
+};
+
+// Change when a pending job can run
+//   settings - Any of:
+//                   hold - True to hold the job in the queue (it won't run until it's released)
+//               priority - Jobs with a higher priority run before jobs with a lower one (0 by default)
+//                 run_at - The time (UNIX timestamp or date string) the job can run after, or null to run any time
+//               requires - {tool : 3, material : 'Birch Ply'}  The tool that must be in the spindle and the material
+//                          that must be loaded (the machine material setting) for the job to run - null for any
+//   callback - Called with the job or with error if error
+Job.prototype.schedule = function(settings, callback) {
+	if(this.state !== 'pending') {
+		return setImmediate(callback, new Error('Cannot schedule a job that is ' + this.state));
+	}
+	if('hold' in settings) {
+		this.hold = (settings.hold === true || settings.hold === 'true');
+	}
+	if('priority' in settings) {
+		var priority = Number(settings.priority || 0);
+		if(isNaN(priority)) {
+			return setImmediate(callback, new Error('Invalid priority: ' + settings.priority));
+		}
+		this.priority = priority;
+	}
+	if('run_at' in settings) {
+		var run_at = null;
+		if(settings.run_at !== null && settings.run_at !== '') {
+			run_at = new Date(isNaN(Number(settings.run_at)) ? settings.run_at : Number(settings.run_at)).getTime();
+			if(isNaN(run_at)) {
+				return setImmediate(callback, new Error('Invalid time to run at: ' + settings.run_at));
+			}
+		}
+		this.run_at = run_at;
+	}
+	if('requires' in settings) {
+		var requires = settings.requires || {};
+		this.requires = this.requires || {tool : null, material : null};
+		if('tool' in requires) {
+			var tool = (requires.tool === null || requires.tool === '') ? null : parseInt(requires.tool);
+			if(isNaN(tool)) {
+				return setImmediate(callback, new Error('Invalid tool: ' + requires.tool));
+			}
+			this.requires.tool = tool;
+		}
+		if('material' in requires) {
+			this.requires.material = requires.material ? (String(requires.material).trim() || null) : null;
+		}
+	}
+	log.info('Scheduling job id ' + this._id + ': ' + JSON.stringify({hold : this.hold, priority : this.priority, run_at : this.run_at, requires : this.requires}));
+	this.save(callback);
+};
+
+// Return the reason this pending job can't run yet, or null if it can run now
+Job.prototype.getWait = function() {
+	var requires = this.requires || {};
+	if(this.hold) {
+		return 'On hold';
+	}
+	if(this.run_at && this.run_at > Date.now()) {
+		return 'Scheduled for ' + new Date(this.run_at).toLocaleString();
+	}
+	if(requires.tool !== null && requires.tool !== undefined && requires.tool !== config.tools.get('current')) {
+		return 'Needs tool ' + requires.tool;
+	}
+	if(requires.material && requires.material !== config.machine.get('material')) {
+		return 'Needs material ' + requires.material;
+	}
+	return null;
+};
+
 // TODO @brendan
 Job.prototype.update_order = function (order, callback){
     log.info("Upating " + this._id ? this._id : '<volatile job>');
@@ -90,13 +255,25 @@ Job.prototype.start = function(callback) {
 	log.info("Starting job id " + this._id ? this._id : '<volatile job>');
 	this.state = 'running';
 	this.started_at = Date.now();
+	this.timeline = [];
+	this.stats = {
+		units : config.machine.get('units'),
+		time_in_state : {},
+		spindle_time : 0,
+		cut_distance : 0
+	};
+	this.addEvent('start', this.start_line ? {line : this.start_line} : null);
 	this.save(callback);
 };
 
 Job.prototype.finish = function(callback) {
 	log.info("Finishing job id " + this._id ? this._id : '<volatile job>');
 	this.state = 'finished';
+	if(this.array) {
+		this.copies_done = this.array.offsets.length;
+	}
 	this.finished_at = Date.now();
+	this.addEvent('finish');
 	this.save(callback);
 };
 
@@ -104,6 +281,7 @@ Job.prototype.fail = function(callback) {
 	log.info("Failing job id " + (this._id ? this._id : '<volatile job>'));
 	this.state = 'failed';
 	this.finished_at = Date.now();
+	this.addEvent('fail');
 	this.save(callback);
 };
 
@@ -112,6 +290,7 @@ Job.prototype.cancel = function(callback) {
 		log.debug("Cancelling running job id " + this._id);
 		this.state = 'cancelled';
 		this.finished_at = Date.now();
+		this.addEvent('cancel');
 		this.save(callback);
 	} else {
 		setImmediate(callback, new Error('Cannot cancel a job that is ' + this.state));
@@ -129,6 +308,29 @@ Job.prototype.trash = function(callback) {
 	}
 };
 
+// Add an event to this job's timeline.  Events are stamped with the time they happened.
+//   event - One of 'start', 'pause', 'feedhold', 'resume', 'interlock', 'error', 'finish', 'fail' or 'cancel'
+//    info - Object with any more to say about the event, eg: {line : 120, message : 'Limit switch hit'} (optional)
+Job.prototype.addEvent = function(event, info) {
+	var entry = {time : Date.now(), event : event};
+	for(var key in info) {
+		entry[key] = info[key];
+	}
+	this.timeline = this.timeline || [];
+	this.timeline.push(entry);
+};
+
+// Return the timeline and run statistics of this job (jobs from before these were kept have an empty timeline)
+Job.prototype.getTimeline = function() {
+	return {
+		state : this.state,
+		started_at : this.started_at,
+		finished_at : this.finished_at,
+		timeline : this.timeline || [],
+		stats : this.stats || null
+	};
+};
+
 Job.prototype.cancelOrTrash = function(callback) {
 	if(this.state === 'running') {
 		this.cancel(callback);
@@ -137,6 +339,33 @@ Job.prototype.cancelOrTrash = function(callback) {
 	}
 }
 
+// Run the pre-flight analysis (extents, distances, estimated time) on this job's file and store the result.
+// Only the analysis is written to the database, so this can't clobber a state change made while it was running.
+//   callback - Called with the analysis or with error if error
+Job.prototype.analyze = function(callback) {
+	File.getByID(this.file_id, function(err, file) {
+		if(err) {
+			return callback(new Error("Could not find file in database."));
+		}
+		analyzer.analyzeFile(file.path, function(err, analysis) {
+			if(err) {
+				return callback(err);
+			}
+			this.analysis = analysis;
+			if(!this._id) {
+				return callback(null, analysis);
+			}
+			jobs.update({_id : this._id}, {$set : {analysis : analysis}}, function(err) {
+				if(err) {
+					return callback(err);
+				}
+				notifyChange();
+				callback(null, analysis);
+			});
+		}.bind(this));
+	}.bind(this));
+};
+
 // Write this job to the database
 Job.prototype.save = function(callback) {
 	if(!this.file_id) {
@@ -174,6 +403,73 @@ Job.getPending = function(callback) {
 	jobs.find({state:'pending'}).toArray(callback);
 };
 
+// Retrieve the pending jobs in the order they will run: by priority (highest first) and then by their order in the
+// queue.  Each job has a `wait` field, which is the reason it can't run yet (see getWait) or null if it can.
+Job.getQueue = function(callback) {
+	jobs.find({state:'pending'}).toArray(function(err, result) {
+		if(err) {
+			return callback(err);
+		}
+		result.forEach(function(job) {
+			job.__proto__ = Job.prototype;
+			job.wait = job.getWait();
+		});
+		result.sort(function(a, b) {
+			return ((b.priority || 0) - (a.priority || 0)) || (a.order - b.order);
+		});
+		callback(null, result);
+	});
+};
+
+// Retrieve the jobs in the history that match the provided filters, in the order they finished.  Used for exporting
+// the history (see history.js)
+//   options - Object with any of:
+//                from - Only jobs that finished at or after this time (UNIX timestamp)
+//                  to - Only jobs that finished before this time (UNIX timestamp)
+//              states - List of the states to include (default: finished, cancelled and failed)
+//  callback - Called with the list of jobs or with error if error
+Job.findHistory = function(options, callback) {
+	var query = {state : {$in : options.states || ['finished', 'cancelled', 'failed']}};
+	if(options.from || options.to) {
+		query.finished_at = {};
+		if(options.from) { query.finished_at.$gte = options.from; }
+		if(options.to) { query.finished_at.$lt = options.to; }
+	}
+	jobs.find(query).sort({'finished_at' : 1}).toArray(function(err, result) {
+		if(err) {
+			return callback(err);
+		}
+		result.forEach(function(job) {
+			job.__proto__ = Job.prototype;
+		});
+		callback(null, result);
+	});
+};
+
+// Add a job from the history of another controller to this one (see history.js)  Jobs that are already in the history
+// (same name and times) are left alone.
+//   document - The job, as stored in the database (The _id is not kept)
+//    file_id - The id of the job's file in this database
+//   callback - Called with the new job, or with null if the job was already in the history
+Job.restore = function(document, file_id, callback) {
+	jobs.findOne({name : document.name, created_at : document.created_at, finished_at : document.finished_at}, function(err, existing) {
+		if(err) {
+			return callback(err);
+		}
+		if(existing) {
+			return callback(null, null);
+		}
+		var job = new Job({});
+		for(var key in document) {
+			if(key !== '_id') {
+				job[key] = document[key];
+			}
+		}
+		job.file_id = file_id;
+		job.save(callback);
+	});
+};
+
 Job.getRunning = function(callback) {
 	jobs.find({state:'running'}).toArray(callback);
 };
@@ -264,21 +560,22 @@ Job.getById = function(id,callback) {
 };
 
 // Return the next job in the queue (the one that will run next if a start job command is recieved)
+// That is the first job in the queue (see getQueue) that can run now.
 Job.getNext = function(callback) {
-	jobs.find({state:'pending'}).toArray(function(err, result) {
-        result.sort(function(a, b){
-            return a.order - b.order;
-        });
-        log.info('printing' + result[0]);
+	Job.getQueue(function(err, result) {
 		if(err) {
 			callback(err, null);
 		} else {
 			if(result.length === 0) {
 				return callback(Error('No jobs in queue.'));
 			}
-			var job = result[0];
-			job.__proto__ = Job.prototype;
-			callback(null, job);
+			for(var i=0; i<result.length; i++) {
+				if(!result[i].wait) {
+					delete result[i].wait;
+					return callback(null, result[i]);
+				}
+			}
+			callback(Error('No job in the queue can run now.  (' + result[0].name + ': ' + result[0].wait + ')'));
 		}
 	});
 };
@@ -560,6 +857,17 @@ File.list_all = function(callback){
 };
 
 
+// Return a file object for the file with the provided hash (see File.hash) or null if there is no such file
+File.getByHash = function(hash, callback) {
+	files.findOne({hash : hash}, function(err, document) {
+		if(err || !document) {
+			return callback(err || null, null);
+		}
+		document.__proto__ = File.prototype;
+		callback(null, document);
+	});
+};
+
 // Return a file object for the provided id
 File.getByID = function(id,callback)
 {
@@ -574,35 +882,89 @@ File.getByID = function(id,callback)
 	});
 };
 
+// Apply the coordinate transformations requested for a job to its (uploaded) file - see transform.js
+// Callback with the path of the file to store for the job: the transformed file, or the original if there are no transformations
+//        filename - The name of the file
+//        pathname - Where the uploaded file is
+// transformations - Normalized transformations, or null for none
+var transformUpload = function(filename, pathname, transformations, callback) {
+	if(!transformations) {
+		return setImmediate(callback, null, pathname);
+	}
+	if(!util.isGCodeFile(filename)) {
+		return setImmediate(callback, new Error('Transformations can only be applied to G-Code files, and ' + filename + ' is not one.'));
+	}
+	var outfile = pathname + '.transformed';
+	transform.transformFile(pathname, outfile, transformations, function(err) {
+		if(err) {
+			return callback(err.line ? new Error(err.message + ' (Line ' + err.line + ')') : err);
+		}
+		// The original upload is not kept
+		fs.unlink(pathname, function(err) {
+			if(err) {
+				log.warn("failed to remove the job from temporary folder: " + err);
+			}
+		});
+		callback(null, outfile);
+	});
+}
+
 // Given a file and metadata, create a new file and job in the database
 // callback with the job object if success.
+// Coordinate transformations (options.transform) are applied to the file before it's stored.
+// Arrays (options.array) are cut when the job is run (see Machine.runJob)
 var createJob = function(file, options, callback) {
-	File.add(options.filename || file.name, file.path, function(err, dbfile) {
+	var filename = options.filename || file.name;
+	try {
+		var transformations = options.transform ? transform.normalize(options.transform) : null;
+		var array = options.array ? transform.normalizeArray(options.array) : null;
+	} catch(e) {
+		return callback(e);
+	}
+	if(array && !util.isGCodeFile(filename)) {
+		return callback(new Error('Arrays can only be cut from G-Code files, and ' + filename + ' is not one.'));
+	}
+	transformUpload(filename, file.path, transformations, function(err, pathname) {
+		if(err) { return callback(err); }
+		File.add(filename, pathname, function(err, dbfile) {
 
-		if (err) { return callback(err); }
-		Job.getPending(function(err, data){
-			if(err){
-				log.info(err);
-			} else {
-				var order = (data.length + options.index);
-				try {
-					var job = new Job({
-						file_id : dbfile._id,
-						name : options.name || file.name,
-						description : options.description,
-						order : order
+			if (err) { return callback(err); }
+			Job.getPending(function(err, data){
+				if(err){
+					log.info(err);
+				} else {
+					var order = (data.length + options.index);
+					try {
+						var job = new Job({
+							file_id : dbfile._id,
+							name : options.name || file.name,
+							description : options.description,
+							level : options.level,
+							transform : transformations,
+							array : array,
+							order : order
+						});
+					} catch(e) {
+						log.error(e);
+						return callback(e);
+					}
+					job.save(function(err, job) {
+						if(err) { return callback(err); }
+						callback(null, job);
+
+						// Analysis can take a while for big files, so it happens after the job is submitted
+						if(!job.analysis) {
+							job.analyze(function(err) {
+								if(err) {
+									log.warn('Could not analyze job ' + job._id + ': ' + (err.message || err));
+								}
+							});
+						}
 					});
-				} catch(e) {
-					log.error(e);
-					return callback(e);
 				}
-				job.save(function(err, job) {
-					if(err) { return callback(err); }
-					callback(null, job);
-				});
-			}
-		})
-    });
+			})
+		});
+	});
 }
 
 // Creates a new Thumbnail which represents the thumbnails stored in the
@@ -932,6 +1294,15 @@ exports.configureDB = function(callback) {
 		File.getTotalFileSize();
 };
 
+// Use the provided database rather than the one in the data directory (The tests use an in-memory database)
+//   database - A tingodb Db
+exports.useDB = function(database) {
+	db = database;
+	files = db.collection("files");
+	jobs = db.collection("jobs");
+	thumbnails = db.collection("thumbnails");
+};
+
 exports.cleanup = function(callback) {
 	jobs.update({state: 'running'}, {$set : {state:'failed', finished_at : Date.now()}}, {multi:true}, function(err, result) {
 		if(err) {
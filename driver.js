@@ -0,0 +1,182 @@
+/*
+ * driver.js
+ *
+ * The motion controller driver interface, and the drivers that implement it.
+ *
+ * The machine model and the runtimes talk to the motion controller through a driver object.  G2 (g2.js) was the
+ * first and for a long time the only one, so the interface is G2's:  The machine states are G2's values of `stat`,
+ * and the configuration keys (and the M100 JSON in g-code) are G2's.  Other drivers translate what they can into
+ * G2's terms and ignore the rest (see grbl.js)  Which driver is used is the `driver` setting in the engine configuration.
+ *
+ * A driver is an EventEmitter created with no arguments, that has the STAT_* constants below and these methods:
+ *
+ *                        connect(path, callback) - Open the port and call back once the controller is ready
+ *                           disconnect(callback) - Close the port (the driver does not try to reconnect)
+ *                                       reopen() - Open the port again after disconnect()
+ *                        runStream(stream)       - Run the g-codes from a stream, returning a cycle context (see
+ *      runList(lines), runString(string), runFile  CycleContext below) that resolves once the controller is done
+ *                                        prime() - Send everything that is queued, even if it's not much
+ *                                     feedHold() - Pause the current cycle
+ *                                       resume() - Resume after a feedhold (returns a promise)
+ *                                         quit() - Stop and abandon the current cycle
+ *                          queueFlush(callback)  - Throw away the moves that are queued but have not run
+ *                       requestStatusReport(cb)  - Call back with the next status report
+ *                       setUnits(units, callback)- Set the units ('in' or 'mm')
+ *                        setOverrides(overrides) - Set the feed and spindle overrides: {feed : 1.2, spindle : 0.8}
+ *           setMachinePosition(position, callback) Set the absolute position of the axes: {x : 0, y : 0}
+ *  get(key, cb), set(key, value, cb), setMany(obj, cb) Read and write configuration values (G2 keys)
+ *                                   command(obj) - Send a g-code (string) or a configuration update (object)
+ *                                    write(data) - Send data straight to the controller (passthrough)
+ *                          getLastException() and clearLastException() - The last error the controller reported:
+ *                                                   {st : <code>, msg : <message>}
+ *                                  isSimulator() - True if there's no real controller
+ *
+ * It has a `type` (the name it was created with, see createDriver) and a `status` object with the latest status
+ * report: {stat, hold, posx, posy, ..., vel, line, unit, ...}
+ * and emits these events:
+ *        status - A status report (the `status` object)
+ *          stat - The machine state changed (the new state)
+ *         error - The controller reported an error
+ *    disconnect - The connection to the controller was lost (the driver tries to reconnect)
+ *     reconnect - The connection is back (it is up to the listener to configure the controller again)
+ */
+var log = require('./log').logger('driver');
+
+// Machine states - the `stat` member of status reports
+var STATES = {
+	STAT_INIT : 0,         // Initializing
+	STAT_READY : 1,        // Ready for use
+	STAT_ALARM : 2,        // Alarm (shut down)
+	STAT_STOP : 3,         // Program stop, or no more moves (M0, M1, M60)
+	STAT_END : 4,          // Program end (M2, M30) - the end of a machining cycle
+	STAT_RUNNING : 5,      // Moving
+	STAT_HOLDING : 6,      // Feedhold
+	STAT_PROBE : 7,        // Probing
+	STAT_CYCLING : 8,      // Running (but not moving)
+	STAT_HOMING : 9,       // Homing
+	STAT_INTERLOCK : 11,   // Interlock
+	STAT_SHUTDOWN : 12,    // Shutdown
+	STAT_PANIC : 13        // Panic (only a reset gets out of this)
+};
+
+// The drivers, by name.  Each is a module that exports the driver's constructor under the name given.
+var DRIVERS = {
+	'g2' : {module : './g2', constructor : 'G2'},
+	'grbl' : {module : './grbl', constructor : 'GRBL'}
+};
+
+// Copy the STAT_* constants onto an object (a driver's prototype, or the exports of a driver module)
+//   target - The object
+var defineStates = function(target) {
+	for(var name in STATES) {
+		target[name] = STATES[name];
+	}
+	return target;
+}
+
+// Create a driver
+//   type - The name of the driver (see DRIVERS) eg: 'g2'
+var createDriver = function(type) {
+	var driver = DRIVERS[type];
+	if(!driver) {
+		throw new Error('Unknown motion controller driver: ' + type + ' (must be one of ' + Object.keys(DRIVERS).join(', ') + ')');
+	}
+	log.info('Creating the ' + type + ' driver');
+	var Driver = require(driver.module)[driver.constructor];
+	var instance = new Driver();
+	instance.type = type;
+	return instance;
+}
+
+// A cycle context is created when you run a stream, and is a way to access driver events in the context of the current run
+// It is a sort of token that you can recieve events from while the machining cycle is active,
+// and that will resolve like a promise when the machining cycle is done.
+function CycleContext(driver, st, promise) {
+		this.done = false;
+		this._firmed = false;
+		this._driver = driver;
+		this._stream = st;
+		this._paused = false;
+		this._promise = promise.then(function(value) {
+			this.firm(); // Firm the tool
+			this.finish();
+		}.bind(this));
+		this.eventHandlers = {}; // eventname -> [listener]
+		this.eventQueue = {}; // eventname -> {f : listener, data : data to pass to listener}
+}
+
+// A cycle context is "firmed" when it has turned over itself as a promise through the then() call, or when the
+// run finishes, whichever comes first.
+CycleContext.prototype.firm = function() {
+		if(this.firmed) { return; }
+		log.debug("Firming the cycle context.")
+		try {
+			for(var event in this.eventQueue) {
+				var handlers = this.eventQueue[event];
+				for(var i=0; i<handlers.length; i++) {
+					handlers[i].f(handlers[i].data);
+				}
+			}
+			this.firmed = true;
+		} catch(e) {
+			delete this.eventQueue;
+			throw e;
+		}
+		delete this.eventQueue;
+}
+
+// Bind the listener to the provided event name.
+// Events bound in this way are queued, so if any have occurred between the beginning of the run and when
+// the binding occurs, they will be triggered when the cycle is firmed
+CycleContext.prototype.on = function(event, f) {
+	log.debug("Binding to the " + event + " event in the cycle context: " + f);
+	if(event in this.eventHandlers) {
+		this.eventHandlers[event].push(f);
+	} else {
+		this.eventHandlers[event] = [f];
+	}
+	return this;
+}
+
+// Return a promise that resolves when the cycle is complete (Q Promises)
+CycleContext.prototype.then = function(f) {
+	this.firm();
+	return this._promise.then(function() {
+		return f();
+	});
+}
+
+// Sort of a do-nothing, for now
+CycleContext.prototype.finish = function() {
+	log.debug("Finishing up the cycle context.")
+}
+
+// Emit the provided data to all the listeners to the subscribed event
+CycleContext.prototype.emit = function(event, data) {
+		var handlers = this.eventHandlers[event];
+
+		if(handlers) {
+			for(var i=0; i<handlers.length; i++) {
+				handlers[i](data);
+			}
+		}
+}
+
+// Pause the run by pausing the stream that is piping data into this context
+CycleContext.prototype.pause = function() {
+	this._paused = true;
+	this._stream.pause();
+}
+
+// Resume the run by resuming the stream that is piping data into this context
+CycleContext.prototype.resume = function() {
+	this._paused = false;
+	this._stream.resume();
+}
+
+exports.STATES = STATES;
+exports.DRIVERS = DRIVERS;
+exports.defineStates = defineStates;
+exports.createDriver = createDriver;
+exports.CycleContext = CycleContext;
+defineStates(exports);
@@ -467,6 +467,12 @@ Engine.prototype.start = function(callback) {
             config.configureOpenSBP(callback);
         }.bind(this),
 
+        // Load the tool library.  See config/tool_config.js and tools.js
+        function load_tool_config(callback) {
+            log.info("Loading tool library...");
+            config.configureTools(callback);
+        }.bind(this),
+
         // Apply the machine config.  See config/machine_config.js for what this entails
         function apply_machine_config(callback) {
             log.info("Applying machine configuration...");
@@ -0,0 +1,391 @@
+/*
+ * envelope.js
+ *
+ * The machine envelope is the region that the tool can travel in without running into the frame
+ * of the machine.  It is specified (in machine coordinates) by the `envelope` section of the machine
+ * configuration, which has a minimum and maximum for each of the X,Y,Z,A and B axes.  An axis whose
+ * minimum and maximum are the same is not limited.
+ *
+ * This module defines the Envelope object, which follows a stream of g-codes, keeping track of where
+ * the tool is going to be, and reports any move that would take it outside of the envelope.  The runtimes
+ * use it to check moves before they are sent to G2 (soft limits) and the manual driver uses it to stop
+ * jogs at the edge of the envelope.
+ */
+var fs = require('fs');
+var config = require('./config');
+var gcode = require('./gcode_util');
+var log = require('./log').logger('envelope');
+
+var AXES = ['x','y','z','a','b'];
+var LINEAR_AXES = ['x','y','z'];
+
+// Moves this close to a limit (in mm) are considered to be on it, rather than past it
+var TOLERANCE = 0.001;
+
+// Number of segments used to check the path of an arc
+var ARC_SEGMENTS = 72;
+
+// Envelope constructor
+// The envelope starts out with no limits, and no knowledge of the tool position.  See sync() and fromDriver()
+function Envelope() {
+	// Limits in machine coordinates (mm) - axis -> {min:...,max:...}
+	this.limits = {};
+
+	// The units that the limits are displayed in (in error messages)
+	this.units = 'in';
+
+	// Tool position in machine coordinates (mm) - NaN for unknown
+	this.position = {};
+
+	// Coordinate system offsets (mm) indexed by coordinate system number (1=G54 ... 6=G59)
+	this.offsets = {};
+	for(var i=1; i<=6; i++) {
+		this.offsets[i] = {x:0, y:0, z:0, a:0, b:0};
+	}
+
+	// G-code modal state
+	this.gcodeUnits = 'in';
+	this.absolute = true;
+	this.coor = 2;
+	this.motion = null;
+
+	// Number of lines checked (used as the line number for lines that don't have an N word)
+	this.lines = 0;
+
+	AXES.forEach(function(axis) {
+		this.position[axis] = NaN;
+	}.bind(this));
+}
+
+// Load the limits from the machine configuration
+Envelope.prototype.loadLimits = function() {
+	var envelope = config.machine.get('envelope') || {};
+	this.units = config.machine.get('units') || 'in';
+	this.limits = {};
+	AXES.forEach(function(axis) {
+		var min = envelope[axis + 'min'];
+		var max = envelope[axis + 'max'];
+		if(typeof min === 'number' && typeof max === 'number' && min !== max) {
+			if(LINEAR_AXES.indexOf(axis) >= 0) {
+				min = gcode.toMM(min, this.units);
+				max = gcode.toMM(max, this.units);
+			}
+			this.limits[axis] = {min : Math.min(min, max), max : Math.max(min, max)};
+		}
+	}.bind(this));
+};
+
+// Return true if any of the axes are limited
+Envelope.prototype.isLimited = function() {
+	return Object.keys(this.limits).length > 0;
+};
+
+// Synchronize the tool position, units and coordinate system offsets with the current state of the driver
+//   driver - The G2 driver whose status is used
+Envelope.prototype.sync = function(driver) {
+	var status = driver.status || {};
+	var units = status.unit === 'mm' ? 'mm' : 'in';
+	this.gcodeUnits = units;
+
+	for(var coor=1; coor<=6; coor++) {
+		AXES.forEach(function(axis) {
+			var value = config.driver.get('g5' + (coor + 3) + axis);
+			if(typeof value === 'number') {
+				this.offsets[coor][axis] = this._toMM(axis, value, units);
+			}
+		}.bind(this));
+	}
+
+	if(status.coor >= 1 && status.coor <= 6) {
+		this.coor = status.coor;
+	} else {
+		this.coor = config.driver.get('gco') || 2;
+	}
+
+	AXES.forEach(function(axis) {
+		var pos = status['pos' + axis];
+		if(typeof pos === 'number') {
+			this.position[axis] = this._toMM(axis, pos, units) + this.offsets[this.coor][axis];
+		} else {
+			this.position[axis] = NaN;
+		}
+	}.bind(this));
+};
+
+// Convert an axis value to mm (rotary axes are never converted)
+Envelope.prototype._toMM = function(axis, value, units) {
+	return LINEAR_AXES.indexOf(axis) >= 0 ? gcode.toMM(value, units || this.gcodeUnits) : value;
+};
+
+// Convert an axis value from mm (rotary axes are never converted)
+Envelope.prototype._fromMM = function(axis, value, units) {
+	return LINEAR_AXES.indexOf(axis) >= 0 ? gcode.fromMM(value, units || this.gcodeUnits) : value;
+};
+
+// Check that the machine coordinate provided is within the limits for the specified axis
+// Returns an error describing the violation, or null if there is no violation.
+Envelope.prototype._checkAxis = function(axis, value) {
+	var limit = this.limits[axis];
+	if(!limit || isNaN(value)) { return null; }
+	if(value < limit.min - TOLERANCE || value > limit.max + TOLERANCE) {
+		var units = LINEAR_AXES.indexOf(axis) >= 0 ? this.units : 'deg';
+		var show = function(v) { return this._fromMM(axis, v, this.units).toFixed(3); }.bind(this);
+		return new Error('Move to ' + axis.toUpperCase() + '=' + show(value) +
+			' is outside of the machine envelope (' + axis.toUpperCase() + ' ' + show(limit.min) + ' to ' + show(limit.max) + ' ' + units + ')');
+	}
+	return null;
+};
+
+// Check a single line of g-code
+// Returns null if the line is fine, or an error if it moves outside the envelope.
+// The error has a `line` member, which is the line number of the offending line (the N-word, if there is one)
+//   line - A single line of g-code
+Envelope.prototype.check = function(line) {
+	this.lines += 1;
+
+	var words = gcode.parseWords(line);
+	var lineNumber = (words.N === undefined) ? this.lines : words.N;
+
+	var nonModal = null;
+	words.G.forEach(function(g) {
+		switch(g) {
+			case 0: case 1: case 2: case 3: case 38.2: case 38.3: case 80:
+				this.motion = g;
+				break;
+			case 20:
+				this.gcodeUnits = 'in';
+				break;
+			case 21:
+				this.gcodeUnits = 'mm';
+				break;
+			case 54: case 55: case 56: case 57: case 58: case 59:
+				this.coor = g - 53;
+				break;
+			case 90:
+				this.absolute = true;
+				break;
+			case 91:
+				this.absolute = false;
+				break;
+			case 10: case 28.2: case 28.3: case 53: case 92:
+				nonModal = g;
+				break;
+		}
+	}.bind(this));
+
+	var axes = AXES.filter(function(axis) {
+		return words[axis.toUpperCase()] !== undefined;
+	});
+
+	switch(nonModal) {
+		case 10:
+			// Setting coordinate system offsets (L2 directly, L20 relative to the current position)
+			var coor = words.P || this.coor;
+			if(coor in this.offsets) {
+				axes.forEach(function(axis) {
+					var value = this._toMM(axis, words[axis.toUpperCase()]);
+					this.offsets[coor][axis] = (words.L === 20) ? this.position[axis] - value : value;
+				}.bind(this));
+			}
+			return null;
+
+		case 28.3:
+			// Setting the machine position
+			axes.forEach(function(axis) {
+				this.position[axis] = this._toMM(axis, words[axis.toUpperCase()]);
+			}.bind(this));
+			return null;
+
+		case 28.2:
+		case 92:
+			// Homing and G92 offsets leave us not knowing where the tool is in machine coordinates
+			axes.forEach(function(axis) {
+				this.position[axis] = NaN;
+			}.bind(this));
+			return null;
+	}
+
+	if(axes.length === 0 || this.motion === null || this.motion === 80) {
+		return null;
+	}
+
+	// Work out where the move ends up, in machine coordinates
+	var start = {};
+	var end = {};
+	AXES.forEach(function(axis) {
+		start[axis] = end[axis] = this.position[axis];
+	}.bind(this));
+	axes.forEach(function(axis) {
+		var value = this._toMM(axis, words[axis.toUpperCase()]);
+		if(nonModal === 53) {
+			end[axis] = value;
+		} else if(this.absolute) {
+			end[axis] = value + this.offsets[this.coor][axis];
+		} else {
+			end[axis] = start[axis] + value;
+		}
+	}.bind(this));
+
+	// Arcs are checked along their whole path, not just at their endpoint
+	var points = [end];
+	if((this.motion === 2 || this.motion === 3) && !isNaN(start.x) && !isNaN(start.y)) {
+		points = this._arcPoints(start, end, words, this.motion === 2) || points;
+	}
+
+	var err = null;
+	for(var i=0; i<points.length && !err; i++) {
+		for(var j=0; j<AXES.length && !err; j++) {
+			err = this._checkAxis(AXES[j], points[i][AXES[j]]);
+		}
+	}
+
+	// After a probing move, we don't know where the tool stopped
+	if(this.motion === 38.2 || this.motion === 38.3) {
+		axes.forEach(function(axis) {
+			end[axis] = NaN;
+		});
+	}
+	this.position = end;
+
+	if(err) {
+		err.line = lineNumber;
+	}
+	return err;
+};
+
+// Compute a list of points along an arc (in the XY plane) specified by its start and end point and the I,J or R words
+// Returns null if the arc can't be computed
+Envelope.prototype._arcPoints = function(start, end, words, clockwise) {
+	var cx, cy, r;
+	if(words.R !== undefined) {
+		var x = end.x - start.x;
+		var y = end.y - start.y;
+		r = this._toMM('x', words.R);
+		var h = 4*r*r - x*x - y*y;
+		if(h < 0 || (x === 0 && y === 0)) { return null; }
+		h = -Math.sqrt(h)/Math.sqrt(x*x + y*y);
+		if(!clockwise) { h = -h; }
+		if(r < 0) { h = -h; r = -r; }
+		cx = start.x + 0.5*(x - y*h);
+		cy = start.y + 0.5*(y + x*h);
+	} else if(words.I !== undefined || words.J !== undefined) {
+		cx = start.x + this._toMM('x', words.I || 0);
+		cy = start.y + this._toMM('y', words.J || 0);
+		r = Math.sqrt(Math.pow(start.x - cx, 2) + Math.pow(start.y - cy, 2));
+	} else {
+		return null;
+	}
+
+	var a0 = Math.atan2(start.y - cy, start.x - cx);
+	var sweep = Math.atan2(end.y - cy, end.x - cx) - a0;
+	if(clockwise) {
+		if(sweep >= 0) { sweep -= 2*Math.PI; }
+	} else {
+		if(sweep <= 0) { sweep += 2*Math.PI; }
+	}
+
+	var points = [];
+	for(var i=1; i<=ARC_SEGMENTS; i++) {
+		var t = i/ARC_SEGMENTS;
+		var point = {};
+		AXES.forEach(function(axis) {
+			point[axis] = start[axis] + (end[axis] - start[axis])*t;
+		});
+		point.x = cx + r*Math.cos(a0 + sweep*t);
+		point.y = cy + r*Math.sin(a0 + sweep*t);
+		points.push(point);
+	}
+	points.push(end);
+	return points;
+};
+
+// Return the distance that the tool can travel from its current position along the specified axis
+// in the specified direction before it reaches the edge of the envelope.
+// The distance is returned in the current g-code units, and is Infinity if the axis is not limited,
+// or if the position along that axis is not known.
+//        axis - The axis to check (eg: 'X')
+//   direction - Positive or negative number indicating the direction of travel
+Envelope.prototype.travelLeft = function(axis, direction) {
+	axis = axis.toLowerCase();
+	var limit = this.limits[axis];
+	var pos = this.position[axis];
+	if(!limit || isNaN(pos)) { return Infinity; }
+	var left = direction < 0 ? pos - limit.min : limit.max - pos;
+	return Math.max(0, this._fromMM(axis, left));
+};
+
+// Account for an incremental move along an axis that was made outside of check()
+//       axis - The axis that moved (eg: 'X')
+//   distance - The distance moved in the current g-code units
+Envelope.prototype.moveBy = function(axis, distance) {
+	axis = axis.toLowerCase();
+	if(axis in this.position) {
+		this.position[axis] += this._toMM(axis, distance);
+	}
+};
+
+// Check a whole file of g-code
+//   filename - The file to check
+//   callback - Called with an error (with a line member) for the first move outside the envelope, or null if there isn't one
+Envelope.prototype.checkFile = function(filename, callback) {
+	this._checkLines(fs.createReadStream(filename), true, callback);
+};
+
+// Check a stream of g-code that is already numbered, such as the output of a ResumeFilter (see resume.js)
+//      input - The stream to check
+//   callback - Called with an error (with a line member) for the first move outside the envelope, null if there
+//              isn't one, or the error from the stream if it fails
+Envelope.prototype.checkStream = function(input, callback) {
+	this._checkLines(input, false, callback);
+};
+
+// Check the lines of g-code from a stream
+//      input - A readable stream of g-code
+//     number - True to number the lines the same way that they are when the file is run (See LineNumberer in util.js)
+//   callback - Called with the first error
+Envelope.prototype._checkLines = function(input, number, callback) {
+	var leftover = '';
+	var count = 0;
+	var done = false;
+	var finish = function(err) {
+		if(done) { return; }
+		done = true;
+		callback(err || null);
+	};
+	var check = function(line) {
+		count += 1;
+		return this.check(number ? 'N' + count + ' ' + line : line);
+	}.bind(this);
+	input.on('data', function(chunk) {
+		if(done) { return; }
+		var lines = (leftover + chunk.toString()).split('\n');
+		leftover = lines.pop();
+		for(var i=0; i<lines.length; i++) {
+			var err = check(lines[i]);
+			if(err) {
+				// Transform streams can't be destroyed in the versions of node that the engine runs on
+				if(input.destroy) { input.destroy(); }
+				return finish(err);
+			}
+		}
+	});
+	input.on('end', function() {
+		finish(leftover ? check(leftover) : null);
+	});
+	input.on('error', function(err) {
+		log.error(err);
+		finish(err);
+	});
+};
+
+// Create an envelope with limits from the machine configuration, synchronized with the driver state
+//   driver - The G2 driver
+var fromDriver = function(driver) {
+	var envelope = new Envelope();
+	envelope.loadLimits();
+	envelope.sync(driver);
+	return envelope;
+};
+
+exports.Envelope = Envelope;
+exports.fromDriver = fromDriver;
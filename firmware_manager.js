@@ -0,0 +1,266 @@
+/*
+ * firmware_manager.js
+ *
+ * Checks the version of the G2 firmware on the motion controller against the firmware that ships with the engine
+ * (firmware/g2.bin) and installs the bundled firmware.
+ *
+ * The bundled firmware is described by firmware/g2.json, which has the build (fb) and version (fv) that G2 reports
+ * for it, and the md5 of the binary, so that the description can be checked against the binary.  Anyone who updates
+ * g2.bin needs to update g2.json to match.
+ *
+ * The firmware is installed the way the Arduino tools and bossac do it: Opening the port at 1200 baud and closing it
+ * makes G2 erase itself and reset into the SAM-BA monitor in ROM, which is then used to write the flash (see samba.js)
+ * Progress is reported with 'firmware' events on the machine, which are passed on to the dashboard over the websocket.
+ */
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var async = require('async');
+var SerialPort = require('serialport');
+var SamBA = require('./samba').SamBA;
+var log = require('./log').logger('firmware');
+
+var FIRMWARE_DIR = path.join(__dirname, 'firmware');
+var FIRMWARE_INFO = path.join(FIRMWARE_DIR, 'g2.json');
+
+// Opening the port at this baud rate and closing it is the signal for G2 to go to the bootloader
+var BOOTLOADER_BAUD = 1200;
+
+// How long to wait for the bootloader's USB port to show up after the signal, and how many times to try opening it
+var BOOTLOADER_DELAY = 2000;
+var BOOTLOADER_RETRIES = 5;
+
+// True while the firmware is being updated
+var flashing = false;
+
+// The listener waiting for G2 to come back after an update (see flash)
+var onReconnect = null;
+
+function getMachine() {
+	return require('./machine').machine;
+}
+
+// Tell the dashboard how the update is going
+//   progress - {stage : 'bootloader'|'erase'|'write'|'verify'|'reconnect'|'done'|'error', ...}
+function report(progress) {
+	var machine = getMachine();
+	if(machine) {
+		machine.emit('firmware', progress);
+	}
+}
+
+// Return the bundled firmware's description
+//   callback - Called with {file, path, chip, fb, fv, md5, size}  fb and fv are null if the description
+//              doesn't match the binary.
+var getBundledInfo = function(callback) {
+	fs.readFile(FIRMWARE_INFO, 'utf8', function(err, data) {
+		if(err) {
+			return callback(new Error('Could not read the bundled firmware description: ' + err.message));
+		}
+		try {
+			var info = JSON.parse(data);
+		} catch(e) {
+			return callback(new Error('The bundled firmware description is not valid JSON: ' + e.message));
+		}
+		info.path = path.join(FIRMWARE_DIR, info.file || 'g2.bin');
+		fs.readFile(info.path, function(err, image) {
+			if(err) {
+				return callback(new Error('Could not read the bundled firmware: ' + err.message));
+			}
+			var md5 = crypto.createHash('md5').update(image).digest('hex');
+			if(md5 !== info.md5) {
+				log.warn('The bundled firmware does not match its description (md5 is ' + md5 + ')');
+				info.fb = null;
+				info.fv = null;
+			}
+			info.md5 = md5;
+			info.size = image.length;
+			callback(null, info);
+		});
+	});
+}
+
+// Return the firmware build and version that G2 reports
+//   callback - Called with {fb, fv}, or with error if there's no motion controller to ask
+var getBoardInfo = function(callback) {
+	var machine = getMachine();
+	if(!machine || !machine.isConnected()) {
+		return setImmediate(callback, new Error('The motion controller is not connected.'));
+	}
+	machine.driver.get(['fb','fv'], function(err, values) {
+		if(err) {
+			return callback(err);
+		}
+		callback(null, {fb : values[0], fv : values[1]});
+	});
+}
+
+// Compare the firmware on the motion controller with the bundled firmware
+//   callback - Called with {board : {fb, fv}, bundled : (see getBundledInfo), status, flashing}
+//              status is 'current', 'outdated' (the bundled firmware is newer), 'newer' (the board's firmware is
+//              newer), or 'unknown' (if either build isn't known)
+var check = function(callback) {
+	getBundledInfo(function(err, bundled) {
+		if(err) {
+			return callback(err);
+		}
+		delete bundled.path;
+		getBoardInfo(function(err, board) {
+			var status = 'unknown';
+			if(err) {
+				board = null;
+			} else if(typeof board.fb === 'number' && typeof bundled.fb === 'number') {
+				status = board.fb === bundled.fb ? 'current' : (board.fb < bundled.fb ? 'outdated' : 'newer');
+			}
+			callback(null, {board : board, bundled : bundled, status : status, flashing : flashing});
+		});
+	});
+}
+
+// Send G2 to the bootloader by opening its port at 1200 baud and closing it
+//   port_path - The G2 port
+//    callback - Called once the port is closed again
+function enterBootloader(port_path, callback) {
+	var port = new SerialPort(port_path, {baudRate : BOOTLOADER_BAUD, autoOpen : false});
+	port.on('error', function() {});
+	port.open(function(err) {
+		if(err) {
+			return callback(err);
+		}
+		port.close(function() {
+			setTimeout(callback, BOOTLOADER_DELAY);
+		});
+	});
+}
+
+// Open the bootloader's port, trying again for a while if it isn't there yet
+//   port_path - The bootloader port
+//    callback - Called with the open port
+function openBootloader(port_path, callback) {
+	var port;
+	var attempt = 0;
+	async.retry({times : BOOTLOADER_RETRIES, interval : BOOTLOADER_DELAY}, function(callback) {
+		log.info('Opening the bootloader port: ' + port_path + ' (attempt ' + (++attempt) + ')');
+		port = new SerialPort(port_path, {baudRate : 921600, autoOpen : false});
+		port.on('error', function() {});
+		port.open(callback);
+	}, function(err) {
+		callback(err, port);
+	});
+}
+
+// Write the bundled firmware to the motion controller, then reconnect to it and configure it again.
+// The machine must be idle (or disconnected, to retry an update that failed)  The update takes a minute or two, so
+// this returns as soon as it starts, and reports how it's going with 'firmware' events (see report)
+//    options - Object with:
+//                port - The port the bootloader shows up on (defaults to the G2 port)
+//   callback - Called with the bundled firmware description once the update has started, or with error if it can't
+var flash = function(options, callback) {
+	options = options || {};
+	var machine = getMachine();
+	if(flashing) {
+		return setImmediate(callback, new Error('The firmware is already being updated.'));
+	}
+	if(!machine) {
+		return setImmediate(callback, new Error('There is no motion controller to update.'));
+	}
+	if(machine.driver.type !== 'g2') {
+		return setImmediate(callback, new Error('Only G2 firmware can be updated.'));
+	}
+	if(machine.driver.isSimulator()) {
+		return setImmediate(callback, new Error('The G2 simulator has no firmware to update.'));
+	}
+	if(machine.status.state !== 'idle' && machine.status.state !== 'disconnected') {
+		return setImmediate(callback, new Error('Cannot update the firmware in the ' + machine.status.state + ' state.'));
+	}
+	getBundledInfo(function(err, bundled) {
+		if(err) {
+			return callback(err);
+		}
+		fs.readFile(bundled.path, function(err, image) {
+			if(err) {
+				return callback(err);
+			}
+			var driver = machine.driver;
+			var port = null;
+			var samba = null;
+			flashing = true;
+			delete bundled.path;
+			callback(null, bundled);
+
+			log.info('Updating the G2 firmware to build ' + bundled.fb + ' (' + bundled.md5 + ')');
+			machine.setState(machine, 'disconnected', {
+				message : 'Updating the motion controller firmware.  Do not turn off the machine until the update is done.'
+			});
+			report({stage : 'bootloader'});
+
+			async.series([
+				function close_driver(callback) {
+					driver.disconnect(function() { callback(); });
+				},
+				function enter_bootloader(callback) {
+					enterBootloader(driver.path, callback);
+				},
+				function open_bootloader(callback) {
+					openBootloader(options.port || driver.path, function(err, p) {
+						port = p;
+						callback(err);
+					});
+				},
+				function init(callback) {
+					samba = new SamBA(port);
+					samba.on('progress', report);
+					samba.init(callback);
+				},
+				function write(callback) {
+					samba.flash(image, callback);
+				},
+				function reset(callback) {
+					samba.reset(callback);
+				}
+			], function(err) {
+				if(samba) {
+					samba.close();
+				}
+				if(port && port.isOpen()) {
+					port.close();
+				}
+				flashing = false;
+				if(err) {
+					log.error('The firmware update failed: ' + (err.message || err));
+					report({stage : 'error', message : err.message || String(err)});
+				} else {
+					log.info('The firmware was written.  Reconnecting to G2...');
+					report({stage : 'reconnect'});
+				}
+
+				// Once G2 is back, find out what it's running now (the machine configures it again, see Machine._onReconnect)
+				if(onReconnect) {
+					driver.removeListener('reconnect', onReconnect);
+				}
+				onReconnect = function() {
+					onReconnect = null;
+					driver.get(['fb','fv','fbs','fbc'], function(e, values) {
+						if(e) {
+							return log.error('Could not get the G2 firmware build after the update: ' + e);
+						}
+						var engine = require('./engine');
+						engine.firmware.build = values[0];
+						engine.firmware.version = values[2];
+						engine.firmware.config = values[3];
+						log.info('G2 is running firmware build ' + values[0]);
+						if(!err) {
+							report({stage : 'done', fb : values[0], fv : values[1]});
+						}
+					});
+				};
+				driver.once('reconnect', onReconnect);
+				driver.reopen();
+			});
+		});
+	});
+}
+
+exports.getBundledInfo = getBundledInfo;
+exports.check = check;
+exports.flash = flash;
@@ -3,7 +3,8 @@
  * 
  * This module defines the G2 driver, which is responsible for managing communication
  * between the host and a tinyg2 motion conroller.  Other objects and functions are
- * defined here as well to support this capability.
+ * defined here as well to support this capability.  It is the reference implementation of
+ * the driver interface (see driver.js)
  */
 var SerialPort = require("serialport");
 var fs = require("fs");
@@ -18,21 +19,25 @@ var jsesc = require('jsesc');
 var stream = require('stream');
 var Q = require('q');
 var LineNumberer = require('./util').LineNumberer
-
-// Values of the **stat** field that is returned from G2 status reports
-var STAT_INIT = 0;
-var STAT_READY = 1;
-var STAT_ALARM = 2;
-var STAT_STOP = 3;
-var STAT_END = 4;
-var STAT_RUNNING = 5;
-var STAT_HOLDING = 6;
-var STAT_PROBE = 7;
-var STAT_CYCLING = 8;
-var STAT_HOMING = 9;
-var STAT_INTERLOCK = 11;
-var STAT_SHUTDOWN = 12;
-var STAT_PANIC = 13;
+var G2Simulator = require('./g2_sim');
+var driver = require('./driver');
+var CycleContext = driver.CycleContext;
+
+// Values of the **stat** field that is returned from G2 status reports (These are the machine states of the
+// driver interface, see driver.js)
+var STAT_INIT = driver.STAT_INIT;
+var STAT_READY = driver.STAT_READY;
+var STAT_ALARM = driver.STAT_ALARM;
+var STAT_STOP = driver.STAT_STOP;
+var STAT_END = driver.STAT_END;
+var STAT_RUNNING = driver.STAT_RUNNING;
+var STAT_HOLDING = driver.STAT_HOLDING;
+var STAT_PROBE = driver.STAT_PROBE;
+var STAT_CYCLING = driver.STAT_CYCLING;
+var STAT_HOMING = driver.STAT_HOMING;
+var STAT_INTERLOCK = driver.STAT_INTERLOCK;
+var STAT_SHUTDOWN = driver.STAT_SHUTDOWN;
+var STAT_PANIC = driver.STAT_PANIC;
 
 // Should take no longer than CMD_TIMEOUT to do a get or a set operation
 var CMD_TIMEOUT = 10000;
@@ -44,6 +49,14 @@ var THRESH = 1
 
 var pat = /s*(G(28|38)\.\d|G2(0|1))/g
 
+// Delay before trying to reopen the serial port when the link to G2 is lost (ms)  The delay doubles with
+// each failed attempt, up to the maximum.
+var RECONNECT_MIN_DELAY = 1000;
+var RECONNECT_MAX_DELAY = 30000;
+
+// Control port "path" that selects the G2 simulator (see g2_sim.js) instead of a serial port
+var SIMULATOR_PATH = 'sim';
+
 // Error codes defined by G2
 // See https://github.com/synthetos/g2/blob/edge/TinyG2/tinyg2.h for the latest error codes and messages
 try {
@@ -52,92 +65,6 @@ try {
 	var G2_ERRORS = {};
 }
 
-// A cycle context is created when you run a stream, and is a way to access driver events in the context of the current run
-// It is a sort of token that you can recieve events from while the machining cycle is active, 
-// and that will resolve like a promise when the machining cycle is done.
-function CycleContext(driver, st, promise) {
-		this.done = false;
-		this._firmed = false;
-		this._driver = driver;
-		this._stream = st;
-		this._paused = false;
-		this._promise = promise.then(function(value) {
-			this.firm(); // Firm the tool
-			this.finish();
-		}.bind(this));
-		this.eventHandlers = {}; // eventname -> [listener]
-		this.eventQueue = {}; // eventname -> {f : listener, data : data to pass to listener}
-}
-
-// A cycle context is "firmed" when it has turned over itself as a promise through the then() call, or when the
-// run finishes, whichever comes first.
-CycleContext.prototype.firm = function() {
-		if(this.firmed) { return; }
-		log.debug("Firming the cycle context.")
-		try {
-			for(var event in this.eventQueue) {
-				var handlers = this.eventQueue[event];
-				for(var i=0; i<handlers.length; i++) {
-					handlers[i].f(handlers[i].data);
-				}
-			}
-			this.firmed = true;
-		} catch(e) {
-			delete this.eventQueue;
-			throw e;
-		}
-		delete this.eventQueue;
-}
-
-// Bind the listener to the provided event name.
-// Events bound in this way are queued, so if any have occurred between the beginning of the run and when
-// the binding occurs, they will be triggered when the cycle is firmed
-CycleContext.prototype.on = function(event, f) {
-	log.debug("Binding to the " + event + " event in the cycle context: " + f);
-	if(event in this.eventHandlers) {
-		this.eventHandlers[event].push(f);
-	} else {
-		this.eventHandlers[event] = [f];
-	}
-	return this;
-}
-
-// Return a promise that resolves when the cycle is complete (Q Promises)
-CycleContext.prototype.then = function(f) {
-	this.firm();
-	return this._promise.then(function() {
-		return f();
-	});
-}
-
-// Sort of a do-nothing, for now
-CycleContext.prototype.finish = function() {
-	log.debug("Finishing up the cycle context.")
-}
-
-// Emit the provided data to all the listeners to the subscribed event
-CycleContext.prototype.emit = function(event, data) {
-		var handlers = this.eventHandlers[event];
-
-		if(handlers) {
-			for(var i=0; i<handlers.length; i++) {
-				handlers[i](data);
-			}
-		}
-}
-
-// Pause the run by pausing the stream that is piping data into this context
-CycleContext.prototype.pause = function() {
-	this._paused = true;
-	this._stream.pause();
-}
-
-// Resume the run by resuming the stream that is piping data into this context
-CycleContext.prototype.resume = function() {
-	this._paused = false;
-	this._stream.resume();
-}
-
 // The G2 object represents the connection to the driver, which happens as serial over USB
 function G2() {
 	this._currentData = [];
@@ -266,11 +193,34 @@ G2.prototype._createCycleContext = function() {
 G2.prototype.connect = function(path, callback) {
 
 	// Store paths for safe keeping
-	this._serialPath = path;
+	this.path = path;
+	this._closing = false;
+	this._open(callback);
+};
+
+// Open the serial port and wait for G2 to be ready.  Used to connect, and to reconnect when the link is lost.
+//   callback - Called with this driver once G2 is ready, or with error if the port could not be opened
+G2.prototype._open = function(callback) {
+	var done = false;
+	var finish = function(err) {
+		if(done) { return; }
+		done = true;
+		if(err) {
+			this.removeListener('ready', onReady);
+			return callback(err);
+		}
+		callback(null, this);
+	}.bind(this);
 
 	// Open the serial port.  This used to be two ports, but now is only the one.
-	log.info('Opening G2 port: ' + this._serialPath);
-	this._serialPort = new SerialPort(this._serialPath, {flowcontrol: ['RTSCTS'], autoOpen:false});
+	// The special path "sim" connects to a software simulation of G2 instead of a real serial port.
+	log.info('Opening G2 port: ' + this.path);
+	if(this.path === SIMULATOR_PATH) {
+		log.warn('Using the G2 simulator - no motion hardware will be controlled.');
+		this._serialPort = new G2Simulator(this.path, {autoOpen:false});
+	} else {
+		this._serialPort = new SerialPort(this.path, {flowcontrol: ['RTSCTS'], autoOpen:false});
+	}
 	this._serialToken = 'S';
 
 	// Handle errors
@@ -283,14 +233,15 @@ G2.prototype.connect = function(path, callback) {
 	// Flush and get status once the "ready" message has been received from the controller.
 	// G2 reports a "SYSTEM READY" message on connect that indicates that the system is prepared to
 	// recieve g-codes and JSON commands.  We don't want to do anything until we get that.
-	this.once('ready', function() {
+	var onReady = function() {
 		this.connected = true;
 		this._write('\x04\n', function() {
 			this.requestStatusReport(function() {
-				callback(null, this);
+				finish(null);
 			}.bind(this));
 		}.bind(this));
-	}.bind(this));
+	}.bind(this);
+	this.once('ready', onReady);
 
 	// Actually perform the connect, and wait for the 'ready' event. 
 	// We give 3 seconds for the ready event to materialize, which is plenty of time.  Typical
@@ -298,12 +249,12 @@ G2.prototype.connect = function(path, callback) {
 	this._serialPort.open(function(error) {
 		if(error) {
 			log.error("ERROR OPENING CONTROL PORT " + error );
-			return callback(error);
+			return finish(error);
 		} else {
 			log.info("G2 Port Opened.")
 			setTimeout(function checkConnected() {
 				if(!this.connected) {
-					return callback(new Error('Never got the SYSTEM READY from g2.'));
+					return finish(new Error('Never got the SYSTEM READY from g2.'));
 				}
 			}.bind(this), 3000);
 		}
@@ -312,22 +263,115 @@ G2.prototype.connect = function(path, callback) {
 
 // Close the serial port - important for shutting down the application and not letting resources "dangle"
 G2.prototype.disconnect = function(callback) {
+		this._closing = true;
 		this._serialPort.close(callback);
 };
 
-// Log serial errors.  Most of these are exit-able offenses, though.
+// Reopen the serial port after disconnect() (eg: once the firmware has been updated)  If G2 isn't back right away,
+// keep trying the way we do when the link is lost.  The 'reconnect' event is emitted once G2 is ready.
+G2.prototype.reopen = function() {
+	this._closing = false;
+	this._reset();
+	this._reconnect(0);
+};
+
+// Return true if this driver is talking to the G2 simulator rather than a real G2
+G2.prototype.isSimulator = function() {
+	return this.path === SIMULATOR_PATH;
+};
+
+// Log serial errors.  If the port goes away, the 'close' event follows (see onSerialClose)
 G2.prototype.onSerialError = function(data) {
 log.error(new Error('There was a serial error'))
   log.error(data)
 };
 
-// When the serial link to G2 is closed, exit the engine with an error
-// In a production environment, the system service manager (usually systemd)
-// will simply restart the process and attempt to reconnect
+// When the serial link to G2 is lost, forget everything that was in progress and try to reopen the port.
+// The 'disconnect' event is emitted right away, and the 'reconnect' event once G2 is ready again.  It is up to
+// the listeners to configure G2 again and recover (see Machine.prototype._onReconnect)
 G2.prototype.onSerialClose = function(data) {
 	this.connected= false;
+	if(this._closing || this._reconnecting) {
+		return;
+	}
 	log.error('G2 Core serial link was lost.')
-	process.exit(14);
+	this._reset();
+	this.emit('disconnect');
+	this._reconnect(0);
+};
+
+// Clear the queues and the machining cycle, none of which survive the loss of the serial link.  Anything that is
+// waiting to hear back from G2 is called back with an error, rather than being left waiting forever.
+G2.prototype._reset = function() {
+	var error = new Error('G2 was disconnected.');
+	var expectations = this.expectations;
+	var readers = this.readers;
+	var flushcallback = this.flushcallback;
+
+	this.gcode_queue.clear();
+	this.command_queue.clear();
+	this.context = null;
+	this.quit_pending = false;
+	this.pause_flag = false;
+	this.lines_to_send = 4;
+	this.lines_sent = 0;
+	this._ignored_responses = 0;
+	this._primed = false;
+	this._streamDone = false;
+	this._currentData = [];
+	this.lineBuffer = [];
+	this.expectations = [];
+	this.readers = {};
+	this.flushcallback = null;
+
+	// (Everything is cleared first, in case a callback starts something new)
+	expectations.forEach(function(expectation) {
+		var callback = expectation.timeout || expectation[null];
+		if(callback) {
+			callback(this, error);
+		}
+	}, this);
+	for(var key in readers) {
+		readers[key].forEach(function(callback) {
+			if(typeof callback === 'function') {
+				callback(error);
+			}
+		});
+	}
+	if(flushcallback) {
+		flushcallback(error);
+	}
+};
+
+// Try to reopen the serial port, waiting longer after each failed attempt (up to RECONNECT_MAX_DELAY)
+//   attempt - The number of attempts that have failed so far
+G2.prototype._reconnect = function(attempt) {
+	var delay = Math.min(RECONNECT_MIN_DELAY*Math.pow(2, attempt), RECONNECT_MAX_DELAY);
+	this._reconnecting = true;
+	log.info('Trying to reconnect to G2 in ' + delay/1000 + ' seconds...');
+	setTimeout(function() {
+		if(this._closing) {
+			this._reconnecting = false;
+			return;
+		}
+		// Get rid of the old port entirely before opening a new one
+		var port = this._serialPort;
+		port.removeAllListeners();
+		port.on('error', function() {});
+		if(typeof port.isOpen === 'function' ? port.isOpen() : port.isOpen) {
+			port.close();
+		}
+		this._open(function(err) {
+			if(err) {
+				log.warn('Could not reconnect to G2: ' + (err.message || err));
+				this._reset();
+				return this._reconnect(attempt + 1);
+			}
+			log.info('Reconnected to G2.');
+			this._reconnecting = false;
+			this.emit('reconnect', this);
+		}.bind(this));
+	}.bind(this), delay);
 };
 
 // Write to the serial port (and log it)
@@ -677,6 +721,24 @@ G2.prototype.feedHold = function(callback) {
 	});
 };
 
+// Set the feed rate and spindle speed overrides
+// These take effect immediately (even in feedhold) so they are written straight to G2 rather than queued
+//   overrides - Object with feed and/or spindle factors (1.0 is 100%) eg: {feed : 0.5, spindle : 1.2}
+G2.prototype.setOverrides = function(overrides) {
+	var cmd = {};
+	if(overrides.feed !== undefined) {
+		cmd.mfoe = 1;
+		cmd.mfo = overrides.feed;
+	}
+	if(overrides.spindle !== undefined) {
+		cmd.ssoe = 1;
+		cmd.sso = overrides.spindle;
+	}
+	log.debug("Setting overrides: " + JSON.stringify(cmd));
+	this._ignored_responses++;
+	this._write(JSON.stringify(cmd) + '\n', function() {});
+};
+
 // Clears the queue, this means both the queue of g-codes in the engine to send,
 // and whatever gcodes have been received but not yet executed in the g2 firmware context
 G2.prototype.queueFlush = function(callback) {
@@ -730,6 +792,10 @@ G2.prototype.resume = function() {
 // This used to be a more complex function than it is now, but the firmware is pretty good
 // about taking a job kill command (\x04) just about any time.  It used to be very state-dependent.
 G2.prototype.quit = function() {
+	if(!this.connected) {
+		log.warn("Not quitting because there is no connection to G2.");
+		return;
+	}
 	if(this.quit_pending) {
 		log.warn("Not quitting because a quit is already pending.");
 		return;
@@ -1081,6 +1147,8 @@ G2.prototype.setMachinePosition = function(position, callback) {
 //
 // In the above example, when the next change of state happens, the appropriate callback is called in the case
 // that the new state is either STAT_END or STAT_PAUSE.  If the new state is neither, other_callback is called.
+// If the link to G2 is lost first, the timeout callback (or if there isn't one, the null callback) is called with
+// the driver and an error.
 
 G2.prototype.expectStateChange = function(callbacks) {
 	if("timeout" in callbacks) {
@@ -1123,30 +1191,5 @@ var state = function(s) {
 exports.G2 = G2;
 
 // Convenient names for states
-exports.STAT_INIT = STAT_INIT;
-exports.STAT_READY = STAT_READY;
-exports.STAT_ALARM = STAT_ALARM;
-exports.STAT_STOP = STAT_STOP;
-exports.STAT_END = STAT_END;
-exports.STAT_RUNNING = STAT_RUNNING;
-exports.STAT_HOLDING = STAT_HOLDING;
-exports.STAT_PROBE = STAT_PROBE;
-exports.STAT_CYCLING = STAT_CYCLING;
-exports.STAT_HOMING = STAT_HOMING;
-exports.STAT_INTERLOCK = STAT_INTERLOCK;
-exports.STAT_SHUTDOWN = STAT_SHUTDOWN;
-exports.STAT_PANIC = STAT_PANIC;
-
-G2.prototype.STAT_INIT = STAT_INIT;
-G2.prototype.STAT_READY = STAT_READY;
-G2.prototype.STAT_ALARM = STAT_ALARM;
-G2.prototype.STAT_STOP = STAT_STOP;
-G2.prototype.STAT_END = STAT_END;
-G2.prototype.STAT_RUNNING = STAT_RUNNING;
-G2.prototype.STAT_HOLDING = STAT_HOLDING;
-G2.prototype.STAT_PROBE = STAT_PROBE;
-G2.prototype.STAT_CYCLING = STAT_CYCLING;
-G2.prototype.STAT_HOMING = STAT_HOMING;
-G2.prototype.STAT_INTERLOCK = STAT_INTERLOCK;
-G2.prototype.STAT_SHUTDOWN = STAT_SHUTDOWN;
-G2.prototype.STAT_PANIC = STAT_PANIC;
+driver.defineStates(exports);
+driver.defineStates(G2.prototype);
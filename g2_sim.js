@@ -0,0 +1,1008 @@
+/*
+ * g2_sim.js
+ *
+ * This module defines G2Simulator, a software stand-in for a tinyg2 motion controller.
+ * It presents the same interface as the serial port that the G2 driver normally talks to
+ * (open/write/drain/close and a 'data' event) and speaks the JSON/linemode protocol that the
+ * driver expects.  G-codes that are streamed to it are interpreted, and the tool position is advanced
+ * over time at the commanded feedrate, so that status reports look like those of a real machine.
+ *
+ * The simulator is selected by setting the control port in the engine configuration to "sim"
+ * (eg: control_port_linux : "sim") which makes it possible to run the engine with no hardware attached.
+ *
+ * The simulation is deliberately simple:
+ * - Moves are run at constant velocity (no acceleration or jerk planning)
+ * - Arcs are only supported in the XY plane (G17)
+ * - Probing moves (G38.2/G38.3) make contact at their endpoint, unless an input configured as a probe
+ *   is activated (with setInput()) while the probe move is in progress.
+ */
+var events = require('events');
+var util = require('util');
+var gcode = require('./gcode_util');
+var log = require('./log').logger('g2sim');
+
+// Values of the **stat** field that is returned from status reports (see g2.js)
+var STAT_READY = 1;
+var STAT_ALARM = 2;
+var STAT_STOP = 3;
+var STAT_END = 4;
+var STAT_RUNNING = 5;
+var STAT_HOLDING = 6;
+var STAT_PROBE = 7;
+var STAT_HOMING = 9;
+
+// Values of the **hold** field
+var HOLD_OFF = 0;
+var HOLD_HOLD = 4;
+
+// Functions that can be assigned to digital inputs using the di<n>fn setting
+var INPUT_FUNCTION_LIMIT = 1;
+var INPUT_FUNCTION_PROBE = 4;
+
+// Status codes returned in the footer of responses
+var STAT_OK = 0;
+var STAT_UNRECOGNIZED_NAME = 100;
+var STAT_MALFORMED_COMMAND_INPUT = 101;
+var STAT_GCODE_COMMAND_UNSUPPORTED = 131;
+var STAT_MCODE_COMMAND_UNSUPPORTED = 132;
+var STAT_GCODE_FEEDRATE_NOT_SPECIFIED = 142;
+var STAT_ARC_SPECIFICATION_ERROR = 155;
+var STAT_LIMIT_SWITCH_HIT = 203;
+var STAT_COMMAND_REJECTED_BY_ALARM = 204;
+
+// Number of blocks that fit in the planner queue.  Lines beyond this are not acknowledged
+// until there is room, which is what provides flow control in linemode.
+var PLANNER_SIZE = 28;
+
+// Interval (ms) at which motion is simulated
+var TICK_INTERVAL = 50;
+
+// Time (ms) between opening the port and the SYSTEM READY message
+var READY_DELAY = 100;
+
+// Rapid rate (mm/min) used when no axis velocity maximum is configured
+var DEFAULT_RAPID_RATE = 10000;
+
+// Maximum length (mm) of the line segments used to approximate arcs
+var ARC_SEGMENT_LENGTH = 0.5;
+
+var LINEAR_AXES = ['x','y','z'];
+var AXES = ['x','y','z','a','b','c'];
+
+// Status report fields reported by default (until the host configures its own with {sr:{...}})
+var DEFAULT_SR_FIELDS = ['posx','posy','posz','posa','posb','vel','stat','hold','line','coor','unit'];
+
+// Values that are reported by the "firmware" for informational queries
+var DEFAULT_SETTINGS = {
+	fb : 0,
+	fbs : 'simulator',
+	fbc : 'simulator',
+	fv : 0,
+	hp : 0,
+	hv : 0,
+	id : 'SIM',
+	si : 250,
+	gun : 1
+};
+
+// Parse a JSON command as sent to G2, which may use the relaxed syntax that G2 accepts
+// (unquoted keys, t/f/n for true/false/null)
+function parseCommand(s) {
+	try {
+		return JSON.parse(s);
+	} catch(e) {
+		var fixed = s.replace(/([{,]\s*)([A-Za-z0-9_]+)\s*:/g, '$1"$2":')
+					.replace(/:\s*t\s*(?=[,}])/g, ':true')
+					.replace(/:\s*f\s*(?=[,}])/g, ':false')
+					.replace(/:\s*n\s*(?=[,}])/g, ':null');
+		return JSON.parse(fixed);
+	}
+}
+
+// G2Simulator constructor
+// The constructor takes the same form as the SerialPort constructor, so that the driver can use either one.
+//      path - Ignored (present for compatibility with SerialPort)
+//   options - Also ignored, except for autoOpen, which opens the "port" immediately if true
+function G2Simulator(path, options) {
+	events.EventEmitter.call(this);
+	options = options || {};
+
+	this.isOpen = false;
+	this.settings = {};
+	for(var key in DEFAULT_SETTINGS) {
+		this.settings[key] = DEFAULT_SETTINGS[key];
+	}
+	this.srFields = DEFAULT_SR_FIELDS.slice();
+	this._lastReport = {};
+	this._lastReportTime = 0;
+
+	// Incoming data
+	this._rxBuffer = [];
+	this._rxQueue = [];
+
+	// Motion state
+	this.stat = STAT_READY;
+	this.hold = HOLD_OFF;
+	this.vel = 0;
+	this.line = 0;
+	this.planner = [];
+	this._timer = null;
+	this._lastTick = 0;
+
+	// Machine position (always mm)
+	this.mpos = {x:0, y:0, z:0, a:0, b:0, c:0};
+
+	// Coordinate system offsets (mm) indexed by the coor value (1=G54 ... 6=G59)
+	this.offsets = {};
+	for(var i=1; i<=6; i++) {
+		this.offsets[i] = {x:0, y:0, z:0, a:0, b:0, c:0};
+	}
+
+	// Digital I/O
+	this.inputs = {};
+	this.outputs = {};
+	for(var i=1; i<=12; i++) {
+		this.inputs[i] = 0;
+		this.outputs[i] = 0;
+	}
+	this.spindle = 0;
+	this.coolant = 0;
+	this.tool = 0;
+
+	this._resetGCodeModel();
+
+	if(options.autoOpen) {
+		this.open();
+	}
+}
+util.inherits(G2Simulator, events.EventEmitter);
+
+// Open the simulated port.  The SYSTEM READY message is issued shortly thereafter, just like a freshly reset G2.
+G2Simulator.prototype.open = function(callback) {
+	this.isOpen = true;
+	setTimeout(function() {
+		this.emit('open');
+		this._send({r:{fv:this.settings.fv, fb:this.settings.fb, hp:this.settings.hp, hv:this.settings.hv, id:this.settings.id, msg:"SYSTEM READY"}, f:[1,STAT_OK,0]});
+	}.bind(this), READY_DELAY);
+	typeof callback === 'function' && setImmediate(callback);
+};
+
+// Close the simulated port and stop simulating motion
+G2Simulator.prototype.close = function(callback) {
+	this.isOpen = false;
+	this._stopTimer();
+	this.emit('close');
+	typeof callback === 'function' && setImmediate(callback);
+};
+
+// Write data to the simulator, as if it were written to the serial port.
+// Data is processed asynchronously, like it would be on a real serial link.
+G2Simulator.prototype.write = function(data, callback) {
+	setImmediate(function() {
+		if(this.isOpen) {
+			this._receive(data.toString());
+		}
+	}.bind(this));
+	typeof callback === 'function' && setImmediate(callback);
+};
+
+// Nothing is actually buffered on the way out, so the drain completes right away
+G2Simulator.prototype.drain = function(callback) {
+	typeof callback === 'function' && setImmediate(callback);
+};
+
+// Set the value of a digital input, and report it in the status report.
+// Inputs configured as limits (di<n>fn=1) alarm the machine when activated, and inputs configured
+// as probes (di<n>fn=4) end a probing move in progress.
+//       n - The input number (1-12)
+//   value - The new value of the input (0 or 1)
+G2Simulator.prototype.setInput = function(n, value) {
+	value = value ? 1 : 0;
+	if(this.inputs[n] === value) { return; }
+	this.inputs[n] = value;
+	if(value) {
+		switch(this.settings['di' + n + 'fn']) {
+			case INPUT_FUNCTION_LIMIT:
+				this._alarm(STAT_LIMIT_SWITCH_HIT, 'Limit switch hit - Shutdown occurred [' + n + ']');
+				break;
+			case INPUT_FUNCTION_PROBE:
+				var block = this.planner[0];
+				if(block && block.type === 'move' && block.probe) {
+					block.points = [];
+				}
+				break;
+		}
+	}
+	this._statusReport();
+};
+
+// Send a JSON message back to the host (one line)
+G2Simulator.prototype._send = function(obj) {
+	var s = JSON.stringify(obj) + '\n';
+	setImmediate(function() {
+		if(this.isOpen) {
+			this.emit('data', s);
+		}
+	}.bind(this));
+};
+
+// Send a response to a command or g-code line, with a footer containing the status code
+G2Simulator.prototype._respond = function(r, status, line) {
+	this._send({r:r, f:[1, status || STAT_OK, line ? line.length : 0]});
+};
+
+// Send an exception report
+G2Simulator.prototype._exception = function(status, msg) {
+	this._send({er:{fb:this.settings.fb, st:status, msg:msg}});
+};
+
+// Process incoming characters.  The single character commands (feedhold, resume, queue flush and job kill)
+// are acted upon immediately, no matter where they appear.  Everything else is collected into lines.
+G2Simulator.prototype._receive = function(s) {
+	for(var i=0; i<s.length; i++) {
+		var c = s[i];
+		switch(c) {
+			case '!':
+				this._feedHold();
+				break;
+			case '~':
+				this._cycleStart();
+				break;
+			case '%':
+				this._queueFlush();
+				break;
+			case '\x04':
+				this._jobKill();
+				break;
+			case '\r':
+			case '\n':
+				var line = this._rxBuffer.join('').trim();
+				this._rxBuffer = [];
+				if(line.length === 0) {
+					// Blank lines are ignored, and get no response
+					break;
+				}
+				if(line[0] === '{') {
+					// JSON commands are "control" lines, and are processed ahead of queued g-codes
+					this._handleCommand(line);
+				} else {
+					this._rxQueue.push(line);
+				}
+				break;
+			default:
+				this._rxBuffer.push(c);
+				break;
+		}
+	}
+	this._processInput();
+};
+
+// Move lines from the receive queue into the planner for as long as there is room in the planner
+G2Simulator.prototype._processInput = function() {
+	while(this._rxQueue.length > 0 && this.planner.length < PLANNER_SIZE) {
+		var line = this._rxQueue.shift();
+		if(this.stat === STAT_ALARM) {
+			this._exception(STAT_COMMAND_REJECTED_BY_ALARM, 'Command rejected by ALARM [' + line + ']');
+			this._respond({}, STAT_COMMAND_REJECTED_BY_ALARM, line);
+			continue;
+		}
+		var status;
+		try {
+			status = this._parseGCode(line);
+		} catch(e) {
+			log.warn('Could not interpret "' + line + '": ' + e.message);
+			status = STAT_MALFORMED_COMMAND_INPUT;
+		}
+		this._respond({}, status, line);
+	}
+	if(this.planner.length > 0) {
+		this._startCycle();
+	}
+};
+
+// Handle a JSON command line.  Each key in the command is read (if its value is null) or written.
+G2Simulator.prototype._handleCommand = function(line) {
+	var obj;
+	try {
+		obj = parseCommand(line);
+	} catch(e) {
+		return this._respond({}, STAT_MALFORMED_COMMAND_INPUT, line);
+	}
+
+	var r = {};
+	var status = STAT_OK;
+	for(var key in obj) {
+		var value = obj[key];
+		switch(key) {
+			case 'sr':
+				if(value && typeof value === 'object') {
+					this.srFields = Object.keys(value).filter(function(k) { return value[k]; });
+				}
+				r.sr = this._buildStatusReport(true);
+				break;
+
+			case 'qr':
+				r.qr = PLANNER_SIZE - this.planner.length;
+				break;
+
+			case 'clr':
+			case 'clear':
+				if(this.stat === STAT_ALARM) {
+					this._setStat(STAT_STOP);
+				}
+				r[key] = null;
+				break;
+
+			case 'gun':
+			case 'unit':
+				if(value !== null) {
+					this.settings.gun = value ? 1 : 0;
+					this.gm.units = value ? 'mm' : 'in';
+				}
+				r[key] = this.gm.units === 'mm' ? 1 : 0;
+				break;
+
+			case 'mpo':
+			case 'pos':
+				r[key] = {};
+				var pos = key === 'mpo' ? this.mpos : this._workPosition();
+				AXES.forEach(function(axis) {
+					r[key][axis] = key === 'mpo' ? this._reportMachineAxis(pos[axis]) : this._reportAxis(axis, pos[axis]);
+				}.bind(this));
+				break;
+
+			default:
+				var offset = key.match(/^g5([4-9])([xyzabc])$/);
+				var io = key.match(/^(in|out)(\d+)$/);
+				if(offset) {
+					var coor = parseInt(offset[1]) - 3;
+					var axis = offset[2];
+					if(value !== null) {
+						this.offsets[coor][axis] = this._toMM(axis, value);
+					}
+					r[key] = this._reportAxis(axis, this.offsets[coor][axis]);
+				} else if(io && (parseInt(io[2]) in this.inputs)) {
+					var table = io[1] === 'in' ? this.inputs : this.outputs;
+					if(value !== null && io[1] === 'out') {
+						table[io[2]] = value;
+					}
+					r[key] = table[io[2]];
+				} else if(value !== null) {
+					this.settings[key] = value;
+					r[key] = value;
+				} else if(key in this.settings) {
+					r[key] = this.settings[key];
+				} else {
+					var sr_value = this._getStatusValue(key);
+					if(sr_value === undefined) {
+						status = STAT_UNRECOGNIZED_NAME;
+						r[key] = null;
+					} else {
+						r[key] = sr_value;
+					}
+				}
+				break;
+		}
+	}
+	this._respond(r, status, line);
+};
+
+// Reset the parts of the g-code model that are reset by a program end (M2/M30) or job kill
+G2Simulator.prototype._resetGCodeModel = function() {
+	var position = this.gm ? this.gm.position : {x:0, y:0, z:0, a:0, b:0, c:0};
+	this.gm = {
+		units : this.settings.gun ? 'mm' : 'in',
+		absolute : true,
+		coor : (this.gm && this.gm.coor) || 1,
+		plane : 17,
+		motion : 'G0',
+		feed : (this.gm && this.gm.feed) || 0,
+		tlo : (this.gm && this.gm.tlo) || 0,
+		position : {}
+	};
+	AXES.forEach(function(axis) {
+		this.gm.position[axis] = position[axis];
+	}.bind(this));
+};
+
+// Convert a value in the current units to mm (rotary axes are never converted)
+G2Simulator.prototype._toMM = function(axis, value) {
+	return LINEAR_AXES.indexOf(axis) >= 0 ? gcode.toMM(value, this.gm.units) : value;
+};
+
+// Convert a value in mm to the current units, rounded as G2 would report it
+G2Simulator.prototype._reportAxis = function(axis, value) {
+	if(LINEAR_AXES.indexOf(axis) >= 0) {
+		value = gcode.fromMM(value, this.gm.units);
+	}
+	return Math.round(value*1000)/1000;
+};
+
+// Convert a machine position for reporting.  Like the real thing, machine positions are always reported in mm.
+G2Simulator.prototype._reportMachineAxis = function(value) {
+	return Math.round(value*1000)/1000;
+};
+
+// Return the current position in work coordinates (mm)
+G2Simulator.prototype._workPosition = function() {
+	var offset = this.offsets[this.gm.coor];
+	var pos = {};
+	AXES.forEach(function(axis) {
+		pos[axis] = this.mpos[axis] - offset[axis] - (axis === 'z' ? this.gm.tlo : 0);
+	}.bind(this));
+	return pos;
+};
+
+// Return the value of a single status report field, or undefined if it isn't known
+G2Simulator.prototype._getStatusValue = function(key) {
+	var m = key.match(/^(pos|mpo)([xyzabc])$/);
+	if(m) {
+		if(m[1] === 'mpo') {
+			return this._reportMachineAxis(this.mpos[m[2]]);
+		}
+		return this._reportAxis(m[2], this._workPosition()[m[2]]);
+	}
+	m = key.match(/^(in|out)(\d+)$/);
+	if(m) {
+		return (m[1] === 'in' ? this.inputs : this.outputs)[m[2]];
+	}
+	switch(key) {
+		case 'vel':
+			return Math.round(this._reportAxis('x', this.vel)*100)/100;
+		case 'feed':
+			return this._reportAxis('x', this.gm.feed);
+		case 'stat':
+			return this.stat;
+		case 'hold':
+			return this.hold;
+		case 'line':
+			return this.line;
+		case 'coor':
+			return this.gm.coor;
+		case 'unit':
+			return this.gm.units === 'mm' ? 1 : 0;
+		case 'dist':
+			return this.gm.absolute ? 0 : 1;
+		case 'momo':
+			return this.gm.motion === 'G0' ? 0 : 1;
+		case 'spc':
+			return this.spindle;
+		case 'tool':
+			return this.tool;
+	}
+	return undefined;
+};
+
+// Build a status report.  Unless full is true, only fields that have changed since the last report are included.
+G2Simulator.prototype._buildStatusReport = function(full) {
+	var sr = {};
+	this.srFields.forEach(function(key) {
+		var value = this._getStatusValue(key);
+		if(value === undefined) { return; }
+		if(full || value !== this._lastReport[key]) {
+			sr[key] = value;
+		}
+		this._lastReport[key] = value;
+	}.bind(this));
+	return sr;
+};
+
+// Issue a (filtered) status report, if anything has changed
+G2Simulator.prototype._statusReport = function() {
+	this._lastReportTime = Date.now();
+	var sr = this._buildStatusReport(false);
+	if(Object.keys(sr).length > 0) {
+		this._send({sr:sr});
+	}
+};
+
+// Change the machine state.  The new state is always reported, even if it didn't change.
+G2Simulator.prototype._setStat = function(stat) {
+	this.stat = stat;
+	if(stat !== STAT_RUNNING && stat !== STAT_PROBE && stat !== STAT_HOMING) {
+		this.vel = 0;
+	}
+	delete this._lastReport.stat;
+	this._statusReport();
+};
+
+// Interpret a single line of g-code, and queue the resulting blocks in the planner
+// Returns the status code to report in the footer of the response
+G2Simulator.prototype._parseGCode = function(line) {
+	var json = null;
+
+	// M100 takes a JSON payload in the comment, which needs to be extracted before comments are stripped.
+	var m = line.match(/M100(\.1)?\s*\((.*)\)/i);
+	if(m) {
+		json = parseCommand(m[2]);
+		line = line.replace(m[0], m[1] ? 'M100.1' : 'M100');
+	}
+
+	var words = gcode.parseWords(line);
+
+	var n = words.N === undefined ? this.line : words.N;
+	var motion = null;
+	var nonModal = null;
+	var gm = this.gm;
+
+	if(words.F !== undefined) {
+		gm.feed = this._toMM('x', words.F);
+	}
+	if(words.T !== undefined) {
+		this.tool = words.T;
+	}
+
+	for(var i=0; i<words.G.length; i++) {
+		var g = words.G[i];
+		switch(g) {
+			case 0: case 1: case 2: case 3: case 38.2: case 38.3: case 80:
+				motion = 'G' + g;
+				break;
+			case 17: case 18: case 19:
+				gm.plane = g;
+				break;
+			case 20:
+				gm.units = 'in';
+				break;
+			case 21:
+				gm.units = 'mm';
+				break;
+			case 54: case 55: case 56: case 57: case 58: case 59:
+				gm.coor = g - 53;
+				break;
+			case 90:
+				gm.absolute = true;
+				break;
+			case 91:
+				gm.absolute = false;
+				break;
+			case 4: case 10: case 28.2: case 28.3: case 43.1: case 53:
+				nonModal = g;
+				break;
+			case 49:
+				gm.tlo = 0;
+				break;
+			case 40: case 61: case 61.1: case 64: case 90.1: case 91.1: case 94:
+				// Accepted, but have no effect on the simulation
+				break;
+			default:
+				return STAT_GCODE_COMMAND_UNSUPPORTED;
+		}
+	}
+
+	var axes = AXES.filter(function(axis) {
+		return words[axis.toUpperCase()] !== undefined;
+	});
+
+	switch(nonModal) {
+		case 4:
+			this._queue({type:'dwell', line:n, time:(words.P || 0)*1000});
+			break;
+
+		case 10:
+			// G10 L2 sets offsets directly, G10 L20 sets them so that the current position takes the given value
+			var coor = words.P ? words.P : gm.coor;
+			if(!(coor in this.offsets)) { return STAT_GCODE_COMMAND_UNSUPPORTED; }
+			axes.forEach(function(axis) {
+				var value = this._toMM(axis, words[axis.toUpperCase()]);
+				this.offsets[coor][axis] = (words.L === 20) ? gm.position[axis] - value - (axis === 'z' ? gm.tlo : 0) : value;
+			}.bind(this));
+			axes = [];
+			break;
+
+		case 28.2:
+			var target = {};
+			axes.forEach(function(axis) { target[axis] = 0; });
+			this._queue({type:'home', line:n, position:target});
+			axes.forEach(function(axis) { gm.position[axis] = 0; });
+			axes = [];
+			break;
+
+		case 43.1:
+			// Dynamic tool length offset (applies to Z only)
+			gm.tlo = words.Z === undefined ? 0 : this._toMM('z', words.Z);
+			axes = [];
+			break;
+
+		case 28.3:
+			var target = {};
+			axes.forEach(function(axis) {
+				target[axis] = this._toMM(axis, words[axis.toUpperCase()]);
+				gm.position[axis] = target[axis];
+			}.bind(this));
+			this._queue({type:'setpos', line:n, position:target});
+			axes = [];
+			break;
+	}
+
+	if(motion) {
+		gm.motion = motion;
+	}
+
+	// Motion
+	if(axes.length > 0 && gm.motion !== 'G80') {
+		var start = {};
+		var end = {};
+		AXES.forEach(function(axis) {
+			start[axis] = end[axis] = gm.position[axis];
+		});
+		axes.forEach(function(axis) {
+			var value = this._toMM(axis, words[axis.toUpperCase()]);
+			if(nonModal === 53) {
+				end[axis] = value;
+			} else if(gm.absolute) {
+				end[axis] = value + this.offsets[gm.coor][axis] + (axis === 'z' ? gm.tlo : 0);
+			} else {
+				end[axis] = start[axis] + value;
+			}
+		}.bind(this));
+
+		var block = {type:'move', line:n, points:[end], feed:gm.feed, probe:false};
+		switch(gm.motion) {
+			case 'G0':
+				block.feed = this._rapidRate(axes);
+				block.rapid = true;
+				break;
+			case 'G2':
+			case 'G3':
+				if(gm.plane !== 17) { return STAT_ARC_SPECIFICATION_ERROR; }
+				block.points = this._arcPoints(start, end, words, gm.motion === 'G2');
+				if(!block.points) { return STAT_ARC_SPECIFICATION_ERROR; }
+				break;
+			case 'G38.2':
+			case 'G38.3':
+				block.probe = true;
+				break;
+		}
+		if(!block.feed) {
+			return STAT_GCODE_FEEDRATE_NOT_SPECIFIED;
+		}
+		this._queue(block);
+		gm.position = end;
+	}
+
+	// M-codes
+	for(var i=0; i<words.M.length; i++) {
+		var mc = words.M[i];
+		switch(mc) {
+			case 0: case 1: case 60:
+				this._queue({type:'stop', line:n});
+				break;
+			case 2: case 30:
+				this._queue({type:'end', line:n});
+				this._resetGCodeModel();
+				break;
+			case 3: case 4:
+				this._queue({type:'output', line:n, spindle:1});
+				break;
+			case 5:
+				this._queue({type:'output', line:n, spindle:0});
+				break;
+			case 7: case 8:
+				this._queue({type:'output', line:n, coolant:1});
+				break;
+			case 9:
+				this._queue({type:'output', line:n, coolant:0});
+				break;
+			case 6:
+				break;
+			case 100:
+				// M100 is synchronized with motion
+				this._queue({type:'json', line:n, values:json || {}});
+				break;
+			case 100.1:
+				// M100.1 takes effect immediately
+				this._applyJSON(json || {});
+				break;
+			default:
+				return STAT_MCODE_COMMAND_UNSUPPORTED;
+		}
+	}
+
+	return STAT_OK;
+};
+
+// Determine the rapid rate (mm/min) for a move along the specified axes
+// The slowest axis velocity maximum of the axes involved is used.
+G2Simulator.prototype._rapidRate = function(axes) {
+	var rate = null;
+	axes.forEach(function(axis) {
+		var vm = this.settings[axis + 'vm'];
+		if(vm) {
+			// Axis settings are in the units selected by the gun setting
+			if(LINEAR_AXES.indexOf(axis) >= 0 && !this.settings.gun) {
+				vm = vm*25.4;
+			}
+			rate = rate === null ? vm : Math.min(rate, vm);
+		}
+	}.bind(this));
+	return rate || DEFAULT_RAPID_RATE;
+};
+
+// Compute the points along an arc in the XY plane, specified either by center offsets (I,J) or radius (R)
+// Returns a list of points, or null if the arc is not well specified
+G2Simulator.prototype._arcPoints = function(start, end, words, clockwise) {
+	var cx, cy, r;
+	if(words.R !== undefined) {
+		var x = end.x - start.x;
+		var y = end.y - start.y;
+		r = this._toMM('x', words.R);
+		var h = 4*r*r - x*x - y*y;
+		if(h < 0 || (x === 0 && y === 0)) { return null; }
+		h = -Math.sqrt(h)/Math.sqrt(x*x + y*y);
+		if(!clockwise) { h = -h; }
+		if(r < 0) { h = -h; r = -r; }
+		cx = start.x + 0.5*(x - y*h);
+		cy = start.y + 0.5*(y + x*h);
+	} else if(words.I !== undefined || words.J !== undefined) {
+		cx = start.x + this._toMM('x', words.I || 0);
+		cy = start.y + this._toMM('y', words.J || 0);
+		r = Math.sqrt(Math.pow(start.x - cx, 2) + Math.pow(start.y - cy, 2));
+	} else {
+		return null;
+	}
+
+	var a0 = Math.atan2(start.y - cy, start.x - cx);
+	var a1 = Math.atan2(end.y - cy, end.x - cx);
+	var sweep = a1 - a0;
+	if(clockwise) {
+		if(sweep >= 0) { sweep -= 2*Math.PI; }
+	} else {
+		if(sweep <= 0) { sweep += 2*Math.PI; }
+	}
+
+	var segments = Math.max(1, Math.ceil(Math.abs(sweep)*r/ARC_SEGMENT_LENGTH));
+	var points = [];
+	for(var i=1; i<=segments; i++) {
+		var t = i/segments;
+		var point = {};
+		AXES.forEach(function(axis) {
+			point[axis] = start[axis] + (end[axis] - start[axis])*t;
+		});
+		if(i < segments) {
+			point.x = cx + r*Math.cos(a0 + sweep*t);
+			point.y = cy + r*Math.sin(a0 + sweep*t);
+		}
+		points.push(point);
+	}
+	return points;
+};
+
+// Apply the settings/outputs in a JSON object (from an M100 or M100.1)
+G2Simulator.prototype._applyJSON = function(values) {
+	for(var key in values) {
+		var m = key.match(/^out(\d+)$/);
+		if(m) {
+			this.outputs[m[1]] = values[key];
+		} else {
+			this.settings[key] = values[key];
+		}
+	}
+};
+
+// Add a block to the planner
+G2Simulator.prototype._queue = function(block) {
+	this.planner.push(block);
+};
+
+// Begin (or continue) executing the blocks in the planner
+G2Simulator.prototype._startCycle = function() {
+	if(this.stat === STAT_HOLDING || this.stat === STAT_ALARM) {
+		return;
+	}
+	if(!this._timer) {
+		this._lastTick = Date.now();
+		this._timer = setInterval(this._tick.bind(this), TICK_INTERVAL);
+		if(this.stat !== STAT_RUNNING) {
+			this._setStat(STAT_RUNNING);
+		}
+	}
+};
+
+G2Simulator.prototype._stopTimer = function() {
+	if(this._timer) {
+		clearInterval(this._timer);
+		this._timer = null;
+	}
+};
+
+// Advance the simulation by the time that has passed since the last tick
+G2Simulator.prototype._tick = function() {
+	var now = Date.now();
+	var budget = now - this._lastTick;
+	this._lastTick = now;
+
+	while(budget > 0 && this.planner.length > 0) {
+		if(this.stat === STAT_HOLDING || this.stat === STAT_ALARM) {
+			return this._stopTimer();
+		}
+		var block = this.planner[0];
+		this.line = block.line;
+		switch(block.type) {
+			case 'move':
+				budget = this._move(block, budget);
+				if(block.points.length > 0) {
+					continue;
+				}
+				if(block.probe) {
+					this._send({prb:{e:1, x:this._reportAxis('x', this.mpos.x), y:this._reportAxis('y', this.mpos.y), z:this._reportAxis('z', this.mpos.z), a:this.mpos.a, b:this.mpos.b}});
+					// The probe may have stopped short, so further moves are planned from where it stopped
+					if(this.planner.length === 1) {
+						AXES.forEach(function(axis) { this.gm.position[axis] = this.mpos[axis]; }.bind(this));
+					}
+				}
+				break;
+
+			case 'dwell':
+				this.vel = 0;
+				if(block.time > budget) {
+					block.time -= budget;
+					budget = 0;
+					continue;
+				}
+				budget -= block.time;
+				break;
+
+			case 'home':
+				this._setStat(STAT_HOMING);
+				for(var axis in block.position) {
+					this.mpos[axis] = block.position[axis];
+				}
+				this._setStat(STAT_RUNNING);
+				break;
+
+			case 'setpos':
+				for(var axis in block.position) {
+					this.mpos[axis] = block.position[axis];
+				}
+				break;
+
+			case 'output':
+				if('spindle' in block) { this.spindle = block.spindle; }
+				if('coolant' in block) { this.coolant = block.coolant; }
+				break;
+
+			case 'json':
+				this._applyJSON(block.values);
+				break;
+
+			case 'stop':
+				// Program stop, which the host uses to synchronize.  Motion continues with whatever is queued after it.
+				this.planner.shift();
+				this._setStat(STAT_STOP);
+				if(this.planner.length > 0) {
+					this._setStat(STAT_RUNNING);
+				}
+				continue;
+
+			case 'end':
+				this.planner.shift();
+				this._setStat(STAT_END);
+				if(this.planner.length > 0) {
+					this._setStat(STAT_RUNNING);
+				}
+				continue;
+		}
+		this.planner.shift();
+	}
+
+	// Accept more input now that there may be room in the planner
+	this._processInput();
+
+	if(this.planner.length === 0) {
+		this._stopTimer();
+		if(this.stat === STAT_RUNNING || this.stat === STAT_PROBE) {
+			// Ran out of things to do without an explicit stop or end
+			this._setStat(STAT_STOP);
+		}
+	} else if(now - this._lastReportTime >= (this.settings.si || 250)) {
+		this._statusReport();
+	}
+};
+
+// Advance the tool along a move for (at most) the time budget provided
+// Returns the time left in the budget once the move is done, or 0 if the move is still in progress
+G2Simulator.prototype._move = function(block, budget) {
+	var feed = block.rapid ? block.feed : block.feed*this._feedOverride();
+	var rate = feed/60000.0;  // mm/ms
+	if(block.probe && this.stat !== STAT_PROBE) {
+		this._setStat(STAT_PROBE);
+	} else if(!block.probe && this.stat === STAT_PROBE) {
+		this._setStat(STAT_RUNNING);
+	}
+	this.vel = feed;
+	while(budget > 0 && block.points.length > 0) {
+		var target = block.points[0];
+		var distance = Math.sqrt(LINEAR_AXES.reduce(function(sum, axis) {
+			return sum + Math.pow(target[axis] - this.mpos[axis], 2);
+		}.bind(this), 0));
+		// Moves that only involve rotary axes are timed using their angular distance
+		if(distance === 0) {
+			distance = Math.sqrt(['a','b','c'].reduce(function(sum, axis) {
+				return sum + Math.pow(target[axis] - this.mpos[axis], 2);
+			}.bind(this), 0));
+		}
+		var time = distance/rate;
+		if(time <= budget) {
+			AXES.forEach(function(axis) { this.mpos[axis] = target[axis]; }.bind(this));
+			block.points.shift();
+			budget -= time;
+		} else {
+			var fraction = (budget*rate)/distance;
+			AXES.forEach(function(axis) {
+				this.mpos[axis] += (target[axis] - this.mpos[axis])*fraction;
+			}.bind(this));
+			budget = 0;
+		}
+	}
+	return budget;
+};
+
+// Return the feed rate override factor (the mfo setting, if enabled with mfoe)
+G2Simulator.prototype._feedOverride = function() {
+	return this.settings.mfoe ? (this.settings.mfo || 1.0) : 1.0;
+};
+
+// Feedhold ('!') - Stop motion, keeping whatever is left in the planner
+G2Simulator.prototype._feedHold = function() {
+	switch(this.stat) {
+		case STAT_RUNNING:
+		case STAT_PROBE:
+			this._stopTimer();
+			this.hold = HOLD_HOLD;
+			this._setStat(STAT_HOLDING);
+			break;
+	}
+};
+
+// Cycle start ('~') - Resume from a feedhold
+G2Simulator.prototype._cycleStart = function() {
+	if(this.stat === STAT_HOLDING) {
+		this.hold = HOLD_OFF;
+		if(this.planner.length > 0) {
+			this._setStat(STAT_RUNNING);
+			this._startCycle();
+		} else {
+			this._setStat(STAT_STOP);
+		}
+	}
+};
+
+// Queue flush ('%') - Discard everything in the planner.  Only honored while in a feedhold.
+G2Simulator.prototype._queueFlush = function() {
+	if(this.stat === STAT_HOLDING) {
+		this._discard();
+		this.hold = HOLD_OFF;
+		this._setStat(STAT_STOP);
+	}
+};
+
+// Job kill (^D) - Stop immediately, discard everything and end the program
+G2Simulator.prototype._jobKill = function() {
+	this._stopTimer();
+	this._discard();
+	this.hold = HOLD_OFF;
+	this._resetGCodeModel();
+	if(this.stat !== STAT_ALARM) {
+		this._setStat(STAT_END);
+	}
+};
+
+// Put the machine in the alarm state, discarding everything that is queued
+G2Simulator.prototype._alarm = function(status, msg) {
+	this._stopTimer();
+	this._discard();
+	this._exception(status, msg);
+	this._setStat(STAT_ALARM);
+};
+
+// Discard everything queued in the planner or waiting to get into it, and re-sync the planned position
+G2Simulator.prototype._discard = function() {
+	this.planner = [];
+	this._rxQueue = [];
+	AXES.forEach(function(axis) {
+		this.gm.position[axis] = this.mpos[axis];
+	}.bind(this));
+};
+
+module.exports = G2Simulator;
@@ -0,0 +1,46 @@
+/*
+ * gcode_util.js
+ *
+ * Functions for working with g-code that are shared by the modules that read it on the host (rather than sending it
+ * straight to the motion controller) such as the G2 simulator.
+ */
+
+// A word: a letter and a number, eg: X1.5, G0, N120
+var WORD_RE = /([A-Z])\s*([-+]?(?:\d+\.?\d*|\.\d+))/g;
+
+// Strip the comments from a line of g-code and break it into words
+// Returns an object that maps each letter to its value, except for G and M words, which can appear more than once
+// on a line, and so are lists.  eg: 'N5 G0 G90 X1 Y2 (comment)' -> {G : [0,90], M : [], N : 5, X : 1, Y : 2}
+//   line - A single line of g-code
+function parseWords(line) {
+	var code = line.replace(/\([^)]*\)/g, '').replace(/;.*$/, '').toUpperCase();
+	var words = {G:[], M:[]};
+	var re = new RegExp(WORD_RE.source, 'g');
+	var m;
+	while((m = re.exec(code)) !== null) {
+		var letter = m[1];
+		var value = parseFloat(m[2]);
+		if(letter === 'G' || letter === 'M') {
+			words[letter].push(value);
+		} else {
+			words[letter] = value;
+		}
+	}
+	return words;
+}
+
+// Convert a value in the specified units to mm
+//   units - 'in' or 'mm'
+function toMM(value, units) {
+	return units === 'in' ? value*25.4 : value;
+}
+
+// Convert a value in mm to the specified units
+//   units - 'in' or 'mm'
+function fromMM(value, units) {
+	return units === 'in' ? value/25.4 : value;
+}
+
+exports.parseWords = parseWords;
+exports.toMM = toMM;
+exports.fromMM = fromMM;
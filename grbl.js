@@ -0,0 +1,906 @@
+/*
+ * grbl.js
+ *
+ * This module defines the GRBL driver, which runs the machine with a GRBL (1.1) motion controller instead of G2.
+ * It implements the driver interface (see driver.js) by translating to and from GRBL's protocol:
+ *
+ *  - G-codes are streamed with GRBL's "character counting" protocol:  Lines are sent as long as they fit in GRBL's
+ *    serial receive buffer, and each "ok" (or "error:N") frees up the space of the oldest line sent.
+ *  - GRBL doesn't send status reports by itself, so it is polled with '?' and its reports
+ *    (eg: <Run|MPos:1.000,2.000,0.000|FS:500,0>) are translated to G2 style status reports.
+ *  - Feedhold and resume are GRBL's realtime commands ('!' and '~')  GRBL has no queue flush, so quitting stops the
+ *    tool and resets GRBL, which keeps its position through a reset as long as the tool isn't moving.
+ *
+ * GRBL doesn't have G2's configuration, so the G2 configuration values are only kept in memory here (so the machine
+ * configuration loads as usual) except for GRBL's own settings ($0, $1, ...) which are read from and written to GRBL.
+ * The parts of G2's g-code dialect that GRBL has an equivalent for are translated (G28.2 homing is $H) and the rest
+ * is dropped (M100 JSON, G28.3)  GRBL's machine position only comes from homing, so setMachinePosition does nothing.
+ */
+var SerialPort = require('serialport');
+var fs = require('fs');
+var events = require('events');
+var async = require('async');
+var util = require('util');
+var stream = require('stream');
+var Q = require('q');
+var Queue = require('./util').Queue;
+var LineNumberer = require('./util').LineNumberer;
+var driver = require('./driver');
+var CycleContext = driver.CycleContext;
+var log = require('./log').logger('grbl');
+
+var BAUD_RATE = 115200;
+
+// Size of GRBL's serial receive buffer: Lines that are sent but not acknowledged must fit in it
+var RX_BUFFER_SIZE = 128;
+
+// How often to ask GRBL for a status report (ms)
+var STATUS_INTERVAL = 200;
+
+// How long to wait for GRBL's welcome message once the port is open before resetting GRBL to get one, and
+// how long to wait after that (ms)
+var WELCOME_TIMEOUT = 2000;
+var READY_TIMEOUT = 2000;
+
+// Delay before trying to reopen the serial port when the link to GRBL is lost (ms)  Doubles with each failed attempt.
+var RECONNECT_MIN_DELAY = 1000;
+var RECONNECT_MAX_DELAY = 30000;
+
+// Realtime commands
+var STATUS_QUERY = '?';
+var FEED_HOLD = '!';
+var CYCLE_START = '~';
+var SOFT_RESET = '\x18';
+
+// Realtime override commands, which change the overrides in steps (GRBL 1.1)
+var OVERRIDES = {
+	feed : {reset : 0x90, up10 : 0x91, down10 : 0x92, up1 : 0x93, down1 : 0x94, min : 10, max : 200},
+	spindle : {reset : 0x99, up10 : 0x9A, down10 : 0x9B, up1 : 0x9C, down1 : 0x9D, min : 10, max : 200}
+};
+
+// GRBL states, and the machine states they correspond to.  Idle is the end of a cycle, or a stop in the middle
+// of one (see handleStatusReport)  The safety door is treated as a feedhold, because that's what GRBL does with it.
+var STATES = {
+	'Idle' : driver.STAT_END,
+	'Run' : driver.STAT_RUNNING,
+	'Jog' : driver.STAT_RUNNING,
+	'Hold' : driver.STAT_HOLDING,
+	'Door' : driver.STAT_HOLDING,
+	'Home' : driver.STAT_HOMING,
+	'Alarm' : driver.STAT_ALARM,
+	'Check' : driver.STAT_CYCLING,
+	'Sleep' : driver.STAT_READY
+};
+
+// Value of `hold` in G2 status reports once a feedhold has stopped the tool
+var HOLD_STOPPED = 4;
+
+var AXES = ['x','y','z','a','b','c'];
+
+// GRBL alarms.  A soft limit is reported with G2's exception code for soft limits, so the runtimes handle it the same way.
+var ALARM_SOFT_LIMIT = 2;
+var G2_SOFT_LIMIT = 203;
+var ALARMS = {
+	1 : 'Hard limit triggered.  The machine position is likely lost, so home the machine before going on.',
+	2 : 'Soft limit: The move would leave the machine travel.',
+	3 : 'Reset while in motion.  The machine position is likely lost, so home the machine before going on.',
+	4 : 'Probe fail: The probe is not in the expected state before starting the probe cycle.',
+	5 : 'Probe fail: The probe did not contact the workpiece.',
+	6 : 'Homing fail: The homing cycle was reset.',
+	7 : 'Homing fail: The safety door was opened during the homing cycle.',
+	8 : 'Homing fail: The tool could not pull off of the limit switch.',
+	9 : 'Homing fail: Could not find a limit switch.'
+};
+
+// GRBL error codes (the ones that come up in practice)
+var ERRORS = {
+	1 : 'G-code words consist of a letter and a value.  Letter was not found.',
+	2 : 'Numeric value format is not valid or missing an expected value.',
+	3 : 'System command was not recognized or supported.',
+	9 : 'G-code is locked out during alarm or jog state.',
+	15 : 'Jog target exceeds machine travel.',
+	20 : 'Unsupported or invalid g-code command found in block.',
+	22 : 'Feed rate has not yet been set or is undefined.',
+	33 : 'Motion command target is invalid.'
+};
+
+// The GRBL object represents the connection to a GRBL controller over a serial port
+function GRBL() {
+	events.EventEmitter.call(this);
+	this.setMaxListeners(50);
+
+	this.status = {'stat':null, 'hold':0, 'posx':0, 'posy':0, 'posz':0, 'unit':'mm'};
+	this.settings = {};
+	this.version = null;
+	this.connected = false;
+	this.context = null;
+	this.units = 'mm';
+
+	// Lines waiting to be sent: {line : 'G1 X1', callback : <called with the response>}
+	// Commands go ahead of g-codes, and are sent even in a feedhold.
+	this.command_queue = new Queue();
+	this.gcode_queue = new Queue();
+
+	// Lines sent to GRBL but not acknowledged yet: {length : <bytes>, callback : <function or null>}
+	this._sent = [];
+
+	this.pause_flag = false;
+	this.quit_pending = false;
+	this.flushcallback = null;
+	this._reset_pending = false;
+	this._resetting = false;
+	this._abandoned = false;
+	this._streamDone = false;
+	this._forceReport = false;
+	this._currentData = [];
+	this._lineBuffer = [];
+	this._wco = [0,0,0,0,0,0];
+	this._lastExceptionReport = null;
+	this._statusTimer = null;
+}
+util.inherits(GRBL, events.EventEmitter);
+
+// Open the serial port and configure GRBL
+GRBL.prototype.connect = function(path, callback) {
+	this.path = path;
+	this._closing = false;
+	this._open(callback);
+};
+
+// Open the serial port and wait for GRBL to be ready.  Used to connect, and to reconnect when the link is lost.
+//   callback - Called with this driver once GRBL is ready, or with error if the port could not be opened
+GRBL.prototype._open = function(callback) {
+	var done = false;
+	var timer = null;
+	var finish = function(err) {
+		if(done) { return; }
+		done = true;
+		clearTimeout(timer);
+		if(err) {
+			this.removeListener('ready', onReady);
+			return callback(err);
+		}
+		callback(null, this);
+	}.bind(this);
+
+	log.info('Opening GRBL port: ' + this.path);
+	this._serialPort = this._createPort(this.path);
+	this._serialPort.on('error', this.onSerialError.bind(this));
+	this._serialPort.on('close', this.onSerialClose.bind(this));
+	this._serialPort.on('data', this.onData.bind(this));
+
+	// GRBL prints a welcome message when it starts up (or is reset)  Once it has, read its settings and status.
+	var onReady = function() {
+		this.connected = true;
+		this._startPolling();
+		this.command('$$', function() {
+			this.requestStatusReport(function() {
+				finish(null);
+			});
+		}.bind(this));
+	}.bind(this);
+	this.once('ready', onReady);
+
+	this._serialPort.open(function(err) {
+		if(err) {
+			log.error('Could not open the GRBL port: ' + err);
+			return finish(err);
+		}
+		log.info('GRBL port opened.');
+		// Opening the port resets most boards, which then print the welcome message.  If it doesn't come, reset GRBL.
+		timer = setTimeout(function() {
+			if(this.connected) { return; }
+			this._write(SOFT_RESET);
+			timer = setTimeout(function() {
+				finish(new Error('Never got the welcome message from GRBL.'));
+			}, READY_TIMEOUT);
+		}.bind(this), WELCOME_TIMEOUT);
+	}.bind(this));
+};
+
+// Create the (unopened) serial port for the provided path
+GRBL.prototype._createPort = function(path) {
+	return new SerialPort(path, {baudRate : BAUD_RATE, autoOpen : false});
+};
+
+// Close the serial port
+GRBL.prototype.disconnect = function(callback) {
+	this._closing = true;
+	this._stopPolling();
+	this._serialPort.close(callback);
+};
+
+// Reopen the serial port after disconnect().  The 'reconnect' event is emitted once GRBL is ready.
+GRBL.prototype.reopen = function() {
+	this._closing = false;
+	this._reset();
+	this._reconnect(0);
+};
+
+// GRBL always runs on real hardware
+GRBL.prototype.isSimulator = function() {
+	return false;
+};
+
+// Log serial errors.  If the port goes away, the 'close' event follows (see onSerialClose)
+GRBL.prototype.onSerialError = function(err) {
+	log.error('GRBL serial error: ' + err);
+};
+
+// When the serial link is lost, forget everything that was in progress and try to reopen the port.
+GRBL.prototype.onSerialClose = function() {
+	this.connected = false;
+	this._stopPolling();
+	if(this._closing || this._reconnecting) {
+		return;
+	}
+	log.error('GRBL serial link was lost.');
+	this._reset();
+	this.emit('disconnect');
+	this._reconnect(0);
+};
+
+// Clear the queues and the machining cycle, none of which survive the loss of the serial link
+GRBL.prototype._reset = function() {
+	this.command_queue.clear();
+	this.gcode_queue.clear();
+	this._sent = [];
+	this.context = null;
+	this.pause_flag = false;
+	this.quit_pending = false;
+	this.flushcallback = null;
+	this._reset_pending = false;
+	this._resetting = false;
+	this._currentData = [];
+	this._lineBuffer = [];
+};
+
+// Try to reopen the serial port, waiting longer after each failed attempt (up to RECONNECT_MAX_DELAY)
+//   attempt - The number of attempts that have failed so far
+GRBL.prototype._reconnect = function(attempt) {
+	var delay = Math.min(RECONNECT_MIN_DELAY*Math.pow(2, attempt), RECONNECT_MAX_DELAY);
+	this._reconnecting = true;
+	log.info('Trying to reconnect to GRBL in ' + delay/1000 + ' seconds...');
+	setTimeout(function() {
+		if(this._closing) {
+			this._reconnecting = false;
+			return;
+		}
+		var port = this._serialPort;
+		port.removeAllListeners();
+		port.on('error', function() {});
+		if(port.isOpen()) {
+			port.close();
+		}
+		this._open(function(err) {
+			if(err) {
+				log.warn('Could not reconnect to GRBL: ' + (err.message || err));
+				this._stopPolling();
+				this._reset();
+				return this._reconnect(attempt + 1);
+			}
+			log.info('Reconnected to GRBL.');
+			this._reconnecting = false;
+			this.emit('reconnect', this);
+		}.bind(this));
+	}.bind(this), delay);
+};
+
+GRBL.prototype._startPolling = function() {
+	this._stopPolling();
+	this._statusTimer = setInterval(function() {
+		this._write(STATUS_QUERY);
+	}.bind(this), STATUS_INTERVAL);
+};
+
+GRBL.prototype._stopPolling = function() {
+	if(this._statusTimer) {
+		clearInterval(this._statusTimer);
+		this._statusTimer = null;
+	}
+};
+
+// Write to the serial port (and log it)
+GRBL.prototype._write = function(data, callback) {
+	if(data !== STATUS_QUERY) {
+		log.g2('S', 'out', Buffer.isBuffer(data) ? data.toString('hex') : data);
+	}
+	this._serialPort.write(data, function() {
+		callback && callback();
+	});
+};
+
+// Called for every chunk of data from GRBL, which is repartitioned into lines
+GRBL.prototype.onData = function(data) {
+	this.emit('raw_data', data);
+	var s = data.toString('ascii');
+	for(var i=0; i<s.length; i++) {
+		var c = s[i];
+		if(c === '\n') {
+			var line = this._currentData.join('').trim();
+			this._currentData = [];
+			if(line) {
+				this.onMessage(line);
+			}
+		} else {
+			this._currentData.push(c);
+		}
+	}
+};
+
+// Handle a line from GRBL
+GRBL.prototype.onMessage = function(line) {
+	var match;
+	if(line[0] === '<') {
+		return this.handleStatusReport(line);
+	}
+	log.g2('S', 'in', line);
+	if(line === 'ok') {
+		return this._acknowledge(null);
+	}
+	if((match = line.match(/^error:(\d+)/))) {
+		var code = Number(match[1]);
+		var msg = ERRORS[code] || ('GRBL error ' + code);
+		this.emit('error', [code, 'GRBL_ERROR', msg]);
+		return this._acknowledge(new Error(msg));
+	}
+	if((match = line.match(/^ALARM:(\d+)/))) {
+		return this.handleAlarm(Number(match[1]));
+	}
+	if((match = line.match(/^\$(\d+)=(.*)$/))) {
+		this.settings['$' + match[1]] = Number(match[2]);
+		return;
+	}
+	if(/^Grbl /.test(line)) {
+		return this.onWelcome(line);
+	}
+	if(line[0] === '[') {
+		log.info('GRBL: ' + line);
+		return;
+	}
+	log.debug('Unexpected message from GRBL: ' + line);
+};
+
+// An "ok" or "error" frees up the space in GRBL's buffer taken by the oldest line sent
+//   err - The error (if the response was an error)
+GRBL.prototype._acknowledge = function(err) {
+	var sent = this._sent.shift();
+	if(!sent) {
+		return log.warn('Response from GRBL with no line sent.');
+	}
+	if(sent.callback) {
+		sent.callback(err);
+	}
+	this.sendMore();
+};
+
+// GRBL prints its welcome message when it starts up or is reset, after which anything that was in its buffer is gone
+GRBL.prototype.onWelcome = function(line) {
+	this.version = line;
+	var sent = this._sent;
+	this._sent = [];
+	sent.forEach(function(s) {
+		s.callback && s.callback(new Error('GRBL was reset.'));
+	});
+	this._resetting = false;
+	if(!this.connected) {
+		log.info('Connected to ' + line);
+		return this.emit('ready', this);
+	}
+	log.info('GRBL was reset.');
+
+	if(this.quit_pending) {
+		// The rest of the cycle is abandoned, so it ends as soon as GRBL is idle
+		this.quit_pending = false;
+		this._abandoned = true;
+		this._streamDone = true;
+		this.gcode_queue.clear();
+	}
+	this.pause_flag = false;
+	if(this.flushcallback) {
+		this.flushcallback(null);
+		this.flushcallback = null;
+	}
+	// A reset puts GRBL back in its default modes, so restore the units
+	this.command(this.units === 'in' ? 'G20' : 'G21');
+};
+
+// Handle an alarm.  GRBL locks out g-codes until it is homed or unlocked, so the current cycle is abandoned.
+//   code - The alarm code
+GRBL.prototype.handleAlarm = function(code) {
+	var msg = ALARMS[code] || ('GRBL alarm ' + code);
+	log.error('GRBL alarm: ' + msg);
+	this._lastExceptionReport = {st : code === ALARM_SOFT_LIMIT ? G2_SOFT_LIMIT : null, alarm : code, msg : msg};
+	this.gcode_queue.clear();
+	if(this.context) {
+		this._abandoned = true;
+		this._streamDone = true;
+	}
+	this._forceReport = true;
+};
+
+GRBL.prototype.getLastException = function() {
+	return this._lastExceptionReport || null;
+};
+
+GRBL.prototype.clearLastException = function() {
+	this._lastExceptionReport = null;
+};
+
+// Clear an alarm (GRBL's "kill alarm lock")
+GRBL.prototype.clearAlarm = function() {
+	this.command('$X');
+};
+
+// True if everything in the current cycle has been sent and acknowledged
+GRBL.prototype._cycleDone = function() {
+	return this.context && this._streamDone && this.gcode_queue.getLength() === 0 && this._sent.length === 0;
+};
+
+// Translate a GRBL status report (eg: <Hold:0|MPos:1.000,2.000,0.000|FS:0,0|WCO:0.000,0.000,0.000>) and
+// update the status.  The positions are reported in the current units, like G2 does.
+GRBL.prototype.handleStatusReport = function(report) {
+	var fields = report.replace(/^<|>$/g, '').split('|');
+	var state = fields[0].split(':');
+	var name = state[0];
+	var substate = Number(state[1] || 0);
+	var mpos = null;
+	var wpos = null;
+	var overrides = null;
+	var accessories = '';
+	var sr = {};
+
+	fields.slice(1).forEach(function(field) {
+		var parts = field.split(':');
+		var values = (parts[1] || '').split(',').map(Number);
+		switch(parts[0]) {
+			case 'MPos': mpos = values; break;
+			case 'WPos': wpos = values; break;
+			case 'WCO': this._wco = values; break;
+			case 'FS':
+			case 'F': sr.vel = values[0]; break;
+			case 'Ln': sr.line = values[0]; break;
+			case 'Ov': overrides = values; break;
+			case 'A': accessories = parts[1] || ''; break;
+		}
+	}.bind(this));
+
+	// GRBL reports either machine or work positions (depending on $10) in mm (or inches if $13=1)
+	var scale = this.settings['$13'] ? 25.4 : 1;
+	var units_scale = this.units === 'in' ? 1/25.4 : 1;
+	var count = (mpos || wpos || []).length;
+	for(var i=0; i<count && i<AXES.length; i++) {
+		var m = mpos ? mpos[i] : wpos[i] + (this._wco[i] || 0);
+		var w = wpos ? wpos[i] : mpos[i] - (this._wco[i] || 0);
+		sr['mpo' + AXES[i]] = m*scale;
+		sr['pos' + AXES[i]] = w*scale*units_scale;
+	}
+	if('vel' in sr) {
+		sr.vel = sr.vel*scale*units_scale;
+	}
+	// The overrides and accessories are only in some of the reports
+	if(overrides) {
+		sr.spc = accessories.indexOf('S') >= 0 ? 1 : (accessories.indexOf('C') >= 0 ? 2 : 0);
+	}
+	sr.unit = this.units;
+	sr.hold = (name === 'Hold' && substate === 0) || name === 'Door' ? HOLD_STOPPED : (name === 'Hold' ? 1 : 0);
+
+	// Idle is the end of the cycle once everything has been sent, but only a stop until then
+	var endCycle = this._cycleDone() && (name === 'Idle' || name === 'Alarm');
+	var stat = STATES[name] === undefined ? this.status.stat : STATES[name];
+	if(name === 'Idle' && this.context && !endCycle) {
+		stat = driver.STAT_STOP;
+	}
+	if(endCycle) {
+		stat = driver.STAT_END;
+	}
+	sr.stat = stat;
+
+	// A quit or flush resets GRBL once the tool has stopped (see _stopAndReset)
+	if(this._reset_pending && !this._resetting && (sr.hold === HOLD_STOPPED || name === 'Idle' || name === 'Alarm')) {
+		this._softReset();
+	}
+
+	var changed = this._forceReport;
+	var previous = this.status.stat;
+	for(var key in sr) {
+		if(this.status[key] !== sr[key]) {
+			changed = true;
+			this.status[key] = sr[key];
+		}
+	}
+	this._forceReport = false;
+
+	var statChanged = previous !== stat;
+	if(statChanged && !this.quit_pending) {
+		if(stat === driver.STAT_HOLDING) {
+			this.pause_flag = true;
+			if(this.context) {
+				this.context.pause();
+			}
+		} else if(previous === driver.STAT_HOLDING) {
+			this.pause_flag = false;
+			if(this.context) {
+				this.context.resume();
+			}
+			this.sendMore();
+		}
+	}
+
+	if(changed && this.context) {
+		this.context.emit('status', this.status);
+	}
+	if(statChanged || endCycle) {
+		this.emit('stat', stat);
+		if(this.context) {
+			this.context.emit('stat', stat);
+		}
+	}
+	if(changed || endCycle) {
+		this.emit('status', this.status);
+	}
+};
+
+// Request a status report.  The callback, if provided, is called with the status.
+GRBL.prototype.requestStatusReport = function(callback) {
+	typeof callback === 'function' && this.once('status', callback);
+	this._forceReport = true;
+	this._write(STATUS_QUERY);
+};
+
+// Translate a line of G2's g-code dialect for GRBL
+//   line - The line
+// Returns the line to send, or null if there's nothing to send
+GRBL.prototype._translate = function(line) {
+	line = line.trim();
+	var code = line.replace(/^N\d+\s*/i, '').toUpperCase();
+	if(!code || /^\(.*\)$/.test(code)) {
+		return null;
+	}
+	// M100 and M101 carry G2 JSON (configuration, outputs, etc) which GRBL doesn't have
+	if(/^M10[01](\.\d)?\b/.test(code)) {
+		log.debug('Not sending G2 specific code to GRBL: ' + line);
+		return null;
+	}
+	if(/G28\.2/.test(code)) {
+		return '$H';
+	}
+	if(/G28\.3/.test(code)) {
+		log.warn('GRBL cannot set the machine position: ' + line);
+		return null;
+	}
+	var units = code.match(/G2([01])(?![\d.])/);
+	if(units) {
+		this.units = units[1] === '0' ? 'in' : 'mm';
+	}
+	return line;
+};
+
+// Queue a g-code to send
+//      queue - The queue (command_queue or gcode_queue)
+//       line - The g-code
+//   callback - Called with the response (optional)
+GRBL.prototype._enqueue = function(queue, line, callback) {
+	line = this._translate(line);
+	if(line === null) {
+		return callback && setImmediate(callback, null);
+	}
+	queue.enqueue({line : line, callback : callback || null});
+};
+
+// Send as many queued lines as fit in GRBL's buffer.  Commands go first, and g-codes wait during a feedhold.
+GRBL.prototype.sendMore = function() {
+	if(!this.connected || this._resetting) {
+		return;
+	}
+	var queues = this.pause_flag ? [this.command_queue] : [this.command_queue, this.gcode_queue];
+	var used = this._sent.reduce(function(total, sent) { return total + sent.length; }, 0);
+	var lines = [];
+	for(var i=0; i<queues.length; i++) {
+		var queue = queues[i];
+		while(queue.getLength() > 0) {
+			var item = queue.peek();
+			var length = item.line.length + 1;
+			// A line too long for the buffer can only go by itself
+			if(used + length > RX_BUFFER_SIZE && (used > 0 || lines.length > 0)) {
+				break;
+			}
+			queue.dequeue();
+			used += length;
+			this._sent.push({length : length, callback : item.callback});
+			lines.push(item.line);
+		}
+		if(queue.getLength() > 0) {
+			break;
+		}
+	}
+	if(lines.length) {
+		this._write(lines.join('\n') + '\n');
+	}
+};
+
+// Send a g-code (string) or set configuration values (object)
+//        obj - The g-code, or configuration values (eg: {'$110' : 5000, 'xvm' : 5000})  A value of null is a read.
+//   callback - Called once GRBL has responded to the g-code (optional, and only for g-codes)
+GRBL.prototype.command = function(obj, callback) {
+	if(typeof obj === 'string') {
+		this._enqueue(this.command_queue, obj, callback);
+		return this.sendMore();
+	}
+	for(var key in obj) {
+		if(obj[key] !== null) {
+			this._setValue(key, obj[key], function() {});
+		}
+	}
+};
+
+// Set a configuration value.  GRBL settings ($N) are written to GRBL, and anything else is only kept here.
+GRBL.prototype._setValue = function(key, value, callback) {
+	if(!/^\$\d+$/.test(key)) {
+		this.settings[key] = value;
+		return setImmediate(callback, null, value);
+	}
+	this.command(key + '=' + value, function(err) {
+		if(err) {
+			return callback(err);
+		}
+		this.settings[key] = Number(value);
+		callback(null, this.settings[key]);
+	}.bind(this));
+};
+
+// Get configuration values
+//        key - The key, or a list of keys (in which case the callback gets a list of values)
+//   callback - Called with the value(s)  Values that were never set are null.
+GRBL.prototype.get = function(key, callback) {
+	var keys = key instanceof Array ? key : [key];
+	var values = keys.map(function(k) {
+		return k in this.settings ? this.settings[k] : null;
+	}.bind(this));
+	setImmediate(callback, null, key instanceof Array ? values : values[0]);
+};
+
+// Set configuration values
+//        obj - The values, eg: {'$110' : 5000, 'xvm' : 5000}
+//   callback - Called with the values set
+GRBL.prototype.setMany = function(obj, callback) {
+	var retval = {};
+	async.eachSeries(Object.keys(obj), function(key, callback) {
+		this._setValue(key, obj[key], function(err, value) {
+			retval[key] = value;
+			callback(err);
+		});
+	}.bind(this), function(err) {
+		callback(err || null, retval);
+	});
+};
+
+// Set a single configuration value
+GRBL.prototype.set = function(key, value, callback) {
+	if(value === undefined) {
+		return callback(new Error("Undefined value passed to GRBL"));
+	}
+	this._setValue(key, value, callback);
+};
+
+// Send data straight to GRBL (passthrough)
+GRBL.prototype.write = function(data) {
+	this._write(data);
+};
+
+// Set the units, which GRBL only has as a g-code
+GRBL.prototype.setUnits = function(units, callback) {
+	this.command((units === 0 || units === 'in') ? 'G20' : 'G21');
+	this.requestStatusReport(function() { callback && callback(); });
+};
+
+// Set the feed rate and spindle speed overrides, which GRBL changes in steps of 10% and 1%
+//   overrides - Object with feed and/or spindle factors (1.0 is 100%) eg: {feed : 0.5, spindle : 1.2}
+GRBL.prototype.setOverrides = function(overrides) {
+	['feed', 'spindle'].forEach(function(name) {
+		if(overrides[name] === undefined) {
+			return;
+		}
+		var o = OVERRIDES[name];
+		var diff = Math.max(o.min, Math.min(o.max, Math.round(overrides[name]*100))) - 100;
+		var codes = [o.reset];
+		for(; diff >= 10; diff -= 10) { codes.push(o.up10); }
+		for(; diff <= -10; diff += 10) { codes.push(o.down10); }
+		for(; diff > 0; diff--) { codes.push(o.up1); }
+		for(; diff < 0; diff++) { codes.push(o.down1); }
+		this._write(new Buffer(codes));
+	}.bind(this));
+};
+
+// GRBL's machine position comes only from homing, so it can't be set
+GRBL.prototype.setMachinePosition = function(position, callback) {
+	log.warn('GRBL cannot set the machine position (home the machine instead)');
+	callback && setImmediate(callback);
+};
+
+// Pause the current machining cycle
+GRBL.prototype.feedHold = function(callback) {
+	this.pause_flag = true;
+	typeof callback === 'function' && this.once('stat', callback);
+	if(this.status.stat === driver.STAT_PROBE) {
+		return this.quit();
+	}
+	if(this.context) {
+		this.context.pause();
+	}
+	this._write(FEED_HOLD);
+};
+
+// Bring the system out of feedhold
+// Returns a promise that resolves once GRBL is out of the feedhold
+GRBL.prototype.resume = function() {
+	var deferred = Q.defer();
+	var onStat = function(stat) {
+		if(stat !== driver.STAT_HOLDING) {
+			this.removeListener('stat', onStat);
+			deferred.resolve(stat);
+		}
+	}.bind(this);
+	this.on('stat', onStat);
+	this.pause_flag = false;
+	this._write(CYCLE_START);
+	if(this.context) {
+		this.context.resume();
+	}
+	this.sendMore();
+	return deferred.promise;
+};
+
+// Stop the tool (if it's moving) and reset GRBL once it has stopped (see handleStatusReport)
+GRBL.prototype._stopAndReset = function() {
+	this.gcode_queue.clear();
+	this._reset_pending = true;
+	switch(this.status.stat) {
+		case driver.STAT_RUNNING:
+		case driver.STAT_HOMING:
+		case driver.STAT_PROBE:
+			this._write(FEED_HOLD);
+			break;
+		default:
+			this._softReset();
+			break;
+	}
+};
+
+GRBL.prototype._softReset = function() {
+	log.info('Resetting GRBL');
+	this._reset_pending = false;
+	this._resetting = true;
+	this._write(SOFT_RESET);
+};
+
+// Stop the tool and abandon the machining cycle
+GRBL.prototype.quit = function() {
+	if(!this.connected) {
+		log.warn("Not quitting because there is no connection to GRBL.");
+		return;
+	}
+	if(this.quit_pending) {
+		log.warn("Not quitting because a quit is already pending.");
+		return;
+	}
+	this.quit_pending = true;
+	this._stopAndReset();
+};
+
+// Throw away the moves that are queued but haven't run
+//   callback - Called once GRBL has stopped and been reset
+GRBL.prototype.queueFlush = function(callback) {
+	log.debug('Clearing the queue.');
+	this.flushcallback = callback;
+	this._stopAndReset();
+};
+
+// Creates a cycle context, which has a pass-through stream into which data can be piped
+GRBL.prototype._createCycleContext = function() {
+	if(this.context) {
+		throw new Error("Cannot create a new cycle context.  One already exists.");
+	}
+	var st = new stream.PassThrough();
+	st.setEncoding('utf8');
+	this._streamDone = false;
+	this._abandoned = false;
+	this._lineBuffer = [];
+
+	var isCurrent = function() {
+		return this.context && this.context._stream === st && !this._abandoned;
+	}.bind(this);
+
+	st.on('data', function(chunk) {
+		if(!isCurrent()) {
+			return;
+		}
+		chunk = chunk.toString();
+		for(var i=0; i<chunk.length; i++) {
+			if(chunk[i] === '\n') {
+				this._enqueue(this.gcode_queue, this._lineBuffer.join(''));
+				this._lineBuffer = [];
+			} else {
+				this._lineBuffer.push(chunk[i]);
+			}
+		}
+		this.sendMore();
+	}.bind(this));
+
+	st.on('end', function() {
+		if(!isCurrent()) {
+			return;
+		}
+		if(this._lineBuffer.length) {
+			this._enqueue(this.gcode_queue, this._lineBuffer.join(''));
+			this._lineBuffer = [];
+		}
+		this._streamDone = true;
+		this.sendMore();
+		log.debug("Stream END event.");
+	}.bind(this));
+
+	// Create the promise that resolves when the machining cycle ends.
+	var promise = this._createStatePromise([driver.STAT_END]).then(function() {
+		this.context = null;
+		return this;
+	}.bind(this));
+
+	this.context = new CycleContext(this, st, promise);
+};
+
+// Return a promise that resolves when one of the provided states is encountered
+GRBL.prototype._createStatePromise = function(states) {
+	var deferred = Q.defer();
+	var onStat = function(stat) {
+		if(states.indexOf(stat) >= 0) {
+			this.removeListener('stat', onStat);
+			deferred.resolve(stat);
+		}
+	}.bind(this);
+	this.on('stat', onStat);
+	return deferred.promise;
+};
+
+// Run data from a stream (see G2.prototype.runStream)
+GRBL.prototype.runStream = function(s) {
+	this._createCycleContext();
+	s.pipe(this.context._stream);
+	return this.context;
+};
+
+// Run a (possibly multi-line) string
+GRBL.prototype.runString = function(data) {
+	var stringStream = new stream.Readable();
+	stringStream.push(data + "\n");
+	stringStream.push(null);
+	return this.runStream(stringStream);
+};
+
+// Run a list of lines
+GRBL.prototype.runList = function(l) {
+	var stringStream = new stream.Readable();
+	for(var i=0; i<l.length; i++) {
+		stringStream.push(l[i] + "\n");
+	}
+	stringStream.push(null);
+	return this.runStream(stringStream);
+};
+
+// Run a file
+GRBL.prototype.runFile = function(filename) {
+	return this.runStream(fs.createReadStream(filename).pipe(new LineNumberer()));
+};
+
+// GRBL buffers what it's sent in its own planner, so there is no priming:  Just send whatever is queued.
+GRBL.prototype.prime = function() {
+	this.sendMore();
+};
+
+GRBL.prototype.getInfo = function() {
+	return "GRBL: " + this.version + " sent:" + this._sent.length + " gcq:" + this.gcode_queue.getLength();
+};
+
+driver.defineStates(GRBL.prototype);
+
+exports.GRBL = GRBL;
@@ -0,0 +1,138 @@
+/*
+ * heightmap.js
+ *
+ * Height maps for surface leveling.  A height map is a point cloud in the XYZ format that the Leveler reads
+ * (see runtime/opensbp/commands/leveler.js): one point per line, with the X, Y and Z coordinates separated by spaces.
+ * Z is the height of the surface at that point, in work coordinates.  When leveling is applied, the height of the
+ * surface under each move is added to the Z of the move.
+ *
+ * Height maps are made by probing a grid of points on the surface (see the PG command).  Storing a height map turns
+ * leveling on for the jobs that follow (config.opensbp transforms.level)
+ */
+var fs = require('fs');
+var path = require('path');
+var config = require('./config');
+var Leveler = require('./runtime/opensbp/commands/leveler').Leveler;
+var log = require('./log').logger('heightmap');
+
+// Limit on the number of points in a grid, so that a typo in the spacing doesn't mean a week of probing
+var MAX_POINTS = 2500;
+
+// Format a coordinate for the XYZ file
+function fmt(value) {
+	return Number(value.toFixed(5)).toString();
+}
+
+// Return the name of the file where the height map is stored
+var getFile = function() {
+	return path.join(config.getDataDir('config'), 'heightmap.xyz');
+}
+
+// Return the points of a grid that covers the specified rectangle, in the order they should be probed.
+// Rows are probed in alternating directions, so the tool doesn't have to travel back across the surface for each row.
+// The spacing is adjusted (downward) so that the grid fits the rectangle exactly.
+// Throw an error if the rectangle or spacing are not valid.
+//      xmin, ymin - One corner of the rectangle
+//      xmax, ymax - The opposite corner
+//         spacing - The (maximum) distance between points
+var getGrid = function(xmin, ymin, xmax, ymax, spacing) {
+	var values = [xmin, ymin, xmax, ymax, spacing].map(Number);
+	if(values.some(isNaN)) {
+		throw new Error("Invalid probing grid: The corners and spacing must be numbers.");
+	}
+	xmin = Math.min(values[0], values[2]);
+	xmax = Math.max(values[0], values[2]);
+	ymin = Math.min(values[1], values[3]);
+	ymax = Math.max(values[1], values[3]);
+	spacing = values[4];
+	if(spacing <= 0) {
+		throw new Error("Invalid probing grid: The spacing must be more than 0.");
+	}
+
+	var nx = Math.max(1, Math.ceil((xmax - xmin)/spacing - 1e-9));
+	var ny = Math.max(1, Math.ceil((ymax - ymin)/spacing - 1e-9));
+	if((nx+1)*(ny+1) > MAX_POINTS) {
+		throw new Error("Invalid probing grid: " + (nx+1)*(ny+1) + " points is too many (The limit is " + MAX_POINTS + ").  Use a larger spacing.");
+	}
+
+	var points = [];
+	for(var j=0; j<=ny; j++) {
+		var y = ymin + (ymax - ymin)*j/ny;
+		for(var i=0; i<=nx; i++) {
+			var x = xmin + (xmax - xmin)*(j % 2 ? nx - i : i)/nx;
+			points.push([x, y]);
+		}
+	}
+	return points;
+}
+
+// Store a height map, and turn leveling on
+//     points - List of points ([x, y, z])
+//      units - The units of the points ('in' or 'mm')
+//   callback - Called once the height map is stored, or with error if error
+var save = function(points, units, callback) {
+	var file = getFile();
+	var data = points.map(function(point) {
+		return point.map(fmt).join(' ');
+	}).join('\n') + '\n';
+	fs.writeFile(file, data, function(err) {
+		if(err) { return callback(err); }
+		log.info('Stored a height map of ' + points.length + ' points (' + units + ') in ' + file);
+		config.opensbp.setMany({
+			'transforms' : {
+				'level' : {'apply' : true, 'ptDataFile' : file, 'units' : units}
+			}
+		}, function(err) {
+			callback(err);
+		});
+	});
+}
+
+// Load the current height map
+//   callback - Called with the height map or with error if error.  The height map looks like:
+//              {points : [[x,y,z],...], triangles : [[i,j,k],...], units : 'in', apply : true, apply_gcode : false}
+//              where triangles are the triangulation of the points that is used for leveling (indexes into points)
+var load = function(callback) {
+	var level = config.opensbp.get('transforms').level;
+	fs.stat(level.ptDataFile, function(err, stats) {
+		if(err || !stats.isFile()) {
+			return callback(new Error("No height map.  Probe the surface to make one."));
+		}
+		try {
+			var leveler = new Leveler(level.ptDataFile);
+		} catch(e) {
+			return callback(e);
+		}
+		callback(null, {
+			'points' : leveler.points,
+			'triangles' : leveler.triangles,
+			'units' : level.units || config.machine.get('units'),
+			'apply' : level.apply,
+			'apply_gcode' : !!level.apply_gcode
+		});
+	});
+}
+
+// Turn leveling on or off
+//   settings - Any of:
+//                 apply - True to apply leveling to the OpenSBP jobs that follow
+//           apply_gcode - True to apply leveling to the G-Code jobs that follow (see leveling.js)
+//   callback - Called once the settings are changed, or with error if error
+var setApply = function(settings, callback) {
+	var level = {};
+	['apply', 'apply_gcode'].forEach(function(key) {
+		if(key in settings) {
+			level[key] = !!settings[key];
+		}
+	});
+	config.opensbp.setMany({'transforms' : {'level' : level}}, function(err) {
+		callback(err);
+	});
+}
+
+exports.MAX_POINTS = MAX_POINTS;
+exports.getFile = getFile;
+exports.getGrid = getGrid;
+exports.save = save;
+exports.load = load;
+exports.setApply = setApply;
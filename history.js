@@ -0,0 +1,224 @@
+/*
+ * history.js
+ *
+ * Export and import of the job history.
+ *
+ * The history can be exported as CSV (for spreadsheets) or JSON.  Each exported job has the name of its file, how long
+ * it took, its outcome (finished, cancelled or failed) and the user that submitted it.  The JSON export also has the
+ * job itself, as stored in the database, and optionally the contents of its file.  An export with the files can be
+ * imported on another controller (a replacement, say) to restore the history there.
+ */
+var fs = require('fs-extra');
+var path = require('path');
+var async = require('async');
+var config = require('./config');
+var db = require('./db');
+var log = require('./log').logger('history');
+
+var STATES = ['finished', 'cancelled', 'failed'];
+
+// The columns of the CSV export (the fields of the records made by makeRecord)
+var CSV_COLUMNS = ['id', 'name', 'file', 'state', 'user', 'created_at', 'started_at', 'finished_at', 'duration',
+	'spindle_time', 'cut_distance', 'units', 'description'];
+
+// Parse a time for a filter: a UNIX timestamp (ms) or anything Date can parse, eg: '2018-03-01'
+// Returns null if no time is provided, and throws an error if the time is not valid.
+//   value - The time to parse
+function parseTime(value) {
+	if(value === undefined || value === null || value === '') {
+		return null;
+	}
+	var time = isNaN(Number(value)) ? Date.parse(value) : Number(value);
+	if(isNaN(time)) {
+		throw new Error('Invalid date: ' + value);
+	}
+	return time;
+}
+
+// Check the export options and return them the way Job.findHistory expects them
+//   options - Object with any of:
+//               from - Only jobs that finished at or after this time (see parseTime)
+//                 to - Only jobs that finished before this time
+//              state - The state or states to include (list, or comma separated) eg: 'finished,failed'
+var parseFilters = function(options) {
+	options = options || {};
+	var states = options.state || STATES;
+	if(typeof states === 'string') {
+		states = states.split(',');
+	}
+	states.forEach(function(state) {
+		if(STATES.indexOf(state) < 0) {
+			throw new Error('Invalid state: ' + state + ' (must be one of ' + STATES.join(', ') + ')');
+		}
+	});
+	return {
+		from : parseTime(options.from),
+		to : parseTime(options.to),
+		states : states
+	};
+}
+
+// Return the record that is exported for a job
+//    job - The job
+//   file - The job's file (or null if it is missing)
+function makeRecord(job, file) {
+	var stats = job.stats || {};
+	return {
+		id : job._id,
+		name : job.name,
+		file : file ? file.filename : null,
+		state : job.state,
+		user : job.user || null,
+		created_at : job.created_at,
+		started_at : job.started_at,
+		finished_at : job.finished_at,
+		duration : (job.started_at && job.finished_at) ? (job.finished_at - job.started_at)/1000 : null,
+		spindle_time : stats.spindle_time === undefined ? null : stats.spindle_time/1000,
+		cut_distance : stats.cut_distance === undefined ? null : stats.cut_distance,
+		units : stats.units || null,
+		description : job.description
+	};
+}
+
+// Return a value as a CSV field, quoted if need be.  Times are written as dates, for spreadsheets.
+function csvField(key, value) {
+	if(value === null || value === undefined) {
+		return '';
+	}
+	if(/_at$/.test(key)) {
+		value = new Date(value).toISOString();
+	}
+	value = String(value);
+	if(/[",\r\n]/.test(value)) {
+		value = '"' + value.replace(/"/g, '""') + '"';
+	}
+	return value;
+}
+
+// Return the records (see makeRecord) as CSV, with a header row
+var toCSV = function(records) {
+	var lines = [CSV_COLUMNS.join(',')];
+	records.forEach(function(record) {
+		lines.push(CSV_COLUMNS.map(function(key) {
+			return csvField(key, record[key]);
+		}).join(','));
+	});
+	return lines.join('\r\n') + '\r\n';
+}
+
+// Export the jobs in the history that match the provided filters
+//    options - The filters (see parseFilters) and:
+//                files - True to include the contents of each job's file (base64) so the export can be imported
+//   callback - Called with the export: {exported_at : <time>, jobs : [records]} where each record (see makeRecord)
+//              also has the job (`job`) the hash of its file (`file_hash`) and the file (`file_data`) if requested
+var exportHistory = function(options, callback) {
+	options = options || {};
+	try {
+		var filters = parseFilters(options);
+	} catch(e) {
+		return setImmediate(callback, e);
+	}
+	db.Job.findHistory(filters, function(err, jobs) {
+		if(err) {
+			return callback(err);
+		}
+		async.mapSeries(jobs, function(job, callback) {
+			db.File.getByID(job.file_id, function(err, file) {
+				file = err ? null : file;
+				var record = makeRecord(job, file);
+				var document = {};
+				for(var key in job) {
+					if(job.hasOwnProperty(key) && key !== '_id' && key !== 'file_id') {
+						document[key] = job[key];
+					}
+				}
+				record.job = document;
+				record.file_hash = file ? file.hash : null;
+				if(!options.files || !file) {
+					return callback(null, record);
+				}
+				fs.readFile(file.path, function(err, data) {
+					if(err) {
+						log.warn('Could not read the file for job ' + job._id + ': ' + err.message);
+					} else {
+						record.file_data = data.toString('base64');
+					}
+					callback(null, record);
+				});
+			});
+		}, function(err, records) {
+			if(err) {
+				return callback(err);
+			}
+			callback(null, {exported_at : Date.now(), jobs : records});
+		});
+	});
+}
+
+// Find or store the file for an imported job
+//     record - The imported record (see exportHistory)
+//   callback - Called with the file, or with null if the file isn't in the record or in the database
+function restoreFile(record, callback) {
+	if(!record.file_data) {
+		if(!record.file_hash) {
+			return setImmediate(callback, null, null);
+		}
+		return db.File.getByHash(record.file_hash, callback);
+	}
+	var pathname = path.join(config.engine.get('upload_dir') || '/tmp', 'import-' + Date.now() + '-' + path.basename(record.file || 'file'));
+	fs.writeFile(pathname, new Buffer(record.file_data, 'base64'), function(err) {
+		if(err) {
+			return callback(err);
+		}
+		// File.add moves the file into place, unless it's a file that's already stored
+		db.File.add(record.file || 'Untitled', pathname, function(err, file) {
+			fs.unlink(pathname, function() {});
+			callback(err, file);
+		});
+	});
+}
+
+// Import the history exported from another controller (see exportHistory)  Jobs that are already in the history
+// are skipped, as are jobs whose file is not in the export (and not on this controller either)
+//       data - The JSON export
+//   callback - Called with the number of jobs imported and skipped: {imported : 12, skipped : 1}
+var importHistory = function(data, callback) {
+	var records = data && data.jobs;
+	if(!Array.isArray(records)) {
+		return setImmediate(callback, new Error('Not a job history export: There is no list of jobs.'));
+	}
+	var result = {imported : 0, skipped : 0};
+	async.eachSeries(records, function(record, callback) {
+		if(!record || !record.job || STATES.indexOf(record.job.state) < 0) {
+			result.skipped++;
+			return callback();
+		}
+		restoreFile(record, function(err, file) {
+			if(err) {
+				return callback(err);
+			}
+			if(!file) {
+				log.warn('Not importing job ' + record.name + ' because its file is not in the export.');
+				result.skipped++;
+				return callback();
+			}
+			db.Job.restore(record.job, file._id, function(err, job) {
+				if(err) {
+					return callback(err);
+				}
+				result[job ? 'imported' : 'skipped']++;
+				callback();
+			});
+		});
+	}, function(err) {
+		if(err) {
+			return callback(err);
+		}
+		log.info('Imported ' + result.imported + ' jobs into the history (' + result.skipped + ' skipped)');
+		callback(null, result);
+	});
+}
+
+exports.toCSV = toCSV;
+exports.exportHistory = exportHistory;
+exports.importHistory = importHistory;
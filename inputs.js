@@ -0,0 +1,409 @@
+/*
+ * inputs.js
+ *
+ * Input functions: What the machine does when one of its digital inputs changes.
+ *
+ * G2 gives its inputs some basic functions of its own (limit switches, etc. - see the di settings in the G2 configuration)
+ * and this is where the machine model layers its own functions on top of them.  Each input function (config.machine `inputs`)
+ * maps an input to an action, eg: {input : 2, action : 'start', polarity : 'normal', debounce : 50, hold : 0, states : 'armed'}
+ *
+ *      input - The input number (in1, in2, etc. in the status report)
+ *     action - What to do when the input becomes active:
+ *                    start - Start what the machine is armed for (the "okay" button on the tool, see Machine.arm)
+ *                    pause - Pause what is running
+ *                   resume - Resume from a pause or an interlock
+ *                     quit - Quit what is running or paused
+ *                interlock - Pause what is running, and don't start anything while the input is active (a door interlock)
+ *                    estop - Quit what is running, and don't start anything (not even manual moves) while the input is active
+ *                    macro - Run the macro numbered `macro`
+ *                 variable - Set the OpenSBP persistent variable named `variable` to `value`
+ *              ap_collapse - Put the tool in AP mode (a failsafe for tools that get "lost" on the network)
+ *   polarity - 'normal' if the input is active when G2 reports it on, 'inverted' if it is active when G2 reports it off
+ *   debounce - How long the input has to stay put before a change counts (milliseconds)
+ *       hold - How long the input has to stay active before the action happens (seconds) eg: for a button that must be held down
+ *     states - The machine states that the action can happen in (comma separated, eg: 'running,paused') or empty for any state
+ *
+ * Actions happen when an input becomes active, never when it goes inactive, so a button does its thing once per press.
+ * Several functions can share an input (an okay button that both starts and resumes, eg.) and their state filters sort out
+ * which one applies.
+ */
+var config = require('./config');
+var macros = require('./macros');
+var updater = require('./updater');
+var log = require('./log').logger('inputs');
+
+var ACTIONS = ['start', 'pause', 'resume', 'quit', 'interlock', 'estop', 'macro', 'variable', 'ap_collapse'];
+var POLARITIES = ['normal', 'inverted'];
+
+// The states that each action happens in, unless the input function says otherwise
+var DEFAULT_STATES = {
+	start : 'armed',
+	pause : 'running',
+	resume : 'paused,interlock',
+	quit : 'paused,interlock',
+	interlock : '',
+	estop : '',
+	macro : 'idle',
+	variable : '',
+	ap_collapse : ''
+};
+
+// Default debounce time (milliseconds)
+var DEBOUNCE = 50;
+
+// If you press a button to pause, you're not allowed to resume or quit for at least a second
+// (To eliminate the chance of a double-tap doing something you didn't intend.)
+var PAUSE_GUARD = 1000;
+
+// What is going on with each input function, by id: {raw, active, debounce_timer, hold_timer}
+//            raw - Whether the input is active as of the last status report
+//         active - Whether the input is active, once debounced
+// debounce_timer - Set while waiting out the debounce time
+//     hold_timer - Set while waiting out the hold time
+var tracking = {};
+
+// The machine state as of the last status report, and when the machine was last paused
+var last_state = null;
+var paused_time = 0;
+
+// Return the input functions, by id (null if the machine configuration isn't loaded)
+function getConfigured() {
+	return (config.machine && config.machine.get('inputs')) || null;
+}
+
+// Return the list of states in an input function's state filter (empty for any state)
+function parseStates(states) {
+	return String(states || '').split(',').map(function(state) {
+		return state.trim();
+	}).filter(function(state) {
+		return state.length > 0;
+	});
+}
+
+// Log the result of a machine operation started by an input
+function logResult(err, msg) {
+	if(err) {
+		log.error(err);
+	} else {
+		log.info(msg);
+	}
+}
+
+// True if the machine was paused too recently to resume or quit (see PAUSE_GUARD)
+function pausedRecently(machine) {
+	return machine.status.state === 'paused' && (Date.now() - paused_time) < PAUSE_GUARD;
+}
+
+// Pressing a button at the tool is as good as authorizing it, so if an action left the machine armed, fire it
+function fireIfArmed(machine) {
+	if(machine.status.state === 'armed') {
+		machine.fire();
+	}
+}
+
+// What each action does, given the machine and the input function
+var handlers = {
+	start : function(machine, mapping) {
+		fireIfArmed(machine);
+	},
+	pause : function(machine, mapping) {
+		if(machine.status.state === 'running') {
+			machine.pause(logResult);
+		}
+	},
+	resume : function(machine, mapping) {
+		if(pausedRecently(machine)) {
+			return log.info('Not resuming because the machine was only just paused.');
+		}
+		if(machine.status.state === 'paused' || machine.status.state === 'interlock') {
+			machine.resume(logResult);
+			fireIfArmed(machine);
+		}
+	},
+	quit : function(machine, mapping) {
+		if(pausedRecently(machine)) {
+			return log.info('Not quitting because the machine was only just paused.');
+		}
+		machine.quit(logResult);
+	},
+	interlock : function(machine, mapping) {
+		// Pausing puts the machine in the interlock state (see Machine.setState)
+		if(machine.status.state === 'running' && machine.isInterlocked()) {
+			machine.pause(logResult);
+		}
+	},
+	estop : function(machine, mapping) {
+		switch(machine.status.state) {
+			case 'idle':
+			case 'not_ready':
+			case 'disconnected':
+			case 'dead':
+				break;
+			default:
+				machine.quit(logResult);
+				break;
+		}
+	},
+	macro : function(machine, mapping) {
+		macros.run(mapping.macro);
+		fireIfArmed(machine);
+	},
+	variable : function(machine, mapping) {
+		config.opensbp.setVariable(mapping.variable, mapping.value, function(err) {
+			if(err) {
+				log.error('Could not set $' + mapping.variable + ': ' + err);
+			}
+		});
+	},
+	ap_collapse : function(machine, mapping) {
+		log.info('Input ' + mapping.input + ' held for ' + mapping.hold + ' seconds.  Triggering AP collapse.');
+		updater.APModeCollapse();
+	}
+};
+
+// Do what an input function says, if the machine is in one of the states it applies to
+function trigger(id, mapping) {
+	var machine = require('./machine').machine;
+	if(!machine) {
+		return;
+	}
+	var states = parseStates(mapping.states);
+	if(states.length && states.indexOf(machine.status.state) < 0) {
+		log.debug('Input ' + mapping.input + ' (' + id + ') is active, but the machine is ' + machine.status.state);
+		return;
+	}
+	log.info('Input ' + mapping.input + ' is active: ' + mapping.action + ' (' + id + ')');
+	try {
+		handlers[mapping.action](machine, mapping);
+	} catch(e) {
+		log.error('Could not ' + mapping.action + ' for input ' + mapping.input + ': ' + e.message);
+	}
+}
+
+// An input function's input has changed (and stayed changed for the debounce time)
+function change(id, active) {
+	var t = tracking[id];
+	var mapping = (getConfigured() || {})[id];
+	if(!t || !mapping) {
+		return;
+	}
+	t.debounce_timer = null;
+	if(active === t.active) {
+		return;
+	}
+	t.active = active;
+	if(t.hold_timer) {
+		clearTimeout(t.hold_timer);
+		t.hold_timer = null;
+	}
+	if(active) {
+		if(mapping.hold > 0) {
+			t.hold_timer = setTimeout(function() {
+				t.hold_timer = null;
+				trigger(id, mapping);
+			}, mapping.hold*1000);
+		} else {
+			trigger(id, mapping);
+		}
+	}
+}
+
+// Forget what is going on with an input function (because it has changed or is gone)
+function untrack(id) {
+	var t = tracking[id];
+	if(t) {
+		clearTimeout(t.debounce_timer);
+		clearTimeout(t.hold_timer);
+		delete tracking[id];
+	}
+}
+
+// Follow the inputs in a status report, doing what the input functions say when they change
+//   stat - The status report from the driver
+//  state - The machine state
+var track = function(stat, state) {
+	if(state === 'paused' && last_state !== 'paused') {
+		paused_time = Date.now();
+	}
+	last_state = state;
+
+	var mappings = getConfigured();
+	for(var id in mappings) {
+		var mapping = mappings[id];
+		var value = stat['in' + mapping.input];
+		if(value === undefined || value === null) {
+			continue;
+		}
+		var active = mapping.polarity === 'inverted' ? !value : !!value;
+		var t = tracking[id];
+
+		// The first time we hear about an input, just take note of it (nothing has been pressed)
+		if(!t) {
+			tracking[id] = {raw : active, active : active, debounce_timer : null, hold_timer : null};
+			continue;
+		}
+		if(active === t.raw) {
+			continue;
+		}
+		t.raw = active;
+		clearTimeout(t.debounce_timer);
+		if(mapping.debounce > 0) {
+			t.debounce_timer = setTimeout(change, mapping.debounce, id, active);
+		} else {
+			change(id, active);
+		}
+	}
+}
+
+// Return true if any input with the specified action is active (and has been held for its hold time)
+//   action - The action, eg: 'interlock'
+var isActive = function(action) {
+	var mappings = getConfigured();
+	for(var id in mappings) {
+		var t = tracking[id];
+		if(mappings[id].action === action && t && t.active && !t.hold_timer) {
+			return true;
+		}
+	}
+	return false;
+}
+
+// Return the input functions as a list, with whether the input of each one is active right now
+var getMappings = function() {
+	var mappings = getConfigured() || {};
+	var retval = [];
+	for(var id in mappings) {
+		var mapping = mappings[id];
+		retval.push({
+			id : id,
+			input : mapping.input,
+			action : mapping.action,
+			polarity : mapping.polarity,
+			debounce : mapping.debounce,
+			hold : mapping.hold,
+			states : mapping.states,
+			macro : mapping.action === 'macro' ? mapping.macro : undefined,
+			variable : mapping.action === 'variable' ? mapping.variable : undefined,
+			value : mapping.action === 'variable' ? mapping.value : undefined,
+			active : tracking[id] ? tracking[id].active : null
+		});
+	}
+	return retval;
+}
+
+// Update the input functions in the machine configuration
+function saveMappings(mappings, callback) {
+	config.machine.update({inputs : mappings}, function(err) {
+		if(err) {
+			return callback(err);
+		}
+		callback(null, getMappings());
+	});
+}
+
+// Make an id for a new input function, eg: 'in2_start'
+function createId(mappings, input, action) {
+	var id = 'in' + input + '_' + action;
+	var n = 2;
+	while(id in mappings) {
+		id = 'in' + input + '_' + action + '_' + (n++);
+	}
+	return id;
+}
+
+// Add an input function, or change the one with the same id.  Anything not provided is left as it was
+// (or takes its default, for a new input function)
+//    mapping - The input function, eg: {input : 3, action : 'pause'}  See the top of this file.
+//   callback - Called with the list of input functions (see getMappings) or with error if error
+var setMapping = function(mapping, callback) {
+	var mappings = getConfigured();
+	if(!mappings) {
+		return setImmediate(callback, new Error('The machine configuration is not loaded.'));
+	}
+	mapping = mapping || {};
+	var id = mapping.id ? String(mapping.id) : null;
+	var old = (id && mappings[id]) || {};
+	var value = function(key, dflt) {
+		return (mapping[key] === undefined || mapping[key] === null || mapping[key] === '') ? (key in old ? old[key] : dflt) : mapping[key];
+	}
+
+	var action = value('action');
+	var input = Number(value('input'));
+	var polarity = value('polarity', 'normal');
+	var debounce = Number(value('debounce', DEBOUNCE));
+	var hold = Number(value('hold', 0));
+	if(ACTIONS.indexOf(action) < 0) {
+		return setImmediate(callback, new Error('Invalid action: ' + action + ' (must be one of ' + ACTIONS.join(', ') + ')'));
+	}
+	if(isNaN(input) || input < 1 || Math.floor(input) !== input) {
+		return setImmediate(callback, new Error('Invalid input: ' + value('input')));
+	}
+	if(POLARITIES.indexOf(polarity) < 0) {
+		return setImmediate(callback, new Error('Invalid polarity: ' + polarity + ' (must be one of ' + POLARITIES.join(', ') + ')'));
+	}
+	if(isNaN(debounce) || debounce < 0) {
+		return setImmediate(callback, new Error('Invalid debounce time: ' + value('debounce')));
+	}
+	if(isNaN(hold) || hold < 0) {
+		return setImmediate(callback, new Error('Invalid hold time: ' + value('hold')));
+	}
+
+	// The state filter goes back to the action's default if the action changes and no states are given
+	var states = mapping.states;
+	if(states === undefined || states === null) {
+		states = (old.action === action) ? old.states : DEFAULT_STATES[action];
+	}
+
+	var updated = {
+		input : input,
+		action : action,
+		polarity : polarity,
+		debounce : debounce,
+		hold : hold,
+		states : parseStates(states).join(',')
+	};
+	switch(action) {
+		case 'macro':
+			updated.macro = Number(value('macro'));
+			if(isNaN(updated.macro)) {
+				return setImmediate(callback, new Error('Invalid macro: ' + value('macro')));
+			}
+			break;
+		case 'variable':
+			updated.variable = String(value('variable') || '').replace('$','');
+			if(!updated.variable.match(/^[A-Za-z_][A-Za-z0-9_]*$/)) {
+				return setImmediate(callback, new Error('Invalid variable name: ' + value('variable')));
+			}
+			var v = value('value', 1);
+			updated.value = (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v))) ? Number(v) : v;
+			break;
+	}
+
+	id = id || createId(mappings, input, action);
+	log.info('Setting input function ' + id + ': ' + JSON.stringify(updated));
+	mappings[id] = updated;
+	untrack(id);
+	saveMappings(mappings, callback);
+}
+
+// Remove an input function
+//         id - The id of the input function
+//   callback - Called with the list of input functions (see getMappings) or with error if error
+var deleteMapping = function(id, callback) {
+	var mappings = getConfigured() || {};
+	if(!(id in mappings)) {
+		return setImmediate(callback, new Error('No such input function: ' + id));
+	}
+	delete mappings[id];
+	untrack(id);
+	saveMappings(mappings, callback);
+}
+
+exports.ACTIONS = ACTIONS;
+exports.DEFAULT_STATES = DEFAULT_STATES;
+exports.DEBOUNCE = DEBOUNCE;
+exports.track = track;
+exports.isActive = isActive;
+exports.getMappings = getMappings;
+exports.setMapping = setMapping;
+exports.deleteMapping = deleteMapping;
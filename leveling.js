@@ -0,0 +1,329 @@
+/*
+ * leveling.js
+ *
+ * Surface leveling for G-Code files.  (OpenSBP files are leveled as their moves are emitted - see emit_move)
+ *
+ * G-Code files are run through a LevelingFilter, which follows the position of the tool through the file and
+ * rewrites each move (G0/G1/G2/G3) to follow the surface described by the height map (see heightmap.js): Moves are
+ * broken into segments no longer than the cRes setting (config.opensbp, in the machine units) and the height of the
+ * surface under the end of each segment is added to its Z.  Arcs become a series of straight (G1) segments.
+ *
+ * Leveling is applied to a G-Code job if the job says so (its `level` setting) or, for jobs that don't say either way,
+ * if it's turned on in the configuration (config.opensbp transforms.level apply_gcode)
+ */
+var fs = require('fs');
+var stream = require('stream');
+var util = require('util');
+var config = require('./config');
+var Leveler = require('./runtime/opensbp/commands/leveler').Leveler;
+var gcode = require('./gcode_util');
+var log = require('./log').logger('leveling');
+
+var AXES = ['X','Y','Z'];
+
+// Format a number for a g-code word
+function fmt(value) {
+	return Number(value.toFixed(5)).toString();
+}
+
+// Return true if leveling should be applied to the specified G-Code job
+//   job - The job that is being run, or null if it's not a job
+var isApplied = function(job) {
+	if(job && job.level !== null && job.level !== undefined) {
+		return !!job.level;
+	}
+	return !!config.opensbp.get('transforms').level.apply_gcode;
+}
+
+// Create a LevelingFilter that levels to the current height map.  Throw an error if there's no usable height map.
+//   units - The units in effect at the start of the file
+var createFilter = function(units) {
+	var level = config.opensbp.get('transforms').level;
+	if(!fs.existsSync(level.ptDataFile)) {
+		throw new Error("Leveling is turned on, but there is no height map.  Probe the surface first, or turn leveling off.");
+	}
+	var leveler = new Leveler(level.ptDataFile);
+	if(leveler.triangulationFailed()) {
+		throw new Error("The height map can't be used for leveling.  (It needs at least three points that aren't all in a line.)");
+	}
+	return new LevelingFilter(leveler, {
+		units : units,
+		map_units : level.units || config.machine.get('units'),
+		resolution : gcode.toMM(config.opensbp.get('cRes'), config.machine.get('units'))
+	});
+}
+
+// A transform stream that levels a numbered g-code file (see LineNumberer in util.js) to a height map
+//    leveler - The Leveler for the height map
+//    options - units : The units in effect at the start of the file
+//              map_units : The units of the height map
+//              resolution : The longest segment to break moves into (mm)
+function LevelingFilter(leveler, options) {
+	if (!(this instanceof LevelingFilter)) {
+		return new LevelingFilter(leveler, options);
+	}
+	options = options || {};
+	this.leveler = leveler;
+	this.units = options.units || 'in';
+	this.map_units = options.map_units || 'in';
+	this.resolution = options.resolution || 0.25;
+	this.absolute = true;
+	this.plane = 17;
+	this.motion = null;             // The motion mode of the file
+	this.output_motion = null;      // The motion mode of the output (which differs from the file after an arc)
+	this.warned = false;
+
+	// Tool position in work coordinates (mm), without leveling - null if unknown
+	this.position = {X : null, Y : null, Z : null};
+	stream.Transform.call(this, options);
+}
+util.inherits(LevelingFilter, stream.Transform);
+
+// Return the height of the surface (mm) at the specified point (mm)
+// Points outside of the height map are not leveled.
+LevelingFilter.prototype._height = function(x, y) {
+	var height = this.leveler.findHeight(gcode.fromMM(x, this.map_units), gcode.fromMM(y, this.map_units));
+	if(height === false) {
+		if(!this.warned) {
+			log.warn('The file goes outside of the height map.  Moves outside of it are not leveled.');
+			this.warned = true;
+		}
+		return 0;
+	}
+	return gcode.toMM(height, this.map_units);
+};
+
+// Return true if all the axes of the provided position are known
+function isKnown(position) {
+	return AXES.every(function(axis) {
+		return position[axis] !== null;
+	});
+}
+
+// Return the points (mm) along a straight move from start to end, at most one resolution apart
+LevelingFilter.prototype._linePoints = function(start, end) {
+	var length = Math.sqrt(Math.pow(end.X - start.X, 2) + Math.pow(end.Y - start.Y, 2));
+	var count = Math.max(1, Math.ceil(length/this.resolution - 1e-9));
+	var points = [];
+	for(var i=1; i<=count; i++) {
+		var point = {};
+		AXES.forEach(function(axis) {
+			point[axis] = start[axis] + (end[axis] - start[axis])*i/count;
+		});
+		points.push(point);
+	}
+	return points;
+};
+
+// Return the points (mm) along an arc in the XY plane from start to end (helical if Z changes), at most one
+// resolution apart, or null if the arc is not valid
+//       start, end - Positions at the start and end of the arc (mm)
+//            words - The words of the arc move (I and J or R, in the current units)
+//        clockwise - True for G2, false for G3
+LevelingFilter.prototype._arcPoints = function(start, end, words, clockwise) {
+	var cx, cy;
+	if(words.R !== undefined) {
+		var r = gcode.toMM(words.R, this.units);
+		var dx = end.X - start.X;
+		var dy = end.Y - start.Y;
+		var d = Math.sqrt(dx*dx + dy*dy);
+		if(d === 0 || d > 2*Math.abs(r) + 1e-6) {
+			return null;
+		}
+		var h = Math.sqrt(Math.max(0, r*r - d*d/4));
+		var side = (clockwise ? -1 : 1)*(r < 0 ? -1 : 1);
+		cx = (start.X + end.X)/2 - side*h*dy/d;
+		cy = (start.Y + end.Y)/2 + side*h*dx/d;
+	} else {
+		cx = start.X + gcode.toMM(words.I || 0, this.units);
+		cy = start.Y + gcode.toMM(words.J || 0, this.units);
+	}
+
+	var radius = Math.sqrt(Math.pow(start.X - cx, 2) + Math.pow(start.Y - cy, 2));
+	if(radius === 0) {
+		return null;
+	}
+	var a0 = Math.atan2(start.Y - cy, start.X - cx);
+	var a1 = Math.atan2(end.Y - cy, end.X - cx);
+	var sweep = clockwise ? a0 - a1 : a1 - a0;
+	while(sweep <= 1e-9) {
+		// Same start and end is a full circle
+		sweep += 2*Math.PI;
+	}
+
+	var count = Math.max(1, Math.ceil(sweep*radius/this.resolution - 1e-9));
+	var points = [];
+	for(var i=1; i<count; i++) {
+		var angle = a0 + (clockwise ? -1 : 1)*sweep*i/count;
+		points.push({
+			X : cx + radius*Math.cos(angle),
+			Y : cy + radius*Math.sin(angle),
+			Z : start.Z + (end.Z - start.Z)*i/count
+		});
+	}
+	points.push({X : end.X, Y : end.Y, Z : end.Z});
+	return points;
+};
+
+// Return the words of a move for the specified point (leveled, and in the current units and distance mode)
+//   point - The point to move to (mm)
+//    from - The point the tool is moving from (mm), for incremental moves
+LevelingFilter.prototype._moveWords = function(point, from) {
+	var z = point.Z + this._height(point.X, point.Y);
+	if(this.absolute) {
+		return 'X' + fmt(gcode.fromMM(point.X, this.units)) + ' Y' + fmt(gcode.fromMM(point.Y, this.units)) + ' Z' + fmt(gcode.fromMM(z, this.units));
+	}
+	var from_z = from.Z + this._height(from.X, from.Y);
+	return 'X' + fmt(gcode.fromMM(point.X - from.X, this.units)) + ' Y' + fmt(gcode.fromMM(point.Y - from.Y, this.units)) + ' Z' + fmt(gcode.fromMM(z - from_z, this.units));
+};
+
+// Level a single line.  Return the list of lines that replace it.
+LevelingFilter.prototype._line = function(line) {
+	var code = line.replace(/\([^)]*\)/g, '').replace(/;.*$/, '').toUpperCase();
+	var words = gcode.parseWords(code);
+
+	var nonModal = null;
+	var motionWord = false;
+	words.G.forEach(function(g) {
+		switch(g) {
+			case 0: case 1: case 2: case 3: case 38.2: case 38.3: case 80:
+				this.motion = g;
+				motionWord = true;
+				break;
+			case 17: case 18: case 19:
+				this.plane = g;
+				break;
+			case 20:
+				this.units = 'in';
+				break;
+			case 21:
+				this.units = 'mm';
+				break;
+			case 90:
+				this.absolute = true;
+				break;
+			case 91:
+				this.absolute = false;
+				break;
+			case 54: case 55: case 56: case 57: case 58: case 59:
+				// The position in the new coordinate system is anybody's guess
+				this.position = {X : null, Y : null, Z : null};
+				break;
+			case 10: case 28: case 28.2: case 28.3: case 30: case 53: case 92:
+				nonModal = g;
+				break;
+		}
+	}.bind(this));
+	if(motionWord) {
+		this.output_motion = this.motion;
+	}
+
+	var axes = AXES.filter(function(axis) {
+		return words[axis] !== undefined;
+	});
+
+	switch(nonModal) {
+		case 10:
+			return [line];
+		case 28: case 30:
+			// These move through an intermediate point to a stored position
+			this.position = {X : null, Y : null, Z : null};
+			return [line];
+		case 28.2: case 28.3: case 53: case 92:
+			// These all leave the tool somewhere we can't relate to the work coordinates
+			axes.forEach(function(axis) {
+				this.position[axis] = null;
+			}.bind(this));
+			return [line];
+	}
+
+	var isMove = [0, 1, 2, 3].indexOf(this.motion) >= 0;
+	if(axes.length === 0 || !isMove) {
+		if(axes.length && (this.motion === 38.2 || this.motion === 38.3)) {
+			axes.forEach(function(axis) {
+				this.position[axis] = null;
+			}.bind(this));
+		}
+		return [line];
+	}
+
+	// Work out where this move goes (mm)
+	var start = {};
+	var end = {};
+	AXES.forEach(function(axis) {
+		start[axis] = this.position[axis];
+		if(words[axis] === undefined) {
+			end[axis] = start[axis];
+		} else if(this.absolute) {
+			end[axis] = gcode.toMM(words[axis], this.units);
+		} else {
+			end[axis] = start[axis] === null ? null : start[axis] + gcode.toMM(words[axis], this.units);
+		}
+	}.bind(this));
+	this.position = end;
+
+	var isArc = (this.motion === 2 || this.motion === 3);
+	var points = null;
+	if(isKnown(start) && isKnown(end) && !(isArc && this.plane !== 17)) {
+		points = isArc ? this._arcPoints(start, end, words, this.motion === 2) : this._linePoints(start, end);
+	} else if(this.absolute && !isArc && isKnown(end)) {
+		// We don't know where the tool is coming from, so the move can't be broken up, but its end can still be leveled
+		points = [end];
+	}
+
+	// Moves we can't level are passed on as they are, but they may need their motion mode restored (after an arc)
+	if(!points) {
+		if(this.output_motion !== this.motion) {
+			this.output_motion = this.motion;
+			return [line.replace(/^(\s*N\s*\d+\s*)?/i, function(n) { return (n || '') + 'G' + this.motion + ' '; }.bind(this))];
+		}
+		return [line];
+	}
+
+	// The first segment keeps everything else on the line (feedrate, spindle, etc.)
+	var n = code.match(/^\s*N\s*(\d+)/);
+	var prefix = n ? 'N' + n[1] + ' ' : '';
+	var others = code.replace(/^\s*N\s*\d+/, '')
+		.replace(/[XYZIJKR]\s*[-+]?(?:\d+\.?\d*|\.\d+)/g, '')
+		.replace(/G\s*0*[0-3](?![\d\.])/g, '')
+		.replace(/\s+/g, ' ').trim();
+	var motion = isArc ? 1 : this.motion;
+	var first = 'G' + motion + (others ? ' ' + others : '');
+	this.output_motion = motion;
+
+	var from = start;
+	return points.map(function(point, i) {
+		var words = this._moveWords(point, from);
+		from = point;
+		return prefix + (i === 0 ? first + ' ' : '') + words;
+	}.bind(this));
+};
+
+LevelingFilter.prototype._transform = function(chunk, enc, next) {
+	var data = chunk.toString();
+	if (this._lastLineData) { data = this._lastLineData + data; }
+
+	var lines = data.split('\n');
+	this._lastLineData = lines.splice(lines.length-1,1)[0];
+
+	var block = [];
+	lines.forEach(function(line) {
+		block.push.apply(block, this._line(line));
+	}.bind(this));
+	if(block.length) {
+		this.push(block.join('\n') + '\n');
+	}
+	next();
+};
+
+LevelingFilter.prototype._flush = function(done) {
+	if(this._lastLineData) {
+		this.push(this._line(this._lastLineData).join('\n') + '\n');
+	}
+	this._lastLineData = null;
+	done();
+};
+
+exports.isApplied = isApplied;
+exports.createFilter = createFilter;
+exports.LevelingFilter = LevelingFilter;
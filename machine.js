@@ -2,7 +2,7 @@
  * machine.js
  *
  * Defines the "machine model" which is an abstraction of the physical machine that lives
- * sort of one layer up from the G2 driver.  It maintains a "machine state" that is similar to, but
+ * sort of one layer up from the motion controller driver (see driver.js)  It maintains a "machine state" that is similar to, but
  * not the same as G2s internal state, and provides functions for high level machine operations.
  *
  * The machine model includes the important concept of runtimes, which are individual software components
@@ -15,11 +15,11 @@
  * This module also sort of "meta manages" the motion systems state.  An example
  * of this is that G2 has digital inputs defined, and can specify their input mode and basic function, but the 
  * machine model might layer some additional function on top of them, such as their higher-level application
- * - perhaps acting as a door interlock, a tool release button, etc.
+ * - perhaps acting as a door interlock, a tool release button, etc.  (See inputs.js)
  *
  * The machine model is a singleton.  There is only ever one of them, which is instantiated by the connect() method.
  */
-var g2 = require('./g2');
+var drivers = require('./driver');
 var util = require('util');
 var events = require('events');
 var PLATFORM = require('process').platform;
@@ -29,14 +29,18 @@ var path = require('path');
 var db = require('./db');
 var log = require('./log').logger('machine');
 var config = require('./config');
-var updater = require('./updater');
 var u = require('./util');
 var async = require('async');
-var canQuit = false;
-var canResume = false;
-var clickDisabled = false;
+var transform = require('./transform');
+var maintenance = require('./maintenance');
+var inputs = require('./inputs');
+var outputs = require('./outputs');
 var interlockBypass = false;
 
+// Range (percent) of the feed and spindle overrides, which is what G2 accepts (0.05 to 2.0)
+var OVERRIDE_MIN = 5;
+var OVERRIDE_MAX = 200;
+
 // Load up all the runtimes that are currently defined
 // TODO - One day, a folder-scan and auto-registration process might be nice here, this is all sort of hand-rolled.
 var GCodeRuntime = require('./runtime/gcode').GCodeRuntime;
@@ -116,21 +120,25 @@ function Machine(control_path, callback) {
 		line : null,
 		nb_lines : null,
 		auth : false,
-		hideKeypad : false
+		hideKeypad : false,
+		feed_override : 100,
+		spindle_override : 100
 	};
 
 	this.fireButtonDebounce = false;
-	this.APCollapseTimer = null;
-	this.quit_pressed = 0;
-	this.fireButtonPressed =0; 
 	this.info_id = 0;
 	this.action = null;
 	this.interlock_action = null;
 	
-	// Instantiate and connect to the G2 driver using the port specified in the constructor
-	this.driver = new g2.G2();
+	// Instantiate and connect to the motion controller driver (G2 unless the engine configuration says otherwise)
+	// using the port specified in the constructor
+	this.driver = drivers.createDriver(config.engine.get('driver') || 'g2');
 	this.driver.on("error", function(err) {log.error(err);});
 
+	// Recover when the serial link to G2 is lost and comes back (see G2.prototype.onSerialClose)
+	this.driver.on('disconnect', this._onDisconnect.bind(this));
+	this.driver.on('reconnect', this._onReconnect.bind(this));
+
 	this.driver.connect(control_path, function(err, data) {
 		// Most of the setup of the machine happens here, AFTER we've successfully connected to G2
 	    if(err){
@@ -170,9 +178,9 @@ function Machine(control_path, callback) {
                 this.driver.requestStatusReport(function(result) {
                     if('stat' in result) {
                         switch(result.stat) {
-                            case g2.STAT_INTERLOCK:
-                            case g2.STAT_SHUTDOWN:
-                            case g2.STAT_PANIC:
+                            case this.driver.STAT_INTERLOCK:
+                            case this.driver.STAT_SHUTDOWN:
+                            case this.driver.STAT_PANIC:
                                 this.die('A G2 exception has occurred. You must reboot your tool.');
                                 break;
                         }
@@ -203,176 +211,122 @@ function Machine(control_path, callback) {
     	}.bind(this));
     }.bind(this));
 
-    // This handler deals with inputs that are selected for special functions (authorize, ok, quit, etc)
+    // Do what the input functions say when the inputs change (ok, quit, interlock, etc. see inputs.js)
     this.driver.on('status', function(stat) {
-		var auth_input = 'in' + config.machine.get('auth_input');
-		var quit_input = 'in' + config.machine.get('quit_input');
-		var ap_input = 'in' + config.machine.get('ap_input');
-		var interlock_input = 'in' + config.machine.get('interlock_input');
-		
-		// If you press a button to pause, you're not allowed to resume or quit for at least a second
-		// (To eliminate the chance of a double-tap doing something you didn't intend.)
-		if(this.status.state === "paused"){
-			setTimeout(function(){
-				 canQuit = true;
-				 canResume = true;
-			}, 1000);
-		} else {
-			canQuit = false;
-			canResume = false;
-		}
+		inputs.track(stat, this.status.state);
+    }.bind(this));
 
-		// Handle okay and cancel buttons.
-		// Auth = OK
-		// Quit = Cancel
-		// If okay/cancel 
-		if(auth_input === quit_input){
-			this.handleOkayCancelDual(stat, auth_input)
-		}else {
-			this.handleOkayButton(stat, auth_input);
-			this.handleCancelButton(stat, quit_input);
-			
-		}
+    // Count the copies of an array job as they are cut (see _runArray)
+    this.array_run = null;
+    this.driver.on('status', this._trackArray.bind(this));
+
+    // Keep the timeline and run statistics of the running job (see _trackJob)
+    this.job_run = null;
+    this.driver.on('status', this._trackJob.bind(this));
 
-		// Other functions
-		this.handleFireButton(stat, auth_input);
-		this.handleAPCollapseButton(stat, ap_input);
-		
+    // Count up the machine's use (travel, spindle hours, etc.) for maintenance reminders (see maintenance.js)
+    this.driver.on('status', function(stat) {
+		maintenance.track(stat, this.status.state);
     }.bind(this));
+
+    // Switch the named outputs as jobs start and finish, the spindle starts and stops, etc. (see outputs.js)
+    this.on('status', outputs.track);
+    this.driver.on('status', outputs.trackSpindle);
 }
 util.inherits(Machine, events.EventEmitter);
 
-// Given the status report provided and the specified input, perform the AP Mode Collapse behavior if necessary
-// The AP mode collapse is a network failsafe.  In the case that a tool gets "lost" on a network, it can be 
-// provoked back into AP mode by holding down a specific button for some time.  Both the input to use for the
-// button and the hold-down duration are specified in the machine settings
-Machine.prototype.handleAPCollapseButton = function(stat, ap_input) {
-
-	// If the button has been pressed
-	if(stat[ap_input]) {
-		var ap_collapse_time = config.machine.get('ap_time');
-		// For the first time
-		if(!this.APCollapseTimer) {
-			// Do an AP collapse in ap_collapse_time seconds, if the button is never released
-			log.debug('Starting a timer for AP mode collapse (AP button was pressed)')
-			this.APCollapseTimer = setTimeout(function APCollapse() {
-				log.info("AP Collapse button held for " + ap_collapse_time + " seconds.  Triggering AP collapse.");
-				this.APCollapseTimer = null;
-				updater.APModeCollapse();
-			}.bind(this), ap_collapse_time*1000);
-		}
-	}
-	// Otherwise
-	else {
-		// Cancel an AP collapse that is pending, if there is one.
-		if(this.APCollapseTimer) {
-			log.debug('Cancelling AP collapse (AP button was released)')
-			clearTimeout(this.APCollapseTimer);
-			this.APCollapseTimer = null;
-		}
-	}
+/*
+ * State Functions
+ */
+Machine.prototype.die = function(err_msg) {
+	this.setState(this, 'dead', {error : err_msg || 'A G2 exception has occurred. You must reboot your tool.'});
+	this.emit('status',this.status);
 }
 
-// Given the status report and specified input, process the okay/cancel behavior
-// This function is called only when the ok button (authorize) and cancel button (quit)
-// are assigned to the same input.  The behavior in that case is slightly 
-// different than if they were separate. (see below)
-Machine.prototype.handleOkayCancelDual = function(stat, quit_input) {
-
-	//this may be changed to user select wether to continue or to cancel
-	if(!stat[quit_input] && this.status.state === 'paused' && canQuit && this.quit_pressed) {
-		log.info("Cancel hit!")
-		this.quit(function(err, msg){
-			if(err){
-				log.error(err);
-			} else {
-				log.info(msg);
-			}
-		});
-	} else if(this.status.state === 'interlock' && this.quit_pressed) {
-		log.info("Okay hit, resuming from interlock")
-		this.resume(function(err, msg){
-			if(err){
-				log.error(err);
-			} else {
-				log.info(msg);
-			}
-		});
+// The serial link to G2 was lost: Abandon whatever was going on (failing the running job) and wait for the
+// driver to reconnect.  What was interrupted is kept so the operator can be told about it once the link is back.
+Machine.prototype._onDisconnect = function() {
+	var job = this.status.job;
+	this.interrupted = null;
+	if(this.status.state !== 'idle' || job) {
+		this.interrupted = {
+			state : this.status.state,
+			job : job ? job.name : null,
+			line : this.status.line
+		};
 	}
-	this.quit_pressed = stat[quit_input];
-}
+	if(this._armTimer) { clearTimeout(this._armTimer); }
+	this.action = null;
 
-// Given the status report and specified input, process the "fire" behavior
-// The machine has a state of being "armed" - either with an action, or when preparing to 
-// go into an authorized state.  Pressing "fire" while armed either executes the action, or
-// puts the system in an authorized state for the authorization period.
-Machine.prototype.handleFireButton = function(stat, auth_input) {
-	if(this.fireButtonPressed && !stat[auth_input] && this.status.state === 'armed') {
-		log.info("Fire button hit!")
-		this.fire();
+	if(job) {
+		job.fail(function(err) {
+			if(err) { log.error(err); }
+		});
+		this.status.job = null;
 	}
-	this.fireButtonPressed = stat[auth_input]
-}
 
-// Given the status report and specified input process the "okay" behavior
-// Hitting the "okay" button on the machine essentially causes it to behave as if you had
-// hit the okay/resume in the dashboard UI.  It is a convenience that prevents you from 
-// having to return to the dashboard just to confirm an action at the tool.
-Machine.prototype.handleOkayButton = function(stat, auth_input){
-	
-	if(stat[auth_input]){
-		
-		if (clickDisabled){
-			log.info("Can't hit okay now");
-			return
+	// The runtime can't finish what it was doing, so it is let go of
+	var runtime = this.current_runtime;
+	if(runtime && runtime !== this.idle_runtime) {
+		runtime.ok_to_disconnect = true;
+		if(typeof runtime.init === 'function') {
+			runtime.init();
 		}
-
-		if(this.status.state === 'paused' && canResume) {
-			log.info("Okay hit, resuming from pause")
-			this.resume(function(err, msg){
-				if(err){
-					log.error(err);
-				} else {
-					log.info(msg);
-				}
-			});
-			clickDisabled = true;
-			setTimeout(function(){clickDisabled = false;}, 2000);
-		} else if(this.status.state === 'interlock') {
-			log.info("Okay hit, resuming from interlock")
-			this.resume(function(err, msg){
-				if(err){
-					log.error(err);
-				} else {
-					log.info(msg);
-				}
-			});
-		}
-
 	}
-}
+	this.setRuntime(null, function() {});
 
-Machine.prototype.handleCancelButton = function(stat, quit_input){
+	this.status.current_file = null;
+	this.status.line = null;
+	this.status.nb_lines = null;
+	this.setState(this, 'disconnected', {error : 'The connection to the motion controller was lost.  Reconnecting...'});
+}
 
-	if(stat[quit_input] && this.status.state === 'paused' && canQuit) {
-		log.info("Cancel hit!")
-		this.quit(function(err, msg){
-			if(err){
-				log.error(err);
-			} else {
-				log.info(msg);
+// The serial link to G2 is back: Configure G2 again, restore the overrides and the machine position (see instance_config.js) and go
+// back to idle, or to stopped with an explanation if something was interrupted.
+Machine.prototype._onReconnect = function() {
+	log.info('Restoring the G2 configuration after reconnecting...');
+	async.series([
+		function configure_driver(callback) {
+			config.configureDriver(this.driver, callback);
+		}.bind(this),
+		function set_units(callback) {
+			this.driver.setUnits(config.machine.get('units'), callback);
+		}.bind(this),
+		function restore_overrides(callback) {
+			// G2 comes back without the feed and spindle overrides, so send it the ones that are in effect
+			this.driver.setOverrides({
+				feed : this.status.feed_override/100.0,
+				spindle : this.status.spindle_override/100.0
+			});
+			callback();
+		}.bind(this),
+		function restore_position(callback) {
+			if(!config.instance) {
+				return callback();
 			}
+			config.instance.apply(callback);
+		}.bind(this)
+	], function(err) {
+		var interrupted = this.interrupted;
+		this.interrupted = null;
+		if(err) {
+			log.error(err);
+			return this.die('Could not configure the motion controller after reconnecting: ' + (err.message || err));
+		}
+		log.info('Recovered from the loss of the connection to G2.');
+		if(!interrupted) {
+			return this.setState(this, 'idle');
+		}
+		var what = interrupted.job ? 'running ' + interrupted.job : 'in the ' + interrupted.state + ' state';
+		if(interrupted.line) {
+			what += ' (at line ' + interrupted.line + ')';
+		}
+		this.setState(this, 'stopped', {
+			error : 'The connection to the motion controller was lost while the machine was ' + what + '.  ' +
+					(interrupted.job ? 'The job was stopped.  ' : '') +
+					'The machine position was restored from when the machine last stopped, so check it (or home the tool) before going on.'
 		});
-	}
-
- }
-
-/*
- * State Functions
- */
-Machine.prototype.die = function(err_msg) {
-	this.setState(this, 'dead', {error : err_msg || 'A G2 exception has occurred. You must reboot your tool.'});
-	this.emit('status',this.status);
+	}.bind(this));
 }
 
 // This function restores the driver configuration to what is stored in the g2 configuration on disk
@@ -434,16 +388,9 @@ Machine.prototype.arm = function(action, timeout) {
 	// Set the action to be executed when fire() is called
 	this.action = action;
 
-	// Check to see if interlock is required
-	var interlockRequired = config.machine.get('interlock_required');
-	var interlockInput = 'in' + config.machine.get('interlock_input');
-	if(this.action && this.action.payload && this.action.payload.name === 'manual' || interlockBypass) {
-		interlockRequired = false;
-	}
-
-	// Refuse the action if the interlock is required and tripped
+	// Refuse the action if the interlock is tripped
 	if(this.action) {
-		if(interlockRequired && this.driver.status[interlockInput]) {
+		if(this.isInterlocked(this.action)) {
 			this.setState(this, 'interlock')
 			return;			
 		}
@@ -490,6 +437,19 @@ Machine.prototype.arm = function(action, timeout) {
 	}
 }
 
+// Return true if the interlock (or the e-stop) is engaged, which keeps the machine from running (see inputs.js)
+// Manual moves and runs that bypass the interlock are let through, but nothing gets past the e-stop.
+//   action - The action the machine is being armed for (optional)
+Machine.prototype.isInterlocked = function(action) {
+	if(inputs.isActive('estop')) {
+		return true;
+	}
+	if(interlockBypass || (action && action.payload && action.payload.name === 'manual')) {
+		return false;
+	}
+	return inputs.isActive('interlock');
+}
+
 // Collapse out of the armed state.  Happens when the user hits cancel in the authorize dialog.
 Machine.prototype.disarm = function() {
 	log.stack();
@@ -600,7 +560,7 @@ Machine.prototype.deauthorize = function() {
 }
 
 Machine.prototype.isConnected = function() {
-	return this.status.state !== 'not_ready' && this.status.state !== 'dead';
+	return this.status.state !== 'not_ready' && this.status.state !== 'dead' && this.status.state !== 'disconnected';
 };
 
 Machine.prototype.disconnect = function(callback) {
@@ -619,11 +579,179 @@ Machine.prototype.runJob = function(job) {
 		} else {
 			log.info("Running file " + file.path);
 			this.status.job = job;
-			this._runFile(file.path);
+			if(job.array) {
+				return this._runArray(job, file.path);
+			}
+			this._runFile(file.path, job.start_line);
+		}
+	}.bind(this));
+};
+
+// Run an array job: The copies that are left to cut are written to a single file (see transform.arrayFile) which is
+// run like any other.  The copies are counted as the lines where they start go by.
+//        job - The job to run
+//   filename - The job's file
+Machine.prototype._runArray = function(job, filename) {
+	// Each job gets a file of its own, which is deleted once the job is over
+	var outfile = path.join(config.engine.get('upload_dir') || '/tmp', 'array-' + job._id + '.nc');
+	transform.arrayFile(filename, outfile, job.array, job.first_copy, function(err, starts) {
+		if(err) {
+			var message = err.line ? err.message + ' (Line ' + err.line + ')' : err.message;
+			log.error('Could not run array job ' + job._id + ': ' + message);
+			job.fail(function() {
+				this.status.job = null;
+				this.setState(this, 'stopped', {error : message});
+			}.bind(this));
+			return;
 		}
+		this.array_run = {job : job, starts : starts};
+		this._runFile(outfile, null, function(err) {
+			fs.unlink(outfile, function() {});
+		});
 	}.bind(this));
 };
 
+// Update the number of copies of the running array job that are done, from the line that is running
+Machine.prototype._trackArray = function(stat) {
+	var run = this.array_run;
+	if(!run || !stat.line) {
+		return;
+	}
+	if(this.status.job !== run.job) {
+		this.array_run = null;
+		return;
+	}
+	var done = 0;
+	run.starts.forEach(function(start, i) {
+		if(i > 0 && stat.line >= start) {
+			done = i;
+		}
+	});
+	done += run.job.first_copy;
+	if(done > run.job.copies_done) {
+		run.job.copies_done = done;
+		log.info('Done with copy ' + done + ' of ' + run.job.array.offsets.length);
+		this.emit('status', this.status);
+	}
+};
+
+// Return the record being kept of the running job, starting a new one if a new job has started
+// The record carries what's needed from one status report to the next to work out the job's statistics.
+Machine.prototype._getJobRun = function() {
+	var job = this.status.job;
+	if(job && job.stats && (!this.job_run || this.job_run.job !== job)) {
+		this.job_run = {
+			job : job,
+			state : this.status.state,
+			time : Date.now(),
+			position : null,
+			spindle : false,
+			line : null
+		};
+	}
+	return this.job_run;
+};
+
+// Add the time since the last update to the running job's statistics
+//   run - The record of the running job (see _getJobRun)
+Machine.prototype._accrueJobTime = function(run) {
+	var now = Date.now();
+	var stats = run.job.stats;
+	var elapsed = now - run.time;
+	stats.time_in_state[run.state] = (stats.time_in_state[run.state] || 0) + elapsed;
+	if(run.spindle) {
+		stats.spindle_time += elapsed;
+	}
+	run.time = now;
+};
+
+// Update the running job's statistics from a status report: time, spindle-on time and the distance cut
+// Distance is only counted when the machine is running a feed move (G1, G2 or G3) and arcs count as the chords
+// between status reports, which is close enough to bill machine hours by.
+Machine.prototype._trackJob = function(stat) {
+	var run = this._getJobRun();
+	if(!run) {
+		return;
+	}
+	this._accrueJobTime(run);
+	if(this.status.line) {
+		run.line = this.status.line;
+	}
+	if('spc' in stat) {
+		run.spindle = (stat.spc === 1 || stat.spc === 2);
+	}
+	var scale = (stat.unit === run.job.stats.units) ? 1 : (stat.unit === 'in' ? 25.4 : 1/25.4);
+	var position = {};
+	['x','y','z'].forEach(function(axis) {
+		position[axis] = (stat['pos' + axis] || 0)*scale;
+	});
+	if(run.position && run.state === 'running' && stat.momo >= 1 && stat.momo <= 3) {
+		var dx = position.x - run.position.x;
+		var dy = position.y - run.position.y;
+		var dz = position.z - run.position.z;
+		run.job.stats.cut_distance += Math.sqrt(dx*dx + dy*dy + dz*dz);
+	}
+	run.position = position;
+};
+
+// Add a change of machine state to the running job's timeline, and save the job once it's over.
+// Called by setState before the state changes.
+//   newstate - The state the machine is changing to
+//   stateinfo - The info that goes with the new state (messages and errors)
+Machine.prototype._recordJobState = function(newstate, stateinfo) {
+	var run = this._getJobRun();
+	if(!run) {
+		return;
+	}
+	var job = run.job;
+	var info = {};
+	this._accrueJobTime(run);
+	if(this.status.line) {
+		run.line = this.status.line;
+	}
+	if(run.line) {
+		info.line = run.line;
+	}
+	if(newstate !== run.state) {
+		switch(newstate) {
+			case 'paused':
+				// A pause with a message comes from the program (M0, PAUSE, tool change) otherwise it's a feedhold
+				if(stateinfo && stateinfo.message) {
+					info.message = stateinfo.message;
+					job.addEvent('pause', info);
+				} else {
+					job.addEvent('feedhold', info);
+				}
+				break;
+			case 'running':
+				if(run.state === 'paused' || run.state === 'interlock') {
+					job.addEvent('resume', info);
+				}
+				break;
+			case 'interlock':
+				job.addEvent('interlock', info);
+				break;
+		}
+	}
+	if((newstate === 'stopped' || newstate === 'dead' || newstate === 'disconnected') && stateinfo && stateinfo.error) {
+		info.message = stateinfo.error;
+		job.addEvent('error', info);
+	}
+	run.state = newstate;
+
+	// The runtimes let go of the job before the final change of state, so that's when the job is over
+	if(this.status.job !== job) {
+		this.job_run = null;
+		maintenance.countJob();
+		job.stats.cut_distance = Math.round(job.stats.cut_distance*1000)/1000;
+		job.save(function(err) {
+			if(err) {
+				log.error('Could not save the timeline of job ' + job._id + ': ' + err);
+			}
+		});
+	}
+};
+
 // Set the preferred units to the provided value ('in' or 'mm')
 // Changing the preferred units is a heavy duty operation. See below.
 Machine.prototype.setPreferredUnits = function(units, callback) {
@@ -684,7 +812,7 @@ Machine.prototype.getGCodeForFile = function(filename, callback) {
 		if (err) {
 			log.error('Error reading file ' + filename);
 				log.error(err);
-				return;
+				return callback(err);
 		} else {
 			parts = filename.split(path.sep);
 			ext = path.extname(filename).toLowerCase();
@@ -706,7 +834,10 @@ Machine.prototype.getGCodeForFile = function(filename, callback) {
 }
 
 // Run a file given a filename on disk.  Choose the runtime that is appropriate for that file.
-Machine.prototype._runFile = function(filename) {
+//   filename - Full path to the file
+//       line - (optional) The line to start at, for resuming a job part way through
+//   callback - (optional) Called once the file has finished running, or with error if it failed
+Machine.prototype._runFile = function(filename, line, callback) {
 	var parts = filename.split(path.sep);
 	var ext = path.extname(filename).toLowerCase();
 
@@ -721,7 +852,11 @@ Machine.prototype._runFile = function(filename) {
 		if(err) {
 			return log.error(err);
 		}
-		runtime.runFile(filename);
+		if(line > 1) {
+			runtime.resumeFile(filename, line, callback);
+		} else {
+			runtime.runFile(filename, callback);
+		}
 	});
 };
 
@@ -797,10 +932,11 @@ Machine.prototype.setState = function(source, newstate, stateinfo) {
 			delete this.status.info
 		}
 
+		this._recordJobState(newstate, stateinfo);
+
 		switch(newstate) {
 			case 'idle':
 				if(this.status.state != 'idle') {
-					this.driver.command({"out4":0}); // Permissive relay
 					// A switch to the 'idle' state means we change to the idle runtime
 					if(this.current_runtime != this.idle_runtime) {
 						this.setRuntime(null, function() {});
@@ -831,6 +967,7 @@ Machine.prototype.setState = function(source, newstate, stateinfo) {
 						    config.instance.update({'position' : mpo});
 					    }
 				    });
+                    maintenance.save();
                 }
 				break;
 			case 'paused':
@@ -844,10 +981,7 @@ Machine.prototype.setState = function(source, newstate, stateinfo) {
 					    }
 				    });
 				    // Check the interlock and switch to the interlock state if it's engaged
-				    var interlockRequired = config.machine.get('interlock_required');
-					var interlockInput = 'in' + config.machine.get('interlock_input');
-					
-				    if(interlockRequired && this.driver.status[interlockInput] && !interlockBypass) {
+				    if(this.isInterlocked()) {
 						log.stack();
 						this.interlock_action = null;
 						this.setState(this, 'interlock')		
@@ -860,7 +994,6 @@ Machine.prototype.setState = function(source, newstate, stateinfo) {
 				log.error('G2 is dead!');
 				break;
 			default:
-                //this.driver.command({"out4":1});
 				break;
 		}
 
@@ -927,6 +1060,41 @@ Machine.prototype.resume = function(callback) {
 	callback(null, 'resumed');
 }
 
+// Set the feed rate and/or spindle speed overrides, which apply to whatever is running (or runs next)
+//   overrides - Object with feed and/or spindle percentages (100 is no override) eg: {feed : 50}
+//    callback - Called with the new override values, or with error if error
+Machine.prototype.setOverride = function(overrides, callback) {
+	var values = {};
+	try {
+		['feed','spindle'].forEach(function(key) {
+			var value = overrides[key];
+			if(value === undefined || value === null || value === '') { return; }
+			value = Number(value);
+			if(isNaN(value) || value < OVERRIDE_MIN || value > OVERRIDE_MAX) {
+				throw new Error('The ' + key + ' override must be a percentage between ' + OVERRIDE_MIN + ' and ' + OVERRIDE_MAX + '.');
+			}
+			values[key] = value;
+		});
+	} catch(e) {
+		return callback(e);
+	}
+	if(Object.keys(values).length === 0) {
+		return callback(new Error('No feed or spindle override specified.'));
+	}
+	if(!this.driver) {
+		return callback(new Error('Cannot set overrides: No connection to the motion controller.'));
+	}
+
+	this.driver.setOverrides({
+		feed : values.feed === undefined ? undefined : values.feed/100.0,
+		spindle : values.spindle === undefined ? undefined : values.spindle/100.0
+	});
+	if('feed' in values) { this.status.feed_override = values.feed; }
+	if('spindle' in values) { this.status.spindle_override = values.spindle; }
+	this.emit('status', this.status);
+	callback(null, {feed : this.status.feed_override, spindle : this.status.spindle_override});
+};
+
 // Run a file from disk
 // filename - full path to the file to run
 Machine.prototype.runFile = function(filename, bypassInterlock) {
@@ -946,18 +1114,15 @@ Machine.prototype.runFile = function(filename, bypassInterlock) {
 // callback is called when the tool is armed for the run, NOT when the job is complete.
 Machine.prototype.runNextJob = function(callback) {
 	interlockBypass = false;
-	db.Job.getPending(function(err, pendingJobs) {
+	// Jobs that are on hold, scheduled for later, or need another tool or material are skipped (see Job.getQueue)
+	db.Job.getNext(function(err, job) {
 		if(err) {
 			return callback(err);
 		}
-		if(pendingJobs.length > 0) {
-			this.arm({
-				type : 'nextJob'
-			}, config.machine.get('auth_timeout'));
-			callback();
-		} else {
-			callback(new Error('No pending jobs.'));
-		}
+		this.arm({
+			type : 'nextJob'
+		}, config.machine.get('auth_timeout'));
+		callback();
 	}.bind(this));
 }
 
@@ -1065,3 +1230,4 @@ Machine.prototype._runNextJob = function(force, callback) {
 };
 
 exports.connect = connect;
+exports.Machine = Machine;
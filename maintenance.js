@@ -0,0 +1,260 @@
+/*
+ * maintenance.js
+ *
+ * Machine usage counters and maintenance reminders.
+ *
+ * The usage counters (config.instance `usage`) add up how much the machine has been used over its life:
+ *          travel - Distance travelled on each axis (mm, or degrees for the rotary axes)
+ *   spindle_hours - Hours the spindle has been on
+ *       run_hours - Hours spent running jobs and programs
+ *            jobs - Number of jobs run
+ *
+ * Maintenance tasks (config.instance `maintenance`) are things to do to a part of the machine every so often, as
+ * measured by one of the counters, eg: {name : 'Lubricate rails', component : 'rails', counter : 'spindle_hours', every : 40}
+ * The travel counters are named by axis ('travel.x', 'travel.y', etc.)  A task is due once its counter has gone up by
+ * `every` since the task was last done.  When a task comes due, the dashboard is told with a 'maintenance' change event,
+ * and the task stays due until it is acknowledged (which means it has been done.)
+ *
+ * The counters are kept up to date in memory as status reports come in (see track) and written out when the machine
+ * stops, along with the machine position.
+ */
+var config = require('./config');
+var log = require('./log').logger('maintenance');
+
+var LINEAR_AXES = ['x','y','z'];
+var ROTARY_AXES = ['a','b'];
+var COUNTERS = ['spindle_hours', 'run_hours', 'jobs'].concat(LINEAR_AXES.concat(ROTARY_AXES).map(function(axis) {
+	return 'travel.' + axis;
+}));
+
+// What was going on as of the last status report (see track)
+var last = null;
+
+// True if the counters have changed since they were last saved
+var dirty = false;
+
+// Tell the dashboard that something about the maintenance tasks has changed
+function notifyChange() {
+	var machine = require('./machine').machine;
+	if(machine) {
+		machine.emit('change', 'maintenance');
+	}
+}
+
+// Return the usage counters, or null if the instance configuration isn't loaded (no motion system)
+var getUsage = function() {
+	return (config.instance && config.instance.get('usage')) || null;
+}
+
+// Return the value of the named counter (see COUNTERS)
+//   name - The counter name, eg: 'spindle_hours' or 'travel.x'
+var getCounter = function(name) {
+	var usage = getUsage() || {};
+	var parts = name.split('.');
+	var value = parts.length > 1 ? (usage[parts[0]] || {})[parts[1]] : usage[name];
+	return value || 0;
+}
+
+// Update the counters from a status report
+//   stat - The status report from the driver
+//  state - The machine state
+var track = function(stat, state) {
+	var usage = getUsage();
+	if(!usage) {
+		return;
+	}
+	var now = Date.now();
+	var scale = stat.unit === 'in' ? 25.4 : 1;
+	var position = {};
+	LINEAR_AXES.concat(ROTARY_AXES).forEach(function(axis) {
+		if(typeof stat['pos' + axis] === 'number') {
+			position[axis] = stat['pos' + axis]*(LINEAR_AXES.indexOf(axis) >= 0 ? scale : 1);
+		}
+	});
+	var moving = stat.vel > 0;
+
+	if(last) {
+		var hours = (now - last.time)/3600000;
+		if(last.spindle) {
+			usage.spindle_hours += hours;
+		}
+		if(last.state === 'running') {
+			usage.run_hours += hours;
+		}
+		// Only count motion, so changes of work offset don't count as travel
+		if(moving || last.moving) {
+			for(var axis in position) {
+				if(axis in last.position) {
+					usage.travel[axis] = (usage.travel[axis] || 0) + Math.abs(position[axis] - last.position[axis]);
+				}
+			}
+		}
+		dirty = true;
+	}
+
+	last = {
+		time : now,
+		position : position,
+		moving : moving,
+		spindle : stat.spc === 1 || stat.spc === 2,
+		state : state
+	};
+}
+
+// Count a job that has been run
+var countJob = function() {
+	var usage = getUsage();
+	if(usage) {
+		usage.jobs += 1;
+		dirty = true;
+		save();
+	}
+}
+
+// Return the maintenance tasks, with how far along each one is:
+//      since - How much the task's counter has gone up since the task was last done
+//  remaining - How much more the counter can go up before the task is due (0 if it's due)
+//        due - True if the task is due
+var getTasks = function() {
+	var tasks = (config.instance && config.instance.get('maintenance')) || {};
+	var retval = [];
+	for(var id in tasks) {
+		var task = tasks[id];
+		var since = getCounter(task.counter) - (task.done_at || 0);
+		retval.push({
+			id : id,
+			name : task.name,
+			component : task.component,
+			counter : task.counter,
+			every : task.every,
+			done_time : task.done_time || null,
+			since : since,
+			remaining : Math.max(0, task.every - since),
+			due : since >= task.every
+		});
+	}
+	return retval;
+}
+
+// Look for tasks that have come due, and tell the dashboard about them (once per task)
+var checkDue = function() {
+	var tasks = (config.instance && config.instance.get('maintenance')) || {};
+	var changed = false;
+	getTasks().forEach(function(task) {
+		if(task.due && !tasks[task.id].notified) {
+			log.warn('Maintenance is due: ' + task.name + ' (' + task.component + ')');
+			tasks[task.id].notified = true;
+			changed = true;
+		}
+	});
+	return changed;
+}
+
+// Write the counters to the instance configuration if they've changed, and check for tasks that have come due
+//   callback - Called once the counters are saved (optional)
+var save = function(callback) {
+	callback = callback || function() {};
+	if(!dirty || !config.instance) {
+		return setImmediate(callback, null);
+	}
+	dirty = false;
+	var due = checkDue();
+	config.instance.update({
+		usage : getUsage(),
+		maintenance : config.instance.get('maintenance') || {}
+	}, function(err) {
+		if(err) {
+			log.error('Could not save the usage counters: ' + err);
+			return callback(err);
+		}
+		if(due) {
+			notifyChange();
+		}
+		callback(null);
+	});
+}
+
+// Update the tasks in the instance configuration and tell the dashboard
+function saveTasks(tasks, callback) {
+	config.instance.update({maintenance : tasks}, function(err) {
+		if(err) {
+			return callback(err);
+		}
+		notifyChange();
+		callback(null, getTasks());
+	});
+}
+
+// Add a maintenance task, or change the one with the same id
+//       task - The task, eg: {name : 'Lubricate rails', component : 'rails', counter : 'spindle_hours', every : 40}
+//              The id is made from the name if it isn't provided.  New tasks count from now.
+//   callback - Called with the list of tasks (see getTasks) or with error if error
+var setTask = function(task, callback) {
+	if(!config.instance) {
+		return setImmediate(callback, new Error('Usage is not being counted because there is no motion system.'));
+	}
+	task = task || {};
+	var every = Number(task.every);
+	var name = task.name ? String(task.name) : '';
+	var id = task.id ? String(task.id) : name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+	if(!id) {
+		return setImmediate(callback, new Error('A maintenance task needs a name.'));
+	}
+	if(COUNTERS.indexOf(task.counter) < 0) {
+		return setImmediate(callback, new Error('Invalid counter: ' + task.counter + ' (must be one of ' + COUNTERS.join(', ') + ')'));
+	}
+	if(isNaN(every) || every <= 0) {
+		return setImmediate(callback, new Error('Invalid interval: ' + task.every));
+	}
+	var tasks = config.instance.get('maintenance') || {};
+	var old = tasks[id] || {};
+	tasks[id] = {
+		name : name || old.name || id,
+		component : task.component ? String(task.component) : (old.component || ''),
+		counter : task.counter,
+		every : every,
+		done_at : (old.counter === task.counter && 'done_at' in old) ? old.done_at : getCounter(task.counter),
+		done_time : old.done_time || Date.now(),
+		notified : false
+	};
+	log.info('Setting maintenance task ' + id + ': ' + JSON.stringify(tasks[id]));
+	saveTasks(tasks, callback);
+}
+
+// Remove a maintenance task
+//         id - The task id
+//   callback - Called with the list of tasks (see getTasks) or with error if error
+var deleteTask = function(id, callback) {
+	var tasks = (config.instance && config.instance.get('maintenance')) || {};
+	if(!(id in tasks)) {
+		return setImmediate(callback, new Error('No such maintenance task: ' + id));
+	}
+	delete tasks[id];
+	saveTasks(tasks, callback);
+}
+
+// Acknowledge a maintenance task: It has been done, so it counts from now until it is due again
+//         id - The task id
+//   callback - Called with the list of tasks (see getTasks) or with error if error
+var acknowledge = function(id, callback) {
+	var tasks = (config.instance && config.instance.get('maintenance')) || {};
+	var task = tasks[id];
+	if(!task) {
+		return setImmediate(callback, new Error('No such maintenance task: ' + id));
+	}
+	log.info('Maintenance done: ' + task.name);
+	task.done_at = getCounter(task.counter);
+	task.done_time = Date.now();
+	task.notified = false;
+	saveTasks(tasks, callback);
+}
+
+exports.COUNTERS = COUNTERS;
+exports.getUsage = getUsage;
+exports.track = track;
+exports.countJob = countJob;
+exports.save = save;
+exports.getTasks = getTasks;
+exports.setTask = setTask;
+exports.deleteTask = deleteTask;
+exports.acknowledge = acknowledge;
@@ -0,0 +1,317 @@
+/*
+ * outputs.js
+ *
+ * Named outputs: The digital outputs that have something connected to them (a dust collector, a vacuum hold-down,
+ * a spindle enable, etc.) and that can be switched by name, and automatically as jobs start and finish.
+ *
+ * Each named output (config.machine `outputs`) says which output it is and which machine events switch it on and off,
+ * eg: {output : 2, description : 'Dust collector', on : 'job_start', off : 'job_end', on_delay : 0, off_delay : 10}
+ *
+ *        output - The output number (out1, out2, etc. in the status report)
+ *   description - What is connected to it
+ *        on/off - The events that switch the output on and off (comma separated, or empty for none):
+ *                    job_start - A job starts
+ *                      job_end - A job is over (finished, failed or cancelled)
+ *                    run_start - The machine starts running something (a job, a file, a macro, etc.)
+ *                      run_end - The machine goes back to idle
+ *                        pause - The machine pauses
+ *                       resume - The machine resumes from a pause
+ *                   spindle_on - The spindle starts
+ *                  spindle_off - The spindle stops
+ *  on_delay/off_delay - How long to wait after the event before switching the output (seconds)  If the output is
+ *                       switched the other way in the meantime, the change that was waiting is dropped.
+ *
+ * Outputs are switched with immediate commands to G2, so they don't wait for the moves that are queued.  OpenSBP
+ * programs that need an output switched in step with the moves use SO, which takes the name of a named output as well
+ * as an output number (see commands/setting.js)
+ */
+var config = require('./config');
+var log = require('./log').logger('outputs');
+
+var EVENTS = ['job_start', 'job_end', 'run_start', 'run_end', 'pause', 'resume', 'spindle_on', 'spindle_off'];
+
+// The named outputs a new machine starts out with.  The permissive relay is dropped whenever the machine goes idle.
+var DEFAULT_OUTPUTS = {
+	permissive_relay : {output : 4, description : 'Permissive relay', on : '', off : 'run_end', on_delay : 0, off_delay : 0}
+};
+
+// The changes that are waiting out their delay, by output name: {value, timer}
+var pending = {};
+
+// What was going on as of the last status update (see track and trackSpindle)
+var last = {state : null, job : null, paused : false, spindle : null};
+
+// Return the named outputs (null if the machine configuration isn't loaded)
+function getConfigured() {
+	return (config.machine && config.machine.get('outputs')) || null;
+}
+
+// Return the list of events in an output's on or off setting
+function parseEvents(events) {
+	return String(events || '').split(',').map(function(event) {
+		return event.trim();
+	}).filter(function(event) {
+		return event.length > 0;
+	});
+}
+
+// Return the named output with the provided name, or throw an error if there isn't one
+//   name - The name of the output, eg: 'dust_collector'
+var get = function(name) {
+	var outputs = getConfigured() || {};
+	if(!(name in outputs)) {
+		throw new Error('No such output: ' + name);
+	}
+	return outputs[name];
+}
+
+// Switch an output right now
+//     output - The output number
+//      value - 1 (on) or 0 (off)
+function write(output, value) {
+	var machine = require('./machine').machine;
+	if(!machine || !machine.isConnected()) {
+		throw new Error('Cannot switch output ' + output + ': No connection to the motion controller.');
+	}
+	var command = {};
+	command['out' + output] = value;
+	machine.driver.command(command);
+}
+
+// Switch a named output, dropping any change to it that is waiting out its delay
+//       name - The name of the output
+//      value - 1 (on) or 0 (off)
+//   callback - Called with the output (see getOutputs) or with error if error
+var set = function(name, value, callback) {
+	try {
+		var output = get(name);
+		value = parseValue(value);
+		cancel(name);
+		log.info('Switching ' + name + ' (output ' + output.output + ') ' + (value ? 'on' : 'off'));
+		write(output.output, value);
+	} catch(e) {
+		return setImmediate(callback, e);
+	}
+	setImmediate(callback, null, describe(name, output));
+}
+
+// Return 1 or 0 for the values that mean on and off (1, 0, 'on', 'off', true, false)
+function parseValue(value) {
+	switch(String(value).toLowerCase()) {
+		case '1':
+		case 'on':
+		case 'true':
+			return 1;
+		case '0':
+		case 'off':
+		case 'false':
+			return 0;
+		default:
+			throw new Error('Invalid output value: ' + value + ' (must be on or off)');
+	}
+}
+
+// Drop the change to a named output that is waiting out its delay, if there is one
+function cancel(name) {
+	if(pending[name]) {
+		clearTimeout(pending[name].timer);
+		delete pending[name];
+	}
+}
+
+// Switch the named outputs that go with a machine event
+//   event - The event (see EVENTS)
+var trigger = function(event) {
+	var outputs = getConfigured();
+	for(var name in outputs) {
+		var output = outputs[name];
+		var value = null;
+		if(parseEvents(output.on).indexOf(event) >= 0) {
+			value = 1;
+		} else if(parseEvents(output.off).indexOf(event) >= 0) {
+			value = 0;
+		}
+		if(value === null) {
+			continue;
+		}
+		var delay = (value ? output.on_delay : output.off_delay) || 0;
+		log.debug('Switching ' + name + ' ' + (value ? 'on' : 'off') + ' for ' + event + (delay ? ' in ' + delay + 's' : ''));
+		cancel(name);
+		if(delay > 0) {
+			pending[name] = {
+				value : value,
+				timer : setTimeout(function(name, output, value) {
+					delete pending[name];
+					try {
+						write(output.output, value);
+					} catch(e) {
+						log.error(e.message);
+					}
+				}, delay*1000, name, output, value)
+			};
+		} else {
+			try {
+				write(output.output, value);
+			} catch(e) {
+				log.error(e.message);
+			}
+		}
+	}
+}
+
+// Work out which events have happened from a change in the machine status, and switch the outputs that go with them
+//   status - The machine status
+var track = function(status) {
+	var state = status.state;
+	var job = status.job || null;
+
+	if(job && !last.job) {
+		trigger('job_start');
+	}
+	if(state !== last.state) {
+		switch(state) {
+			case 'running':
+				trigger(last.paused ? 'resume' : 'run_start');
+				last.paused = false;
+				break;
+			case 'paused':
+			case 'interlock':
+				// The interlock stopping a run is a pause, too (but not the interlock keeping one from starting)
+				if(state === 'paused' || last.state === 'running' || last.paused) {
+					if(!last.paused) {
+						trigger('pause');
+					}
+					last.paused = true;
+				}
+				break;
+			case 'idle':
+				// The first idle (at startup) counts too, so outputs that go off at the end of a run start out off
+				last.paused = false;
+				trigger('run_end');
+				break;
+		}
+	}
+	if(!job && last.job) {
+		trigger('job_end');
+	}
+	last.state = state;
+	last.job = job;
+}
+
+// Switch the outputs that go with the spindle starting and stopping, from a status report
+//   stat - The status report from the driver
+var trackSpindle = function(stat) {
+	if(!('spc' in stat)) {
+		return;
+	}
+	var spindle = stat.spc === 1 || stat.spc === 2;
+	if(last.spindle !== null && spindle !== last.spindle) {
+		trigger(spindle ? 'spindle_on' : 'spindle_off');
+	}
+	last.spindle = spindle;
+}
+
+// Return a named output as sent to the client, with whether it is on right now
+function describe(name, output) {
+	var machine = require('./machine').machine;
+	var value = (machine && machine.driver) ? machine.driver.status['out' + output.output] : undefined;
+	return {
+		name : name,
+		output : output.output,
+		description : output.description || '',
+		on : output.on,
+		off : output.off,
+		on_delay : output.on_delay,
+		off_delay : output.off_delay,
+		value : (value === undefined) ? null : value,
+		pending : pending[name] ? pending[name].value : null
+	};
+}
+
+// Return the named outputs as a list (see describe)
+var getOutputs = function() {
+	var outputs = getConfigured() || {};
+	return Object.keys(outputs).map(function(name) {
+		return describe(name, outputs[name]);
+	});
+}
+
+// Update the named outputs in the machine configuration
+function saveOutputs(outputs, callback) {
+	config.machine.update({outputs : outputs}, function(err) {
+		if(err) {
+			return callback(err);
+		}
+		callback(null, getOutputs());
+	});
+}
+
+// Add a named output, or change the one with the same name.  Anything not provided is left as it was.
+//     output - The output, eg: {name : 'vacuum', output : 3, on : 'job_start', off : 'job_end'}  See the top of this file.
+//   callback - Called with the list of named outputs (see getOutputs) or with error if error
+var setOutput = function(output, callback) {
+	var outputs = getConfigured();
+	if(!outputs) {
+		return setImmediate(callback, new Error('The machine configuration is not loaded.'));
+	}
+	output = output || {};
+	var name = output.name ? String(output.name) : '';
+	if(!name.match(/^[A-Za-z_][A-Za-z0-9_]*$/)) {
+		return setImmediate(callback, new Error('Invalid output name: ' + name + ' (use letters, numbers and underscores)'));
+	}
+	var old = outputs[name] || {};
+	var value = function(key, dflt) {
+		return (output[key] === undefined || output[key] === null) ? (key in old ? old[key] : dflt) : output[key];
+	}
+
+	var number = Number(value('output'));
+	if(isNaN(number) || number < 1 || Math.floor(number) !== number) {
+		return setImmediate(callback, new Error('Invalid output number: ' + value('output')));
+	}
+	var updated = {
+		output : number,
+		description : String(value('description', '')),
+		on : parseEvents(value('on', '')).join(','),
+		off : parseEvents(value('off', '')).join(','),
+		on_delay : Number(value('on_delay', 0)),
+		off_delay : Number(value('off_delay', 0))
+	};
+	var unknown = parseEvents(updated.on).concat(parseEvents(updated.off)).filter(function(event) {
+		return EVENTS.indexOf(event) < 0;
+	});
+	if(unknown.length) {
+		return setImmediate(callback, new Error('Invalid event: ' + unknown[0] + ' (must be one of ' + EVENTS.join(', ') + ')'));
+	}
+	if(isNaN(updated.on_delay) || updated.on_delay < 0 || isNaN(updated.off_delay) || updated.off_delay < 0) {
+		return setImmediate(callback, new Error('Invalid delay: ' + value('on_delay') + ', ' + value('off_delay')));
+	}
+
+	log.info('Setting output ' + name + ': ' + JSON.stringify(updated));
+	outputs[name] = updated;
+	cancel(name);
+	saveOutputs(outputs, callback);
+}
+
+// Remove a named output
+//       name - The name of the output
+//   callback - Called with the list of named outputs (see getOutputs) or with error if error
+var deleteOutput = function(name, callback) {
+	var outputs = getConfigured() || {};
+	if(!(name in outputs)) {
+		return setImmediate(callback, new Error('No such output: ' + name));
+	}
+	delete outputs[name];
+	cancel(name);
+	saveOutputs(outputs, callback);
+}
+
+exports.EVENTS = EVENTS;
+exports.DEFAULT_OUTPUTS = DEFAULT_OUTPUTS;
+exports.get = get;
+exports.set = set;
+exports.trigger = trigger;
+exports.track = track;
+exports.trackSpindle = trackSpindle;
+exports.getOutputs = getOutputs;
+exports.setOutput = setOutput;
+exports.deleteOutput = deleteOutput;
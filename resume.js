@@ -0,0 +1,272 @@
+/*
+ * resume.js
+ *
+ * Support for resuming a job part way through a file (after a broken bit, for instance)
+ *
+ * To resume from a line, the runtimes "fast-forward" through the part of the file before it: the g-codes
+ * that would have been sent to the tool are fed to a ResumeState instead, which keeps track of the modal
+ * state (units, coordinate system, feedrate, spindle and coolant) and the position of the tool.  Before the
+ * rest of the file is run, the ResumeState produces a preamble that retracts to a safe Z height, restores that
+ * state and approaches the point where the tool would have been.
+ */
+var stream = require('stream');
+var util = require('util');
+var config = require('./config');
+var gcode = require('./gcode_util');
+var log = require('./log').logger('resume');
+
+var AXES = ['X','Y','Z','A','B'];
+var LINEAR_AXES = ['X','Y','Z'];
+
+// Time (seconds) that the spindle is given to come up to speed before the tool moves back into the work
+var SPINDLE_DWELL = 3;
+
+// Format a number for a g-code word
+function fmt(value) {
+	return Number(value.toFixed(5)).toString();
+}
+
+// ResumeState constructor
+//   units - The units ('in' or 'mm') that are in effect at the start of the file
+function ResumeState(units) {
+	this.units = units || config.machine.get('units') || 'in';
+	this.absolute = true;
+	this.coordinateSystem = null;
+	this.plane = null;
+	this.feedrate = null;           // mm/min
+	this.spindle = null;            // M3, M4 or M5
+	this.speed = null;              // Spindle speed (S word)
+	this.coolant = {M7 : false, M8 : false};
+	this.motion = null;
+
+	// Tool position in work coordinates (mm) - null if unknown
+	this.position = {};
+	AXES.forEach(function(axis) {
+		this.position[axis] = null;
+	}.bind(this));
+}
+
+// Convert an axis value in the current units to mm (rotary axes are never converted)
+ResumeState.prototype._toMM = function(axis, value) {
+	return LINEAR_AXES.indexOf(axis) >= 0 ? gcode.toMM(value, this.units) : value;
+};
+
+// Convert an axis value in mm to the current units (rotary axes are never converted)
+ResumeState.prototype._fromMM = function(axis, value) {
+	return LINEAR_AXES.indexOf(axis) >= 0 ? gcode.fromMM(value, this.units) : value;
+};
+
+// Update the state with a line of g-code that is being skipped
+ResumeState.prototype.update = function(line) {
+	var words = gcode.parseWords(line);
+
+	var nonModal = null;
+	words.G.forEach(function(g) {
+		switch(g) {
+			case 0: case 1: case 2: case 3: case 38.2: case 38.3: case 80:
+				this.motion = g;
+				break;
+			case 17: case 18: case 19:
+				this.plane = 'G' + g;
+				break;
+			case 20:
+				this.units = 'in';
+				break;
+			case 21:
+				this.units = 'mm';
+				break;
+			case 54: case 55: case 56: case 57: case 58: case 59:
+				this.coordinateSystem = 'G' + g;
+				break;
+			case 90:
+				this.absolute = true;
+				break;
+			case 91:
+				this.absolute = false;
+				break;
+			case 10: case 28.2: case 28.3: case 53: case 92:
+				nonModal = g;
+				break;
+		}
+	}.bind(this));
+
+	words.M.forEach(function(mcode) {
+		switch(mcode) {
+			case 3: case 4: case 5:
+				this.spindle = 'M' + mcode;
+				break;
+			case 7: case 8:
+				this.coolant['M' + mcode] = true;
+				break;
+			case 9:
+				this.coolant = {M7 : false, M8 : false};
+				break;
+			case 2: case 30:
+				this.spindle = 'M5';
+				this.coolant = {M7 : false, M8 : false};
+				break;
+		}
+	}.bind(this));
+
+	if(words.F !== undefined) {
+		this.feedrate = this._toMM('X', words.F);
+	}
+	if(words.S !== undefined) {
+		this.speed = words.S;
+	}
+
+	var axes = AXES.filter(function(axis) {
+		return words[axis] !== undefined;
+	});
+
+	switch(nonModal) {
+		case 10:
+			return;
+		case 28.2:
+		case 28.3:
+		case 53:
+		case 92:
+			// These all leave the tool somewhere we can't relate to the work coordinates
+			axes.forEach(function(axis) {
+				this.position[axis] = null;
+			}.bind(this));
+			return;
+	}
+
+	if(axes.length === 0 || this.motion === null || this.motion === 80) {
+		return;
+	}
+
+	axes.forEach(function(axis) {
+		var value = this._toMM(axis, words[axis]);
+		if(this.motion === 38.2 || this.motion === 38.3) {
+			this.position[axis] = null;
+		} else if(this.absolute) {
+			this.position[axis] = value;
+		} else if(this.position[axis] !== null) {
+			this.position[axis] += value;
+		}
+	}.bind(this));
+};
+
+// Return true if the position of the tool in X and Y is known
+ResumeState.prototype.hasPosition = function() {
+	return this.position.X !== null && this.position.Y !== null;
+};
+
+// Return a list of g-codes that restore the state and put the tool where it would have been.
+// The tool retracts to the safe Z height (the safeZpullUp setting) before anything else happens, then the spindle
+// is started (and given time to come up to speed) before the tool moves over to the resume point and feeds down
+// to the resume height from there.
+ResumeState.prototype.getPreamble = function() {
+	var lines = [];
+	var machineUnits = config.machine.get('units') || 'in';
+	var safeZ = gcode.toMM(config.opensbp.get('safeZpullUp') || 0, machineUnits);
+
+	lines.push(this.units === 'in' ? 'G20' : 'G21');
+	if(this.plane) { lines.push(this.plane); }
+	if(this.coordinateSystem) { lines.push(this.coordinateSystem); }
+	lines.push('G90');
+
+	var z = this.position.Z;
+	var retract = (z === null) ? safeZ : Math.max(safeZ, z);
+	lines.push('G0 Z' + fmt(this._fromMM('Z', retract)));
+
+	if(this.spindle && this.spindle !== 'M5') {
+		lines.push(this.spindle + (this.speed !== null ? ' S' + this.speed : ''));
+		lines.push('G4 P' + SPINDLE_DWELL);
+	}
+	if(this.coolant.M7) { lines.push('M7'); }
+	if(this.coolant.M8) { lines.push('M8'); }
+
+	if(this.hasPosition()) {
+		var approach = ['G0'];
+		AXES.forEach(function(axis) {
+			if(axis !== 'Z' && this.position[axis] !== null) {
+				approach.push(axis + fmt(this._fromMM(axis, this.position[axis])));
+			}
+		}.bind(this));
+		lines.push(approach.join(' '));
+	} else {
+		log.warn('The position of the tool at the resume point is not known.  Resuming without an approach move.');
+	}
+
+	// Feed down to the resume height (which also restores the feedrate)
+	var feed = this.feedrate ? 'F' + fmt(this._fromMM('X', this.feedrate)) : '';
+	if(this.hasPosition() && z !== null && z < retract) {
+		lines.push('G1 Z' + fmt(this._fromMM('Z', z)) + (feed ? ' ' + feed : ''));
+	} else if(feed) {
+		lines.push(feed);
+	}
+	if(!this.absolute) {
+		lines.push('G91');
+	}
+	return lines;
+};
+
+// A transform stream that fast-forwards through a g-code file up to the specified line, and numbers
+// the rest of the lines the way LineNumberer (see util.js) does.  The lines before the start line are
+// not passed on; they're replaced with the preamble from a ResumeState that followed them.
+//   start - The (1-based) line to resume from
+function ResumeFilter(start, options) {
+	if (!(this instanceof ResumeFilter)) {
+		return new ResumeFilter(start, options);
+	}
+	this.start = start;
+	this.count = 0;
+	this.state = new ResumeState();
+	this.resumed = false;
+	stream.Transform.call(this, options);
+}
+util.inherits(ResumeFilter, stream.Transform);
+
+ResumeFilter.prototype._line = function(line) {
+	this.count += 1;
+	if(this.count < this.start) {
+		this.state.update(line);
+		return [];
+	}
+	var block = [];
+	if(!this.resumed) {
+		this.resumed = true;
+		block = this.state.getPreamble().map(function(code) {
+			return 'N' + this.count + ' ' + code;
+		}.bind(this));
+	}
+	block.push('N' + this.count + ' ' + line);
+	return block;
+};
+
+ResumeFilter.prototype._transform = function(chunk, enc, next) {
+	var data = chunk.toString();
+	if (this._lastLineData) { data = this._lastLineData + data; }
+
+	var lines = data.split('\n');
+	this._lastLineData = lines.splice(lines.length-1,1)[0];
+	var block = [];
+	for(var i=0; i<lines.length; i++) {
+		block = block.concat(this._line(lines[i]));
+	}
+	if(block.length) {
+		this.push(block.join('\n') + '\n');
+	}
+	next();
+};
+
+ResumeFilter.prototype._flush = function(done) {
+	if (this._lastLineData) {
+		var block = this._line(this._lastLineData);
+		if(block.length) {
+			this.push(block.join('\n') + '\n');
+		}
+	}
+	this._lastLineData = null;
+	// Nothing past the resume line means nothing to run, which is an error rather than a job that's done
+	if(!this.resumed) {
+		return done(new Error('Cannot resume: Line ' + this.start + ' is never reached.'));
+	}
+	done();
+};
+
+exports.ResumeState = ResumeState;
+exports.ResumeFilter = ResumeFilter;
@@ -0,0 +1,44 @@
+var firmware = require('../firmware_manager');
+
+/**
+ * @apiGroup Firmware
+ * @api {get} /firmware Firmware version
+ * @apiDescription Compare the G2 firmware on the motion controller with the firmware that ships with the engine.
+ * @apiSuccess {Object} board Build (`fb`) and version (`fv`) of the firmware on the motion controller (null if it is not connected)
+ * @apiSuccess {Object} bundled The firmware that ships with the engine
+ * @apiSuccess {Number} bundled.fb Build (null if the firmware description doesn't match the binary)
+ * @apiSuccess {Number} bundled.fv Version
+ * @apiSuccess {String} bundled.md5 MD5 of the binary
+ * @apiSuccess {Number} bundled.size Size of the binary (bytes)
+ * @apiSuccess {String} status `current`, `outdated` (the bundled firmware is newer), `newer` (the motion controller's firmware is newer) or `unknown`
+ * @apiSuccess {Boolean} flashing True if the firmware is being updated
+ */
+var getFirmware = function(req, res, next) {
+    firmware.check(function(err, info) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : info});
+    });
+};
+
+/**
+ * @apiGroup Firmware
+ * @api {post} /firmware/flash Update firmware
+ * @apiDescription Install the bundled G2 firmware on the motion controller, then reconnect to it and configure it again.  The machine must be idle.  This returns as soon as the update starts: Its progress is reported with `firmware` events on the websocket, eg: `{stage : 'write', done : 120, total : 650}`  The stages are `bootloader`, `erase`, `write`, `verify` and `reconnect`, followed by `done` (with the new `fb` and `fv`) or `error` (with a `message`)
+ * @apiParam {String} [port] The port that the bootloader shows up on (defaults to the G2 port)
+ * @apiSuccess {Object} data The firmware being installed (see GET /firmware)
+ */
+var flashFirmware = function(req, res, next) {
+    firmware.flash({port : req.params.port}, function(err, bundled) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : bundled});
+    });
+};
+
+module.exports = function(server) {
+    server.get('/firmware', getFirmware);
+    server.post('/firmware/flash', flashFirmware);
+};
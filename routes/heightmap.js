@@ -0,0 +1,96 @@
+var heightmap = require('../heightmap');
+var machine = require('../machine').machine;
+
+// Parameters of POST /heightmap/probe, in the order of the arguments of the PG command
+var PROBE_PARAMS = ['x1', 'y1', 'x2', 'y2', 'spacing', 'distance', 'speed', 'input', 'clearance'];
+
+/**
+ * @apiGroup Leveling
+ * @api {get} /heightmap Get height map
+ * @apiDescription Returns the height map that is used for surface leveling, along with its triangulation.
+ * @apiSuccess {Number[][]} points Points of the height map (`[x, y, z]`)
+ * @apiSuccess {Number[][]} triangles Triangles used for leveling (`[i, j, k]` where i, j and k are indexes into `points`)
+ * @apiSuccess {String} units Units of the points (`in` or `mm`)
+ * @apiSuccess {Boolean} apply True if leveling is applied to OpenSBP jobs
+ * @apiSuccess {Boolean} apply_gcode True if leveling is applied to G-Code jobs
+ */
+var getHeightMap = function(req, res, next) {
+    heightmap.load(function(err, map) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : map});
+    });
+};
+
+/**
+ * @apiGroup Leveling
+ * @api {post} /heightmap Update leveling
+ * @apiDescription Turn surface leveling on or off for the jobs that follow.  At least one of the settings is required.
+ * @apiParam {Boolean} [apply] True to apply leveling to OpenSBP jobs
+ * @apiParam {Boolean} [apply_gcode] True to apply leveling to G-Code jobs (unless the job says otherwise - see the `level` option of jobs)
+ */
+var postHeightMap = function(req, res, next) {
+    var settings = {};
+    ['apply', 'apply_gcode'].forEach(function(key) {
+        if(key in req.params) {
+            settings[key] = req.params[key] === true || req.params[key] === 'true';
+        }
+    });
+    if(Object.keys(settings).length === 0) {
+        return res.json({'status' : 'error', 'message' : 'No apply setting in request.'});
+    }
+    heightmap.setApply(settings, function(err) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : settings});
+    });
+};
+
+/**
+ * @apiGroup Leveling
+ * @api {post} /heightmap/probe Probe height map
+ * @apiDescription Probe a grid of points on the surface, to make a new height map.  This runs the OpenSBP `PG` command, so the machine must be idle.  Each point is reported with a `heightmap` event on the websocket as it is probed.  Leveling is turned on once the grid is done.
+ * @apiParam {Number} x1 X location of the first corner of the grid
+ * @apiParam {Number} y1 Y location of the first corner of the grid
+ * @apiParam {Number} x2 X location of the opposite corner of the grid
+ * @apiParam {Number} y2 Y location of the opposite corner of the grid
+ * @apiParam {Number} spacing Distance between the points of the grid
+ * @apiParam {Number} [distance] Distance to search down from the clearance height at each point
+ * @apiParam {Number} [speed] Search speed (units/sec)
+ * @apiParam {Number} [input] Input that the probe is connected to
+ * @apiParam {Number} [clearance] Height (in work coordinates) to travel between points at
+ * @apiSuccess {Number} points The number of points in the grid
+ */
+var probeHeightMap = function(req, res, next) {
+    if(machine.status.state !== 'idle') {
+        return res.json({'status' : 'error', 'message' : "Machine is not in 'idle' state."});
+    }
+    var args = PROBE_PARAMS.map(function(key) {
+        var value = req.params[key];
+        if(value === undefined || value === null || value === '') {
+            return '';
+        }
+        return Number(value);
+    });
+    if(args.slice(0, 5).indexOf('') >= 0) {
+        return res.json({'status' : 'error', 'message' : 'The corners and spacing of the grid are required.'});
+    }
+    if(args.some(function(arg) { return typeof arg === 'number' && isNaN(arg); })) {
+        return res.json({'status' : 'error', 'message' : 'Invalid probing parameters: ' + JSON.stringify(req.params)});
+    }
+    try {
+        var grid = heightmap.getGrid(args[0], args[1], args[2], args[3], args[4]);
+    } catch(e) {
+        return res.json({'status' : 'error', 'message' : e.message});
+    }
+    machine.sbp('PG, ' + args.join(', '));
+    res.json({'status' : 'success', 'data' : {'points' : grid.length}});
+};
+
+module.exports = function(server) {
+    server.get('/heightmap', getHeightMap);
+    server.post('/heightmap', postHeightMap);
+    server.post('/heightmap/probe', probeHeightMap);
+};
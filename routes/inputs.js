@@ -0,0 +1,80 @@
+var inputs = require('../inputs');
+
+// Return the input functions as sent to the client
+var getInputData = function() {
+    return {
+        'actions' : inputs.ACTIONS,
+        'default_states' : inputs.DEFAULT_STATES,
+        'mappings' : inputs.getMappings()
+    };
+}
+
+/**
+ * @apiGroup Inputs
+ * @api {get} /inputs Input functions
+ * @apiDescription Get the input functions, which say what the machine does when its digital inputs become active.
+ * @apiSuccess {String[]} actions The actions an input can have: `start`, `pause`, `resume`, `quit`, `interlock`, `estop`, `macro`, `variable` and `ap_collapse`
+ * @apiSuccess {Object} default_states The states that each action happens in, unless the input function says otherwise, eg: `{"pause" : "running", ...}`
+ * @apiSuccess {Object[]} mappings Input functions
+ * @apiSuccess {String} mappings.id Input function ID, eg: `in2_start`
+ * @apiSuccess {Number} mappings.input Input number
+ * @apiSuccess {String} mappings.action Action
+ * @apiSuccess {String} mappings.polarity `normal` (active when the input is on) or `inverted` (active when the input is off)
+ * @apiSuccess {Number} mappings.debounce How long the input has to stay put before a change counts (milliseconds)
+ * @apiSuccess {Number} mappings.hold How long the input has to stay active before the action happens (seconds)
+ * @apiSuccess {String} mappings.states Machine states the action happens in, comma separated (empty for any state)
+ * @apiSuccess {Number} mappings.macro Macro to run (`macro` action only)
+ * @apiSuccess {String} mappings.variable OpenSBP persistent variable to set (`variable` action only)
+ * @apiSuccess {String} mappings.value Value to set the variable to (`variable` action only)
+ * @apiSuccess {Boolean} mappings.active True if the input is active right now (null if it hasn't been reported yet)
+ */
+var getInputs = function(req, res, next) {
+    res.json({'status' : 'success', 'data' : getInputData()});
+};
+
+/**
+ * @apiGroup Inputs
+ * @api {post} /inputs Set input function
+ * @apiDescription Add an input function, or change the one with the same ID.  Anything not provided is left as it was (or takes its default, for a new input function)
+ * @apiParam {String} [id] Input function ID (made from the input and action if not provided)
+ * @apiParam {Number} input Input number
+ * @apiParam {String} action Action (see GET /inputs)
+ * @apiParam {String} [polarity=normal] `normal` or `inverted`
+ * @apiParam {Number} [debounce=50] Debounce time (milliseconds)
+ * @apiParam {Number} [hold=0] Hold time (seconds)
+ * @apiParam {String} [states] Machine states the action happens in, comma separated, eg: `running,paused` (defaults to the action's default states)
+ * @apiParam {Number} [macro] Macro to run (`macro` action only)
+ * @apiParam {String} [variable] OpenSBP persistent variable to set (`variable` action only)
+ * @apiParam {String} [value=1] Value to set the variable to (`variable` action only)
+ * @apiSuccess {Object} data Input functions (see GET /inputs)
+ */
+var setInput = function(req, res, next) {
+    inputs.setMapping(req.params, function(err) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : getInputData()});
+    });
+};
+
+/**
+ * @apiGroup Inputs
+ * @api {delete} /inputs/:id Delete input function
+ * @apiDescription Remove an input function
+ * @apiParam {String} id Input function ID
+ * @apiSuccess {Object} data Input functions (see GET /inputs)
+ */
+var deleteInput = function(req, res, next) {
+    inputs.deleteMapping(req.params.id, function(err) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : getInputData()});
+    });
+};
+
+module.exports = function(server) {
+    server.get('/inputs', getInputs);
+    server.post('/inputs', setInput);
+    server.del('/inputs/:id', deleteInput);
+};
@@ -7,7 +7,18 @@ var machine = require('../machine').machine;
 var fs = require('fs');
 var uuid = require('node-uuid');
 var upload = require('./util').upload;
+var history = require('../history');
 
+/**
+ * @api {post} /job Submit job
+ * @apiGroup Jobs
+ * @apiDescription Submit one or more files as jobs.  The metadata of each file can include the job `name` and `description`, a `level` setting (true or false to turn surface leveling on or off for a G-Code job), a `transform` (coordinate transformations that are applied to a G-Code file before it is stored - see transform.js) and an `array` (offsets to cut copies of a G-Code file at - see transform.normalizeArray)
+ * @apiParam {Object[]} files Metadata of the files
+ * @apiSuccess {String} status `success`
+ * @apiSuccess {Object} data Submitted jobs
+ * @apiError {String} status `error`
+ * @apiError {Object} message Error message
+ */
 var submitJob = function(req, res, next) {
     upload(req, res, next, function(err, upload) {
         uploads = upload.files
@@ -116,8 +127,10 @@ runNextJob = function(req, res, next) {
 /**
  * @apiGroup Jobs
  * @api {post} /jobs/:id Resubmit job
- * @apiDescription Submit a new job identical to the one specified.  Used to re-run completed jobs without modification.
+ * @apiDescription Submit a new job identical to the one specified.  Used to re-run completed jobs without modification.  If a start line is provided, the new job resumes the specified (failed or cancelled) job from that line instead of running the whole file.  Array jobs are resumed at the copy they stopped on instead (`next_copy`)
  * @apiParam {String} id ID of job to resubmit
+ * @apiParam {Number} [start_line] Line of the file to resume from
+ * @apiParam {Boolean} [next_copy] Resume a (failed or cancelled) array job at the copy it stopped on
  * @apiSuccess {String} status `success`
  * @apiSuccess {Object} data null
  * @apiError {String} status `error`
@@ -135,13 +148,13 @@ var resubmitJob = function(req, res, next) {
             };
             return res.json(answer);
         }
-        result.clone(function(err, result) {
+        var done = function(err, result) {
             log.debug("Cloned!");
             if(err) {
                 log.error(err);
                 answer = {
                     status:"failed",
-                    data:{job:err}
+                    data:{job:err.message || err}
                 };
                 res.json(answer);
             } else {
@@ -151,29 +164,40 @@ var resubmitJob = function(req, res, next) {
                 };
                 res.json(answer);
             }
-        });
+        };
+        if(req.params.next_copy === true || req.params.next_copy === 'true') {
+            result.resumeArray(done);
+        } else if(req.params.start_line) {
+            result.resume(req.params.start_line, done);
+        } else {
+            result.clone(done);
+        }
     });
 };
 
 /**
  * @apiGroup Jobs
  * @api {get} /jobs/queue Job queue
- * @apiDescription Get a list of all the pending jobs currently in the queue.
+ * @apiDescription Get a list of all the pending jobs currently in the queue, in the order they will run, and the running job.
  * @apiSuccess {String} status `success`
  * @apiSuccess {Object} data Response data
- * @apiSuccess {Object[]} data.jobs List of all jobs
- * @apiSuccess {Number} data.jobs._id Unique job ID
- * @apiSuccess {String} data.jobs.state `pending` | `running` | `finished` | `cancelled`
- * @apiSuccess {String} data.jobs.name Human readable job name
- * @apiSuccess {String} data.jobs.description Job description
- * @apiSuccess {Number} data.jobs.created_at Time job was added to the queue (UNIX timestamp)
- * @apiSuccess {Number} data.jobs.started_at Time job was started (UNIX timestamp)
- * @apiSuccess {Number} data.jobs.finished_at Time job was finished (UNIX timestamp)
+ * @apiSuccess {Object} data.jobs Jobs in the queue
+ * @apiSuccess {Object[]} data.jobs.pending Pending jobs, in the order they will run (by priority, then order)
+ * @apiSuccess {Number} data.jobs.pending._id Unique job ID
+ * @apiSuccess {String} data.jobs.pending.name Human readable job name
+ * @apiSuccess {String} data.jobs.pending.description Job description
+ * @apiSuccess {Number} data.jobs.pending.created_at Time job was added to the queue (UNIX timestamp)
+ * @apiSuccess {Boolean} data.jobs.pending.hold True if the job is on hold
+ * @apiSuccess {Number} data.jobs.pending.priority Priority of the job (higher runs first)
+ * @apiSuccess {Number} data.jobs.pending.run_at Time the job can run after (UNIX timestamp) or `null`
+ * @apiSuccess {Object} data.jobs.pending.requires Tool (`tool`) and material (`material`) the job needs, or `null` for either
+ * @apiSuccess {String} data.jobs.pending.wait Why the job can't run yet, or `null` if it can
+ * @apiSuccess {Object[]} data.jobs.running The running job (if there is one)
  * @apiError {String} status `error`
  * @apiError {Object} message Error message
  */
 var getQueue = function(req, res, next) {
-    db.Job.getPending(function(err, pending) {
+    db.Job.getQueue(function(err, pending) {
         if(err) {
             log.error(err);
             return res.json({
@@ -283,6 +307,114 @@ var getJobHistory = function(req, res, next) {
     });
 };
 
+/**
+ * @apiGroup Jobs
+ * @api {get} /jobs/history/export Export job history
+ * @apiDescription Export the jobs in the history as CSV (for spreadsheets) or JSON.  Each job has its file name, duration, outcome and the user that submitted it.  A JSON export made with `files` can be imported on another controller (see POST /jobs/history/import)
+ * @apiParam {String} [format] `csv` | `json` (default `json`)
+ * @apiParam {String} [from] Only jobs that finished at or after this time (UNIX timestamp or date, eg: `2018-03-01`)
+ * @apiParam {String} [to] Only jobs that finished before this time (UNIX timestamp or date)
+ * @apiParam {String} [state] Only jobs in these states (comma separated) eg: `finished,failed`
+ * @apiParam {Boolean} [files] True to include the file of each job in a JSON export
+ * @apiSuccess {Number} exported_at Time of the export (UNIX timestamp)
+ * @apiSuccess {Object[]} jobs Jobs, in the order they finished
+ * @apiSuccess {String} jobs.name Job name
+ * @apiSuccess {String} jobs.file File name
+ * @apiSuccess {String} jobs.state Outcome of the job `finished` | `cancelled` | `failed`
+ * @apiSuccess {String} jobs.user User that submitted the job
+ * @apiSuccess {Number} jobs.duration How long the job ran (seconds)
+ * @apiSuccess {Number} jobs.spindle_time How long the spindle was on (seconds)
+ * @apiSuccess {Number} jobs.cut_distance Distance travelled at feed rates (in `jobs.units`)
+ * @apiSuccess {Object} jobs.job The job, as stored
+ * @apiSuccess {String} jobs.file_data The contents of the file (base64, only if `files` was requested)
+ * @apiError {String} status `error`
+ * @apiError {Object} message Error message
+ */
+var exportJobHistory = function(req, res, next) {
+    var format = req.params.format || 'json';
+    if(format !== 'csv' && format !== 'json') {
+        return res.json({
+            status:"error",
+            message:"Invalid format: " + format + " (must be csv or json)"
+        });
+    }
+    var options = {
+        from : req.params.from,
+        to : req.params.to,
+        state : req.params.state,
+        files : format === 'json' && (req.params.files === true || req.params.files === 'true')
+    };
+    history.exportHistory(options, function(err, data) {
+        if(err) {
+            log.error(err);
+            return res.json({
+                status:"error",
+                message:err.message || err
+            });
+        }
+        var body = format === 'csv' ? history.toCSV(data.jobs) : JSON.stringify(data);
+        res.header('Content-Type', format === 'csv' ? 'text/csv' : 'application/json');
+        res.header('Content-Disposition', 'attachment; filename="job-history.' + format + '"');
+        res.status(200);
+        res.write(body);
+        res.end();
+    });
+};
+
+/**
+ * @apiGroup Jobs
+ * @api {post} /jobs/history/import Import job history
+ * @apiDescription Restore the jobs in a JSON export of the history (made with `files`, see GET /jobs/history/export) to this controller.  The export is uploaded like a job file.  Jobs that are already in the history are skipped, as are jobs whose file is not in the export.
+ * @apiParam {Object} file The export file
+ * @apiSuccess {String} status `success`
+ * @apiSuccess {Object} data Response data
+ * @apiSuccess {Number} data.imported Number of jobs imported
+ * @apiSuccess {Number} data.skipped Number of jobs skipped
+ * @apiError {String} status `error`
+ * @apiError {Object} message Error message
+ */
+var importJobHistory = function(req, res, next) {
+    upload(req, res, next, function(err, upload) {
+        var item = upload.files[0];
+        if(!item || !item.file) {
+            return res.json({
+                status:"error",
+                message:"No history export was uploaded."
+            });
+        }
+        fs.readFile(item.file.path, 'utf8', function(err, text) {
+            fs.unlink(item.file.path, function() {});
+            if(err) {
+                return res.json({
+                    status:"error",
+                    message:err.message
+                });
+            }
+            try {
+                var data = JSON.parse(text);
+            } catch(e) {
+                return res.json({
+                    status:"error",
+                    message:"Not a job history export: " + e.message
+                });
+            }
+            history.importHistory(data, function(err, result) {
+                if(err) {
+                    log.error(err);
+                    return res.json({
+                        status:"error",
+                        message:err.message || err
+                    });
+                }
+                res.json({
+                    status:"success",
+                    data : result
+                });
+            });
+        });
+    });
+};
+
 /**
  * @apiGroup Jobs
  * @api {get} /jobs/:id Job info
@@ -325,6 +457,101 @@ var getJobById = function(req, res, next) {
     });
 };
 
+/**
+ * @apiGroup Jobs
+ * @api {get} /job/:id/analysis Job analysis
+ * @apiDescription Get the pre-flight analysis of a job: the size of the job, how far the tool travels and how long it is expected to take.  Jobs are analyzed when they are submitted; If the analysis isn't available yet, it is done on request.
+ * @apiParam {String} id ID of requested job
+ * @apiSuccess {Object} data Response data
+ * @apiSuccess {Object} data.analysis Job analysis
+ * @apiSuccess {String} data.analysis.units Units for all lengths in the analysis `in` | `mm`
+ * @apiSuccess {Object} data.analysis.extents Minimum and maximum position on each axis (`xmin`,`xmax`,`ymin`...) in work coordinates
+ * @apiSuccess {Object} data.analysis.size Size of the job along each axis (`x`,`y`,`z`...)
+ * @apiSuccess {Number} data.analysis.rapid_distance Distance travelled at rapid rates
+ * @apiSuccess {Number} data.analysis.feed_distance Distance travelled at feed rates
+ * @apiSuccess {Number} data.analysis.tool_changes Number of tool changes
+ * @apiSuccess {Number} data.analysis.estimated_time Estimated run time (seconds)
+ * @apiSuccess {Number} data.analysis.lines Number of lines of g-code
+ * @apiSuccess {Number} data.analysis.analyzed_at Time the analysis was done (UNIX timestamp)
+ * @apiError {String} status `error`
+ * @apiError {Object} message Error message
+ */
+var getJobAnalysis = function(req, res, next) {
+    db.Job.getById(req.params.id, function(err, job) {
+        if(err) {
+            return res.json({
+                status:"error",
+                message:err.message || err
+            });
+        }
+        if(job.analysis) {
+            return res.json({
+                status:"success",
+                data : {analysis:job.analysis}
+            });
+        }
+        job.analyze(function(err, analysis) {
+            if(err) {
+                log.error(err);
+                return res.json({
+                    status:"error",
+                    message:err.message || err
+                });
+            }
+            res.json({
+                status:"success",
+                data : {analysis:analysis}
+            });
+        });
+    });
+};
+
+/**
+ * @apiGroup Jobs
+ * @api {get} /job/:id/timeline Job timeline
+ * @apiDescription Get the timeline of a job that has run (or is running) and where its time went.  The timeline lists pauses, resumes, feedholds, interlock trips and errors as they happened, along with the line that was running at the time.
+ * @apiParam {String} id ID of requested job
+ * @apiSuccess {Object} data Response data
+ * @apiSuccess {Object} data.timeline Job timeline
+ * @apiSuccess {String} data.timeline.state Current state of the job
+ * @apiSuccess {Number} data.timeline.started_at Time job was started (UNIX timestamp)
+ * @apiSuccess {Number} data.timeline.finished_at Time job was finished (UNIX timestamp)
+ * @apiSuccess {Object[]} data.timeline.timeline Events in the order they happened
+ * @apiSuccess {Number} data.timeline.timeline.time Time of the event (UNIX timestamp)
+ * @apiSuccess {String} data.timeline.timeline.event `start` | `pause` | `feedhold` | `resume` | `interlock` | `error` | `finish` | `fail` | `cancel`
+ * @apiSuccess {Number} data.timeline.timeline.line Line of the file that was running (if known)
+ * @apiSuccess {String} data.timeline.timeline.message Pause message or error message (if any)
+ * @apiSuccess {Object} data.timeline.stats Run statistics (null for jobs that haven't run)
+ * @apiSuccess {Object} data.timeline.stats.time_in_state Milliseconds spent in each machine state, eg: `{"running" : 60000, "paused" : 5000}`
+ * @apiSuccess {Number} data.timeline.stats.spindle_time Milliseconds the spindle was on
+ * @apiSuccess {Number} data.timeline.stats.cut_distance Distance travelled at feed rates
+ * @apiSuccess {String} data.timeline.stats.units Units of the cut distance `in` | `mm`
+ * @apiError {String} status `error`
+ * @apiError {Object} message Error message
+ */
+var getJobTimeline = function(req, res, next) {
+    // The running job is more up to date in memory than in the database
+    var running = machine.status.job;
+    if(running && String(running._id) === req.params.id) {
+        return res.json({
+            status:"success",
+            data : {timeline:running.getTimeline()}
+        });
+    }
+    db.Job.getById(req.params.id, function(err, job) {
+        if(err) {
+            return res.json({
+                status:"error",
+                message:err.message || err
+            });
+        }
+        res.json({
+            status:"success",
+            data : {timeline:job.getTimeline()}
+        });
+    });
+};
+
 /**
  * @apiGroup Jobs
  * @api {delete} /jobs/:id Cancel job
@@ -366,6 +593,35 @@ var cancelJob = function(req, res, next) {
     });
 };
 
+/**
+ * @apiGroup Jobs
+ * @api {post} /job/:id/schedule Schedule job
+ * @apiDescription Change when a pending job can run.  Jobs that can't run yet stay in the queue, and are skipped when the next job is run.
+ * @apiParam {String} id ID of the job
+ * @apiParam {Boolean} [hold] True to hold the job in the queue, false to release it
+ * @apiParam {Number} [priority] Priority of the job.  Jobs with a higher priority run first.
+ * @apiParam {Number} [run_at] Time the job can run after (UNIX timestamp or date string) or `null` for any time
+ * @apiParam {Object} [requires] Tool (`tool`) and material (`material`) the job needs, or `null` for either
+ * @apiSuccess {String} status `success`
+ * @apiSuccess {Object} data Response data
+ * @apiSuccess {Object} data.job The job
+ * @apiError {String} status `error`
+ * @apiError {Object} message Error message
+ */
+var scheduleJob = function(req, res, next) {
+    db.Job.getById(req.params.id, function(err, job) {
+        if(err || !job) {
+            return res.json({'status' : 'error', 'message' : 'No such job: ' + req.params.id});
+        }
+        job.schedule(req.params, function(err, job) {
+            if(err) {
+                return res.json({'status' : 'error', 'message' : err.message});
+            }
+            res.json({'status' : 'success', 'data' : {'job' : job}});
+        });
+    });
+};
+
 var updateOrder = function (req, res, next) {
     var answer;
     var order = parseInt(req.params.order);
@@ -463,13 +719,18 @@ module.exports = function(server) {
     server.del('/job/:id', cancelJob);
     server.patch('/job/:id', updateOrder);
     server.post('/job/:id', resubmitJob);
+    server.post('/job/:id/schedule', scheduleJob);
     server.get('/job/:id/file', getJobFile);
     server.get('/job/:id/gcode', getJobGCode);
+    server.get('/job/:id/analysis', getJobAnalysis);
+    server.get('/job/:id/timeline', getJobTimeline);
     //server.get('/job/:id/thumbnail', getThumbnailImage);
 
     server.get('/jobs/queue', getQueue);
     server.del('/jobs/queue', clearQueue);
     server.post('/jobs/queue/run', runNextJob);
     server.get('/jobs/history', getJobHistory);
+    server.get('/jobs/history/export', exportJobHistory);
+    server.post('/jobs/history/import', importJobHistory);
 
 };
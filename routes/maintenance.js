@@ -0,0 +1,94 @@
+var maintenance = require('../maintenance');
+
+// Return the usage counters and maintenance tasks as sent to the client
+var getMaintenanceData = function() {
+    return {
+        'usage' : maintenance.getUsage(),
+        'counters' : maintenance.COUNTERS,
+        'tasks' : maintenance.getTasks()
+    };
+}
+
+/**
+ * @apiGroup Maintenance
+ * @api {get} /maintenance Usage and maintenance
+ * @apiDescription Get the machine usage counters, which add up how much the machine has been used over its life, and the maintenance tasks, with how soon each one is due.
+ * @apiSuccess {Object} usage Usage counters (null if there is no motion system)
+ * @apiSuccess {Object} usage.travel Distance travelled on each axis (mm, or degrees for the rotary axes) eg: `{"x" : 104020.5, "y" : 98766.2, ...}`
+ * @apiSuccess {Number} usage.spindle_hours Hours the spindle has been on
+ * @apiSuccess {Number} usage.run_hours Hours spent running jobs and programs
+ * @apiSuccess {Number} usage.jobs Number of jobs run
+ * @apiSuccess {String[]} counters Names of the counters that maintenance tasks can go by (`spindle_hours`, `run_hours`, `jobs`, `travel.x`, etc.)
+ * @apiSuccess {Object[]} tasks Maintenance tasks
+ * @apiSuccess {String} tasks.id Task ID
+ * @apiSuccess {String} tasks.name Task name, eg: `Lubricate rails`
+ * @apiSuccess {String} tasks.component The part of the machine the task is for, eg: `rails`
+ * @apiSuccess {String} tasks.counter The counter the task goes by
+ * @apiSuccess {Number} tasks.every How much the counter goes up between times the task is due
+ * @apiSuccess {Number} tasks.done_time Time the task was last done (UNIX timestamp)
+ * @apiSuccess {Number} tasks.since How much the counter has gone up since the task was last done
+ * @apiSuccess {Number} tasks.remaining How much the counter can go up before the task is due
+ * @apiSuccess {Boolean} tasks.due True if the task is due
+ */
+var getMaintenance = function(req, res, next) {
+    res.json({'status' : 'success', 'data' : getMaintenanceData()});
+};
+
+/**
+ * @apiGroup Maintenance
+ * @api {post} /maintenance Set maintenance task
+ * @apiDescription Add a maintenance task, or change the one with the same ID.  A new task counts from now.  The dashboard is notified when a task comes due.
+ * @apiParam {String} [id] Task ID (made from the name if not provided)
+ * @apiParam {String} name Task name, eg: `Lubricate rails`
+ * @apiParam {String} [component] The part of the machine the task is for, eg: `rails`
+ * @apiParam {String} counter The counter the task goes by (see GET /maintenance) eg: `spindle_hours`
+ * @apiParam {Number} every How much the counter goes up between times the task is due, eg: `40`
+ * @apiSuccess {Object} data Usage and maintenance (see GET /maintenance)
+ */
+var setMaintenanceTask = function(req, res, next) {
+    maintenance.setTask(req.params, function(err) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : getMaintenanceData()});
+    });
+};
+
+/**
+ * @apiGroup Maintenance
+ * @api {post} /maintenance/:id/ack Acknowledge maintenance task
+ * @apiDescription Acknowledge that a maintenance task has been done, so it counts from now until it is due again.
+ * @apiParam {String} id Task ID
+ * @apiSuccess {Object} data Usage and maintenance (see GET /maintenance)
+ */
+var acknowledgeMaintenanceTask = function(req, res, next) {
+    maintenance.acknowledge(req.params.id, function(err) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : getMaintenanceData()});
+    });
+};
+
+/**
+ * @apiGroup Maintenance
+ * @api {delete} /maintenance/:id Delete maintenance task
+ * @apiDescription Remove a maintenance task
+ * @apiParam {String} id Task ID
+ * @apiSuccess {Object} data Usage and maintenance (see GET /maintenance)
+ */
+var deleteMaintenanceTask = function(req, res, next) {
+    maintenance.deleteTask(req.params.id, function(err) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : getMaintenanceData()});
+    });
+};
+
+module.exports = function(server) {
+    server.get('/maintenance', getMaintenance);
+    server.post('/maintenance', setMaintenanceTask);
+    server.post('/maintenance/:id/ack', acknowledgeMaintenanceTask);
+    server.del('/maintenance/:id', deleteMaintenanceTask);
+};
@@ -0,0 +1,91 @@
+var outputs = require('../outputs');
+
+// Return the named outputs as sent to the client
+var getOutputData = function() {
+    return {
+        'events' : outputs.EVENTS,
+        'outputs' : outputs.getOutputs()
+    };
+}
+
+/**
+ * @apiGroup Outputs
+ * @api {get} /outputs Named outputs
+ * @apiDescription Get the named outputs, which are the outputs that have something connected to them (a dust collector, a vacuum hold-down, etc.) and the machine events that switch them on and off.
+ * @apiSuccess {String[]} events The events that can switch outputs: `job_start`, `job_end`, `run_start`, `run_end`, `pause`, `resume`, `spindle_on` and `spindle_off`
+ * @apiSuccess {Object[]} outputs Named outputs
+ * @apiSuccess {String} outputs.name Output name, eg: `dust_collector`
+ * @apiSuccess {Number} outputs.output Output number
+ * @apiSuccess {String} outputs.description What is connected to the output
+ * @apiSuccess {String} outputs.on Events that switch the output on, comma separated
+ * @apiSuccess {String} outputs.off Events that switch the output off, comma separated
+ * @apiSuccess {Number} outputs.on_delay How long to wait after an event before switching the output on (seconds)
+ * @apiSuccess {Number} outputs.off_delay How long to wait after an event before switching the output off (seconds)
+ * @apiSuccess {Number} outputs.value 1 if the output is on, 0 if it is off (null if it hasn't been reported yet)
+ * @apiSuccess {Number} outputs.pending The value the output will be switched to once its delay is up (null if nothing is waiting)
+ */
+var getOutputs = function(req, res, next) {
+    res.json({'status' : 'success', 'data' : getOutputData()});
+};
+
+/**
+ * @apiGroup Outputs
+ * @api {post} /outputs Set named output
+ * @apiDescription Add a named output, or change the one with the same name.  Anything not provided is left as it was.
+ * @apiParam {String} name Output name (letters, numbers and underscores) eg: `dust_collector`
+ * @apiParam {Number} output Output number
+ * @apiParam {String} [description] What is connected to the output
+ * @apiParam {String} [on] Events that switch the output on, comma separated, eg: `job_start,spindle_on`
+ * @apiParam {String} [off] Events that switch the output off, comma separated, eg: `job_end`
+ * @apiParam {Number} [on_delay=0] How long to wait after an event before switching the output on (seconds)
+ * @apiParam {Number} [off_delay=0] How long to wait after an event before switching the output off (seconds)
+ * @apiSuccess {Object} data Named outputs (see GET /outputs)
+ */
+var setOutput = function(req, res, next) {
+    outputs.setOutput(req.params, function(err) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : getOutputData()});
+    });
+};
+
+/**
+ * @apiGroup Outputs
+ * @api {post} /outputs/:name Switch output
+ * @apiDescription Switch a named output on or off right now.  Any change to the output that is waiting out its delay is dropped.
+ * @apiParam {String} name Output name
+ * @apiParam {String} value `on` or `off` (or 1 or 0)
+ * @apiSuccess {Object} data The output (see GET /outputs)
+ */
+var switchOutput = function(req, res, next) {
+    outputs.set(req.params.name, req.params.value, function(err, output) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : output});
+    });
+};
+
+/**
+ * @apiGroup Outputs
+ * @api {delete} /outputs/:name Delete named output
+ * @apiDescription Remove a named output
+ * @apiParam {String} name Output name
+ * @apiSuccess {Object} data Named outputs (see GET /outputs)
+ */
+var deleteOutput = function(req, res, next) {
+    outputs.deleteOutput(req.params.name, function(err) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : getOutputData()});
+    });
+};
+
+module.exports = function(server) {
+    server.get('/outputs', getOutputs);
+    server.post('/outputs', setOutput);
+    server.post('/outputs/:name', switchOutput);
+    server.del('/outputs/:name', deleteOutput);
+};
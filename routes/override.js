@@ -0,0 +1,27 @@
+var machine = require('../machine').machine;
+
+/**
+ * @api {post} /override Set feed and spindle overrides
+ * @apiGroup Direct
+ * @apiDescription Set the feed rate and/or spindle speed override.  Overrides take effect immediately, including in the middle of a running job, and stay in effect until they are changed.
+ * @apiParam {Number} [feed] Feed rate override, as a percentage of the programmed feed rate (5-200)
+ * @apiParam {Number} [spindle] Spindle speed override, as a percentage of the programmed speed (5-200)
+ * @apiSuccess {Object} override The override values now in effect
+ * @apiSuccess {Number} override.feed Feed rate override (percent)
+ * @apiSuccess {Number} override.spindle Spindle speed override (percent)
+ * @apiError {String} status `error`
+ * @apiError {Object} message Error message
+ */
+var setOverride = function(req, res, next) {
+	machine.setOverride({feed : req.params.feed, spindle : req.params.spindle}, function(err, override) {
+		if(err) {
+			res.json({status : 'error', message : err.message});
+		} else {
+			res.json({status : 'success', data : {override : override}});
+		}
+	});
+};
+
+module.exports = function(server) {
+	server.post('/override', setOverride);
+};
@@ -0,0 +1,162 @@
+var config = require('../config');
+var machine = require('../machine').machine;
+
+// Return the tool library (settings and the list of tools) as sent to the client
+var getLibrary = function() {
+    return {
+        'units' : config.tools.get('units'),
+        'current' : config.tools.get('current'),
+        'macro' : config.tools.get('macro'),
+        'reference_tool' : config.tools.get('reference_tool'),
+        'reference_z' : config.tools.get('reference_z'),
+        'tools' : config.tools.getTools()
+    };
+}
+
+/**
+ * @apiGroup Tools
+ * @api {get} /tools List tools
+ * @apiDescription Returns the tool library: The tools in the tool table, along with the tool table settings.
+ * @apiSuccess {String} units Units of the tool dimensions (`in` or `mm`)
+ * @apiSuccess {Number} current Number of the tool currently in the spindle (0 for none)
+ * @apiSuccess {Number} macro Number of the macro that is run for tool changes (null for none)
+ * @apiSuccess {Number} reference_tool Number of the tool that tool lengths are measured relative to
+ * @apiSuccess {Number} reference_z Machine Z position (mm) where the reference tool touched the plate (null if not measured yet)
+ * @apiSuccess {Object[]} tools List of tools, ordered by tool number
+ * @apiSuccess {Number} tools.number Tool number
+ * @apiSuccess {String} tools.name Tool name
+ * @apiSuccess {Number} tools.diameter Tool diameter
+ * @apiSuccess {Number} tools.length Tool length offset
+ * @apiSuccess {Number} tools.feedrate Default feedrate (units/sec)
+ * @apiSuccess {Number} tools.plunge_rate Default plunge rate (units/sec)
+ * @apiSuccess {Number} tools.spindle_speed Default spindle speed (RPM)
+ */
+var getTools = function(req, res, next) {
+    res.json({'status' : 'success', 'data' : getLibrary()});
+};
+
+/**
+ * @apiGroup Tools
+ * @api {post} /tools Update tool library
+ * @apiDescription Add a tool to the tool table (replacing any tool with the same number) and/or change the tool table settings.  Changing the units converts the dimensions of all the tools.
+ * @apiParam {Object} [tool] The tool to add (see GET /tools for the fields)
+ * @apiParam {String} [units] Units of the tool dimensions (`in` or `mm`)
+ * @apiParam {Number} [current] Number of the tool currently in the spindle (0 for none)
+ * @apiParam {Number} [macro] Number of the macro to run for tool changes (null for none)
+ * @apiParam {Number} [reference_tool] Number of the tool that tool lengths are measured relative to
+ * @apiSuccess {Object} library The updated tool library (see GET /tools)
+ */
+var postTools = function(req, res, next) {
+    var u = {};
+    if('units' in req.params) {
+        if(req.params.units !== 'in' && req.params.units !== 'mm') {
+            return res.json({'status' : 'error', 'message' : 'Invalid units: ' + req.params.units});
+        }
+        u.units = req.params.units;
+    }
+    if('current' in req.params) {
+        u.current = Number(req.params.current);
+    }
+    if('macro' in req.params) {
+        var macro = req.params.macro;
+        u.macro = (macro === null || macro === '') ? null : Number(macro);
+    }
+    if('reference_tool' in req.params) {
+        var reference_tool = Number(req.params.reference_tool);
+        if(isNaN(reference_tool) || reference_tool < 1 || reference_tool !== Math.floor(reference_tool)) {
+            return res.json({'status' : 'error', 'message' : 'Invalid reference tool: ' + req.params.reference_tool});
+        }
+        if(reference_tool !== config.tools.get('reference_tool')) {
+            // Lengths measured against the old reference tool don't mean anything against the new one
+            u.reference_tool = reference_tool;
+            u.reference_z = null;
+        }
+    }
+    if(req.params.tool) {
+        u.tools = {};
+        u.tools[req.params.tool.number] = req.params.tool;
+    }
+    config.tools.setMany(u, function(err) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : getLibrary()});
+    });
+};
+
+/**
+ * @apiGroup Tools
+ * @api {post} /tools/measure Measure tool
+ * @apiDescription Measure the length of the tool in the spindle on the touch-off plate, and store its length offset in the tool table.  This runs the OpenSBP `TM` command, so the machine must be idle.  Measuring the reference tool sets the reference that the other tools are measured against.
+ */
+var measureTool = function(req, res, next) {
+    if(machine.status.state !== 'idle') {
+        return res.json({'status' : 'error', 'message' : "Machine is not in 'idle' state."});
+    }
+    if(!config.tools.get('current')) {
+        return res.json({'status' : 'error', 'message' : 'There is no tool in the spindle.'});
+    }
+    machine.sbp('TM');
+    res.json({'status' : 'success', 'data' : null});
+};
+
+/**
+ * @apiGroup Tools
+ * @api {get} /tools/:number Get tool
+ * @apiDescription Returns the specified tool
+ * @apiParam {Number} number Tool number
+ * @apiSuccess {Object} tool The requested tool (see GET /tools for the fields)
+ */
+var getTool = function(req, res, next) {
+    var tool = config.tools.getTool(req.params.number);
+    if(tool) {
+        res.json({'status' : 'success', 'data' : {'tool' : tool}});
+    } else {
+        res.json({'status' : 'error', 'message' : 'No such tool: ' + req.params.number});
+    }
+};
+
+/**
+ * @apiGroup Tools
+ * @api {post} /tools/:number Update tool
+ * @apiDescription Update the specified tool with the POSTed fields, creating the tool if it doesn't exist
+ * @apiParam {Number} number Tool number
+ * @apiSuccess {Object} tool The updated tool
+ */
+var postTool = function(req, res, next) {
+    var tool = {};
+    var old_tool = config.tools.getTool(req.params.number) || {};
+    ['name', 'diameter', 'length', 'feedrate', 'plunge_rate', 'spindle_speed'].forEach(function(key) {
+        tool[key] = (key in req.params) ? req.params[key] : old_tool[key];
+    });
+    config.tools.setTool(req.params.number, tool, function(err, tool) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : {'tool' : tool}});
+    });
+};
+
+/**
+ * @apiGroup Tools
+ * @api {delete} /tools/:number Delete tool
+ * @apiDescription Remove the specified tool from the tool table
+ * @apiParam {Number} number Tool number
+ */
+var deleteTool = function(req, res, next) {
+    config.tools.deleteTool(req.params.number, function(err) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : null});
+    });
+};
+
+module.exports = function(server) {
+    server.get('/tools', getTools);
+    server.post('/tools', postTools);
+    server.post('/tools/measure', measureTool);
+    server.get('/tools/:number', getTool);
+    server.post('/tools/:number', postTool);
+    server.del('/tools/:number', deleteTool);
+};
@@ -0,0 +1,73 @@
+var fs = require('fs');
+var path = require('path');
+var log = require('../log').logger('routes');
+var channels = require('../runtime/opensbp/channels');
+
+/**
+ * @apiGroup UserData
+ * @api {get} /userdata List user data files
+ * @apiDescription Returns a listing of the files in the current user's data directory.  These are the files that OpenSBP programs read with INPUT and write with WRITE.
+ * @apiSuccess {Object[]} files List of files
+ * @apiSuccess {String} files.filename Name of the file
+ * @apiSuccess {Number} files.size Size of the file in bytes
+ * @apiSuccess {Date} files.modified Time the file was last modified
+ */
+var getUserDataFiles = function(req, res, next) {
+    channels.list(function(err, files) {
+        if(err) {
+            log.error(err);
+            return res.json({'status' : 'error', 'message' : err.message});
+        }
+        res.json({'status' : 'success', 'data' : {'files' : files}});
+    });
+};
+
+/**
+ * @apiGroup UserData
+ * @api {get} /userdata/:filename Download user data file
+ * @apiDescription Download a file from the current user's data directory (eg: a probe log written by an OpenSBP program)
+ * @apiParam {String} filename Name of the file
+ */
+var getUserDataFile = function(req, res, next) {
+    try {
+        var pth = channels.resolve(req.params.filename);
+    } catch(e) {
+        return res.json({'status' : 'error', 'message' : e.message});
+    }
+    fs.readFile(pth, function(err, data) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.code === 'ENOENT' ? 'No such file: ' + req.params.filename : err.message});
+        }
+        res.header('Content-Type', 'text/plain');
+        res.header('Content-Disposition', 'attachment; filename="' + path.basename(pth) + '"');
+        res.status(200);
+        res.write(data);
+        res.end();
+    });
+};
+
+/**
+ * @apiGroup UserData
+ * @api {delete} /userdata/:filename Delete user data file
+ * @apiDescription Delete a file from the current user's data directory
+ * @apiParam {String} filename Name of the file
+ */
+var deleteUserDataFile = function(req, res, next) {
+    try {
+        var pth = channels.resolve(req.params.filename);
+    } catch(e) {
+        return res.json({'status' : 'error', 'message' : e.message});
+    }
+    fs.unlink(pth, function(err) {
+        if(err) {
+            return res.json({'status' : 'error', 'message' : err.code === 'ENOENT' ? 'No such file: ' + req.params.filename : err.message});
+        }
+        res.json({'status' : 'success', 'data' : null});
+    });
+};
+
+module.exports = function(server) {
+    server.get('/userdata', getUserDataFiles);
+    server.get('/userdata/:filename', getUserDataFile);
+    server.del('/userdata/:filename', deleteUserDataFile);
+};
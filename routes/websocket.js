@@ -85,6 +85,26 @@ function setupStatusBroadcasts(server){
 			socket.emit('change',topic);
 		});
 	});
+
+	// Points of a height map, as they are probed (see the PG command)
+	machine.on('heightmap', function(progress) {
+		server.io.of('/private').sockets.forEach(function (socket) {
+			socket.emit('heightmap',progress);
+		});
+		server.io.sockets.sockets.forEach(function (socket) {
+			socket.emit('heightmap',progress);
+		});
+	});
+
+	// Progress of a firmware update (see firmware_manager.js)
+	machine.on('firmware', function(progress) {
+		server.io.of('/private').sockets.forEach(function (socket) {
+			socket.emit('firmware',progress);
+		});
+		server.io.sockets.sockets.forEach(function (socket) {
+			socket.emit('firmware',progress);
+		});
+	});
 }
 
 
@@ -185,6 +205,19 @@ var onPrivateConnect = function(socket) {
 		}
 	});
 
+	// Feed rate and spindle speed overrides, eg: {feed : 50, spindle : 100} (percent)
+	socket.on('override', function(data, callback) {
+		if(!authentication.getCurrentUser() || authentication.getCurrentUser().username != userId){
+			socket.emit('authentication_failed','not authenticated');
+			return socket.disconnect();
+		}
+		machine.setOverride(data || {}, function(err, override) {
+			if(typeof callback === 'function') {
+				callback(err ? err.message : null, override);
+			}
+		});
+	});
+
 	socket.on('user_kickout', function(data){
 		console.error(data);
 	});
@@ -2,6 +2,11 @@ var fs = require('fs');
 var log = require('../../log').logger('gcode');
 var config = require('../../config');
 var countLineNumbers = require('../../util').countLineNumbers
+var LineNumberer = require('../../util').LineNumberer;
+var envelope = require('../../envelope');
+var ResumeFilter = require('../../resume').ResumeFilter;
+var tools = require('../../tools');
+var leveling = require('../../leveling');
 
 
 function GCodeRuntime() {
@@ -9,6 +14,8 @@ function GCodeRuntime() {
 	this.driver = null;
 	this.ok_to_disconnect = true;
 	this.completeCallback = null;
+	this.tool_changes = null;
+	this.tool_change = null;
 }
 
 GCodeRuntime.prototype.toString = function() {
@@ -46,9 +53,33 @@ GCodeRuntime.prototype.quit = function() {
 }
 
 GCodeRuntime.prototype.resume = function() {
+	if(this.tool_change && this.tool_change.paused) {
+		return this._finishToolChange();
+	}
 	this.driver.resume();
 }
 
+// Called when the tool change filter reaches an M6 in the file being run (see tools.js)
+// Everything before the M6 is sent to the tool, and once it stops, we pause for the tool change (see _handleStateChange)
+//   change - The tool change, eg: {line : 120, tool : 2}
+GCodeRuntime.prototype._onToolChange = function(change) {
+	this.tool_change = change;
+	this.driver.prime();
+	this.driver.requestStatusReport();
+}
+
+// Finish the pending tool change once the operator resumes.
+// The tool change macro and tool length offset codes go into the file in place of the M6, and the rest of the file follows.
+GCodeRuntime.prototype._finishToolChange = function() {
+	var change = this.tool_change;
+	this.tool_change = null;
+	var codes = tools.getChangeCodes(change.tool, this.tool_changes.units);
+	tools.setCurrent(change.tool);
+	this._changeState('running');
+	this.tool_changes.release(codes);
+	this.driver.prime();
+}
+
 GCodeRuntime.prototype._changeState = function(newstate) {
 	log.debug("Changing state to " + newstate)
 	if(newstate != "idle") {
@@ -85,6 +116,8 @@ GCodeRuntime.prototype._onDriverStatus = function(status) {
 
 
 GCodeRuntime.prototype._die = function() {
+	var callback = this.completeCallback || function() {};
+	this.completeCallback = null;
 	this.machine.status.current_file = null;
 	this.machine.status.line=null;
 	this.machine.status.nb_lines=null;
@@ -94,10 +127,13 @@ GCodeRuntime.prototype._die = function() {
  	finally {
 		this.machine.status.job=null;
  		this.machine.setState(this, 'dead', {error : 'A G2 exception has occurred. You must reboot your tool.'});
+ 		callback(new Error('A G2 exception has occurred.'));
  	}
 }
 
 GCodeRuntime.prototype._fail = function(message) {
+	var callback = this.completeCallback || function() {};
+	this.completeCallback = null;
 	this.machine.status.current_file = null;
 	this.machine.status.line=null;
 	this.machine.status.nb_lines=null;
@@ -107,10 +143,12 @@ GCodeRuntime.prototype._fail = function(message) {
  	finally {
 		this.machine.status.job=null;
  		this.machine.setState(this, 'stopped', {error : message});
+ 		callback(new Error(message));
  	}
 }
 
 GCodeRuntime.prototype._idle = function() {
+	this.tool_change = null;
 	this.machine.status.current_file = null;
 	this.machine.status.line=null;
 	this.machine.status.nb_lines=null;
@@ -158,6 +196,16 @@ GCodeRuntime.prototype.runString = function(string, callback) {
 			}
 		}
 		lines.unshift(mode);
+
+		// Check the code against the machine envelope before anything is sent to the tool
+		var limits = envelope.fromDriver(this.driver);
+		for(i=0; i<lines.length; i++) {
+			var err = limits.check(lines[i]);
+			if(err) {
+				return this._fail(err.message + ' (Line ' + err.line + ')');
+			}
+		}
+
 		this.completeCallback = callback;
 		this._changeState("running");
 		return this.driver.runList(lines)
@@ -178,6 +226,13 @@ GCodeRuntime.prototype._handleStateChange = function(stat) {
 		case this.driver.STAT_RUNNING:
 			this._changeState('running');
 			break;
+		case this.driver.STAT_STOP:
+			// Everything before a pending tool change has run, so ask the operator to change the tool
+			if(this.tool_change && !this.tool_change.paused) {
+				this.tool_change.paused = true;
+				this.machine.setState(this, 'paused', {'message' : tools.getPrompt(this.tool_change.tool)});
+			}
+			break;
 		default:
 			break;
 	}
@@ -185,11 +240,65 @@ GCodeRuntime.prototype._handleStateChange = function(stat) {
 
 // Run a file given the filename
 GCodeRuntime.prototype.runFile = function(filename, callback) {
-	countLineNumbers(filename, function(err, lines) {
-		this.machine.status.nb_lines = lines;
-		this.driver.runFile(filename, callback)
-			.on('stat', this._handleStateChange.bind(this))
-			.then(this._handleStop.bind(this));
+	this._runFile(filename, null, callback);
+}
+
+// Run a file given the filename, starting at the specified line
+// The lines before it are skipped, but the state they would have left the tool in is restored first (see resume.js)
+GCodeRuntime.prototype.resumeFile = function(filename, line, callback) {
+	this._runFile(filename, line, callback);
+}
+
+// The file is checked against the machine envelope first, and the job fails without moving the tool if any
+// move in it would leave the envelope.  When resuming, only the part of the file that runs is checked (along with
+// the moves that take the tool back to the resume point) and the job fails if the file never reaches the resume line.
+// The callback is called once the file is done running (see _idle) or with error if it fails (see _fail)
+GCodeRuntime.prototype._runFile = function(filename, line, callback) {
+	this.completeCallback = callback;
+	var limits = envelope.fromDriver(this.driver);
+	var check = function(callback) {
+		if(line > 1) {
+			limits.checkStream(fs.createReadStream(filename).pipe(new ResumeFilter(line)), callback);
+		} else {
+			limits.checkFile(filename, callback);
+		}
+	};
+	check(function(err) {
+		if(err) {
+			return this._fail(err.line ? err.message + ' (Line ' + err.line + ')' : err.message);
+		}
+		countLineNumbers(filename, function(err, lines) {
+			this.machine.status.nb_lines = lines;
+			var numbered;
+			if(line > 1) {
+				log.info('Resuming ' + filename + ' from line ' + line);
+				numbered = fs.createReadStream(filename).pipe(new ResumeFilter(line));
+				numbered.on('error', function(err) {
+					this._fail(err.message);
+				}.bind(this));
+			} else {
+				numbered = fs.createReadStream(filename).pipe(new LineNumberer());
+			}
+
+			// Moves are leveled to the height map if leveling is on for this job (see leveling.js)
+			if(leveling.isApplied(this.machine.status.job)) {
+				try {
+					numbered = numbered.pipe(leveling.createFilter(config.machine.get('units')));
+				} catch(e) {
+					return this._fail(e.message);
+				}
+				log.info('Leveling ' + filename + ' to the height map');
+			}
+
+			// Tool changes (M6) pause the file and run the tool change workflow (see tools.js)
+			this.tool_change = null;
+			this.tool_changes = new tools.ToolChangeFilter(config.machine.get('units'), config.tools.get('current'));
+			this.tool_changes.on('toolchange', this._onToolChange.bind(this));
+
+			var run = this.driver.runStream(numbered.pipe(this.tool_changes));
+			run.on('stat', this._handleStateChange.bind(this))
+				.then(this._handleStop.bind(this));
+		}.bind(this));
 	}.bind(this));
 }
 
@@ -12,6 +12,7 @@ var stream = require('stream');
 var util = require('util');
 var events = require('events')
 var Q = require('q');
+var envelope = require('../../envelope');
 
 // Parameters related to filling the queue, motion, etc.
 // These are fussy.
@@ -177,6 +178,15 @@ ManualDriver.prototype.startMotion = function(axis,  speed, second_axis, second_
 		this.currentSpeed = speed;
 		this.currentDirection = dir;
 
+		// How far we can go along this heading before we hit the edge of the machine envelope
+		var limits = envelope.fromDriver(this.driver);
+		this.travelLeft = limits.travelLeft(axis, dir);
+		this.second_travelLeft = second_axis ? limits.travelLeft(second_axis, second_dir) : Infinity;
+		if(this.travelLeft <= 0 || this.second_travelLeft <= 0) {
+			log.warn('Not starting motion: Already at the edge of the machine envelope.');
+			return;
+		}
+
 		// Flag that we're kicking off a move
 		this.moving = this.keep_moving = true;
 
@@ -350,6 +360,23 @@ ManualDriver.prototype.nudge = function(axis, speed, distance, second_axis, seco
 	log.warn('fixedMove(): Move queue is already full!');
     	    return;
 	}
+
+	// Shorten the nudge so that it stops at the edge of the machine envelope (keeping its direction)
+	// Nudges that are already queued are not accounted for, so a run of fast nudges can come up short of the edge
+	var limits = envelope.fromDriver(this.driver);
+	var scale = 1.0;
+	if(distance) {
+		scale = Math.min(scale, limits.travelLeft(axis, distance)/Math.abs(distance));
+	}
+	if(second_axis && second_distance) {
+		scale = Math.min(scale, limits.travelLeft(second_axis, second_distance)/Math.abs(second_distance));
+	}
+	if(scale <= 0) {
+		log.warn('fixedMove(): Already at the edge of the machine envelope.');
+		return;
+	}
+	distance = distance*scale;
+	second_distance = second_axis ? second_distance*scale : second_distance;
 	if(second_axis) {
 		this.fixedQueue.push({axis: axis, speed: speed, distance: distance, second_axis : second_axis, second_distance: second_distance});
 	} else {
@@ -377,22 +404,46 @@ ManualDriver.prototype._renewMoves = function(reason) {
 	if(this.mode === 'normal') {	
 		if(this.moving && this.keep_moving) {
 			this.keep_moving = false;
-			var segment = this.currentDirection*(this.renewDistance / RENEW_SEGMENTS);
-			var second_segment = this.second_currentDirection*(this.renewDistance / RENEW_SEGMENTS);
+			var length = this.renewDistance / RENEW_SEGMENTS;
+
+			// Shorten the segments if needed to stop at the edge of the machine envelope
+			var segments = RENEW_SEGMENTS;
+			var reachesEdge = false;
+			var travel = Math.min(this.travelLeft, this.second_travelLeft);
+			if(length*segments >= travel) {
+				reachesEdge = true;
+				segments = Math.max(1, Math.ceil(travel/length));
+				length = travel/segments;
+			}
+			this.travelLeft -= length*segments;
+			this.second_travelLeft -= length*segments;
+
+			var segment = this.currentDirection*length;
+			var second_segment = this.second_currentDirection*length;
 			var moves = []
 			if (this.second_axis){
-				for(var i=0; i<RENEW_SEGMENTS; i++) {
+				for(var i=0; i<segments; i++) {
 					var move = 'G1' + this.currentAxis + segment.toFixed(4) + this.second_axis + second_segment.toFixed(4) + '\n'
 					moves.push(move);
 				}
 
 			} else {
-				for(var i=0; i<RENEW_SEGMENTS; i++) {
+				for(var i=0; i<segments; i++) {
 					var move = 'G1' + this.currentAxis + segment.toFixed(4)+'\n'
 					moves.push(move);
 				}
 			}
-			this.stream.write(moves.join(''));	
+			if(length > 0) {
+				this.stream.write(moves.join(''));
+			}
+			if(reachesEdge) {
+				// Don't renew any more moves - let the ones we've sent run out at the edge of the envelope
+				log.info('Manual move stopping at the edge of the machine envelope.');
+				this.driver.prime();
+				this.keep_moving = false;
+				this.stop_pending = true;
+				return;
+			}
 			this.driver.prime();
 			this.renew_timer = setTimeout(function() {
 				this._renewMoves("timeout")
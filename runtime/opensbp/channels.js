@@ -0,0 +1,239 @@
+/*
+ * runtime/opensbp/channels.js
+ *
+ * File channels for the OpenSBP file I/O statements:
+ *
+ *   OPEN "probe.txt" FOR OUTPUT AS #1
+ *   WRITE #1, &x, &y, %(3)
+ *   CLOSE #1
+ *
+ *   OPEN "points.txt" FOR INPUT AS #2
+ *   INPUT #2, &x, &y
+ *
+ * Programs can only get at files in the data directory of the current user (/opt/fabmo/userdata/<username>)
+ * Any directory part of the filename is ignored, so legacy programs that open "C:\SbParts\probe.txt"
+ * get "probe.txt" in that directory.  Files written by programs can be downloaded with the /userdata routes.
+ *
+ * Each WRITE produces one line of comma separated values (strings are quoted) and each INPUT reads one.
+ */
+var fs = require('fs');
+var path = require('path');
+var config = require('../../config');
+var log = require('../../log').logger('sbp');
+
+// Return the data directory for the user currently logged in
+var getUserDataDir = function() {
+    // Required here, because authentication requires the machine, which requires this runtime
+    var user = require('../../authentication').getCurrentUser();
+    var username = (user && user.username) ? String(user.username).replace(/[^\w\-\.]/g, '_') : 'default';
+    return path.join(config.getDataDir('userdata'), username);
+}
+
+// Return the full path of a file in the user data directory
+// Throw an error if the name doesn't refer to a file in that directory
+//   filename - The filename, which can have a directory part (that is ignored)
+var resolve = function(filename) {
+    var name = String(filename).split(/[\\\/]/).pop().trim();
+    if(!name || name === '.' || name === '..') {
+        throw new Error("Invalid filename: " + filename);
+    }
+    return path.join(getUserDataDir(), name);
+}
+
+// Create the user data directory if it doesn't already exist
+var ensureUserDataDir = function(callback) {
+    var dir = getUserDataDir();
+    fs.mkdir(config.getDataDir('userdata'), function(err) {
+        fs.mkdir(dir, function(err) {
+            if(err && err.code !== 'EEXIST') {
+                return callback(err);
+            }
+            callback(null, dir);
+        });
+    });
+}
+
+// List the files in the user data directory
+//   callback - Called with a list of {filename, size, modified} objects
+var list = function(callback) {
+    ensureUserDataDir(function(err, dir) {
+        if(err) { return callback(err); }
+        fs.readdir(dir, function(err, files) {
+            if(err) { return callback(err); }
+            var result = [];
+            files.forEach(function(file) {
+                try {
+                    var stat = fs.statSync(path.join(dir, file));
+                    if(stat.isFile()) {
+                        result.push({filename : file, size : stat.size, modified : stat.mtime});
+                    }
+                } catch(e) {
+                    log.warn(e);
+                }
+            });
+            callback(null, result);
+        });
+    });
+}
+
+// Format a value for a line written with WRITE
+function formatValue(value) {
+    if(typeof value === 'number') {
+        return String(value);
+    }
+    return '"' + String(value).replace(/"/g, "'") + '"';
+}
+
+// Split a line read with INPUT into its (comma separated, optionally quoted) values
+function parseValues(line) {
+    var fields = [];
+    var field = '';
+    var quoted = false;
+    for(var i=0; i<line.length; i++) {
+        var c = line[i];
+        if(c === ',' && !quoted) {
+            fields.push(field);
+            field = '';
+        } else {
+            if(c === '"') { quoted = !quoted; }
+            field += c;
+        }
+    }
+    fields.push(field);
+
+    return fields.map(function(field) {
+        field = field.trim();
+        var match = field.match(/^"(.*)"$/);
+        if(match) {
+            return match[1];
+        }
+        var n = Number(field);
+        return (field === '' || isNaN(n)) ? field : n;
+    });
+}
+
+// The set of file channels open in a running program
+//   simulate - If true, files opened for OUTPUT or APPEND are never written
+function FileChannels(simulate) {
+    this.channels = {};
+    this.simulate = simulate;
+}
+
+// Return the channel with the specified number, or throw an error if it's not open (for the specified use)
+//    num - The channel number
+//   mode - 'INPUT' for reading, 'OUTPUT' for writing (optional)
+FileChannels.prototype._get = function(num, mode) {
+    var channel = this.channels[num];
+    if(!channel) {
+        throw new Error("File #" + num + " is not open.");
+    }
+    if(mode === 'INPUT' && channel.mode !== 'INPUT') {
+        throw new Error("File #" + num + " is not open for INPUT.");
+    }
+    if(mode === 'OUTPUT' && channel.mode === 'INPUT') {
+        throw new Error("File #" + num + " is not open for OUTPUT or APPEND.");
+    }
+    return channel;
+}
+
+// Open a file
+//   filename - The file to open (in the user data directory)
+//       mode - INPUT, OUTPUT (start a new file) or APPEND (add to the end of an existing file)
+//        num - The channel number
+//   callback - Called once the file is open, or with error if error
+FileChannels.prototype.open = function(filename, mode, num, callback) {
+    mode = mode.toUpperCase();
+    try {
+        var pth = resolve(filename);
+    } catch(e) {
+        return callback(e);
+    }
+    if(this.channels[num]) {
+        return callback(new Error("File #" + num + " is already open."));
+    }
+    ensureUserDataDir(function(err) {
+        if(err) { return callback(err); }
+        switch(mode) {
+            case 'INPUT':
+                fs.readFile(pth, function(err, data) {
+                    if(err) {
+                        return callback(err.code === 'ENOENT' ? new Error("Cannot open " + filename + " for INPUT: File not found.") : err);
+                    }
+                    var lines = data.toString().split(/\r?\n/);
+                    if(lines[lines.length-1] === '') { lines.pop(); }
+                    this.channels[num] = {path : pth, mode : mode, lines : lines, line : 0};
+                    callback();
+                }.bind(this));
+                break;
+
+            case 'OUTPUT':
+            case 'APPEND':
+                this.channels[num] = {path : pth, mode : mode};
+                if(mode === 'OUTPUT' && !this.simulate) {
+                    fs.writeFile(pth, '', callback);
+                } else {
+                    setImmediate(callback);
+                }
+                break;
+
+            default:
+                callback(new Error("Unknown file mode: " + mode));
+                break;
+        }
+    }.bind(this));
+}
+
+// Read the next line of a file opened for INPUT
+//        num - The channel number
+//   callback - Called with the list of values on the line, or with error if error
+FileChannels.prototype.read = function(num, callback) {
+    try {
+        var channel = this._get(num, 'INPUT');
+    } catch(e) {
+        return callback(e);
+    }
+    if(channel.line >= channel.lines.length) {
+        return callback(new Error("Input past end of file #" + num + "."));
+    }
+    var values = parseValues(channel.lines[channel.line]);
+    channel.line += 1;
+    setImmediate(callback, null, values);
+}
+
+// Write a line of values to a file opened for OUTPUT or APPEND
+//        num - The channel number
+//     values - The list of values to write
+//   callback - Called once the line is written, or with error if error
+FileChannels.prototype.write = function(num, values, callback) {
+    try {
+        var channel = this._get(num, 'OUTPUT');
+    } catch(e) {
+        return callback(e);
+    }
+    if(this.simulate) {
+        return setImmediate(callback);
+    }
+    fs.appendFile(channel.path, values.map(formatValue).join(',') + '\n', callback);
+}
+
+// Return true if there's nothing left to read from a file opened for INPUT
+//   num - The channel number
+FileChannels.prototype.eof = function(num) {
+    var channel = this._get(num, 'INPUT');
+    return channel.line >= channel.lines.length;
+}
+
+// Close a file (or all files if no channel number is specified)
+//   num - The channel number
+FileChannels.prototype.close = function(num) {
+    if(num === undefined || num === null) {
+        this.channels = {};
+    } else {
+        this._get(num);
+        delete this.channels[num];
+    }
+}
+
+exports.FileChannels = FileChannels;
+exports.resolve = resolve;
+exports.list = list;
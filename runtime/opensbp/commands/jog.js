@@ -1,5 +1,4 @@
 var log = require('../../../log').logger('sbp');
-var g2 = require('../../../g2');
 var sb3_commands = require('../sb3_commands');
 var config = require('../../../config');
 
@@ -1,7 +1,8 @@
 var log = require('../../../log').logger('sbp');
-var g2 = require('../../../g2');
 var sb3_commands = require('../sb3_commands');
 var config = require('../../../config');
+var tools = require('../../../tools');
+var heightmap = require('../../../heightmap');
 
 // Generic probe function
 // opts:
@@ -112,3 +113,121 @@ exports.P2 = function(args) {
 		}
 	})
 };
+
+// Measure the length of the tool in the spindle on the touch-off plate (config.machine tool_measure) and
+// store it in the tool table, relative to the reference tool.  The new length offset takes effect right away.
+exports.TM = function(args, callback) {
+	if(!this.machine) {
+		return callback();
+	}
+
+	var settings = config.machine.get('tool_measure');
+	var conv = 1.0;
+	if(config.machine.get('units') !== this.units) {
+		conv = this.units === 'mm' ? 25.4 : 1/25.4;
+	}
+	var x = settings.x*conv;
+	var y = settings.y*conv;
+	var z = settings.z*conv;
+	var number = config.tools.get('current');
+
+	log.info('Measuring the length of tool ' + number);
+	this.cmd_posx = undefined;
+	this.cmd_posy = undefined;
+	this.cmd_posz = undefined;
+
+	// Go to the plate (in machine coordinates, with Z up out of the way first) and probe down
+	this.emit_gcode('G53 G0 Z' + z.toFixed(5));
+	this.emit_gcode('G53 G0 X' + x.toFixed(5) + ' Y' + y.toFixed(5));
+	this.emit_gcode('G91');
+	probe(this, {
+		inp : settings.input,
+		feed : settings.feedrate*conv,
+		dist : {
+			Z : -settings.distance*conv
+		}
+	});
+	if(this.absoluteMode) {
+		this.emit_gcode('G90');
+	}
+
+	this._waitForStop(function() {
+		// Machine positions are always in mm
+		this.machine.driver.get('mpoz', function(err, MPO) {
+			if(err) { return this._abort(err); }
+			tools.recordMeasurement(number, MPO, function(err, offset) {
+				if(err) { return this._abort(err); }
+				this.emit_gcode('G53 G0 Z' + z.toFixed(5));
+				this._applyTool(number);
+				callback();
+			}.bind(this));
+		}.bind(this));
+	}.bind(this));
+};
+
+// Probe a grid of points on the surface and store the result as the height map for leveling (see heightmap.js)
+// Leveling is turned on for the jobs that follow.  Each point is reported with a `heightmap` event on the machine
+// as it is probed.
+//   args - X1, Y1, X2, Y2 (corners of the grid), spacing, search distance, search speed, input, clearance height
+exports.PG = function(args, callback) {
+	if(!this.machine) {
+		return callback();
+	}
+
+	try {
+		var grid = heightmap.getGrid(args[0], args[1], args[2], args[3], args[4]);
+	} catch(e) {
+		return this._abort(e);
+	}
+	var inches = this.units !== 'mm';
+	var distance = args[5] === undefined ? (inches ? 1 : 25) : Number(args[5]);
+	var feed = args[6] === undefined ? this.movespeed_z : Number(args[6]);
+	var input = args[7] === undefined ? 1 : args[7];
+	var clearance = args[8] === undefined ? (inches ? 0.25 : 6) : Number(args[8]);
+	var points = [];
+
+	log.info('Probing a height map of ' + grid.length + ' points');
+	this.cmd_posx = undefined;
+	this.cmd_posy = undefined;
+	this.cmd_posz = undefined;
+
+	var probePoint = function(i) {
+		if(i >= grid.length) {
+			this.emit_gcode('G0 Z' + clearance.toFixed(5));
+			if(!this.absoluteMode) {
+				this.emit_gcode('G91');
+			}
+			return heightmap.save(points, this.units, function(err) {
+				if(err) { return this._abort(err); }
+				callback();
+			}.bind(this));
+		}
+
+		// Go to the point at the clearance height and probe down
+		this.emit_gcode('G0 Z' + clearance.toFixed(5));
+		this.emit_gcode('G0 X' + grid[i][0].toFixed(5) + ' Y' + grid[i][1].toFixed(5));
+		this.emit_gcode('G91');
+		probe(this, {
+			inp : input,
+			feed : feed,
+			dist : {
+				Z : -distance
+			}
+		});
+		this.emit_gcode('G90');
+
+		this._waitForStop(function() {
+			this.machine.driver.get('posz', function(err, z) {
+				if(err) { return this._abort(err); }
+				var point = [grid[i][0], grid[i][1], z];
+				points.push(point);
+				log.debug('Height map point ' + (i+1) + ' of ' + grid.length + ': ' + JSON.stringify(point));
+				this.machine.emit('heightmap', {'point' : point, 'index' : i, 'total' : grid.length, 'units' : this.units});
+				probePoint(i+1);
+			}.bind(this));
+		}.bind(this));
+	}.bind(this);
+
+	this.emit_gcode('G90');
+	probePoint(0);
+};
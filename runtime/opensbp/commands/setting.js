@@ -1,7 +1,7 @@
 var log = require('../../../log').logger('sbp');
-var g2 = require('../../../g2');
 var sb3_commands = require('../sb3_commands');
 var config = require('../../../config');
+var outputs = require('../../../outputs');
 var openSBP = require('../opensbp.js');
 
 /* SETTINGS */
@@ -91,8 +91,17 @@ exports.ST = function(args, callback) {
 	}.bind(this));
 };
 
+// Set an output on or off, in step with the moves
+// The output is given by number, or by the name of a named output (see outputs.js) eg: SO, dust_collector, 1
 exports.SO = function(args) {
 	outnum = parseInt(args[0]);
+	if(isNaN(outnum) && typeof args[0] === 'string') {
+		try {
+			outnum = outputs.get(args[0]).output;
+		} catch(e) {
+			return this._abort(new Error("SO: There is no output named " + args[0] + ".  (See the named outputs in the machine configuration)"));
+		}
+	}
 	state = parseInt(args[1]);
 	if(outnum >= 1 && outnum <= 12) {
 		if(state == 1 || state == 0) {
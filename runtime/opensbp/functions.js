@@ -0,0 +1,114 @@
+/*
+ * runtime/opensbp/functions.js
+ *
+ * Built-in functions for OpenSBP expressions, eg: &x = &radius * COS(&angle)
+ *
+ * Function calls are checked (name and number of arguments) by the parser, which throws a FunctionError
+ * for a bad call, and evaluated by SBPRuntime._eval, which checks the argument values.
+ *
+ * Trig functions work in radians.  (Use PI to convert: &radians = &degrees * PI / 180)
+ * Strings are concatenated with +, eg: &filename = "part" + STR(&n) + ".sbp"
+ */
+var util = require('util');
+
+// Map of function name to its description:
+//   args - [minimum, maximum] number of arguments
+//   call - The implementation, which is called with the (already evaluated and checked) arguments, and
+//          with the runtime as `this` (for functions that need to know about the running program)
+//  types - The type of each argument ('number', 'string' or 'string or array')
+var FUNCTIONS = {
+    'SIN'   : {args : [1,1], types : ['number'], call : Math.sin},
+    'COS'   : {args : [1,1], types : ['number'], call : Math.cos},
+    'TAN'   : {args : [1,1], types : ['number'], call : Math.tan},
+    'ATN'   : {args : [1,1], types : ['number'], call : Math.atan},
+    'ABS'   : {args : [1,1], types : ['number'], call : Math.abs},
+    'INT'   : {args : [1,1], types : ['number'], call : Math.floor},
+    'EXP'   : {args : [1,1], types : ['number'], call : Math.exp},
+    'PI'    : {args : [0,0], types : [], call : function() { return Math.PI; }},
+    'SQR'   : {args : [1,1], types : ['number'], call : function(x) {
+        if(x < 0) { throw new Error("SQR of a negative number (" + x + ")"); }
+        return Math.sqrt(x);
+    }},
+    'LOG'   : {args : [1,1], types : ['number'], call : function(x) {
+        if(x <= 0) { throw new Error("LOG of a number that is not positive (" + x + ")"); }
+        return Math.log(x);
+    }},
+    'ROUND' : {args : [1,2], types : ['number', 'number'], call : function(x, places) {
+        var scale = Math.pow(10, places || 0);
+        return Math.round(x*scale)/scale;
+    }},
+    'LEN'   : {args : [1,1], types : ['string or array'], call : function(s) {
+        return s.length;
+    }},
+    'MID'   : {args : [2,3], types : ['string', 'number', 'number'], call : function(s, start, length) {
+        // Positions are 1-based, like they are in BASIC
+        start = Math.max(Math.floor(start), 1) - 1;
+        return length === undefined ? s.substr(start) : s.substr(start, Math.max(Math.floor(length), 0));
+    }},
+    'STR'   : {args : [1,1], types : ['number'], call : function(x) {
+        return String(x);
+    }},
+    'EOF'   : {args : [1,1], types : ['number'], call : function(num) {
+        // True if there is nothing left to INPUT from the file (see channels.js)
+        if(!this || !this.file_channels) { throw new Error("EOF() can only be used in a running program"); }
+        return this.file_channels.eof(num);
+    }}
+};
+
+// Error thrown by the parser for a call to a function that doesn't exist, or with the wrong number of arguments
+// It is a SyntaxError as far as the rest of the parser is concerned (so that it gets a line number)
+function FunctionError(message) {
+    Error.call(this);
+    this.name = 'SyntaxError';
+    this.message = message;
+}
+util.inherits(FunctionError, Error);
+
+// Check a function call, throwing a FunctionError if it isn't valid.
+//    name - The function name
+//   count - The number of arguments provided
+var check = function(name, count) {
+    var f = FUNCTIONS[name.toUpperCase()];
+    if(!f) {
+        throw new FunctionError("Unknown function " + name.toUpperCase() + "()");
+    }
+    if(count < f.args[0] || count > f.args[1]) {
+        var expected = f.args[0] === f.args[1] ? f.args[0] : f.args[0] + " to " + f.args[1];
+        throw new FunctionError(name.toUpperCase() + "() takes " + expected + " argument" + (f.args[1] === 1 ? "" : "s") + " but was given " + count);
+    }
+};
+
+// Call the named function with the provided (evaluated) arguments, checking their types
+//      name - The function name
+//      args - List of argument values
+//   runtime - The runtime that is evaluating the call
+var call = function(name, args, runtime) {
+    name = name.toUpperCase();
+    var f = FUNCTIONS[name];
+    if(!f) {
+        throw new Error("Unknown function " + name + "()");
+    }
+    var values = args.map(function(value, i) {
+        switch(f.types[i]) {
+            case 'number':
+                var n = (typeof value === 'number') ? value : Number(value);
+                if(value === undefined || value === '' || isNaN(n)) {
+                    throw new Error("Argument " + (i+1) + " of " + name + "() must be a number (got " + JSON.stringify(value) + ")");
+                }
+                return n;
+            case 'string':
+            case 'string or array':
+                if(value === undefined) {
+                    throw new Error("Argument " + (i+1) + " of " + name + "() must be a " + f.types[i]);
+                }
+                return (Array.isArray(value) && f.types[i] === 'string or array') ? value : String(value);
+            default:
+                return value;
+        }
+    });
+    return f.call.apply(runtime, values);
+};
+
+exports.FunctionError = FunctionError;
+exports.check = check;
+exports.call = call;
@@ -2,7 +2,6 @@
 
 var fs = require('fs');
 var log = require('../../log').logger('sbp');
-var g2 = require('../../g2');
 var sb3_commands = require('./sb3_commands');
 var config = require('../../config');
 var opensbp = require('./opensbp');
@@ -14,7 +14,6 @@
 var parser = require('./parser');
 var fs = require('fs');
 var log = require('../../log').logger('sbp');
-var g2 = require('../../g2');
 var sb3_commands = require('./sb3_commands');
 var events = require('events');
 var tform = require('./transformation');
@@ -25,11 +24,21 @@ var u = require('../../util');
 var config = require('../../config');
 var stream = require('stream');
 var ManualDriver = require('../manual').ManualDriver;
+var envelope = require('../../envelope');
+var ResumeState = require('../../resume').ResumeState;
+var functions = require('./functions');
+var FileChannels = require('./channels').FileChannels;
+var tools = require('../../tools');
 
 var SYSVAR_RE = /\%\(([0-9]+)\)/i ;
 var USERVAR_RE = /\&([a-zA-Z_]+[A-Za-z0-9_]*)/i ;
 var PERSISTENTVAR_RE = /\$([a-zA-Z_]+[A-Za-z0-9_]*)/i ;
 
+// Commands that act on the tool directly (zeroing, setting the location, keypad, probing, measuring, etc.)  When resuming
+// a file, their effects are left over from the original run, so they are skipped while fast-forwarding to the resume line.
+var RESUME_SKIP_COMMANDS = ['CN','EX','SK','VA','ZX','ZY','ZZ','ZA','ZB','ZC','Z2','Z3','Z4','Z5','Z6','ZT',
+                            'PX','PY','PZ','PA','PB','PC','P2','TM','PG'];
+
 
 // Constructor for the OpenSBP runtime
 // The SBPRuntime object is responsible for running OpenSBP code.
@@ -301,6 +310,10 @@ SBPRuntime.prototype.runString = function(s, callback) {
         // Check all the GOTO/GOSUBs against the label table
         this._analyzeGOTOs();   
         log.debug("GOTOs analyzed...")
+
+        // Match up the IF/ELSE/ENDIF, WHILE/WEND and FOR/NEXT blocks
+        this._analyzeBlocks();
+        log.debug("Blocks analyzed...")
         
         // Get silly
         log.debug("Rainbows organized...")
@@ -365,15 +378,25 @@ SBPRuntime.prototype.runStream = function(text_stream, callback) {
                 
 
                 log.tick();
-                // Build a map of labels to line numbers
-                // This step unfortunately requires the whole file
-                this._analyzeLabels(); 
-                log.tock('Labels analyzed...')
-
-                // Check all the GOTO/GOSUBs against the label table
-                this._analyzeGOTOs();   
-                log.debug("GOTOs analyzed...")
-                log.tock('Analyzed GOTOs')
+                try {
+                    // Build a map of labels to line numbers
+                    // This step unfortunately requires the whole file
+                    this._analyzeLabels(); 
+                    log.tock('Labels analyzed...')
+
+                    // Check all the GOTO/GOSUBs against the label table
+                    this._analyzeGOTOs();   
+                    log.debug("GOTOs analyzed...")
+                    log.tock('Analyzed GOTOs')
+
+                    // Match up the IF/ELSE/ENDIF, WHILE/WEND and FOR/NEXT blocks
+                    this._analyzeBlocks();
+                    log.debug("Blocks analyzed...")
+                } catch(e) {
+                    // We're in a stream handler here, so errors have to end the program rather than be thrown
+                    log.error(e);
+                    return this._end(e.message);
+                }
 
                 // Get silly
                 log.debug("Rainbows organized...")
@@ -485,21 +508,42 @@ SBPRuntime.prototype.runFile = function(filename, callback) {
     this.runStream(st, callback);
 }
 
+// Run a file on disk, starting at the specified line.
+// The program is "fast-forwarded" to that line: Everything before it is executed (so variables, the GOSUB stack,
+// speeds, etc. are all set up) but the g-codes it produces are not sent to the tool.  Once the line is reached,
+// the tool is brought to where it would have been (see resume.js) and the program continues as normal.
+//   filename - Full path to file on disk
+//       line - The line to start at (1-based)
+//   callback - Called when file is done running or with error if error
+SBPRuntime.prototype.resumeFile = function(filename, line, callback) {
+    this.start_line = line;
+    this.runFile(filename, callback);
+}
+
 // Simulate the provided file, returning the result as g-code string
 // TODO - this function could return a stream, and you could stream this back to the client to speed up simulation
 //          s - OpenSBP string to run
-//   callback - Called with the g-code output or with error if error 
+//   callback - Called with the g-code output or with error if error (including errors that end the program)
 SBPRuntime.prototype.simulateString = function(s, callback) {
     if(this.ok_to_disconnect) {
         var saved_machine = this.machine;
         this.disconnect();
+        // Errors end the program rather than being thrown (see _end) so pick them up on the way out
+        var error = null;
+        this.once('end', function(runtime, err) {
+            error = err ? new Error(err) : null;
+        });
         var st = this.runString(s);
+        if(!st) {
+            // The program ended before it started running (it didn't parse, or has an unmatched block, etc.)
+            return callback(error || new Error("Could not simulate the program."));
+        }
         var chunks = []
         st.on('data', function(chunk) {
             chunks.push(chunk);
         });
         st.on('end', function() {
-            callback(null, chunks.join(''));
+            callback(error, chunks.join(''));
         });
     } else {
         callback(new Error("Cannot simulate while OpenSBP runtime is busy."));
@@ -663,6 +707,21 @@ SBPRuntime.prototype._breaksStack = function(cmd) {
             //TODO , we should check the expression for a stack break, as well as the .stmt
             return true;
             break;
+
+        case "if":
+        case "while":
+        case "for":
+        case "next":
+            // Block statements evaluate expressions (and FOR/NEXT assign the loop variable) so they break the stack like conditionals and assignments do
+            result = true;
+            break;
+
+        case "else":
+        case "endif":
+        case "wend":
+            // These only move the pc around
+            result = false;
+            break;
         case "weak_assign":
         case "assign":
             // TODO: These should only break the stack if they assign to or read from expressions that break the stack
@@ -683,6 +742,10 @@ SBPRuntime.prototype._breaksStack = function(cmd) {
             break;
 
         case "open":
+        case "input":
+        case "write":
+        case "close":
+            // File I/O waits for the tool, so that (for instance) a position written to a file is where the tool actually is
             result = true;
             break;
 
@@ -709,7 +772,12 @@ SBPRuntime.prototype._exprBreaksStack = function(expr) {
     if(!expr) { return false; }
     if(expr.op === undefined) {
         return expr[0] == '%'; // For now, all system variable evaluations are stack-breaking
+    } else if(expr.op === 'func') {
+        return expr.args.some(this._exprBreaksStack.bind(this));
+    } else if(expr.op === 'index') {
+        return expr.index.some(this._exprBreaksStack.bind(this));
     } else {
+        // Compound conditions (AND/OR/NOT) are searched all the way down, too (NOT has no left side)
         return this._exprBreaksStack(expr.left) || this._exprBreaksStack(expr.right);
     }
 };
@@ -740,7 +808,14 @@ SBPRuntime.prototype._run = function() {
         switch(stat) {
             case this.driver.STAT_STOP:
                 this.gcodesPending = false;
-                this._executeNext();
+                if(this.stop_callback) {
+                    // A command is waiting for its moves to finish (see _waitForStop)
+                    var stop_callback = this.stop_callback;
+                    this.stop_callback = null;
+                    stop_callback();
+                } else {
+                    this._executeNext();
+                }
             break;
             case this.driver.STAT_HOLDING:
                 this.machine.setState(this, 'paused');
@@ -767,7 +842,26 @@ SBPRuntime.prototype._run = function() {
         // If this is a top level run, create a pass-through stream to receive the data
         // and start executing with it.  As the program is processed the stream will be fed
         this.stream = new stream.PassThrough();
+
+        // Files opened by the program (OPEN/INPUT/WRITE/CLOSE) - nothing is written in simulation
+        this.file_channels = new FileChannels(!this.machine);
+
+        // Apply the length offset of the tool in the spindle (see tools.js)
+        if(this.machine && config.tools) {
+            this.emit_gcode(tools.getOffsetCode(config.tools.get('current'), this.units));
+        }
+
+        // If resuming, fast-forward to the start line (see resumeFile)
+        if(this.start_line > 1) {
+            log.info("Fast-forwarding to line " + this.start_line);
+            this.resume_line = this.start_line;
+            this.resume_state = new ResumeState(this.units);
+        }
+        this.start_line = null;
+
         if(this.driver) {
+            // Moves are checked against the machine envelope as they are emitted (see emit_gcode)
+            this.envelope = envelope.fromDriver(this.driver);
             this.driver.runStream(this.stream)
             .on('stat', onStat.bind(this))
             .on('status', this._onG2Status.bind(this))
@@ -798,6 +892,12 @@ SBPRuntime.prototype._executeNext = function() {
     // Copy values from the machine to our local state variables
     this._update();
 
+    // Once the tool has run everything we've sent it, its position is the best information we have about
+    // where it is.  (Stack breaking commands like zeroing and probing change the position without g-codes)
+    if(this.envelope && !this.gcodesPending) {
+        this.envelope.sync(this.driver);
+    }
+
     // _executeNext is only for resuming an already running program.  It's not a substitute for _run()
     if(!this.started) {
         log.warn('Got a _executeNext() but not started');
@@ -817,6 +917,13 @@ SBPRuntime.prototype._executeNext = function() {
 
     if(this.pc >= this.program.length) {
         log.info("End of program reached. (pc = " + this.pc + ")");
+
+        // If we're still fast-forwarding, the resume line was never reached, so nothing has been run
+        if(this.resume_state) {
+            this.resume_state = null;
+            return this._abort(new Error("Cannot resume: Line " + this.resume_line + " is never reached."));
+        }
+
         // Here we've reached the end of the program, but there's possibly not enough
         // g-codes queued up for the driver to want to send them out, so go ahead and prime it
         // to send out those last few.
@@ -835,7 +942,13 @@ SBPRuntime.prototype._executeNext = function() {
         if(this.isInSubProgram()) {
             log.debug("This is a nested end.  Popping the file stack.");
             // Pop the stack (which will restore the program state, including pc to the calling program)
-            this._popFileStack();
+            var frame = this._popFileStack();
+            // If this was the tool change macro, finish the tool change and carry on from the &Tool assignment
+            if(frame.tool_change) {
+                this._applyTool(frame.tool_change.tool);
+                setImmediate(frame.tool_change.callback);
+                return;
+            }
             // Increment the pc and execute, as normal
             this.pc += 1;
             setImmediate(this._executeNext.bind(this));
@@ -861,6 +974,19 @@ SBPRuntime.prototype._executeNext = function() {
     
     // Pull the current line of the program from the list
     var line = this.program[this.pc];
+
+    // When fast-forwarding, pick up at the resume line, skipping anything along the way that acts on the tool directly
+    if(this.resume_state) {
+        if(this.pc === this.resume_line - 1 && !this.isInSubProgram()) {
+            this._endFastForward();
+        } else if(line && this._skipWhenResuming(line)) {
+            log.debug("Skipping while fast-forwarding: " + JSON.stringify(line));
+            this.pc += 1;
+            setImmediate(this._executeNext.bind(this));
+            return;
+        }
+    }
+
     var breaksTheStack = this._breaksStack(line);
 
     if(breaksTheStack) {
@@ -901,7 +1027,7 @@ SBPRuntime.prototype._executeNext = function() {
         } catch(e) {
             // A stack breaker that caused an error will trigger an abort of the program
             log.error(e)
-            if(this.driver.status.stat != this.driver.STAT_STOP) {
+            if(this.driver && this.driver.status.stat != this.driver.STAT_STOP) {
                 // There's been an error, but there's still stuff executing
                 // pend a program ending, which will execute when the motion controller stops
                 return this._abort(e);
@@ -913,6 +1039,35 @@ SBPRuntime.prototype._executeNext = function() {
     }
 };
 
+// Return true if the provided command should be skipped when fast-forwarding to a resume line
+//   cmd - Command object to evaluate
+SBPRuntime.prototype._skipWhenResuming = function(cmd) {
+    switch(cmd.type) {
+        case "cmd":
+            return RESUME_SKIP_COMMANDS.indexOf(cmd.cmd) >= 0;
+        case "custom":
+        case "pause":
+            return true;
+        case "write":
+            // Lines written to files before the resume line were written by the original run
+            return true;
+        case "cond":
+            return this._skipWhenResuming(cmd.stmt);
+        default:
+            return false;
+    }
+};
+
+// Stop fast-forwarding, and emit the g-codes that restore the state of the tool at the resume line
+SBPRuntime.prototype._endFastForward = function() {
+    var preamble = this.resume_state.getPreamble();
+    this.resume_state = null;
+    log.info("Resuming program at line " + this.resume_line);
+    preamble.forEach(function(code) {
+        this.emit_gcode(code);
+    }.bind(this));
+};
+
 // Prime the driver associated with this runtime, if it exists.
 SBPRuntime.prototype.prime = function() {
     if(this.driver) {
@@ -920,10 +1075,26 @@ SBPRuntime.prototype.prime = function() {
     }
 }
 
+// Wait for the g-codes emitted so far to finish executing
+// This is for stack breaking commands that need the result of their own moves (eg: where a probe stopped)
+//   callback - Called once the motion system has stopped
+SBPRuntime.prototype._waitForStop = function(callback) {
+    if(!this.driver) {
+        return setImmediate(callback);
+    }
+    this.stop_callback = callback;
+    this.prime();
+    this.driver.requestStatusReport();
+}
+
 // Set a pending error and end the stream feeding the motion system
 // The pending error is picked up by _executeNext and the program is ended as a result.
 //   error - The error message
 SBPRuntime.prototype._abort = function(error) {
+    // With no motion system to wait on (as when simulating) there's nothing to pick up the error later
+    if(!this.driver) {
+        return this._end(error);
+    }
     this.pending_error = error;
     this.stream.end();
 }
@@ -953,17 +1124,21 @@ SBPRuntime.prototype._end = function(error) {
     // Log the error for posterity
     if(error) {log.error(error)}
 
+    // A resume only applies to the run it was requested for
+    this.start_line = null;
+
     // Cleanup deals the "final blow" - cleans up streams, sets the machine state and calls the end callback
     var cleanup = function(error) {
         log.stack()
         if(this.machine && error) {
             this.machine.setState(this, 'stopped', {'error' : error });
         }
-        if(!this.machine){
+        // (There's no stream if the program ended before it started running)
+        if(!this.machine && this.stream){
             this.stream.end();
         }
         this.ok_to_disconnect = true;
-        this.emit('end', this);
+        this.emit('end', this, error || null);
         if(this.end_callback) {
             this.end_callback();
         }
@@ -979,13 +1154,19 @@ SBPRuntime.prototype._end = function(error) {
             this.resumeAllowed = false;
             this.machine.restoreDriverState(function(err, result) {
                 this.resumeAllowed = true;
-                cleanup(error);
+                // A job that ends in an error has failed (which is what makes it possible to resume it - see db.js)
+                if(this.machine.status.job) {
+                    this.machine.status.job.fail(function(err, job) {
+                        this.machine.status.job = null;
+                        cleanup(error);
+                    }.bind(this));
+                } else {
+                    cleanup(error);
+                }
             }.bind(this));
         } else {
             cleanup(error);
         }
-        // TODO - Shouldn't this deal with the currently running job (if it exists)
-        //        as is done below?? this.machine.status.job.fail maybe?
     } else {
         if(this.machine) {
             this.resumeAllowed=false
@@ -1051,8 +1232,10 @@ SBPRuntime.prototype._executeCommand = function(command, callback) {
                 throw e;
             }
             this.pc +=1;
-            // We use the callback, stack breaker or not
-            setImmediate(callback) 
+            // We use the callback, stack breaker or not (Non stack breakers are run without one - see _executeNext)
+            if(callback) {
+                setImmediate(callback);
+            }
             return false;
         }
     } else {
@@ -1102,7 +1285,7 @@ SBPRuntime.prototype._execute = function(command, callback) {
         // A ShopBot Comand (M2, ZZ, etc...)
         case "cmd":
             var broke = this._executeCommand(command, callback);
-            if(!broke) {
+            if(!broke && callback) {
                 setImmediate(callback);
             }
             return broke;
@@ -1205,6 +1388,77 @@ SBPRuntime.prototype._execute = function(command, callback) {
             }
             break;
 
+        case "if":
+            // Run the IF part of the block if the condition is true, otherwise skip to the ELSE part (or past the ENDIF if there's no ELSE)
+            var block = this.block_index[this.pc];
+            if(this._eval(command.cmp)) {
+                this.pc += 1;
+            } else {
+                this.pc = (block.else === undefined ? block.end : block.else) + 1;
+            }
+            setImmediate(callback);
+            return true;
+            break;
+
+        case "else":
+            // We only get here by running the IF part of the block, so skip past the ENDIF
+            this.pc = this.block_index[this.pc].end + 1;
+            return false;
+            break;
+
+        case "while":
+            if(this._eval(command.cmp)) {
+                this.pc += 1;
+            } else {
+                this.pc = this.block_index[this.pc].end + 1;
+            }
+            setImmediate(callback);
+            return true;
+            break;
+
+        case "wend":
+            // Go back to the WHILE, which checks the condition again
+            this.pc = this.block_index[this.pc].start;
+            return false;
+            break;
+
+        case "for":
+            // The limit and step are evaluated once, at the start of the loop
+            var start = this.pc;
+            var end = this.block_index[start].end;
+            var from = this._eval(command.from);
+            var to = this._eval(command.to);
+            var step = (command.step === null || command.step === undefined) ? 1 : this._eval(command.step);
+            if(!u.isANumber(from) || !u.isANumber(to) || !u.isANumber(step)) {
+                throw new Error("Runtime Error: FOR loop values must be numbers at line " + (start+1));
+            }
+            if(step == 0) {
+                throw new Error("Runtime Error: FOR loop STEP cannot be zero at line " + (start+1));
+            }
+            this.loops[start] = {to : Number(to), step : Number(step)};
+            this._assign(command.var, Number(from), function() {
+                this.pc = this._loopContinues(start, Number(from)) ? start + 1 : end + 1;
+                callback();
+            }.bind(this));
+            return true;
+            break;
+
+        case "next":
+            var start = this.block_index[this.pc].start;
+            var end = this.pc;
+            var loop = this.loops[start];
+            if(!loop) {
+                throw new Error("Runtime Error: NEXT for a FOR loop that was never started at line " + (end+1));
+            }
+            var name = this.program[start].var;
+            var value = Number(this._eval(name)) + loop.step;
+            this._assign(name, value, function() {
+                this.pc = this._loopContinues(start, value) ? start + 1 : end + 1;
+                callback();
+            }.bind(this));
+            return true;
+            break;
+
         case "comment":
             var comment = command.comment.join('').trim();
             if(comment != '') {
@@ -1215,6 +1469,7 @@ SBPRuntime.prototype._execute = function(command, callback) {
             break;
 
         case "label":
+        case "endif":
         case undefined:
             this.pc += 1;
             return false;
@@ -1250,6 +1505,56 @@ SBPRuntime.prototype._execute = function(command, callback) {
             }
             break;
 
+        case "open":
+            this.pc += 1;
+            // When fast-forwarding, a file opened for OUTPUT keeps what the original run wrote to it
+            var mode = (this.resume_state && command.mode.toUpperCase() === 'OUTPUT') ? 'APPEND' : command.mode;
+            this.file_channels.open(command.path, mode, command.num, function(err) {
+                if(err) { return this._abort(err); }
+                callback();
+            }.bind(this));
+            return true;
+            break;
+
+        case "input":
+            // Read a line from the file and assign its values to the variables in order
+            this.pc += 1;
+            this.file_channels.read(command.num, function(err, values) {
+                if(err) { return this._abort(err); }
+                if(values.length < command.vars.length) {
+                    return this._abort(new Error("Not enough values on line of file #" + command.num + " for INPUT (expected " + command.vars.length + ", found " + values.length + ")"));
+                }
+                var i = 0;
+                var next = function() {
+                    if(i >= command.vars.length) { return callback(); }
+                    try {
+                        this._assign(command.vars[i], values[i++], next);
+                    } catch(e) {
+                        this._abort(e);
+                    }
+                }.bind(this);
+                next();
+            }.bind(this));
+            return true;
+            break;
+
+        case "write":
+            this.pc += 1;
+            var values = command.args.map(this._eval.bind(this));
+            this.file_channels.write(command.num, values, function(err) {
+                if(err) { return this._abort(err); }
+                callback();
+            }.bind(this));
+            return true;
+            break;
+
+        case "close":
+            this.pc += 1;
+            this.file_channels.close(command.num);
+            setImmediate(callback);
+            return true;
+            break;
+
         case "event":
             // Throw a useful exception for the no-longer-supported ON INPUT command
             this.pc += 1;
@@ -1277,6 +1582,17 @@ SBPRuntime.prototype._execute = function(command, callback) {
 //   identifier - The identifier to check
 SBPRuntime.prototype._varExists = function(identifier) {
 
+    if(typeof identifier === 'object') {
+        // Array element (eg: &holes[3]) - exists if the array does, and has something at that index
+        if(!this._varExists(identifier.name)) { return false; }
+        try {
+            this._eval(identifier);
+            return true;
+        } catch(e) {
+            return false;
+        }
+    }
+
     if(identifier.match(USERVAR_RE)) {
         // User variable
 
@@ -1304,11 +1620,18 @@ SBPRuntime.prototype._varExists = function(identifier) {
 }
 
 // Assign a variable to a value
-//   identifier - The variable to assign
+//   identifier - The variable to assign, or an array element, eg: {op:'index', name:'&holes', index:[3]}
 //        value - The new value
 //     callback - Called once the assignment has been made
 SBPRuntime.prototype._assign = function(identifier, value, callback) {
 
+    if(typeof identifier === 'object') {
+        // Array element - Modify a copy of the whole array, and assign that to the variable
+        var index = this._evalIndex(identifier);
+        var array = this._varExists(identifier.name) ? this._eval_value(identifier.name) : undefined;
+        return this._assign(identifier.name, this._setElement(identifier.name, array, index, value), callback);
+    }
+
     if(identifier.match(USERVAR_RE)) {
         // User Variable
 
@@ -1319,6 +1642,12 @@ SBPRuntime.prototype._assign = function(identifier, value, callback) {
 
         // Make assignment and call back
         this.user_vars[identifier] = value;
+
+        // Assigning a different tool to &Tool is a tool change
+        if(identifier === '&TOOL' && this._isToolChange(value)) {
+            this._beginToolChange(value, callback);
+            return
+        }
         setImmediate(callback);
         return
     }
@@ -1336,20 +1665,148 @@ SBPRuntime.prototype._assign = function(identifier, value, callback) {
     throw new Error("Cannot assign to " + identifier);
 }
 
+// Return true if assigning the provided value to &Tool should change the tool.
+// That's the case when running for real (not simulating) and the tool is not the current one.  Assignments made by
+// the tool change macro itself don't count.  Throw an error if the value is not a valid tool number.
+//   value - The new value of &Tool
+SBPRuntime.prototype._isToolChange = function(value) {
+    var number = Number(value);
+    if(value === '' || isNaN(number) || number < 0 || number !== Math.floor(number)) {
+        throw new Error("Invalid tool number: " + value + " (Must be a whole number, 0 or more)");
+    }
+    if(!this.machine || !config.tools) {
+        return false;
+    }
+    var inToolChangeMacro = this.file_stack.some(function(frame) {
+        return frame.tool_change;
+    });
+    return !inToolChangeMacro && number !== config.tools.get('current');
+}
+
+// Start a tool change by pausing with a message asking the operator to install the tool.
+// The rest of the tool change happens on resume (see _finishToolChange)
+//     number - The new tool number
+//   callback - Called once the tool change is complete
+SBPRuntime.prototype._beginToolChange = function(number, callback) {
+    log.info("Tool change: Waiting for " + tools.describe(number));
+    this.tool_change = {tool : Number(number), callback : callback};
+    this.paused = true;
+    this.machine.setState(this, 'paused', {'message' : tools.getPrompt(number)});
+}
+
+// Finish the pending tool change: Run the tool change macro (if there is one) and apply the new tool.
+// OpenSBP macros are run like custom cuts; when they end, the tool is applied (see _executeNext)
+SBPRuntime.prototype._finishToolChange = function() {
+    var change = this.tool_change;
+    this.tool_change = null;
+    try {
+        var macro = tools.getMacro();
+    } catch(e) {
+        log.warn(e.message + '  Continuing without it.');
+    }
+    if(macro && macro.type === 'sbp') {
+        log.debug("Running tool change macro: " + JSON.stringify(macro));
+        this._pushFileStack();
+        this.file_stack[this.file_stack.length-1].tool_change = change;
+        this.runFile(macro.filename);
+        return;
+    }
+    if(macro) {
+        // A G-Code macro just goes into the stream ahead of the tool offset
+        tools.getChangeCodes(change.tool, this.units).forEach(function(code) {
+            this.emit_gcode(code);
+        }.bind(this));
+        tools.setCurrent(change.tool);
+    } else {
+        this._applyTool(change.tool);
+    }
+    setImmediate(change.callback);
+}
+
+// Make the specified tool the current one, applying its tool length offset
+//   number - The tool number
+SBPRuntime.prototype._applyTool = function(number) {
+    this.emit_gcode(tools.getOffsetCode(number, this.units));
+    tools.setCurrent(number);
+}
+
+// Evaluate the subscripts of an array element.  Return them as a list of numbers.
+//   expr - The array element, eg: {op:'index', name:'&holes', index:['&i']}
+SBPRuntime.prototype._evalIndex = function(expr) {
+    return expr.index.map(function(subscript) {
+        var i = Number(this._eval(subscript));
+        if(isNaN(i) || i < 0 || i !== Math.floor(i)) {
+            throw new Error("Invalid index for " + expr.name + ": " + this._eval(subscript) + " (Must be a whole number, 0 or more)");
+        }
+        return i;
+    }.bind(this));
+};
+
+// Return the element of an array at the provided index
+//    name - The name of the array variable (used for error messages)
+//   value - The array
+//   index - List of subscripts, eg: [2,0] for &points[2][0]
+SBPRuntime.prototype._getElement = function(name, value, index) {
+    index.forEach(function(i) {
+        if(!Array.isArray(value)) {
+            throw new Error(name + " is not an array.");
+        }
+        name += '[' + i + ']';
+        value = value[i];
+        if(value === undefined || value === null) {
+            throw new Error('Variable ' + name + ' was used but not defined.');
+        }
+    });
+    return value;
+};
+
+// Return a copy of the provided array with an element set to a new value.
+// The array (and any arrays nested in it) grows as needed to accommodate the index.
+//     name - The name of the array variable (used for error messages)
+//    array - The array, or undefined to create a new one
+//    index - List of subscripts, eg: [2,0] for &points[2][0]
+//    value - The new value for the element
+SBPRuntime.prototype._setElement = function(name, array, index, value) {
+    if(array === undefined) {
+        array = [];
+    } else if(!Array.isArray(array)) {
+        throw new Error(name + " is not an array.");
+    }
+    array = JSON.parse(JSON.stringify(array));
+
+    var node = array;
+    index.forEach(function(i, level) {
+        while(node.length < i) { node.push(null); }
+        if(level === index.length-1) {
+            node[i] = value;
+        } else {
+            name += '[' + i + ']';
+            if(node[i] === undefined || node[i] === null) {
+                node[i] = [];
+            } else if(!Array.isArray(node[i])) {
+                throw new Error(name + " is not an array.");
+            }
+            node = node[i];
+        }
+    });
+    return array;
+};
+
 // Return the actual value of an expression.
 // This function is for evaluating the leaves of the expression trees, which are either
 // variables or constant numeric/string values.
-//   expr - String that represents the leaf of an expression tree
-SBPRuntime.prototype._eval_value = function(expr) {
+//    expr - String that represents the leaf of an expression tree
+//   index - List of subscripts if an array element is to be evaluated (optional)
+SBPRuntime.prototype._eval_value = function(expr, index) {
     switch(this._variableType(expr)) {
         case 'user':
-            return this.evaluateUserVariable(expr);
+            return this.evaluateUserVariable(expr, index);
         break;
         case 'system':
             return this.evaluateSystemVariable(expr);
         break;
         case 'persistent':
-            return this.evaluatePersistentVariable(expr);
+            return this.evaluatePersistentVariable(expr, index);
         break;
         default:
             var n = Number(expr);
@@ -1383,25 +1840,45 @@ SBPRuntime.prototype._eval = function(expr) {
             case '/':
                 return this._eval(expr.left) / this._eval(expr.right);
                 break;
+            // Comparisons and logical operations are 1 (true) or 0 (false), as in ShopBot
             case '>':
-                return this._eval(expr.left) > this._eval(expr.right);
+                return (this._eval(expr.left) > this._eval(expr.right)) ? 1 : 0;
                 break;
             case '<':
-                return this._eval(expr.left) < this._eval(expr.right);
+                return (this._eval(expr.left) < this._eval(expr.right)) ? 1 : 0;
                 break;
             case '>=':
-                return this._eval(expr.left) >= this._eval(expr.right);
+                return (this._eval(expr.left) >= this._eval(expr.right)) ? 1 : 0;
                 break;
             case '<=':
-                return this._eval(expr.left) <= this._eval(expr.right);
+                return (this._eval(expr.left) <= this._eval(expr.right)) ? 1 : 0;
             break;
             case '==':
             case '=':
-                return this._eval(expr.left) == this._eval(expr.right);
+                return (this._eval(expr.left) == this._eval(expr.right)) ? 1 : 0;
                 break;
             case '<>':
             case '!=':
-                return this._eval(expr.left) != this._eval(expr.right);
+                return (this._eval(expr.left) != this._eval(expr.right)) ? 1 : 0;
+                break;
+            case 'AND':
+                return (this._eval(expr.left) && this._eval(expr.right)) ? 1 : 0;
+                break;
+            case 'OR':
+                return (this._eval(expr.left) || this._eval(expr.right)) ? 1 : 0;
+                break;
+            case 'NOT':
+                return this._eval(expr.right) ? 0 : 1;
+                break;
+            case 'index':
+                // Array element, eg: &holes[&i]
+                return this._eval_value(expr.name, this._evalIndex(expr));
+                break;
+            case 'func':
+                // Built-in function (see functions.js) - arguments are evaluated first
+                return functions.call(expr.name, expr.args.map(function(arg) {
+                    return this._eval(arg);
+                }.bind(this)), this);
                 break;
 
             default:
@@ -1429,6 +1906,14 @@ SBPRuntime.prototype.init = function() {
     this.units = config.machine.get('units');
     this.pending_error = null;
     this.pendingFeedhold = false;
+    this.envelope = null;
+    this.resume_line = null;
+    this.resume_state = null;
+    this.block_index = {};
+    this.loops = {};
+    this.file_channels = null;
+    this.tool_change = null;
+    this.stop_callback = null;
 
     if(this.transforms != null && this.transforms.level.apply === true) {
         leveler = new Leveler(this.transforms.level.ptDataFile);
@@ -1496,6 +1981,79 @@ SBPRuntime.prototype._analyzeLabels = function() {
 
 
 
+// Match up the block statements in the program (IF/ELSE/ENDIF, WHILE/WEND, FOR/NEXT)
+// this.block_index maps the line number of each block statement to the line numbers of the statements it is paired with:
+//   IF -> {else, end}, ELSE -> {start, end}, ENDIF/WEND/NEXT -> {start}, WHILE/FOR -> {end}
+// An error is thrown for blocks that aren't closed, or are closed by the wrong statement
+SBPRuntime.prototype._analyzeBlocks = function() {
+    var NAMES = {"if" : "IF", "while" : "WHILE", "for" : "FOR"};
+    var open = [];
+    this.block_index = {};
+
+    // Close the innermost open block, which must be of the specified type
+    var close = function(type, name, i) {
+        var start = open.pop();
+        if(start === undefined || this.program[start].type !== type) {
+            throw new Error(name + " without " + NAMES[type] + " on line " + (i+1));
+        }
+        this.block_index[start].end = i;
+        this.block_index[i] = {start : start};
+        return start;
+    }.bind(this);
+
+    for(var i=0; i<this.program.length; i++) {
+        var line = this.program[i];
+        if(!line) { continue; }
+        switch(line.type) {
+            case "if":
+            case "while":
+            case "for":
+                open.push(i);
+                this.block_index[i] = {};
+                break;
+
+            case "else":
+                var start = open[open.length-1];
+                if(start === undefined || this.program[start].type !== "if" || this.block_index[start].else !== undefined) {
+                    throw new Error("ELSE without IF on line " + (i+1));
+                }
+                this.block_index[start].else = i;
+                this.block_index[i] = {start : start};
+                break;
+
+            case "endif":
+                var start = close("if", "ENDIF", i);
+                var else_pc = this.block_index[start].else;
+                if(else_pc !== undefined) {
+                    this.block_index[else_pc].end = i;
+                }
+                break;
+
+            case "wend":
+                close("while", "WEND", i);
+                break;
+
+            case "next":
+                var start = close("for", "NEXT", i);
+                if(line.var && line.var.toUpperCase() !== this.program[start].var.toUpperCase()) {
+                    throw new Error("NEXT " + line.var + " does not match FOR " + this.program[start].var + " on line " + (i+1));
+                }
+                break;
+        }
+    }
+
+    if(open.length) {
+        var start = open.pop();
+        throw new Error(NAMES[this.program[start].type] + " without " + {"if" : "ENDIF", "while" : "WEND", "for" : "NEXT"}[this.program[start].type] + " on line " + (start+1));
+    }
+};
+
+// Return true if the FOR loop starting at the specified line should run again with the loop variable at the specified value
+SBPRuntime.prototype._loopContinues = function(start, value) {
+    var loop = this.loops[start];
+    return loop.step > 0 ? value <= loop.to : value >= loop.to;
+};
+
 // Check all the GOTOS/GOSUBS in the program and make sure their labels exist
 // Throw an error for undefined labels.
 SBPRuntime.prototype._analyzeGOTOs = function() {
@@ -1687,8 +2245,9 @@ SBPRuntime.prototype._variableType = function(v) {
 }
 
 // Return the value for the provided user variable
-//   v - identifier to check, eg: '&Tool'
-SBPRuntime.prototype.evaluateUserVariable = function(v) {
+//       v - identifier to check, eg: '&Tool'
+//   index - List of subscripts, if an element of an array variable is wanted (optional)
+SBPRuntime.prototype.evaluateUserVariable = function(v, index) {
     if(v === undefined) { return undefined;}
     result = v.match(USERVAR_RE);
     if(result === null) {return undefined;}
@@ -1696,11 +2255,11 @@ SBPRuntime.prototype.evaluateUserVariable = function(v) {
         v = '&TOOL';
     }
     if(v in this.user_vars) {
-        return this.user_vars[v];
+        return this._getElement(v, this.user_vars[v], index || []);
     } else {
         for(key in this.user_vars) {
             if(key.toLowerCase() === v.toLowerCase()) {
-                return this.user_vars[key];
+                return this._getElement(v, this.user_vars[key], index || []);
             }
         }
         throw new Error('Variable ' + v + ' was used but not defined.');
@@ -1708,12 +2267,13 @@ SBPRuntime.prototype.evaluateUserVariable = function(v) {
 };
 
 // Return the value for the provided persistent variable
-//   v - identifier to check, eg: '$Tool'
-SBPRuntime.prototype.evaluatePersistentVariable = function(v) {
+//       v - identifier to check, eg: '$Tool'
+//   index - List of subscripts, if an element of an array variable is wanted (optional)
+SBPRuntime.prototype.evaluatePersistentVariable = function(v, index) {
     if(v === undefined) { return undefined;}
     result = v.match(PERSISTENTVAR_RE);
     if(result === null) {return undefined;}
-    return config.opensbp.getVariable(v);
+    return this._getElement(v, config.opensbp.getVariable(v), index || []);
 };
 
 // Called for any valid shopbot mnemonic that doesn't have a handler registered
@@ -1738,6 +2298,8 @@ SBPRuntime.prototype._pushFileStack = function() {
     frame.end_callback = this.end_callback
     frame.end_message = this.end_message
     frame.label_index = this.label_index
+    frame.block_index = this.block_index
+    frame.loops = this.loops
     this.file_stack.push(frame)
 }
 
@@ -1754,9 +2316,12 @@ SBPRuntime.prototype._popFileStack = function() {
     this.stack = frame.stack
     //this.user_vars = frame.user_vars
     this.label_index = frame.label_index;
+    this.block_index = frame.block_index;
+    this.loops = frame.loops;
     //this.current_chunk = frame.current_chunk
     this.end_callback = frame.end_callback
     this.end_message = frame.end_message
+    return frame
 }
 
 // Emit a g-code into the stream of running codes
@@ -1771,8 +2336,23 @@ SBPRuntime.prototype.emit_gcode = function(s) {
     } else {
         var n = this.pc;
     }
+
+    // While fast-forwarding to a resume line, g-codes only update the resume state
+    if(this.resume_state) {
+        this.resume_state.update(s);
+        return;
+    }
+
     var gcode = 'N' + n + ' ' + s + '\n'
 
+    // Don't let a move out of the machine envelope get anywhere near the tool
+    if(this.envelope) {
+        var err = this.envelope.check(gcode);
+        if(err) {
+            throw new Error(err.message + " (Line " + (n + 1) + ")");
+        }
+    }
+
     this.gcodesPending = true;
     log.debug('Writing to stream: ' + gcode)
     this.stream.write(gcode);
@@ -1969,6 +2549,9 @@ SBPRuntime.prototype.resume = function() {
         if(this.resumeAllowed) {
             if(this.paused) {
                 this.paused = false;
+                if(this.tool_change) {
+                    return this._finishToolChange();
+                }
                 this._executeNext();
             } else {
                 this.driver.resume();
@@ -11,6 +11,7 @@ var stream = require('stream');
 var util = require('util');
 
 var sbp_parser = require('./sbp_parser')
+var functions = require('./functions');
 var log = require('../../log').logger('sbp');
 var CMD_SPACE_RE = /(\w\w)([ \t]+)([^\s\t,].*)/i
 var CMD_RE = /^\s*(\w\w)(((\s*,\s*)([+-]?[0-9]+(\.[0-9]+)?)?)+)\s*$/i
@@ -86,8 +87,9 @@ parseLine = function(line) {
         // Parse failure could be because of a stupid unquoted string:
         // eg: &mystring = Hey this is a string, no big deal.
         // If this is a case, actually allow it like an insane person:
+        // (A bad function call is a real error, though, even on the right hand side of an assignment)
         var match = statement.match(STUPID_STRING_RE)
-        if(match) {
+        if(match && !(e instanceof functions.FunctionError)) {
             obj = {type:"assign",var:match[1], expr:match[2]}
         } else {
             throw e // Or if not, throw the exception like we should do anyway
@@ -127,7 +129,11 @@ parse = function(data) {
         } catch(err) {
             if(err.name == 'SyntaxError') {
                 log.error("Syntax Error on line " + (i+1))
-                log.error("Expected " + JSON.stringify(err.expected) + " but found " + err.found)
+                if(err.expected) {
+                    log.error("Expected " + JSON.stringify(err.expected) + " but found " + err.found)
+                } else {
+                    log.error(err.message)
+                }
                 err.line = i+1;
                 log.error(err.line)
             } else {
@@ -84,105 +84,168 @@ module.exports = (function() {
         peg$c37 = "then",
         peg$c38 = { type: "literal", value: "THEN", description: "\"THEN\"" },
         peg$c39 = function(cmp, stmt) { return {"type":"cond", "cmp":cmp, "stmt":stmt};},
-        peg$c40 = "open",
-        peg$c41 = { type: "literal", value: "OPEN", description: "\"OPEN\"" },
-        peg$c42 = "for",
-        peg$c43 = { type: "literal", value: "FOR", description: "\"FOR\"" },
-        peg$c44 = "input",
-        peg$c45 = { type: "literal", value: "INPUT", description: "\"INPUT\"" },
-        peg$c46 = "output",
-        peg$c47 = { type: "literal", value: "OUTPUT", description: "\"OUTPUT\"" },
-        peg$c48 = "append",
-        peg$c49 = { type: "literal", value: "APPEND", description: "\"APPEND\"" },
-        peg$c50 = "as",
-        peg$c51 = { type: "literal", value: "AS", description: "\"AS\"" },
-        peg$c52 = "#",
-        peg$c53 = { type: "literal", value: "#", description: "\"#\"" },
-        peg$c54 = /^[1-9]/,
-        peg$c55 = { type: "class", value: "[1-9]", description: "[1-9]" },
-        peg$c56 = function(pth, mode, num) { return {"type":"open", "path":pth, "mode":mode, "num":num} },
-        peg$c57 = "goto",
-        peg$c58 = { type: "literal", value: "GOTO", description: "\"GOTO\"" },
-        peg$c59 = "gosub",
-        peg$c60 = { type: "literal", value: "GOSUB", description: "\"GOSUB\"" },
-        peg$c61 = function(cmd, lbl) {return {type:cmd.toLowerCase(), label:lbl};},
-        peg$c62 = "",
-        peg$c63 = /^[_A-Za-z]/,
-        peg$c64 = { type: "class", value: "[_A-Za-z]", description: "[_A-Za-z]" },
-        peg$c65 = /^[_A-Za-z0-9#]/,
-        peg$c66 = { type: "class", value: "[_A-Za-z0-9\\#]", description: "[_A-Za-z0-9\\#]" },
-        peg$c67 = function(code) {return code.join('').replace('#','_POUND');},
-        peg$c68 = /^[a-zA-Z_]/,
-        peg$c69 = { type: "class", value: "[a-zA-Z_]", description: "[a-zA-Z_]" },
-        peg$c70 = /^[A-Za-z0-9_]/,
-        peg$c71 = { type: "class", value: "[A-Za-z0-9_]", description: "[A-Za-z0-9_]" },
-        peg$c72 = function(id) {return id[0].join("") + id[1].join(""); },
-        peg$c73 = ":",
-        peg$c74 = { type: "literal", value: ":", description: "\":\"" },
-        peg$c75 = function(id) {return {type:"label", value:id};},
-        peg$c76 = /^[0-9]/,
-        peg$c77 = { type: "class", value: "[0-9]", description: "[0-9]" },
-        peg$c78 = function(digits) { return digits.join(""); },
-        peg$c79 = { type: "other", description: "integer" },
-        peg$c80 = "-",
-        peg$c81 = { type: "literal", value: "-", description: "\"-\"" },
-        peg$c82 = function(dec) { return parseInt(dec.join(""), 10); },
-        peg$c83 = { type: "other", description: "float" },
-        peg$c84 = ".",
-        peg$c85 = { type: "literal", value: ".", description: "\".\"" },
-        peg$c86 = function(f) { return parseFloat(f.join(""));},
-        peg$c87 = /^[^,\n"]/,
-        peg$c88 = { type: "class", value: "[^,\\n\"]", description: "[^,\\n\"]" },
-        peg$c89 = function(s) { return s.join("").trim() || undefined; },
-        peg$c90 = "\"",
-        peg$c91 = { type: "literal", value: "\"", description: "\"\\\"\"" },
-        peg$c92 = /^[^"\n]/,
-        peg$c93 = { type: "class", value: "[^\\\"\\n]", description: "[^\\\"\\n]" },
-        peg$c94 = function(s) {return s.join("")},
-        peg$c95 = "&",
-        peg$c96 = { type: "literal", value: "&", description: "\"&\"" },
-        peg$c97 = function(v) {return v.join("")},
-        peg$c98 = "$",
-        peg$c99 = { type: "literal", value: "$", description: "\"$\"" },
-        peg$c100 = "%",
-        peg$c101 = { type: "literal", value: "%", description: "\"%\"" },
-        peg$c102 = "=",
-        peg$c103 = { type: "literal", value: "=", description: "\"=\"" },
-        peg$c104 = function(v, e) {return {"type": "assign", "var":v, "expr":e}},
-        peg$c105 = ":=",
-        peg$c106 = { type: "literal", value: ":=", description: "\":=\"" },
-        peg$c107 = function(v, e) {return {"type": "weak_assign", "var":v, "expr":e}},
-        peg$c108 = function(lhs, op, rhs) {return {'left' : lhs, 'right' : rhs, 'op' : op};},
-        peg$c109 = function(cmp) {return cmp;},
-        peg$c110 = function(l, r) {
+        peg$c40 = function(cmp) { return {"type":"if", "cmp":cmp};},
+        peg$c41 = "else",
+        peg$c42 = { type: "literal", value: "ELSE", description: "\"ELSE\"" },
+        peg$c43 = function() { return {"type":"else"};},
+        peg$c44 = "endif",
+        peg$c45 = { type: "literal", value: "ENDIF", description: "\"ENDIF\"" },
+        peg$c46 = function() { return {"type":"endif"};},
+        peg$c47 = "while",
+        peg$c48 = { type: "literal", value: "WHILE", description: "\"WHILE\"" },
+        peg$c49 = function(cmp) { return {"type":"while", "cmp":cmp};},
+        peg$c50 = "wend",
+        peg$c51 = { type: "literal", value: "WEND", description: "\"WEND\"" },
+        peg$c52 = function() { return {"type":"wend"};},
+        peg$c53 = "for",
+        peg$c54 = { type: "literal", value: "FOR", description: "\"FOR\"" },
+        peg$c55 = "=",
+        peg$c56 = { type: "literal", value: "=", description: "\"=\"" },
+        peg$c57 = "to",
+        peg$c58 = { type: "literal", value: "TO", description: "\"TO\"" },
+        peg$c59 = "step",
+        peg$c60 = { type: "literal", value: "STEP", description: "\"STEP\"" },
+        peg$c61 = function(v, from, to, e) {return e;},
+        peg$c62 = function(v, from, to, step) { return {"type":"for", "var":v, "from":from, "to":to, "step":step};},
+        peg$c63 = "next",
+        peg$c64 = { type: "literal", value: "NEXT", description: "\"NEXT\"" },
+        peg$c65 = function(v) {return v;},
+        peg$c66 = function(v) { return {"type":"next", "var":v};},
+        peg$c67 = "open",
+        peg$c68 = { type: "literal", value: "OPEN", description: "\"OPEN\"" },
+        peg$c69 = "input",
+        peg$c70 = { type: "literal", value: "INPUT", description: "\"INPUT\"" },
+        peg$c71 = "output",
+        peg$c72 = { type: "literal", value: "OUTPUT", description: "\"OUTPUT\"" },
+        peg$c73 = "append",
+        peg$c74 = { type: "literal", value: "APPEND", description: "\"APPEND\"" },
+        peg$c75 = "as",
+        peg$c76 = { type: "literal", value: "AS", description: "\"AS\"" },
+        peg$c77 = "#",
+        peg$c78 = { type: "literal", value: "#", description: "\"#\"" },
+        peg$c79 = /^[1-9]/,
+        peg$c80 = { type: "class", value: "[1-9]", description: "[1-9]" },
+        peg$c81 = function(pth, mode, num) { return {"type":"open", "path":pth, "mode":mode.toUpperCase(), "num":parseInt(num, 10)} },
+        peg$c82 = function(num, first, v) {return v;},
+        peg$c83 = function(num, first, rest) { return {"type":"input", "num":parseInt(num, 10), "vars":[first].concat(rest)} },
+        peg$c84 = "write",
+        peg$c85 = { type: "literal", value: "WRITE", description: "\"WRITE\"" },
+        peg$c86 = function(num, e) {return e;},
+        peg$c87 = function(num, args) { return {"type":"write", "num":parseInt(num, 10), "args":args} },
+        peg$c88 = "close",
+        peg$c89 = { type: "literal", value: "CLOSE", description: "\"CLOSE\"" },
+        peg$c90 = function(n) {return parseInt(n, 10);},
+        peg$c91 = function(num) { return {"type":"close", "num":num} },
+        peg$c92 = "goto",
+        peg$c93 = { type: "literal", value: "GOTO", description: "\"GOTO\"" },
+        peg$c94 = "gosub",
+        peg$c95 = { type: "literal", value: "GOSUB", description: "\"GOSUB\"" },
+        peg$c96 = function(cmd, lbl) {return {type:cmd.toLowerCase(), label:lbl};},
+        peg$c97 = "",
+        peg$c98 = /^[_A-Za-z]/,
+        peg$c99 = { type: "class", value: "[_A-Za-z]", description: "[_A-Za-z]" },
+        peg$c100 = /^[_A-Za-z0-9#]/,
+        peg$c101 = { type: "class", value: "[_A-Za-z0-9\\#]", description: "[_A-Za-z0-9\\#]" },
+        peg$c102 = function(code) {return code.join('').replace('#','_POUND');},
+        peg$c103 = /^[a-zA-Z_]/,
+        peg$c104 = { type: "class", value: "[a-zA-Z_]", description: "[a-zA-Z_]" },
+        peg$c105 = /^[A-Za-z0-9_]/,
+        peg$c106 = { type: "class", value: "[A-Za-z0-9_]", description: "[A-Za-z0-9_]" },
+        peg$c107 = function(id) {return id[0].join("") + id[1].join(""); },
+        peg$c108 = ":",
+        peg$c109 = { type: "literal", value: ":", description: "\":\"" },
+        peg$c110 = function(id) {return {type:"label", value:id};},
+        peg$c111 = /^[0-9]/,
+        peg$c112 = { type: "class", value: "[0-9]", description: "[0-9]" },
+        peg$c113 = function(digits) { return digits.join(""); },
+        peg$c114 = { type: "other", description: "integer" },
+        peg$c115 = "-",
+        peg$c116 = { type: "literal", value: "-", description: "\"-\"" },
+        peg$c117 = function(dec) { return parseInt(dec.join(""), 10); },
+        peg$c118 = { type: "other", description: "float" },
+        peg$c119 = ".",
+        peg$c120 = { type: "literal", value: ".", description: "\".\"" },
+        peg$c121 = function(f) { return parseFloat(f.join(""));},
+        peg$c122 = /^[^,\n"]/,
+        peg$c123 = { type: "class", value: "[^,\\n\"]", description: "[^,\\n\"]" },
+        peg$c124 = function(s) { return s.join("").trim() || undefined; },
+        peg$c125 = "\"",
+        peg$c126 = { type: "literal", value: "\"", description: "\"\\\"\"" },
+        peg$c127 = /^[^"\n]/,
+        peg$c128 = { type: "class", value: "[^\\\"\\n]", description: "[^\\\"\\n]" },
+        peg$c129 = function(s) {return s.join("")},
+        peg$c130 = "[",
+        peg$c131 = { type: "literal", value: "[", description: "\"[\"" },
+        peg$c132 = "]",
+        peg$c133 = { type: "literal", value: "]", description: "\"]\"" },
+        peg$c134 = function(v, e) {return e;},
+        peg$c135 = function(v, index) {return {"op":"index", "name":v, "index":index};},
+        peg$c136 = "&",
+        peg$c137 = { type: "literal", value: "&", description: "\"&\"" },
+        peg$c138 = function(v) {return v.join("")},
+        peg$c139 = "$",
+        peg$c140 = { type: "literal", value: "$", description: "\"$\"" },
+        peg$c141 = "%",
+        peg$c142 = { type: "literal", value: "%", description: "\"%\"" },
+        peg$c143 = function(v, e) {return {"type": "assign", "var":v, "expr":e}},
+        peg$c144 = ":=",
+        peg$c145 = { type: "literal", value: ":=", description: "\":=\"" },
+        peg$c146 = function(v, e) {return {"type": "weak_assign", "var":v, "expr":e}},
+        peg$c147 = function(lhs, op, rhs) {return {'left' : lhs, 'right' : rhs, 'op' : op};},
+        peg$c148 = "or",
+        peg$c149 = { type: "literal", value: "OR", description: "\"OR\"" },
+        peg$c150 = function(l, r) {
+              return r.reduce(function(left, right) { return {left : left, op : "OR", right : right[4]}; }, l);
+            },
+        peg$c151 = "and",
+        peg$c152 = { type: "literal", value: "AND", description: "\"AND\"" },
+        peg$c153 = function(l, r) {
+              return r.reduce(function(left, right) { return {left : left, op : "AND", right : right[4]}; }, l);
+            },
+        peg$c154 = "not",
+        peg$c155 = { type: "literal", value: "NOT", description: "\"NOT\"" },
+        peg$c156 = function(cmp) {return {op : "NOT", right : cmp};},
+        peg$c157 = function(cmp) {return cmp;},
+        peg$c158 = function(l, r) {
               return buildLeftAssocTree(l, r);
             },
-        peg$c111 = function(l, r) {
+        peg$c159 = function(l, r) {
               return buildRightAssocTree(l, r);
             },
-        peg$c112 = function(expr) { return expr; },
-        peg$c113 = "*",
-        peg$c114 = { type: "literal", value: "*", description: "\"*\"" },
-        peg$c115 = "/",
-        peg$c116 = { type: "literal", value: "/", description: "\"/\"" },
-        peg$c117 = "+",
-        peg$c118 = { type: "literal", value: "+", description: "\"+\"" },
-        peg$c119 = "<=",
-        peg$c120 = { type: "literal", value: "<=", description: "\"<=\"" },
-        peg$c121 = ">=",
-        peg$c122 = { type: "literal", value: ">=", description: "\">=\"" },
-        peg$c123 = "==",
-        peg$c124 = { type: "literal", value: "==", description: "\"==\"" },
-        peg$c125 = "<",
-        peg$c126 = { type: "literal", value: "<", description: "\"<\"" },
-        peg$c127 = ">",
-        peg$c128 = { type: "literal", value: ">", description: "\">\"" },
-        peg$c129 = "!=",
-        peg$c130 = { type: "literal", value: "!=", description: "\"!=\"" },
-        peg$c131 = "<>",
-        peg$c132 = { type: "literal", value: "<>", description: "\"<>\"" },
-        peg$c133 = /^[ \t]/,
-        peg$c134 = { type: "class", value: "[ \\t]", description: "[ \\t]" },
+        peg$c160 = function(expr) { return expr; },
+        peg$c161 = function(name) {return [];},
+        peg$c162 = function(name, args) {
+              functions.check(name, args.length);
+              return {op : "func", name : name.toUpperCase(), args : args};
+            },
+        peg$c163 = "pi",
+        peg$c164 = { type: "literal", value: "PI", description: "\"PI\"" },
+        peg$c165 = function() {return {op : "func", name : "PI", args : []};},
+        peg$c166 = function(first, rest) {
+              return [first].concat(rest.map(function(r) { return r[3]; }));
+            },
+        peg$c167 = "*",
+        peg$c168 = { type: "literal", value: "*", description: "\"*\"" },
+        peg$c169 = "/",
+        peg$c170 = { type: "literal", value: "/", description: "\"/\"" },
+        peg$c171 = "+",
+        peg$c172 = { type: "literal", value: "+", description: "\"+\"" },
+        peg$c173 = "<=",
+        peg$c174 = { type: "literal", value: "<=", description: "\"<=\"" },
+        peg$c175 = ">=",
+        peg$c176 = { type: "literal", value: ">=", description: "\">=\"" },
+        peg$c177 = "==",
+        peg$c178 = { type: "literal", value: "==", description: "\"==\"" },
+        peg$c179 = "<>",
+        peg$c180 = { type: "literal", value: "<>", description: "\"<>\"" },
+        peg$c181 = "<",
+        peg$c182 = { type: "literal", value: "<", description: "\"<\"" },
+        peg$c183 = ">",
+        peg$c184 = { type: "literal", value: ">", description: "\">\"" },
+        peg$c185 = "!=",
+        peg$c186 = { type: "literal", value: "!=", description: "\"!=\"" },
+        peg$c187 = /^[ \t]/,
+        peg$c188 = { type: "class", value: "[ \\t]", description: "[ \\t]" },
 
         peg$currPos          = 0,
         peg$savedPos         = 0,
@@ -403,31 +466,34 @@ module.exports = (function() {
 
       s0 = peg$parselabel();
       if (s0 === peg$FAILED) {
-        s0 = peg$parsesingle();
+        s0 = peg$parseconditional();
         if (s0 === peg$FAILED) {
-          s0 = peg$parsefail();
+          s0 = peg$parseblock();
           if (s0 === peg$FAILED) {
-            s0 = peg$parsejump();
+            s0 = peg$parsesingle();
             if (s0 === peg$FAILED) {
-              s0 = peg$parsepause();
+              s0 = peg$parsefail();
               if (s0 === peg$FAILED) {
-                s0 = peg$parseconditional();
+                s0 = peg$parsejump();
                 if (s0 === peg$FAILED) {
-                  s0 = peg$parseassignment();
+                  s0 = peg$parsepause();
                   if (s0 === peg$FAILED) {
-                    s0 = peg$parseweak_assignment();
+                    s0 = peg$parseassignment();
                     if (s0 === peg$FAILED) {
-                      s0 = peg$parseevent();
+                      s0 = peg$parseweak_assignment();
                       if (s0 === peg$FAILED) {
-                        s0 = peg$parseopen();
+                        s0 = peg$parseevent();
                         if (s0 === peg$FAILED) {
-                          s0 = peg$parsecustom_cut();
+                          s0 = peg$parsefile_io();
                           if (s0 === peg$FAILED) {
-                            s0 = peg$parsegcode_line();
+                            s0 = peg$parsecustom_cut();
                             if (s0 === peg$FAILED) {
-                              s0 = peg$parsecommand();
+                              s0 = peg$parsegcode_line();
                               if (s0 === peg$FAILED) {
-                                s0 = peg$parse__();
+                                s0 = peg$parsecommand();
+                                if (s0 === peg$FAILED) {
+                                  s0 = peg$parse__();
+                                }
                               }
                             }
                           }
@@ -986,7 +1052,7 @@ module.exports = (function() {
       if (s1 !== peg$FAILED) {
         s2 = peg$parse___();
         if (s2 !== peg$FAILED) {
-          s3 = peg$parsecomparison();
+          s3 = peg$parseor_comparison();
           if (s3 !== peg$FAILED) {
             s4 = peg$parse___();
             if (s4 !== peg$FAILED) {
@@ -1037,90 +1103,299 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parseopen() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12;
+    function peg$parseblock() {
+      var s0;
+
+      s0 = peg$parseif_block();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parseelse_block();
+        if (s0 === peg$FAILED) {
+          s0 = peg$parseendif_block();
+          if (s0 === peg$FAILED) {
+            s0 = peg$parsewhile_block();
+            if (s0 === peg$FAILED) {
+              s0 = peg$parsewend_block();
+              if (s0 === peg$FAILED) {
+                s0 = peg$parsefor_block();
+                if (s0 === peg$FAILED) {
+                  s0 = peg$parsenext_block();
+                }
+              }
+            }
+          }
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseif_block() {
+      var s0, s1, s2, s3, s4, s5;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 2).toLowerCase() === peg$c35) {
+        s1 = input.substr(peg$currPos, 2);
+        peg$currPos += 2;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c36); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse___();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseor_comparison();
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parse___();
+            if (s4 !== peg$FAILED) {
+              if (input.substr(peg$currPos, 4).toLowerCase() === peg$c37) {
+                s5 = input.substr(peg$currPos, 4);
+                peg$currPos += 4;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c38); }
+              }
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c40(s3);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseelse_block() {
+      var s0, s1;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 4).toLowerCase() === peg$c41) {
+        s1 = input.substr(peg$currPos, 4);
+        peg$currPos += 4;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c42); }
+      }
+      if (s1 !== peg$FAILED) {
+        peg$savedPos = s0;
+        s1 = peg$c43();
+      }
+      s0 = s1;
+
+      return s0;
+    }
+
+    function peg$parseendif_block() {
+      var s0, s1, s2, s3, s4;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 5).toLowerCase() === peg$c44) {
+        s1 = input.substr(peg$currPos, 5);
+        peg$currPos += 5;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c45); }
+      }
+      if (s1 === peg$FAILED) {
+        s1 = peg$currPos;
+        if (input.substr(peg$currPos, 3).toLowerCase() === peg$c25) {
+          s2 = input.substr(peg$currPos, 3);
+          peg$currPos += 3;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c26); }
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parse___();
+          if (s3 !== peg$FAILED) {
+            if (input.substr(peg$currPos, 2).toLowerCase() === peg$c35) {
+              s4 = input.substr(peg$currPos, 2);
+              peg$currPos += 2;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c36); }
+            }
+            if (s4 !== peg$FAILED) {
+              s2 = [s2, s3, s4];
+              s1 = s2;
+            } else {
+              peg$currPos = s1;
+              s1 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s1;
+            s1 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s1;
+          s1 = peg$FAILED;
+        }
+      }
+      if (s1 !== peg$FAILED) {
+        peg$savedPos = s0;
+        s1 = peg$c46();
+      }
+      s0 = s1;
+
+      return s0;
+    }
+
+    function peg$parsewhile_block() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 5).toLowerCase() === peg$c47) {
+        s1 = input.substr(peg$currPos, 5);
+        peg$currPos += 5;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c48); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse___();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseor_comparison();
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c49(s3);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parsewend_block() {
+      var s0, s1;
 
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 4).toLowerCase() === peg$c40) {
+      if (input.substr(peg$currPos, 4).toLowerCase() === peg$c50) {
         s1 = input.substr(peg$currPos, 4);
         peg$currPos += 4;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c41); }
+        if (peg$silentFails === 0) { peg$fail(peg$c51); }
+      }
+      if (s1 !== peg$FAILED) {
+        peg$savedPos = s0;
+        s1 = peg$c52();
+      }
+      s0 = s1;
+
+      return s0;
+    }
+
+    function peg$parsefor_block() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14, s15, s16;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 3).toLowerCase() === peg$c53) {
+        s1 = input.substr(peg$currPos, 3);
+        peg$currPos += 3;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c54); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$parse___();
         if (s2 !== peg$FAILED) {
-          s3 = peg$parsequotedstring();
+          s3 = peg$parsevariable();
           if (s3 !== peg$FAILED) {
-            s4 = peg$parse___();
+            s4 = peg$parse__();
             if (s4 !== peg$FAILED) {
-              if (input.substr(peg$currPos, 3).toLowerCase() === peg$c42) {
-                s5 = input.substr(peg$currPos, 3);
-                peg$currPos += 3;
+              if (input.charCodeAt(peg$currPos) === 61) {
+                s5 = peg$c55;
+                peg$currPos++;
               } else {
                 s5 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c43); }
+                if (peg$silentFails === 0) { peg$fail(peg$c56); }
               }
               if (s5 !== peg$FAILED) {
-                s6 = peg$parse___();
+                s6 = peg$parse__();
                 if (s6 !== peg$FAILED) {
-                  if (input.substr(peg$currPos, 5).toLowerCase() === peg$c44) {
-                    s7 = input.substr(peg$currPos, 5);
-                    peg$currPos += 5;
-                  } else {
-                    s7 = peg$FAILED;
-                    if (peg$silentFails === 0) { peg$fail(peg$c45); }
-                  }
-                  if (s7 === peg$FAILED) {
-                    if (input.substr(peg$currPos, 6).toLowerCase() === peg$c46) {
-                      s7 = input.substr(peg$currPos, 6);
-                      peg$currPos += 6;
-                    } else {
-                      s7 = peg$FAILED;
-                      if (peg$silentFails === 0) { peg$fail(peg$c47); }
-                    }
-                    if (s7 === peg$FAILED) {
-                      if (input.substr(peg$currPos, 6).toLowerCase() === peg$c48) {
-                        s7 = input.substr(peg$currPos, 6);
-                        peg$currPos += 6;
-                      } else {
-                        s7 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$c49); }
-                      }
-                    }
-                  }
+                  s7 = peg$parsee1();
                   if (s7 !== peg$FAILED) {
                     s8 = peg$parse___();
                     if (s8 !== peg$FAILED) {
-                      if (input.substr(peg$currPos, 2).toLowerCase() === peg$c50) {
+                      if (input.substr(peg$currPos, 2).toLowerCase() === peg$c57) {
                         s9 = input.substr(peg$currPos, 2);
                         peg$currPos += 2;
                       } else {
                         s9 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$c51); }
+                        if (peg$silentFails === 0) { peg$fail(peg$c58); }
                       }
                       if (s9 !== peg$FAILED) {
                         s10 = peg$parse___();
                         if (s10 !== peg$FAILED) {
-                          if (input.charCodeAt(peg$currPos) === 35) {
-                            s11 = peg$c52;
-                            peg$currPos++;
-                          } else {
-                            s11 = peg$FAILED;
-                            if (peg$silentFails === 0) { peg$fail(peg$c53); }
-                          }
+                          s11 = peg$parsee1();
                           if (s11 !== peg$FAILED) {
-                            if (peg$c54.test(input.charAt(peg$currPos))) {
-                              s12 = input.charAt(peg$currPos);
-                              peg$currPos++;
+                            s12 = peg$currPos;
+                            s13 = peg$parse___();
+                            if (s13 !== peg$FAILED) {
+                              if (input.substr(peg$currPos, 4).toLowerCase() === peg$c59) {
+                                s14 = input.substr(peg$currPos, 4);
+                                peg$currPos += 4;
+                              } else {
+                                s14 = peg$FAILED;
+                                if (peg$silentFails === 0) { peg$fail(peg$c60); }
+                              }
+                              if (s14 !== peg$FAILED) {
+                                s15 = peg$parse___();
+                                if (s15 !== peg$FAILED) {
+                                  s16 = peg$parsee1();
+                                  if (s16 !== peg$FAILED) {
+                                    peg$savedPos = s12;
+                                    s13 = peg$c61(s3, s7, s11, s16);
+                                    s12 = s13;
+                                  } else {
+                                    peg$currPos = s12;
+                                    s12 = peg$FAILED;
+                                  }
+                                } else {
+                                  peg$currPos = s12;
+                                  s12 = peg$FAILED;
+                                }
+                              } else {
+                                peg$currPos = s12;
+                                s12 = peg$FAILED;
+                              }
                             } else {
+                              peg$currPos = s12;
                               s12 = peg$FAILED;
-                              if (peg$silentFails === 0) { peg$fail(peg$c55); }
+                            }
+                            if (s12 === peg$FAILED) {
+                              s12 = null;
                             }
                             if (s12 !== peg$FAILED) {
                               peg$savedPos = s0;
-                              s1 = peg$c56(s3, s7, s12);
+                              s1 = peg$c62(s3, s7, s11, s12);
                               s0 = s1;
                             } else {
                               peg$currPos = s0;
@@ -1174,46 +1449,617 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsejump() {
-      var s0, s1, s2, s3;
+    function peg$parsenext_block() {
+      var s0, s1, s2, s3, s4;
 
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 4).toLowerCase() === peg$c57) {
+      if (input.substr(peg$currPos, 4).toLowerCase() === peg$c63) {
         s1 = input.substr(peg$currPos, 4);
         peg$currPos += 4;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c58); }
-      }
-      if (s1 === peg$FAILED) {
-        if (input.substr(peg$currPos, 5).toLowerCase() === peg$c59) {
-          s1 = input.substr(peg$currPos, 5);
-          peg$currPos += 5;
-        } else {
-          s1 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c60); }
-        }
+        if (peg$silentFails === 0) { peg$fail(peg$c64); }
       }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parse___();
-        if (s2 !== peg$FAILED) {
-          s3 = peg$parseidentifier();
-          if (s3 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s1 = peg$c61(s1, s3);
-            s0 = s1;
+        s2 = peg$currPos;
+        s3 = peg$parse___();
+        if (s3 !== peg$FAILED) {
+          s4 = peg$parsevariable();
+          if (s4 !== peg$FAILED) {
+            peg$savedPos = s2;
+            s3 = peg$c65(s4);
+            s2 = s3;
           } else {
-            peg$currPos = s0;
-            s0 = peg$FAILED;
+            peg$currPos = s2;
+            s2 = peg$FAILED;
           }
         } else {
-          peg$currPos = s0;
-          s0 = peg$FAILED;
+          peg$currPos = s2;
+          s2 = peg$FAILED;
         }
-      } else {
-        peg$currPos = s0;
-        s0 = peg$FAILED;
-      }
+        if (s2 === peg$FAILED) {
+          s2 = null;
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c66(s2);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parsefile_io() {
+      var s0;
+
+      s0 = peg$parseopen();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parseinput();
+        if (s0 === peg$FAILED) {
+          s0 = peg$parsewrite();
+          if (s0 === peg$FAILED) {
+            s0 = peg$parseclose();
+          }
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseopen() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 4).toLowerCase() === peg$c67) {
+        s1 = input.substr(peg$currPos, 4);
+        peg$currPos += 4;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c68); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse___();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parsequotedstring();
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parse___();
+            if (s4 !== peg$FAILED) {
+              if (input.substr(peg$currPos, 3).toLowerCase() === peg$c53) {
+                s5 = input.substr(peg$currPos, 3);
+                peg$currPos += 3;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c54); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parse___();
+                if (s6 !== peg$FAILED) {
+                  if (input.substr(peg$currPos, 5).toLowerCase() === peg$c69) {
+                    s7 = input.substr(peg$currPos, 5);
+                    peg$currPos += 5;
+                  } else {
+                    s7 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c70); }
+                  }
+                  if (s7 === peg$FAILED) {
+                    if (input.substr(peg$currPos, 6).toLowerCase() === peg$c71) {
+                      s7 = input.substr(peg$currPos, 6);
+                      peg$currPos += 6;
+                    } else {
+                      s7 = peg$FAILED;
+                      if (peg$silentFails === 0) { peg$fail(peg$c72); }
+                    }
+                    if (s7 === peg$FAILED) {
+                      if (input.substr(peg$currPos, 6).toLowerCase() === peg$c73) {
+                        s7 = input.substr(peg$currPos, 6);
+                        peg$currPos += 6;
+                      } else {
+                        s7 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c74); }
+                      }
+                    }
+                  }
+                  if (s7 !== peg$FAILED) {
+                    s8 = peg$parse___();
+                    if (s8 !== peg$FAILED) {
+                      if (input.substr(peg$currPos, 2).toLowerCase() === peg$c75) {
+                        s9 = input.substr(peg$currPos, 2);
+                        peg$currPos += 2;
+                      } else {
+                        s9 = peg$FAILED;
+                        if (peg$silentFails === 0) { peg$fail(peg$c76); }
+                      }
+                      if (s9 !== peg$FAILED) {
+                        s10 = peg$parse___();
+                        if (s10 !== peg$FAILED) {
+                          if (input.charCodeAt(peg$currPos) === 35) {
+                            s11 = peg$c77;
+                            peg$currPos++;
+                          } else {
+                            s11 = peg$FAILED;
+                            if (peg$silentFails === 0) { peg$fail(peg$c78); }
+                          }
+                          if (s11 !== peg$FAILED) {
+                            if (peg$c79.test(input.charAt(peg$currPos))) {
+                              s12 = input.charAt(peg$currPos);
+                              peg$currPos++;
+                            } else {
+                              s12 = peg$FAILED;
+                              if (peg$silentFails === 0) { peg$fail(peg$c80); }
+                            }
+                            if (s12 !== peg$FAILED) {
+                              peg$savedPos = s0;
+                              s1 = peg$c81(s3, s7, s12);
+                              s0 = s1;
+                            } else {
+                              peg$currPos = s0;
+                              s0 = peg$FAILED;
+                            }
+                          } else {
+                            peg$currPos = s0;
+                            s0 = peg$FAILED;
+                          }
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseinput() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12, s13, s14;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 5).toLowerCase() === peg$c69) {
+        s1 = input.substr(peg$currPos, 5);
+        peg$currPos += 5;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c70); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse__();
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 35) {
+            s3 = peg$c77;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c78); }
+          }
+          if (s3 !== peg$FAILED) {
+            if (peg$c79.test(input.charAt(peg$currPos))) {
+              s4 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c80); }
+            }
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parse__();
+              if (s5 !== peg$FAILED) {
+                if (input.charCodeAt(peg$currPos) === 44) {
+                  s6 = peg$c3;
+                  peg$currPos++;
+                } else {
+                  s6 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c4); }
+                }
+                if (s6 !== peg$FAILED) {
+                  s7 = peg$parse__();
+                  if (s7 !== peg$FAILED) {
+                    s8 = peg$parseindexed_variable();
+                    if (s8 === peg$FAILED) {
+                      s8 = peg$parsevariable();
+                    }
+                    if (s8 !== peg$FAILED) {
+                      s9 = [];
+                      s10 = peg$currPos;
+                      s11 = peg$parse__();
+                      if (s11 !== peg$FAILED) {
+                        if (input.charCodeAt(peg$currPos) === 44) {
+                          s12 = peg$c3;
+                          peg$currPos++;
+                        } else {
+                          s12 = peg$FAILED;
+                          if (peg$silentFails === 0) { peg$fail(peg$c4); }
+                        }
+                        if (s12 !== peg$FAILED) {
+                          s13 = peg$parse__();
+                          if (s13 !== peg$FAILED) {
+                            s14 = peg$parseindexed_variable();
+                            if (s14 === peg$FAILED) {
+                              s14 = peg$parsevariable();
+                            }
+                            if (s14 !== peg$FAILED) {
+                              peg$savedPos = s10;
+                              s11 = peg$c82(s4, s8, s14);
+                              s10 = s11;
+                            } else {
+                              peg$currPos = s10;
+                              s10 = peg$FAILED;
+                            }
+                          } else {
+                            peg$currPos = s10;
+                            s10 = peg$FAILED;
+                          }
+                        } else {
+                          peg$currPos = s10;
+                          s10 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s10;
+                        s10 = peg$FAILED;
+                      }
+                      while (s10 !== peg$FAILED) {
+                        s9.push(s10);
+                        s10 = peg$currPos;
+                        s11 = peg$parse__();
+                        if (s11 !== peg$FAILED) {
+                          if (input.charCodeAt(peg$currPos) === 44) {
+                            s12 = peg$c3;
+                            peg$currPos++;
+                          } else {
+                            s12 = peg$FAILED;
+                            if (peg$silentFails === 0) { peg$fail(peg$c4); }
+                          }
+                          if (s12 !== peg$FAILED) {
+                            s13 = peg$parse__();
+                            if (s13 !== peg$FAILED) {
+                              s14 = peg$parseindexed_variable();
+                              if (s14 === peg$FAILED) {
+                                s14 = peg$parsevariable();
+                              }
+                              if (s14 !== peg$FAILED) {
+                                peg$savedPos = s10;
+                                s11 = peg$c82(s4, s8, s14);
+                                s10 = s11;
+                              } else {
+                                peg$currPos = s10;
+                                s10 = peg$FAILED;
+                              }
+                            } else {
+                              peg$currPos = s10;
+                              s10 = peg$FAILED;
+                            }
+                          } else {
+                            peg$currPos = s10;
+                            s10 = peg$FAILED;
+                          }
+                        } else {
+                          peg$currPos = s10;
+                          s10 = peg$FAILED;
+                        }
+                      }
+                      if (s9 !== peg$FAILED) {
+                        peg$savedPos = s0;
+                        s1 = peg$c83(s4, s8, s9);
+                        s0 = s1;
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parsewrite() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 5).toLowerCase() === peg$c84) {
+        s1 = input.substr(peg$currPos, 5);
+        peg$currPos += 5;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c85); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse__();
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 35) {
+            s3 = peg$c77;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c78); }
+          }
+          if (s3 !== peg$FAILED) {
+            if (peg$c79.test(input.charAt(peg$currPos))) {
+              s4 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c80); }
+            }
+            if (s4 !== peg$FAILED) {
+              s5 = [];
+              s6 = peg$currPos;
+              s7 = peg$parse__();
+              if (s7 !== peg$FAILED) {
+                if (input.charCodeAt(peg$currPos) === 44) {
+                  s8 = peg$c3;
+                  peg$currPos++;
+                } else {
+                  s8 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c4); }
+                }
+                if (s8 !== peg$FAILED) {
+                  s9 = peg$parse__();
+                  if (s9 !== peg$FAILED) {
+                    s10 = peg$parseor_comparison();
+                    if (s10 === peg$FAILED) {
+                      s10 = peg$parsee1();
+                    }
+                    if (s10 !== peg$FAILED) {
+                      peg$savedPos = s6;
+                      s7 = peg$c86(s4, s10);
+                      s6 = s7;
+                    } else {
+                      peg$currPos = s6;
+                      s6 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s6;
+                    s6 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s6;
+                  s6 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s6;
+                s6 = peg$FAILED;
+              }
+              while (s6 !== peg$FAILED) {
+                s5.push(s6);
+                s6 = peg$currPos;
+                s7 = peg$parse__();
+                if (s7 !== peg$FAILED) {
+                  if (input.charCodeAt(peg$currPos) === 44) {
+                    s8 = peg$c3;
+                    peg$currPos++;
+                  } else {
+                    s8 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c4); }
+                  }
+                  if (s8 !== peg$FAILED) {
+                    s9 = peg$parse__();
+                    if (s9 !== peg$FAILED) {
+                      s10 = peg$parseor_comparison();
+                      if (s10 === peg$FAILED) {
+                        s10 = peg$parsee1();
+                      }
+                      if (s10 !== peg$FAILED) {
+                        peg$savedPos = s6;
+                        s7 = peg$c86(s4, s10);
+                        s6 = s7;
+                      } else {
+                        peg$currPos = s6;
+                        s6 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s6;
+                      s6 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s6;
+                    s6 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s6;
+                  s6 = peg$FAILED;
+                }
+              }
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c87(s4, s5);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseclose() {
+      var s0, s1, s2, s3, s4, s5;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 5).toLowerCase() === peg$c88) {
+        s1 = input.substr(peg$currPos, 5);
+        peg$currPos += 5;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c89); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$currPos;
+        s3 = peg$parse__();
+        if (s3 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 35) {
+            s4 = peg$c77;
+            peg$currPos++;
+          } else {
+            s4 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c78); }
+          }
+          if (s4 !== peg$FAILED) {
+            if (peg$c79.test(input.charAt(peg$currPos))) {
+              s5 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s5 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c80); }
+            }
+            if (s5 !== peg$FAILED) {
+              peg$savedPos = s2;
+              s3 = peg$c90(s5);
+              s2 = s3;
+            } else {
+              peg$currPos = s2;
+              s2 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s2;
+            s2 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s2;
+          s2 = peg$FAILED;
+        }
+        if (s2 === peg$FAILED) {
+          s2 = null;
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c91(s2);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parsejump() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 4).toLowerCase() === peg$c92) {
+        s1 = input.substr(peg$currPos, 4);
+        peg$currPos += 4;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c93); }
+      }
+      if (s1 === peg$FAILED) {
+        if (input.substr(peg$currPos, 5).toLowerCase() === peg$c94) {
+          s1 = input.substr(peg$currPos, 5);
+          peg$currPos += 5;
+        } else {
+          s1 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c95); }
+        }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse___();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseidentifier();
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c96(s1, s3);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
 
       return s0;
     }
@@ -1231,7 +2077,7 @@ module.exports = (function() {
             if (s0 === peg$FAILED) {
               s0 = peg$parsequotedstring();
               if (s0 === peg$FAILED) {
-                s0 = peg$c62;
+                s0 = peg$c97;
               }
             }
           }
@@ -1246,20 +2092,20 @@ module.exports = (function() {
 
       s0 = peg$currPos;
       s1 = peg$currPos;
-      if (peg$c63.test(input.charAt(peg$currPos))) {
+      if (peg$c98.test(input.charAt(peg$currPos))) {
         s2 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c64); }
+        if (peg$silentFails === 0) { peg$fail(peg$c99); }
       }
       if (s2 !== peg$FAILED) {
-        if (peg$c65.test(input.charAt(peg$currPos))) {
+        if (peg$c100.test(input.charAt(peg$currPos))) {
           s3 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s3 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c66); }
+          if (peg$silentFails === 0) { peg$fail(peg$c101); }
         }
         if (s3 !== peg$FAILED) {
           s2 = [s2, s3];
@@ -1274,7 +2120,7 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c67(s1);
+        s1 = peg$c102(s1);
       }
       s0 = s1;
 
@@ -1287,22 +2133,22 @@ module.exports = (function() {
       s0 = peg$currPos;
       s1 = peg$currPos;
       s2 = [];
-      if (peg$c68.test(input.charAt(peg$currPos))) {
+      if (peg$c103.test(input.charAt(peg$currPos))) {
         s3 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s3 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c69); }
+        if (peg$silentFails === 0) { peg$fail(peg$c104); }
       }
       if (s3 !== peg$FAILED) {
         while (s3 !== peg$FAILED) {
           s2.push(s3);
-          if (peg$c68.test(input.charAt(peg$currPos))) {
+          if (peg$c103.test(input.charAt(peg$currPos))) {
             s3 = input.charAt(peg$currPos);
             peg$currPos++;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c69); }
+            if (peg$silentFails === 0) { peg$fail(peg$c104); }
           }
         }
       } else {
@@ -1310,21 +2156,21 @@ module.exports = (function() {
       }
       if (s2 !== peg$FAILED) {
         s3 = [];
-        if (peg$c70.test(input.charAt(peg$currPos))) {
+        if (peg$c105.test(input.charAt(peg$currPos))) {
           s4 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s4 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c71); }
+          if (peg$silentFails === 0) { peg$fail(peg$c106); }
         }
         while (s4 !== peg$FAILED) {
           s3.push(s4);
-          if (peg$c70.test(input.charAt(peg$currPos))) {
+          if (peg$c105.test(input.charAt(peg$currPos))) {
             s4 = input.charAt(peg$currPos);
             peg$currPos++;
           } else {
             s4 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c71); }
+            if (peg$silentFails === 0) { peg$fail(peg$c106); }
           }
         }
         if (s3 !== peg$FAILED) {
@@ -1340,7 +2186,7 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c72(s1);
+        s1 = peg$c107(s1);
       }
       s0 = s1;
 
@@ -1354,15 +2200,15 @@ module.exports = (function() {
       s1 = peg$parseidentifier();
       if (s1 !== peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 58) {
-          s2 = peg$c73;
+          s2 = peg$c108;
           peg$currPos++;
         } else {
           s2 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c74); }
+          if (peg$silentFails === 0) { peg$fail(peg$c109); }
         }
         if (s2 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c75(s1);
+          s1 = peg$c110(s1);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -1381,22 +2227,22 @@ module.exports = (function() {
 
       s0 = peg$currPos;
       s1 = [];
-      if (peg$c76.test(input.charAt(peg$currPos))) {
+      if (peg$c111.test(input.charAt(peg$currPos))) {
         s2 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c77); }
+        if (peg$silentFails === 0) { peg$fail(peg$c112); }
       }
       if (s2 !== peg$FAILED) {
         while (s2 !== peg$FAILED) {
           s1.push(s2);
-          if (peg$c76.test(input.charAt(peg$currPos))) {
+          if (peg$c111.test(input.charAt(peg$currPos))) {
             s2 = input.charAt(peg$currPos);
             peg$currPos++;
           } else {
             s2 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c77); }
+            if (peg$silentFails === 0) { peg$fail(peg$c112); }
           }
         }
       } else {
@@ -1404,7 +2250,7 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c78(s1);
+        s1 = peg$c113(s1);
       }
       s0 = s1;
 
@@ -1418,11 +2264,11 @@ module.exports = (function() {
       s0 = peg$currPos;
       s1 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 45) {
-        s2 = peg$c80;
+        s2 = peg$c115;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c81); }
+        if (peg$silentFails === 0) { peg$fail(peg$c116); }
       }
       if (s2 === peg$FAILED) {
         s2 = null;
@@ -1442,13 +2288,13 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c82(s1);
+        s1 = peg$c117(s1);
       }
       s0 = s1;
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c79); }
+        if (peg$silentFails === 0) { peg$fail(peg$c114); }
       }
 
       return s0;
@@ -1461,11 +2307,11 @@ module.exports = (function() {
       s0 = peg$currPos;
       s1 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 45) {
-        s2 = peg$c80;
+        s2 = peg$c115;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c81); }
+        if (peg$silentFails === 0) { peg$fail(peg$c116); }
       }
       if (s2 === peg$FAILED) {
         s2 = null;
@@ -1477,11 +2323,11 @@ module.exports = (function() {
         }
         if (s3 !== peg$FAILED) {
           if (input.charCodeAt(peg$currPos) === 46) {
-            s4 = peg$c84;
+            s4 = peg$c119;
             peg$currPos++;
           } else {
             s4 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c85); }
+            if (peg$silentFails === 0) { peg$fail(peg$c120); }
           }
           if (s4 !== peg$FAILED) {
             s5 = peg$parsedecimal();
@@ -1506,13 +2352,13 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c86(s1);
+        s1 = peg$c121(s1);
       }
       s0 = s1;
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c83); }
+        if (peg$silentFails === 0) { peg$fail(peg$c118); }
       }
 
       return s0;
@@ -1523,22 +2369,22 @@ module.exports = (function() {
 
       s0 = peg$currPos;
       s1 = [];
-      if (peg$c87.test(input.charAt(peg$currPos))) {
+      if (peg$c122.test(input.charAt(peg$currPos))) {
         s2 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c88); }
+        if (peg$silentFails === 0) { peg$fail(peg$c123); }
       }
       if (s2 !== peg$FAILED) {
         while (s2 !== peg$FAILED) {
           s1.push(s2);
-          if (peg$c87.test(input.charAt(peg$currPos))) {
+          if (peg$c122.test(input.charAt(peg$currPos))) {
             s2 = input.charAt(peg$currPos);
             peg$currPos++;
           } else {
             s2 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c88); }
+            if (peg$silentFails === 0) { peg$fail(peg$c123); }
           }
         }
       } else {
@@ -1546,7 +2392,7 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c89(s1);
+        s1 = peg$c124(s1);
       }
       s0 = s1;
 
@@ -1558,51 +2404,190 @@ module.exports = (function() {
 
       s0 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 34) {
-        s1 = peg$c90;
+        s1 = peg$c125;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c91); }
+        if (peg$silentFails === 0) { peg$fail(peg$c126); }
       }
       if (s1 !== peg$FAILED) {
         s2 = [];
-        if (peg$c92.test(input.charAt(peg$currPos))) {
+        if (peg$c127.test(input.charAt(peg$currPos))) {
           s3 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s3 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c93); }
+          if (peg$silentFails === 0) { peg$fail(peg$c128); }
         }
         if (s3 !== peg$FAILED) {
           while (s3 !== peg$FAILED) {
             s2.push(s3);
-            if (peg$c92.test(input.charAt(peg$currPos))) {
+            if (peg$c127.test(input.charAt(peg$currPos))) {
               s3 = input.charAt(peg$currPos);
               peg$currPos++;
             } else {
               s3 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c93); }
+              if (peg$silentFails === 0) { peg$fail(peg$c128); }
+            }
+          }
+        } else {
+          s2 = peg$FAILED;
+        }
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 34) {
+            s3 = peg$c125;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c126); }
+          }
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c129(s2);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parsevariable() {
+      var s0;
+
+      s0 = peg$parseuser_variable();
+      if (s0 === peg$FAILED) {
+        s0 = peg$parsesystem_variable();
+        if (s0 === peg$FAILED) {
+          s0 = peg$parsepersistent_variable();
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseindexed_variable() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8;
+
+      s0 = peg$currPos;
+      s1 = peg$parseuser_variable();
+      if (s1 === peg$FAILED) {
+        s1 = peg$parsepersistent_variable();
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$currPos;
+        if (input.charCodeAt(peg$currPos) === 91) {
+          s4 = peg$c130;
+          peg$currPos++;
+        } else {
+          s4 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c131); }
+        }
+        if (s4 !== peg$FAILED) {
+          s5 = peg$parse__();
+          if (s5 !== peg$FAILED) {
+            s6 = peg$parsee1();
+            if (s6 !== peg$FAILED) {
+              s7 = peg$parse__();
+              if (s7 !== peg$FAILED) {
+                if (input.charCodeAt(peg$currPos) === 93) {
+                  s8 = peg$c132;
+                  peg$currPos++;
+                } else {
+                  s8 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c133); }
+                }
+                if (s8 !== peg$FAILED) {
+                  peg$savedPos = s3;
+                  s4 = peg$c134(s1, s6);
+                  s3 = s4;
+                } else {
+                  peg$currPos = s3;
+                  s3 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s3;
+                s3 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s3;
+              s3 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s3;
+            s3 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s3;
+          s3 = peg$FAILED;
+        }
+        if (s3 !== peg$FAILED) {
+          while (s3 !== peg$FAILED) {
+            s2.push(s3);
+            s3 = peg$currPos;
+            if (input.charCodeAt(peg$currPos) === 91) {
+              s4 = peg$c130;
+              peg$currPos++;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c131); }
+            }
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parse__();
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parsee1();
+                if (s6 !== peg$FAILED) {
+                  s7 = peg$parse__();
+                  if (s7 !== peg$FAILED) {
+                    if (input.charCodeAt(peg$currPos) === 93) {
+                      s8 = peg$c132;
+                      peg$currPos++;
+                    } else {
+                      s8 = peg$FAILED;
+                      if (peg$silentFails === 0) { peg$fail(peg$c133); }
+                    }
+                    if (s8 !== peg$FAILED) {
+                      peg$savedPos = s3;
+                      s4 = peg$c134(s1, s6);
+                      s3 = s4;
+                    } else {
+                      peg$currPos = s3;
+                      s3 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s3;
+                    s3 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s3;
+                  s3 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s3;
+                s3 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s3;
+              s3 = peg$FAILED;
             }
           }
         } else {
           s2 = peg$FAILED;
         }
         if (s2 !== peg$FAILED) {
-          if (input.charCodeAt(peg$currPos) === 34) {
-            s3 = peg$c90;
-            peg$currPos++;
-          } else {
-            s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c91); }
-          }
-          if (s3 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s1 = peg$c94(s2);
-            s0 = s1;
-          } else {
-            peg$currPos = s0;
-            s0 = peg$FAILED;
-          }
+          peg$savedPos = s0;
+          s1 = peg$c135(s1, s2);
+          s0 = s1;
         } else {
           peg$currPos = s0;
           s0 = peg$FAILED;
@@ -1615,31 +2600,17 @@ module.exports = (function() {
       return s0;
     }
 
-    function peg$parsevariable() {
-      var s0;
-
-      s0 = peg$parseuser_variable();
-      if (s0 === peg$FAILED) {
-        s0 = peg$parsesystem_variable();
-        if (s0 === peg$FAILED) {
-          s0 = peg$parsepersistent_variable();
-        }
-      }
-
-      return s0;
-    }
-
     function peg$parseuser_variable() {
       var s0, s1, s2, s3;
 
       s0 = peg$currPos;
       s1 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 38) {
-        s2 = peg$c95;
+        s2 = peg$c136;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c96); }
+        if (peg$silentFails === 0) { peg$fail(peg$c137); }
       }
       if (s2 !== peg$FAILED) {
         s3 = peg$parseidentifier();
@@ -1656,7 +2627,7 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c97(s1);
+        s1 = peg$c138(s1);
       }
       s0 = s1;
 
@@ -1669,11 +2640,11 @@ module.exports = (function() {
       s0 = peg$currPos;
       s1 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 36) {
-        s2 = peg$c98;
+        s2 = peg$c139;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c99); }
+        if (peg$silentFails === 0) { peg$fail(peg$c140); }
       }
       if (s2 !== peg$FAILED) {
         s3 = peg$parseidentifier();
@@ -1690,7 +2661,7 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c97(s1);
+        s1 = peg$c138(s1);
       }
       s0 = s1;
 
@@ -1703,11 +2674,11 @@ module.exports = (function() {
       s0 = peg$currPos;
       s1 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 37) {
-        s2 = peg$c100;
+        s2 = peg$c141;
         peg$currPos++;
       } else {
         s2 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c101); }
+        if (peg$silentFails === 0) { peg$fail(peg$c142); }
       }
       if (s2 !== peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 40) {
@@ -1760,7 +2731,7 @@ module.exports = (function() {
       }
       if (s1 !== peg$FAILED) {
         peg$savedPos = s0;
-        s1 = peg$c97(s1);
+        s1 = peg$c138(s1);
       }
       s0 = s1;
 
@@ -1771,24 +2742,30 @@ module.exports = (function() {
       var s0, s1, s2, s3, s4, s5;
 
       s0 = peg$currPos;
-      s1 = peg$parsevariable();
+      s1 = peg$parseindexed_variable();
+      if (s1 === peg$FAILED) {
+        s1 = peg$parsevariable();
+      }
       if (s1 !== peg$FAILED) {
         s2 = peg$parse__();
         if (s2 !== peg$FAILED) {
           if (input.charCodeAt(peg$currPos) === 61) {
-            s3 = peg$c102;
+            s3 = peg$c55;
             peg$currPos++;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c103); }
+            if (peg$silentFails === 0) { peg$fail(peg$c56); }
           }
           if (s3 !== peg$FAILED) {
             s4 = peg$parse__();
             if (s4 !== peg$FAILED) {
-              s5 = peg$parsee1();
+              s5 = peg$parseor_comparison();
+              if (s5 === peg$FAILED) {
+                s5 = peg$parsee1();
+              }
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c104(s1, s5);
+                s1 = peg$c143(s1, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -1818,16 +2795,19 @@ module.exports = (function() {
       var s0, s1, s2, s3, s4, s5;
 
       s0 = peg$currPos;
-      s1 = peg$parsevariable();
+      s1 = peg$parseindexed_variable();
+      if (s1 === peg$FAILED) {
+        s1 = peg$parsevariable();
+      }
       if (s1 !== peg$FAILED) {
         s2 = peg$parse__();
         if (s2 !== peg$FAILED) {
-          if (input.substr(peg$currPos, 2) === peg$c105) {
-            s3 = peg$c105;
+          if (input.substr(peg$currPos, 2) === peg$c144) {
+            s3 = peg$c144;
             peg$currPos += 2;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c106); }
+            if (peg$silentFails === 0) { peg$fail(peg$c145); }
           }
           if (s3 !== peg$FAILED) {
             s4 = peg$parse__();
@@ -1835,7 +2815,7 @@ module.exports = (function() {
               s5 = peg$parsee1();
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c107(s1, s5);
+                s1 = peg$c146(s1, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -1876,7 +2856,7 @@ module.exports = (function() {
               s5 = peg$parsee1();
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c108(s1, s3, s5);
+                s1 = peg$c147(s1, s3, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -1898,39 +2878,331 @@ module.exports = (function() {
         peg$currPos = s0;
         s0 = peg$FAILED;
       }
-
-      return s0;
-    }
-
-    function peg$parsecomparison() {
-      var s0, s1, s2, s3, s4, s5;
-
-      s0 = peg$currPos;
-      if (input.charCodeAt(peg$currPos) === 40) {
-        s1 = peg$c16;
-        peg$currPos++;
-      } else {
-        s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c17); }
-      }
-      if (s1 !== peg$FAILED) {
-        s2 = peg$parse__();
-        if (s2 !== peg$FAILED) {
-          s3 = peg$parsecomparison();
-          if (s3 !== peg$FAILED) {
-            s4 = peg$parse__();
-            if (s4 !== peg$FAILED) {
-              if (input.charCodeAt(peg$currPos) === 41) {
-                s5 = peg$c18;
-                peg$currPos++;
-              } else {
-                s5 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c19); }
-              }
-              if (s5 !== peg$FAILED) {
-                peg$savedPos = s0;
-                s1 = peg$c109(s3);
-                s0 = s1;
+
+      return s0;
+    }
+
+    function peg$parseor_comparison() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8;
+
+      s0 = peg$currPos;
+      s1 = peg$parseand_comparison();
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$currPos;
+        s4 = peg$parse__();
+        if (s4 !== peg$FAILED) {
+          if (input.substr(peg$currPos, 2).toLowerCase() === peg$c148) {
+            s5 = input.substr(peg$currPos, 2);
+            peg$currPos += 2;
+          } else {
+            s5 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c149); }
+          }
+          if (s5 !== peg$FAILED) {
+            s6 = peg$currPos;
+            peg$silentFails++;
+            s7 = peg$parseidentifier_char();
+            peg$silentFails--;
+            if (s7 === peg$FAILED) {
+              s6 = void 0;
+            } else {
+              peg$currPos = s6;
+              s6 = peg$FAILED;
+            }
+            if (s6 !== peg$FAILED) {
+              s7 = peg$parse__();
+              if (s7 !== peg$FAILED) {
+                s8 = peg$parseand_comparison();
+                if (s8 !== peg$FAILED) {
+                  s4 = [s4, s5, s6, s7, s8];
+                  s3 = s4;
+                } else {
+                  peg$currPos = s3;
+                  s3 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s3;
+                s3 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s3;
+              s3 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s3;
+            s3 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s3;
+          s3 = peg$FAILED;
+        }
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$currPos;
+          s4 = peg$parse__();
+          if (s4 !== peg$FAILED) {
+            if (input.substr(peg$currPos, 2).toLowerCase() === peg$c148) {
+              s5 = input.substr(peg$currPos, 2);
+              peg$currPos += 2;
+            } else {
+              s5 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c149); }
+            }
+            if (s5 !== peg$FAILED) {
+              s6 = peg$currPos;
+              peg$silentFails++;
+              s7 = peg$parseidentifier_char();
+              peg$silentFails--;
+              if (s7 === peg$FAILED) {
+                s6 = void 0;
+              } else {
+                peg$currPos = s6;
+                s6 = peg$FAILED;
+              }
+              if (s6 !== peg$FAILED) {
+                s7 = peg$parse__();
+                if (s7 !== peg$FAILED) {
+                  s8 = peg$parseand_comparison();
+                  if (s8 !== peg$FAILED) {
+                    s4 = [s4, s5, s6, s7, s8];
+                    s3 = s4;
+                  } else {
+                    peg$currPos = s3;
+                    s3 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s3;
+                  s3 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s3;
+                s3 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s3;
+              s3 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s3;
+            s3 = peg$FAILED;
+          }
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c150(s1, s2);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseand_comparison() {
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8;
+
+      s0 = peg$currPos;
+      s1 = peg$parsenot_comparison();
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$currPos;
+        s4 = peg$parse__();
+        if (s4 !== peg$FAILED) {
+          if (input.substr(peg$currPos, 3).toLowerCase() === peg$c151) {
+            s5 = input.substr(peg$currPos, 3);
+            peg$currPos += 3;
+          } else {
+            s5 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c152); }
+          }
+          if (s5 !== peg$FAILED) {
+            s6 = peg$currPos;
+            peg$silentFails++;
+            s7 = peg$parseidentifier_char();
+            peg$silentFails--;
+            if (s7 === peg$FAILED) {
+              s6 = void 0;
+            } else {
+              peg$currPos = s6;
+              s6 = peg$FAILED;
+            }
+            if (s6 !== peg$FAILED) {
+              s7 = peg$parse__();
+              if (s7 !== peg$FAILED) {
+                s8 = peg$parsenot_comparison();
+                if (s8 !== peg$FAILED) {
+                  s4 = [s4, s5, s6, s7, s8];
+                  s3 = s4;
+                } else {
+                  peg$currPos = s3;
+                  s3 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s3;
+                s3 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s3;
+              s3 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s3;
+            s3 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s3;
+          s3 = peg$FAILED;
+        }
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$currPos;
+          s4 = peg$parse__();
+          if (s4 !== peg$FAILED) {
+            if (input.substr(peg$currPos, 3).toLowerCase() === peg$c151) {
+              s5 = input.substr(peg$currPos, 3);
+              peg$currPos += 3;
+            } else {
+              s5 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c152); }
+            }
+            if (s5 !== peg$FAILED) {
+              s6 = peg$currPos;
+              peg$silentFails++;
+              s7 = peg$parseidentifier_char();
+              peg$silentFails--;
+              if (s7 === peg$FAILED) {
+                s6 = void 0;
+              } else {
+                peg$currPos = s6;
+                s6 = peg$FAILED;
+              }
+              if (s6 !== peg$FAILED) {
+                s7 = peg$parse__();
+                if (s7 !== peg$FAILED) {
+                  s8 = peg$parsenot_comparison();
+                  if (s8 !== peg$FAILED) {
+                    s4 = [s4, s5, s6, s7, s8];
+                    s3 = s4;
+                  } else {
+                    peg$currPos = s3;
+                    s3 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s3;
+                  s3 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s3;
+                s3 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s3;
+              s3 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s3;
+            s3 = peg$FAILED;
+          }
+        }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c153(s1, s2);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parsenot_comparison() {
+      var s0, s1, s2, s3, s4, s5;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 3).toLowerCase() === peg$c154) {
+        s1 = input.substr(peg$currPos, 3);
+        peg$currPos += 3;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c155); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$currPos;
+        peg$silentFails++;
+        s3 = peg$parseidentifier_char();
+        peg$silentFails--;
+        if (s3 === peg$FAILED) {
+          s2 = void 0;
+        } else {
+          peg$currPos = s2;
+          s2 = peg$FAILED;
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parse__();
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parsenot_comparison();
+            if (s4 !== peg$FAILED) {
+              peg$savedPos = s0;
+              s1 = peg$c156(s4);
+              s0 = s1;
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        if (input.charCodeAt(peg$currPos) === 40) {
+          s1 = peg$c16;
+          peg$currPos++;
+        } else {
+          s1 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c17); }
+        }
+        if (s1 !== peg$FAILED) {
+          s2 = peg$parse__();
+          if (s2 !== peg$FAILED) {
+            s3 = peg$parseor_comparison();
+            if (s3 !== peg$FAILED) {
+              s4 = peg$parse__();
+              if (s4 !== peg$FAILED) {
+                if (input.charCodeAt(peg$currPos) === 41) {
+                  s5 = peg$c18;
+                  peg$currPos++;
+                } else {
+                  s5 = peg$FAILED;
+                  if (peg$silentFails === 0) { peg$fail(peg$c19); }
+                }
+                if (s5 !== peg$FAILED) {
+                  peg$savedPos = s0;
+                  s1 = peg$c157(s3);
+                  s0 = s1;
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
               } else {
                 peg$currPos = s0;
                 s0 = peg$FAILED;
@@ -1947,12 +3219,23 @@ module.exports = (function() {
           peg$currPos = s0;
           s0 = peg$FAILED;
         }
+        if (s0 === peg$FAILED) {
+          s0 = peg$parsecompare();
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseidentifier_char() {
+      var s0;
+
+      if (peg$c105.test(input.charAt(peg$currPos))) {
+        s0 = input.charAt(peg$currPos);
+        peg$currPos++;
       } else {
-        peg$currPos = s0;
         s0 = peg$FAILED;
-      }
-      if (s0 === peg$FAILED) {
-        s0 = peg$parsecompare();
+        if (peg$silentFails === 0) { peg$fail(peg$c106); }
       }
 
       return s0;
@@ -2040,7 +3323,7 @@ module.exports = (function() {
         s2 = peg$parsee2();
         if (s2 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c110(s1, s2);
+          s1 = peg$c158(s1, s2);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -2120,7 +3403,7 @@ module.exports = (function() {
         }
         if (s2 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c111(s1, s2);
+          s1 = peg$c159(s1, s2);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -2161,7 +3444,7 @@ module.exports = (function() {
               }
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c112(s3);
+                s1 = peg$c160(s3);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -2184,19 +3467,239 @@ module.exports = (function() {
         s0 = peg$FAILED;
       }
       if (s0 === peg$FAILED) {
-        s0 = peg$parsefloat();
+        s0 = peg$parsefunction_call();
         if (s0 === peg$FAILED) {
-          s0 = peg$parseinteger();
+          s0 = peg$parsefloat();
           if (s0 === peg$FAILED) {
-            s0 = peg$parsevariable();
+            s0 = peg$parseinteger();
             if (s0 === peg$FAILED) {
-              s0 = peg$parsequotedstring();
+              s0 = peg$parseindexed_variable();
               if (s0 === peg$FAILED) {
-                s0 = peg$parsebarestring();
+                s0 = peg$parsevariable();
+                if (s0 === peg$FAILED) {
+                  s0 = peg$parsequotedstring();
+                  if (s0 === peg$FAILED) {
+                    s0 = peg$parsebarestring();
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parsefunction_call() {
+      var s0, s1, s2, s3, s4, s5, s6, s7;
+
+      s0 = peg$currPos;
+      s1 = peg$parseidentifier();
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse__();
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 40) {
+            s3 = peg$c16;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c17); }
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parse__();
+            if (s4 !== peg$FAILED) {
+              s5 = peg$currPos;
+              s6 = peg$currPos;
+              peg$silentFails++;
+              if (input.charCodeAt(peg$currPos) === 41) {
+                s7 = peg$c18;
+                peg$currPos++;
+              } else {
+                s7 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c19); }
+              }
+              peg$silentFails--;
+              if (s7 !== peg$FAILED) {
+                peg$currPos = s6;
+                s6 = void 0;
+              } else {
+                s6 = peg$FAILED;
+              }
+              if (s6 !== peg$FAILED) {
+                peg$savedPos = s5;
+                s6 = peg$c161(s1);
+              }
+              s5 = s6;
+              if (s5 === peg$FAILED) {
+                s5 = peg$parsearguments();
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parse__();
+                if (s6 !== peg$FAILED) {
+                  if (input.charCodeAt(peg$currPos) === 41) {
+                    s7 = peg$c18;
+                    peg$currPos++;
+                  } else {
+                    s7 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c19); }
+                  }
+                  if (s7 !== peg$FAILED) {
+                    peg$savedPos = s0;
+                    s1 = peg$c162(s1, s5);
+                    s0 = s1;
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        if (input.substr(peg$currPos, 2).toLowerCase() === peg$c163) {
+          s1 = input.substr(peg$currPos, 2);
+          peg$currPos += 2;
+        } else {
+          s1 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c164); }
+        }
+        if (s1 !== peg$FAILED) {
+          s2 = peg$currPos;
+          peg$silentFails++;
+          s3 = peg$parseidentifier_char();
+          peg$silentFails--;
+          if (s3 === peg$FAILED) {
+            s2 = void 0;
+          } else {
+            peg$currPos = s2;
+            s2 = peg$FAILED;
+          }
+          if (s2 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c165();
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parsearguments() {
+      var s0, s1, s2, s3, s4, s5, s6, s7;
+
+      s0 = peg$currPos;
+      s1 = peg$parsee1();
+      if (s1 !== peg$FAILED) {
+        s2 = [];
+        s3 = peg$currPos;
+        s4 = peg$parse__();
+        if (s4 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 44) {
+            s5 = peg$c3;
+            peg$currPos++;
+          } else {
+            s5 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c4); }
+          }
+          if (s5 !== peg$FAILED) {
+            s6 = peg$parse__();
+            if (s6 !== peg$FAILED) {
+              s7 = peg$parsee1();
+              if (s7 !== peg$FAILED) {
+                s4 = [s4, s5, s6, s7];
+                s3 = s4;
+              } else {
+                peg$currPos = s3;
+                s3 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s3;
+              s3 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s3;
+            s3 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s3;
+          s3 = peg$FAILED;
+        }
+        while (s3 !== peg$FAILED) {
+          s2.push(s3);
+          s3 = peg$currPos;
+          s4 = peg$parse__();
+          if (s4 !== peg$FAILED) {
+            if (input.charCodeAt(peg$currPos) === 44) {
+              s5 = peg$c3;
+              peg$currPos++;
+            } else {
+              s5 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c4); }
+            }
+            if (s5 !== peg$FAILED) {
+              s6 = peg$parse__();
+              if (s6 !== peg$FAILED) {
+                s7 = peg$parsee1();
+                if (s7 !== peg$FAILED) {
+                  s4 = [s4, s5, s6, s7];
+                  s3 = s4;
+                } else {
+                  peg$currPos = s3;
+                  s3 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s3;
+                s3 = peg$FAILED;
               }
+            } else {
+              peg$currPos = s3;
+              s3 = peg$FAILED;
             }
+          } else {
+            peg$currPos = s3;
+            s3 = peg$FAILED;
           }
         }
+        if (s2 !== peg$FAILED) {
+          peg$savedPos = s0;
+          s1 = peg$c166(s1, s2);
+          s0 = s1;
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
       }
 
       return s0;
@@ -2206,19 +3709,19 @@ module.exports = (function() {
       var s0;
 
       if (input.charCodeAt(peg$currPos) === 42) {
-        s0 = peg$c113;
+        s0 = peg$c167;
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c114); }
+        if (peg$silentFails === 0) { peg$fail(peg$c168); }
       }
       if (s0 === peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 47) {
-          s0 = peg$c115;
+          s0 = peg$c169;
           peg$currPos++;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c116); }
+          if (peg$silentFails === 0) { peg$fail(peg$c170); }
         }
       }
 
@@ -2229,19 +3732,19 @@ module.exports = (function() {
       var s0;
 
       if (input.charCodeAt(peg$currPos) === 43) {
-        s0 = peg$c117;
+        s0 = peg$c171;
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c118); }
+        if (peg$silentFails === 0) { peg$fail(peg$c172); }
       }
       if (s0 === peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 45) {
-          s0 = peg$c80;
+          s0 = peg$c115;
           peg$currPos++;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c81); }
+          if (peg$silentFails === 0) { peg$fail(peg$c116); }
         }
       }
 
@@ -2251,68 +3754,68 @@ module.exports = (function() {
     function peg$parsecmp_op() {
       var s0;
 
-      if (input.substr(peg$currPos, 2) === peg$c119) {
-        s0 = peg$c119;
+      if (input.substr(peg$currPos, 2) === peg$c173) {
+        s0 = peg$c173;
         peg$currPos += 2;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c120); }
+        if (peg$silentFails === 0) { peg$fail(peg$c174); }
       }
       if (s0 === peg$FAILED) {
-        if (input.substr(peg$currPos, 2) === peg$c121) {
-          s0 = peg$c121;
+        if (input.substr(peg$currPos, 2) === peg$c175) {
+          s0 = peg$c175;
           peg$currPos += 2;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c122); }
+          if (peg$silentFails === 0) { peg$fail(peg$c176); }
         }
         if (s0 === peg$FAILED) {
-          if (input.substr(peg$currPos, 2) === peg$c123) {
-            s0 = peg$c123;
+          if (input.substr(peg$currPos, 2) === peg$c177) {
+            s0 = peg$c177;
             peg$currPos += 2;
           } else {
             s0 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c124); }
+            if (peg$silentFails === 0) { peg$fail(peg$c178); }
           }
           if (s0 === peg$FAILED) {
-            if (input.charCodeAt(peg$currPos) === 60) {
-              s0 = peg$c125;
-              peg$currPos++;
+            if (input.substr(peg$currPos, 2) === peg$c179) {
+              s0 = peg$c179;
+              peg$currPos += 2;
             } else {
               s0 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c126); }
+              if (peg$silentFails === 0) { peg$fail(peg$c180); }
             }
             if (s0 === peg$FAILED) {
-              if (input.charCodeAt(peg$currPos) === 62) {
-                s0 = peg$c127;
+              if (input.charCodeAt(peg$currPos) === 60) {
+                s0 = peg$c181;
                 peg$currPos++;
               } else {
                 s0 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c128); }
+                if (peg$silentFails === 0) { peg$fail(peg$c182); }
               }
               if (s0 === peg$FAILED) {
-                if (input.substr(peg$currPos, 2) === peg$c129) {
-                  s0 = peg$c129;
-                  peg$currPos += 2;
+                if (input.charCodeAt(peg$currPos) === 62) {
+                  s0 = peg$c183;
+                  peg$currPos++;
                 } else {
                   s0 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$c130); }
+                  if (peg$silentFails === 0) { peg$fail(peg$c184); }
                 }
                 if (s0 === peg$FAILED) {
-                  if (input.charCodeAt(peg$currPos) === 61) {
-                    s0 = peg$c102;
-                    peg$currPos++;
+                  if (input.substr(peg$currPos, 2) === peg$c185) {
+                    s0 = peg$c185;
+                    peg$currPos += 2;
                   } else {
                     s0 = peg$FAILED;
-                    if (peg$silentFails === 0) { peg$fail(peg$c103); }
+                    if (peg$silentFails === 0) { peg$fail(peg$c186); }
                   }
                   if (s0 === peg$FAILED) {
-                    if (input.substr(peg$currPos, 2) === peg$c131) {
-                      s0 = peg$c131;
-                      peg$currPos += 2;
+                    if (input.charCodeAt(peg$currPos) === 61) {
+                      s0 = peg$c55;
+                      peg$currPos++;
                     } else {
                       s0 = peg$FAILED;
-                      if (peg$silentFails === 0) { peg$fail(peg$c132); }
+                      if (peg$silentFails === 0) { peg$fail(peg$c56); }
                     }
                   }
                 }
@@ -2328,12 +3831,12 @@ module.exports = (function() {
     function peg$parsewhitespace() {
       var s0;
 
-      if (peg$c133.test(input.charAt(peg$currPos))) {
+      if (peg$c187.test(input.charAt(peg$currPos))) {
         s0 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c134); }
+        if (peg$silentFails === 0) { peg$fail(peg$c188); }
       }
 
       return s0;
@@ -2371,6 +3874,8 @@ module.exports = (function() {
 
 
 
+       var functions = require('./functions');
+
        function buildLeftAssocTree(l, r) {
        	if(!l.length) { return r; }
     	var last = l.pop();
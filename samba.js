@@ -0,0 +1,395 @@
+/*
+ * samba.js
+ *
+ * A JavaScript implementation of the parts of the SAM-BA monitor protocol that bossac uses to program the flash
+ * of the SAM3X microcontroller that G2 runs on.  The SAM-BA monitor is in the ROM of the chip, and runs (as a USB
+ * serial port) when the flash has been erased, which is how the board is put into its bootloader (see
+ * firmware_manager.js)
+ *
+ * The protocol is ASCII commands that end in '#', eg: "w400E0940,4#" to read a word.  In binary mode (the "N#"
+ * command) reads return raw bytes (little endian) and writes return nothing.  The flash is programmed by writing
+ * words to the flash address space, which latches them into a page buffer, and then sending a command to the
+ * Enhanced Embedded Flash Controller (EEFC) to write the page.
+ *
+ * SamBA takes any port-like object that has a write(data, callback) method and emits 'data' events, so the protocol
+ * can be tested against a fake serial port.
+ */
+var util = require('util');
+var events = require('events');
+var async = require('async');
+var log = require('./log').logger('samba');
+
+// How long to wait for a response from the monitor
+var READ_TIMEOUT = 2000;
+
+// Registers
+var CHIPID_CIDR = 0x400E0940;
+var RSTC_CR = 0x400E1A00;
+var RSTC_KEY = 0xA5000000;
+var RSTC_PROCRST = 0x01;
+var RSTC_PERRST = 0x04;
+var RSTC_EXTRST = 0x08;
+
+// EEFC registers (offsets from the controller base) and commands
+var EEFC_FMR = 0x00;
+var EEFC_FCR = 0x04;
+var EEFC_FSR = 0x08;
+var EEFC_KEY = 0x5A;
+var EEFC_FCMD_WP = 0x01;
+var EEFC_FCMD_EA = 0x05;
+var EEFC_FCMD_SGPB = 0x0B;
+var EEFC_FSR_FRDY = 0x01;
+var EEFC_FSR_FCMDE = 0x02;
+var EEFC_FSR_FLOCKE = 0x04;
+
+// GPNVM bit that selects booting from flash (rather than from the ROM, where the monitor is)
+var GPNVM_BOOT_FLASH = 1;
+
+// Chips that can be programmed, by chip ID (CHIPID_CIDR with the version bits masked off)
+//      address - Start of the flash
+//        pages - Number of pages of flash
+//    page_size - Bytes per page
+//       planes - Number of flash planes (each has its own EEFC, and half of the pages)
+//         eefc - The base address of the EEFC of each plane
+var SAM3X8 = {
+	address : 0x80000,
+	pages : 2048,
+	page_size : 256,
+	planes : 2,
+	eefc : [0x400E0A00, 0x400E0C00]
+};
+var CHIPS = {
+	0x284e0a60 : 'ATSAM3X8C',
+	0x285e0a60 : 'ATSAM3X8E',
+	0x286e0a60 : 'ATSAM3X8H'
+};
+
+// Return a number as 8 hex digits, the way the monitor expects addresses and values
+function hex(n) {
+	var s = (n >>> 0).toString(16).toUpperCase();
+	return '00000000'.slice(s.length) + s;
+}
+
+// Return the position of one buffer in another, or -1 if it isn't there
+// (Buffer#indexOf is not available in the versions of node that the engine runs on)
+//   buffer - The buffer to search
+//   target - The bytes to find, eg: new Buffer('\n\r')
+function find(buffer, target) {
+	for(var i=0; i<=buffer.length - target.length; i++) {
+		for(var j=0; j<target.length; j++) {
+			if(buffer[i+j] !== target[j]) {
+				break;
+			}
+		}
+		if(j === target.length) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+// Talk to the SAM-BA monitor over a port
+//   port - The port, which must already be open: Anything with a write(data, callback) method that emits 'data'
+function SamBA(port) {
+	events.EventEmitter.call(this);
+	this.port = port;
+	this.chip = null;
+	this._buffer = new Buffer(0);
+	this._pending = null;
+	this._onData = this.onData.bind(this);
+	this.port.on('data', this._onData);
+}
+util.inherits(SamBA, events.EventEmitter);
+
+// Collect the data from the port, and complete the pending read if there's enough of it
+SamBA.prototype.onData = function(data) {
+	if(typeof data === 'string') {
+		data = new Buffer(data, 'binary');
+	}
+	this._buffer = Buffer.concat([this._buffer, data]);
+	this._checkPending();
+};
+
+SamBA.prototype._checkPending = function() {
+	var pending = this._pending;
+	if(!pending) {
+		return;
+	}
+	var length = pending.terminator ? find(this._buffer, pending.terminator) : -1;
+	if(pending.terminator) {
+		if(length < 0) {
+			return;
+		}
+		length += pending.terminator.length;
+	} else {
+		if(this._buffer.length < pending.count) {
+			return;
+		}
+		length = pending.count;
+	}
+	var result = this._buffer.slice(0, length);
+	this._buffer = this._buffer.slice(length);
+	this._pending = null;
+	clearTimeout(pending.timer);
+	pending.callback(null, result);
+};
+
+// Send a command and read the response
+//      command - The command, eg: 'w400E0940,4#'
+//     response - The number of bytes in the response, a string that ends the response, or null for no response
+//     callback - Called with the response (a Buffer) or with error if error
+SamBA.prototype._command = function(command, response, callback) {
+	if(this._pending) {
+		return setImmediate(callback, new Error('SAM-BA command sent while waiting for a response.'));
+	}
+	if(response === null) {
+		return this.port.write(command, function(err) { callback(err || null); });
+	}
+	this._pending = {
+		count : typeof response === 'number' ? response : 0,
+		terminator : typeof response === 'string' ? new Buffer(response, 'binary') : null,
+		callback : callback,
+		timer : setTimeout(function() {
+			this._pending = null;
+			callback(new Error('No response from the SAM-BA monitor to ' + command));
+		}.bind(this), READ_TIMEOUT)
+	};
+	this.port.write(command, function(err) {
+		if(err && this._pending) {
+			clearTimeout(this._pending.timer);
+			this._pending = null;
+			return callback(err);
+		}
+		this._checkPending();
+	}.bind(this));
+};
+
+// Put the monitor in binary mode and identify the chip
+//   callback - Called with the chip: {id, name, address, pages, page_size, planes, eefc, version}
+SamBA.prototype.init = function(callback) {
+	this._buffer = new Buffer(0);
+	this._command('N#', 2, function(err) {
+		if(err) {
+			return callback(err);
+		}
+		this._command('V#', '\n\r', function(err, version) {
+			if(err) {
+				return callback(err);
+			}
+			version = version.toString().trim();
+			this.readWord(CHIPID_CIDR, function(err, cidr) {
+				if(err) {
+					return callback(err);
+				}
+				var id = (cidr & 0x7fffffe0) >>> 0;
+				if(!(id in CHIPS)) {
+					return callback(new Error('Unsupported chip (ID 0x' + hex(cidr) + ')'));
+				}
+				this.chip = {id : id, name : CHIPS[id], version : version};
+				for(var key in SAM3X8) {
+					this.chip[key] = SAM3X8[key];
+				}
+				log.info('SAM-BA ' + version + ' on ' + this.chip.name);
+				callback(null, this.chip);
+			}.bind(this));
+		}.bind(this));
+	}.bind(this));
+};
+
+// Read a 32 bit word
+//      addr - The address
+//  callback - Called with the value
+SamBA.prototype.readWord = function(addr, callback) {
+	this._command('w' + hex(addr) + ',4#', 4, function(err, data) {
+		callback(err, err ? null : data.readUInt32LE(0));
+	});
+};
+
+// Write a 32 bit word
+//      addr - The address
+//     value - The value
+//  callback - Called once the command is sent
+SamBA.prototype.writeWord = function(addr, value, callback) {
+	this._command('W' + hex(addr) + ',' + hex(value) + '#', null, callback);
+};
+
+// Read a block of memory
+//      addr - The address
+//      size - The number of bytes
+//  callback - Called with the data (a Buffer)
+SamBA.prototype.read = function(addr, size, callback) {
+	// The monitor has a bug reading powers of 2 over 32 bytes over USB, so read the last byte by itself (like bossac)
+	if(size > 32 && (size & (size - 1)) === 0) {
+		return this.read(addr, size - 1, function(err, head) {
+			if(err) {
+				return callback(err);
+			}
+			this.read(addr + size - 1, 1, function(err, tail) {
+				callback(err, err ? null : Buffer.concat([head, tail]));
+			});
+		}.bind(this));
+	}
+	this._command('R' + hex(addr) + ',' + hex(size) + '#', size, callback);
+};
+
+// Return the EEFC for a page, and the number of the page in that EEFC's plane
+SamBA.prototype._eefc = function(page) {
+	var plane_pages = this.chip.pages/this.chip.planes;
+	var plane = Math.floor(page/plane_pages);
+	return {base : this.chip.eefc[plane], page : page - plane*plane_pages};
+};
+
+// Send a command to an EEFC and wait for it to be done
+//      base - The base address of the EEFC
+//       cmd - The command (EEFC_FCMD_*)
+//       arg - The argument (page number or GPNVM bit)
+//  callback - Called once the command is done, or with error if the flash controller reports one
+SamBA.prototype._flashCommand = function(base, cmd, arg, callback) {
+	this.writeWord(base + EEFC_FCR, ((EEFC_KEY << 24) | (arg << 8) | cmd) >>> 0, function(err) {
+		if(err) {
+			return callback(err);
+		}
+		var fsr = 0;
+		async.doUntil(
+			function(callback) {
+				this.readWord(base + EEFC_FSR, function(err, value) {
+					fsr = value;
+					callback(err);
+				});
+			}.bind(this),
+			function() { return (fsr & EEFC_FSR_FRDY) !== 0; },
+			function(err) {
+				if(err) {
+					return callback(err);
+				}
+				if(fsr & EEFC_FSR_FLOCKE) {
+					return callback(new Error('The flash is locked.'));
+				}
+				if(fsr & EEFC_FSR_FCMDE) {
+					return callback(new Error('The flash controller rejected command 0x' + cmd.toString(16)));
+				}
+				callback(null);
+			}
+		);
+	}.bind(this));
+};
+
+// Erase the whole flash
+//   callback - Called once the flash is erased
+SamBA.prototype.eraseAll = function(callback) {
+	async.eachSeries(this.chip.eefc, function(base, callback) {
+		// SAM3 errata: The flash wait states must be set to 6 for the flash commands to work
+		this.writeWord(base + EEFC_FMR, 6 << 8, function(err) {
+			if(err) {
+				return callback(err);
+			}
+			this._flashCommand(base, EEFC_FCMD_EA, 0, callback);
+		}.bind(this));
+	}.bind(this), callback);
+};
+
+// Write one page of the flash (which must have been erased)
+//      page - The page number
+//      data - The data for the page (no more than a page, and a multiple of 4 bytes)
+//  callback - Called once the page is written
+SamBA.prototype.writePage = function(page, data, callback) {
+	var addr = this.chip.address + page*this.chip.page_size;
+	var commands = '';
+	for(var i = 0; i < data.length; i += 4) {
+		commands += 'W' + hex(addr + i) + ',' + hex(data.readUInt32LE(i)) + '#';
+	}
+	this.port.write(commands, function(err) {
+		if(err) {
+			return callback(err);
+		}
+		var eefc = this._eefc(page);
+		this._flashCommand(eefc.base, EEFC_FCMD_WP, eefc.page, callback);
+	}.bind(this));
+};
+
+// Write a firmware image to the flash, verify it, and make the chip boot from flash
+//      data - The image (a Buffer)
+//  callback - Called once the image is written and verified
+// Emits 'progress' events: {stage : 'erase'|'write'|'verify', done : <pages>, total : <pages>}
+SamBA.prototype.flash = function(data, callback) {
+	var chip = this.chip;
+	if(!chip) {
+		return setImmediate(callback, new Error('The SAM-BA monitor has not been initialized.'));
+	}
+	if(data.length > chip.pages*chip.page_size) {
+		return setImmediate(callback, new Error('The firmware (' + data.length + ' bytes) does not fit in the flash of the ' + chip.name));
+	}
+	// Pad the image to a whole number of pages with the value of erased flash
+	var pages = Math.ceil(data.length/chip.page_size);
+	var image = new Buffer(pages*chip.page_size);
+	image.fill(0xff);
+	data.copy(image);
+
+	var page = 0;
+	var progress = function(stage, done) {
+		this.emit('progress', {stage : stage, done : done, total : pages});
+	}.bind(this);
+
+	async.series([
+		function erase(callback) {
+			progress('erase', 0);
+			this.eraseAll(callback);
+		}.bind(this),
+		function write(callback) {
+			page = 0;
+			async.whilst(
+				function() { return page < pages; },
+				function(callback) {
+					this.writePage(page, image.slice(page*chip.page_size, (page + 1)*chip.page_size), function(err) {
+						progress('write', ++page);
+						callback(err);
+					});
+				}.bind(this),
+				callback
+			);
+		}.bind(this),
+		function verify(callback) {
+			page = 0;
+			async.whilst(
+				function() { return page < pages; },
+				function(callback) {
+					var offset = page*chip.page_size;
+					this.read(chip.address + offset, chip.page_size, function(err, readback) {
+						if(err) {
+							return callback(err);
+						}
+						if(!readback.equals(image.slice(offset, offset + chip.page_size))) {
+							return callback(new Error('Verify failed at page ' + page + ' (0x' + hex(chip.address + offset) + ')'));
+						}
+						progress('verify', ++page);
+						callback();
+					});
+				}.bind(this),
+				callback
+			);
+		}.bind(this),
+		function boot_from_flash(callback) {
+			this._flashCommand(chip.eefc[0], EEFC_FCMD_SGPB, GPNVM_BOOT_FLASH, callback);
+		}.bind(this)
+	], function(err) {
+		callback(err || null);
+	});
+};
+
+// Reset the chip, which then boots the firmware in flash.  The monitor (and its USB port) go away.
+//   callback - Called once the command is sent
+SamBA.prototype.reset = function(callback) {
+	this.writeWord(RSTC_CR, (RSTC_KEY | RSTC_PROCRST | RSTC_PERRST | RSTC_EXTRST) >>> 0, callback);
+};
+
+// Stop listening to the port (it is up to the caller to close it)
+SamBA.prototype.close = function() {
+	this.port.removeListener('data', this._onData);
+	if(this._pending) {
+		clearTimeout(this._pending.timer);
+		this._pending = null;
+	}
+};
+
+exports.SamBA = SamBA;
+exports.CHIPS = CHIPS;
@@ -0,0 +1,104 @@
+/*
+ * test/analyzer.js
+ *
+ * Tests for the pre-flight job analysis (analyzer.js)
+ */
+var expect = require('chai').expect;
+var config = require('../config');
+var Analyzer = require('../analyzer').Analyzer;
+
+// A stand-in for a configuration tree, with the provided values
+function settings(values) {
+	return {
+		get : function(key) { return values[key]; }
+	};
+}
+
+// Analyze the provided lines of g-code and return the result
+function analyze(lines) {
+	var analyzer = new Analyzer();
+	analyzer.analyzeString(lines.join('\n'));
+	return analyzer.getResult();
+}
+
+describe('Analyzer', function() {
+	var saved = {};
+
+	beforeEach(function() {
+		saved.machine = config.machine;
+		saved.driver = config.driver;
+		config.machine = settings({units : 'mm'});
+		// No jerk limits, so that times are simply distance/velocity
+		config.driver = settings({xvm : 6000, yvm : 6000, zvm : 6000, xfr : 6000, yfr : 6000, zfr : 6000});
+	});
+
+	afterEach(function() {
+		config.machine = saved.machine;
+		config.driver = saved.driver;
+	});
+
+	it('finds the extents of the tool path', function() {
+		var result = analyze(['G21 G90', 'G0 X0 Y0 Z5', 'G1 Z-1 F600', 'G1 X100', 'G1 Y50', 'G0 Z5']);
+		expect(result.units).to.equal('mm');
+		expect(result.extents).to.deep.equal({xmin : 0, xmax : 100, ymin : 0, ymax : 50, zmin : -1, zmax : 5});
+		expect(result.size).to.deep.equal({x : 100, y : 50, z : 6});
+	});
+
+	it('adds up the rapid and feed distances', function() {
+		var result = analyze(['G21 G90', 'G0 X0 Y0 Z5', 'G0 Z1', 'G1 Z-1 F600', 'G1 X100', 'G1 Y50']);
+		expect(result.rapid_distance).to.equal(4);
+		expect(result.feed_distance).to.equal(152);
+	});
+
+	it('follows incremental moves', function() {
+		var result = analyze(['G21 G90', 'G0 X10 Y10', 'G91', 'G1 X5 F600', 'G1 X5']);
+		expect(result.extents.xmax).to.equal(20);
+	});
+
+	it('converts inch g-code to the machine units', function() {
+		var result = analyze(['G20 G90', 'G0 X0 Y0', 'G1 X2 F60']);
+		expect(result.extents.xmax).to.equal(50.8);
+		expect(result.feed_distance).to.equal(50.8);
+	});
+
+	it('reports in inches on an inch machine', function() {
+		config.machine = settings({units : 'in'});
+		var result = analyze(['G21 G90', 'G0 X0 Y0', 'G1 X50.8 F600']);
+		expect(result.units).to.equal('in');
+		expect(result.extents.xmax).to.equal(2);
+	});
+
+	it('includes the bulge of an arc in the extents', function() {
+		// Clockwise half circle from (0,0) to (10,0) around (5,0) goes up through (5,5)
+		var result = analyze(['G21 G90', 'G0 X0 Y0', 'G2 X10 Y0 I5 J0 F600']);
+		expect(result.extents.ymax).to.be.closeTo(5, 0.001);
+		expect(result.extents.ymin).to.be.closeTo(0, 0.001);
+		expect(result.feed_distance).to.be.closeTo(5*Math.PI, 0.01);
+	});
+
+	it('counts the tool changes', function() {
+		var result = analyze(['G21 G90', 'M6 T1', 'G0 X1', 'M6 T2', 'G0 X2']);
+		expect(result.tool_changes).to.equal(2);
+	});
+
+	it('estimates the run time from the feed rate', function() {
+		// 100mm at 600mm/min is 10 seconds
+		var result = analyze(['G21 G90', 'G0 X0 Y0', 'G1 X100 F600']);
+		expect(result.estimated_time).to.equal(10);
+	});
+
+	it('includes dwells in the run time', function() {
+		var result = analyze(['G21 G90', 'G4 P5']);
+		expect(result.estimated_time).to.equal(5);
+	});
+
+	it('ignores words in comments', function() {
+		var result = analyze(['G21 G90', 'G0 X0 Y0', 'G1 X10 F600 (X1000)']);
+		expect(result.extents.xmax).to.equal(10);
+	});
+
+	it('counts the lines', function() {
+		var result = analyze(['G21', 'G0 X1', 'M30']);
+		expect(result.lines).to.equal(3);
+	});
+});
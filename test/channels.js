@@ -0,0 +1,230 @@
+/*
+ * test/channels.js
+ *
+ * Tests for the OpenSBP file channels (runtime/opensbp/channels.js) and the routes for user data files (routes/userdata.js)
+ */
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var config = require('../config');
+var authentication = require('../authentication');
+var channels = require('../runtime/opensbp/channels');
+var FileChannels = channels.FileChannels;
+
+var DATA_DIR = path.join(os.tmpdir(), 'fabmo-channels-test');
+var USER_DIR = path.join(DATA_DIR, 'userdata', 'bob_smith');
+
+// Remove a directory and everything in it
+function removeDir(dir) {
+	if(!fs.existsSync(dir)) { return; }
+	fs.readdirSync(dir).forEach(function(file) {
+		var pth = path.join(dir, file);
+		if(fs.statSync(pth).isDirectory()) {
+			removeDir(pth);
+		} else {
+			fs.unlinkSync(pth);
+		}
+	});
+	fs.rmdirSync(dir);
+}
+
+// Put the user data directory somewhere temporary, for a user whose name has to be cleaned up to make a directory name
+function useTestDataDir() {
+	var saved = {};
+
+	beforeEach(function() {
+		saved.getDataDir = config.getDataDir;
+		saved.user = authentication.getCurrentUser();
+		config.getDataDir = function(name) {
+			return name ? path.join(DATA_DIR, name) : DATA_DIR;
+		};
+		authentication.setCurrentUser({username : 'bob/smith'});
+		removeDir(DATA_DIR);
+		fs.mkdirSync(DATA_DIR);
+	});
+
+	afterEach(function() {
+		config.getDataDir = saved.getDataDir;
+		authentication.setCurrentUser(saved.user);
+		removeDir(DATA_DIR);
+	});
+}
+
+describe('FileChannels', function() {
+	useTestDataDir();
+
+	it('writes lines of values that can be read back', function(done) {
+		var files = new FileChannels(false);
+		files.open('probe.txt', 'OUTPUT', 1, function(err) {
+			expect(err).to.not.exist;
+			files.write(1, [1.5, 'hi, "there"', -2], function(err) {
+				files.write(1, [3], function(err) {
+					files.close(1);
+					expect(fs.readFileSync(path.join(USER_DIR, 'probe.txt'), 'utf8')).to.equal('1.5,"hi, \'there\'",-2\n3\n');
+					files.open('probe.txt', 'input', 2, function(err) {
+						expect(err).to.not.exist;
+						expect(files.eof(2)).to.equal(false);
+						files.read(2, function(err, values) {
+							expect(values).to.deep.equal([1.5, "hi, 'there'", -2]);
+							files.read(2, function(err, values) {
+								expect(values).to.deep.equal([3]);
+								expect(files.eof(2)).to.equal(true);
+								files.read(2, function(err) {
+									expect(err.message).to.equal('Input past end of file #2.');
+									done();
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+
+	it('adds to the end of a file opened for APPEND', function(done) {
+		fs.mkdirSync(path.join(DATA_DIR, 'userdata'));
+		fs.mkdirSync(USER_DIR);
+		fs.writeFileSync(path.join(USER_DIR, 'log.txt'), '1\n');
+		var files = new FileChannels(false);
+		files.open('log.txt', 'APPEND', 1, function(err) {
+			files.write(1, [2], function(err) {
+				expect(fs.readFileSync(path.join(USER_DIR, 'log.txt'), 'utf8')).to.equal('1\n2\n');
+				done();
+			});
+		});
+	});
+
+	it('does not write files when simulating', function(done) {
+		var files = new FileChannels(true);
+		files.open('probe.txt', 'OUTPUT', 1, function(err) {
+			files.write(1, [1], function(err) {
+				expect(err).to.not.exist;
+				expect(fs.existsSync(path.join(USER_DIR, 'probe.txt'))).to.equal(false);
+				done();
+			});
+		});
+	});
+
+	it('reports a file that is missing, or not open for the right use', function(done) {
+		var files = new FileChannels(false);
+		files.open('missing.txt', 'INPUT', 1, function(err) {
+			expect(err.message).to.equal('Cannot open missing.txt for INPUT: File not found.');
+			files.open('probe.txt', 'OUTPUT', 1, function(err) {
+				files.read(1, function(err) {
+					expect(err.message).to.equal('File #1 is not open for INPUT.');
+					files.open('other.txt', 'OUTPUT', 1, function(err) {
+						expect(err.message).to.equal('File #1 is already open.');
+						files.close();
+						expect(function() { files.close(1); }).to.throw('File #1 is not open.');
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	it('keeps files in the user data directory, whatever directory is asked for', function(done) {
+		var files = new FileChannels(false);
+		files.open('../../escaped.txt', 'OUTPUT', 1, function(err) {
+			files.open('C:\\SbParts\\probe.txt', 'OUTPUT', 2, function(err) {
+				expect(fs.readdirSync(USER_DIR).sort()).to.deep.equal(['escaped.txt', 'probe.txt']);
+				expect(fs.existsSync(path.join(DATA_DIR, 'escaped.txt'))).to.equal(false);
+				done();
+			});
+		});
+	});
+
+	it('rejects a filename that is only a directory', function(done) {
+		var files = new FileChannels(false);
+		files.open('../..', 'OUTPUT', 1, function(err) {
+			expect(err.message).to.equal('Invalid filename: ../..');
+			expect(function() { channels.resolve('parts/'); }).to.throw('Invalid filename: parts/');
+			done();
+		});
+	});
+});
+
+describe('User data routes', function() {
+	var routes;
+
+	useTestDataDir();
+
+	// Call a route handler, and call back with what it sent
+	function request(method, route, params, callback) {
+		var res = {
+			headers : {},
+			header : function(name, value) { this.headers[name] = value; },
+			status : function(code) { this.code = code; },
+			write : function(data) { this.body = String(data); },
+			end : function() { callback(this); },
+			json : function(data) { this.body = data; callback(this); }
+		};
+		routes[method + ' ' + route]({params : params}, res, function() {});
+	}
+
+	before(function() {
+		var server = {};
+		routes = {};
+		['get', 'del'].forEach(function(method) {
+			server[method] = function(route, handler) { routes[method + ' ' + route] = handler; };
+		});
+		require('../routes/userdata')(server);
+	});
+
+	beforeEach(function() {
+		fs.mkdirSync(path.join(DATA_DIR, 'userdata'));
+		fs.mkdirSync(USER_DIR);
+		fs.writeFileSync(path.join(USER_DIR, 'probe.txt'), '1,2\n');
+		fs.writeFileSync(path.join(DATA_DIR, 'userdata', 'probe.txt'), 'Not for bob\n');
+	});
+
+	it('lists the files of the current user', function(done) {
+		request('get', '/userdata', {}, function(res) {
+			expect(res.body.status).to.equal('success');
+			expect(res.body.data.files.map(function(file) { return file.filename; })).to.deep.equal(['probe.txt']);
+			expect(res.body.data.files[0].size).to.equal(4);
+			done();
+		});
+	});
+
+	it('downloads a file', function(done) {
+		request('get', '/userdata/:filename', {filename : 'probe.txt'}, function(res) {
+			expect(res.code).to.equal(200);
+			expect(res.headers['Content-Disposition']).to.equal('attachment; filename="probe.txt"');
+			expect(res.body).to.equal('1,2\n');
+			done();
+		});
+	});
+
+	it('deletes a file', function(done) {
+		request('del', '/userdata/:filename', {filename : 'probe.txt'}, function(res) {
+			expect(res.body).to.deep.equal({status : 'success', data : null});
+			expect(fs.existsSync(path.join(USER_DIR, 'probe.txt'))).to.equal(false);
+			request('del', '/userdata/:filename', {filename : 'probe.txt'}, function(res) {
+				expect(res.body).to.deep.equal({status : 'error', message : 'No such file: probe.txt'});
+				done();
+			});
+		});
+	});
+
+	it('only deletes files of the current user, even when given a path out of the user data directory', function(done) {
+		request('del', '/userdata/:filename', {filename : '../probe.txt'}, function(res) {
+			expect(res.body.status).to.equal('success');
+			expect(fs.existsSync(path.join(USER_DIR, 'probe.txt'))).to.equal(false);
+			expect(fs.readFileSync(path.join(DATA_DIR, 'userdata', 'probe.txt'), 'utf8')).to.equal('Not for bob\n');
+			request('del', '/userdata/:filename', {filename : '..'}, function(res) {
+				expect(res.body).to.deep.equal({status : 'error', message : 'Invalid filename: ..'});
+				expect(fs.existsSync(path.join(DATA_DIR, 'userdata'))).to.equal(true);
+				done();
+			});
+		});
+	});
+
+	it('only downloads files of the current user', function(done) {
+		request('get', '/userdata/:filename', {filename : '../../userdata/probe.txt'}, function(res) {
+			expect(res.body).to.equal('1,2\n');
+			done();
+		});
+	});
+});
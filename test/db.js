@@ -0,0 +1,195 @@
+/*
+ * test/db.js
+ *
+ * Tests for the job queue (db.js): scheduling jobs and choosing the next one to run
+ */
+var expect = require('chai').expect;
+var Engine = require('tingodb')({memStore : true});
+var config = require('../config');
+var db = require('../db');
+var Job = db.Job;
+
+// A stand-in for a configuration tree, with the provided values
+function settings(values) {
+	return {
+		get : function(key) { return values[key]; }
+	};
+}
+
+// Add a pending job to the queue, and schedule it with the provided settings
+function addJob(name, order, schedule, callback) {
+	var job = new Job({file_id : 1, name : name, order : order});
+	job.save(function(err, job) {
+		if(err) { return callback(err); }
+		job.schedule(schedule, callback);
+	});
+}
+
+// Add jobs to the queue in the order given
+//   jobs - List of [name, schedule] pairs
+function addJobs(jobs, callback) {
+	var i = 0;
+	(function next(err) {
+		if(err || i >= jobs.length) {
+			return callback(err);
+		}
+		var job = jobs[i++];
+		addJob(job[0], i, job[1], next);
+	})();
+}
+
+// Call back with the names of the jobs in the queue, in the order they will run
+function queueNames(callback) {
+	Job.getQueue(function(err, queue) {
+		callback(err, queue.map(function(job) { return job.name; }));
+	});
+}
+
+describe('Job scheduling', function() {
+	var saved = {};
+	var count = 0;
+
+	beforeEach(function() {
+		saved.tools = config.tools;
+		saved.machine = config.machine;
+		config.tools = settings({current : 1});
+		config.machine = settings({material : 'Birch Ply'});
+		// Each test gets a database of its own (tingodb in-memory databases with the same name get tangled up)
+		count += 1;
+		db.useDB(new Engine.Db('fabmo-test-db-' + count, {}));
+	});
+
+	afterEach(function() {
+		config.tools = saved.tools;
+		config.machine = saved.machine;
+	});
+
+	describe('schedule', function() {
+		it('sets when a job can run', function(done) {
+			addJob('A', 1, {hold : 'true', priority : '2', run_at : '1500000000000', requires : {tool : '3', material : ' Oak '}}, function(err, job) {
+				expect(err).to.equal(null);
+				expect(job.hold).to.equal(true);
+				expect(job.priority).to.equal(2);
+				expect(job.run_at).to.equal(1500000000000);
+				expect(job.requires).to.deep.equal({tool : 3, material : 'Oak'});
+				done();
+			});
+		});
+
+		it('only changes the settings that are provided', function(done) {
+			addJob('A', 1, {priority : 2, requires : {tool : 3}}, function(err, job) {
+				job.schedule({requires : {material : 'Oak'}}, function(err, job) {
+					expect(job.priority).to.equal(2);
+					expect(job.requires).to.deep.equal({tool : 3, material : 'Oak'});
+					done();
+				});
+			});
+		});
+
+		it('rejects invalid settings', function(done) {
+			addJob('A', 1, {priority : 'high'}, function(err) {
+				expect(err.message).to.equal('Invalid priority: high');
+				addJob('B', 2, {run_at : 'someday'}, function(err) {
+					expect(err.message).to.equal('Invalid time to run at: someday');
+					addJob('C', 3, {requires : {tool : 'big'}}, function(err) {
+						expect(err.message).to.equal('Invalid tool: big');
+						done();
+					});
+				});
+			});
+		});
+
+		it('only schedules pending jobs', function(done) {
+			addJob('A', 1, {}, function(err, job) {
+				job.state = 'finished';
+				job.schedule({hold : true}, function(err) {
+					expect(err.message).to.equal('Cannot schedule a job that is finished');
+					done();
+				});
+			});
+		});
+	});
+
+	describe('getWait', function() {
+		it('gives the reason a job cannot run yet', function() {
+			var job = new Job({});
+			expect(job.getWait()).to.equal(null);
+			job.requires = {tool : 2, material : null};
+			expect(job.getWait()).to.equal('Needs tool 2');
+			job.requires = {tool : 1, material : 'Oak'};
+			expect(job.getWait()).to.equal('Needs material Oak');
+			job.run_at = Date.now() + 60000;
+			expect(job.getWait()).to.match(/^Scheduled for /);
+			job.hold = true;
+			expect(job.getWait()).to.equal('On hold');
+		});
+
+		it('lets a job with a time that has passed and the right tool and material run', function() {
+			var job = new Job({});
+			job.run_at = Date.now() - 1000;
+			job.requires = {tool : 1, material : 'Birch Ply'};
+			expect(job.getWait()).to.equal(null);
+		});
+	});
+
+	describe('getQueue', function() {
+		it('orders jobs by priority, then by their order in the queue', function(done) {
+			addJobs([['A', {}], ['B', {priority : 1}], ['C', {priority : -1}], ['D', {priority : 1}], ['E', {}]], function(err) {
+				queueNames(function(err, names) {
+					expect(names).to.deep.equal(['B', 'D', 'A', 'E', 'C']);
+					done();
+				});
+			});
+		});
+
+		it('includes jobs that cannot run yet, with the reason why', function(done) {
+			addJobs([['A', {hold : true}], ['B', {requires : {tool : 2}}], ['C', {}]], function(err) {
+				Job.getQueue(function(err, queue) {
+					expect(queue.map(function(job) { return job.wait; })).to.deep.equal(['On hold', 'Needs tool 2', null]);
+					done();
+				});
+			});
+		});
+	});
+
+	describe('getNext', function() {
+		it('skips jobs that are held, scheduled for later, or need another tool or material', function(done) {
+			addJobs([
+				['Held', {priority : 5, hold : true}],
+				['Later', {priority : 4, run_at : Date.now() + 60000}],
+				['Tool', {priority : 3, requires : {tool : 2}}],
+				['Material', {priority : 2, requires : {material : 'Oak'}}],
+				['First', {}],
+				['Second', {}]
+			], function(err) {
+				Job.getNext(function(err, job) {
+					expect(err).to.equal(null);
+					expect(job.name).to.equal('First');
+					expect(job).to.not.have.property('wait');
+					done();
+				});
+			});
+		});
+
+		it('runs a held job once it is released', function(done) {
+			addJob('A', 1, {hold : true}, function(err, job) {
+				Job.getNext(function(err) {
+					expect(err.message).to.equal('No job in the queue can run now.  (A: On hold)');
+					job.schedule({hold : false}, function(err) {
+						Job.getNext(function(err, job) {
+							expect(job.name).to.equal('A');
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('reports an empty queue', function(done) {
+			Job.getNext(function(err) {
+				expect(err.message).to.equal('No jobs in queue.');
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,177 @@
+/*
+ * test/envelope.js
+ *
+ * Tests for the machine envelope (soft limits) in envelope.js
+ */
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var config = require('../config');
+var envelope = require('../envelope');
+var ResumeFilter = require('../resume').ResumeFilter;
+
+// A stand-in for a configuration tree, with the provided values
+function settings(values) {
+	return {
+		get : function(key) { return values[key]; }
+	};
+}
+
+// A stand-in for the G2 driver, with the tool at the provided work position (mm, in G55)
+function driver(x, y, z) {
+	return {status : {unit : 'mm', coor : 2, posx : x, posy : y, posz : z}};
+}
+
+describe('Envelope', function() {
+	var saved = {};
+	var limits;
+
+	beforeEach(function() {
+		saved.machine = config.machine;
+		saved.driver = config.driver;
+		// X 0 to 100, Y 0 to 50, Z -10 to 0 (mm) and A unlimited - G55 is offset 10mm in X from machine zero
+		config.machine = settings({units : 'mm', envelope : {xmin : 0, xmax : 100, ymin : 0, ymax : 50, zmin : -10, zmax : 0, amin : 0, amax : 0}});
+		config.driver = settings({g55x : 10, gco : 2});
+		limits = envelope.fromDriver(driver(0, 0, 0));
+	});
+
+	afterEach(function() {
+		config.machine = saved.machine;
+		config.driver = saved.driver;
+	});
+
+	it('lets moves inside the envelope through', function() {
+		expect(limits.check('G21 G90')).to.equal(null);
+		expect(limits.check('G1 X80 Y50 Z-10 F600')).to.equal(null);
+	});
+
+	it('reports a move outside of the envelope, with its line number', function() {
+		var err = limits.check('N12 G21 G90 G1 X95 F600');
+		expect(err).to.be.an.instanceof(Error);
+		expect(err.message).to.match(/X=105\.000 is outside of the machine envelope \(X 0\.000 to 100\.000 mm\)/);
+		expect(err.line).to.equal(12);
+	});
+
+	it('counts lines when there is no line number', function() {
+		limits.check('G21 G90');
+		limits.check('G0 X1');
+		expect(limits.check('G0 Z1').line).to.equal(3);
+	});
+
+	it('applies the work offsets', function() {
+		expect(limits.check('G21 G90 G54 G0 X95')).to.equal(null);
+		expect(limits.check('G55 G0 X95')).to.not.equal(null);
+	});
+
+	it('checks machine coordinate moves (G53) without the work offsets', function() {
+		expect(limits.check('G21 G90 G53 G0 X100')).to.equal(null);
+		expect(limits.check('G53 G0 X101')).to.not.equal(null);
+	});
+
+	it('follows incremental moves', function() {
+		expect(limits.check('G21 G91 G1 X50 F600')).to.equal(null);
+		expect(limits.check('G1 X30')).to.equal(null);
+		expect(limits.check('G1 X30')).to.not.equal(null);
+	});
+
+	it('converts inch g-code', function() {
+		expect(limits.check('G20 G90 G1 X3.5 F60')).to.equal(null);
+		expect(limits.check('G1 X4')).to.not.equal(null);
+	});
+
+	it('checks the whole path of an arc, not just its endpoint', function() {
+		expect(limits.check('G21 G90 G0 X20 Y45')).to.equal(null);
+		// Clockwise half circle around (30,45) goes up to Y=55
+		var err = limits.check('G2 X40 Y45 I10 J0 F600');
+		expect(err).to.not.equal(null);
+		expect(err.message).to.match(/^Move to Y=/);
+		// The other way goes down to Y=35
+		limits.check('G0 X20 Y45');
+		expect(limits.check('G3 X40 Y45 I10 J0 F600')).to.equal(null);
+	});
+
+	it('does not limit an axis whose minimum and maximum are the same', function() {
+		expect(limits.check('G21 G90 G0 A1000')).to.equal(null);
+	});
+
+	it('stops checking an axis after a probe, since it is not known where the probe stopped', function() {
+		expect(limits.check('G21 G91 G38.2 Z-5 F100')).to.equal(null);
+		expect(limits.check('G1 Z-100')).to.equal(null);
+		// The other axes are still known
+		expect(limits.check('G1 X200')).to.not.equal(null);
+	});
+
+	it('reports the distance left to the edge of the envelope', function() {
+		limits.check('G21 G90 G0 X40 Y10');
+		expect(limits.travelLeft('X', 1)).to.equal(50);
+		expect(limits.travelLeft('X', -1)).to.equal(50);
+		expect(limits.travelLeft('Y', -1)).to.equal(10);
+		expect(limits.travelLeft('A', 1)).to.equal(Infinity);
+	});
+
+	describe('checkFile', function() {
+		var filename = path.join(os.tmpdir(), 'fabmo-envelope-test.nc');
+
+		afterEach(function() {
+			try { fs.unlinkSync(filename); } catch(e) {}
+		});
+
+		it('reports the first line of a file that leaves the envelope', function(done) {
+			fs.writeFileSync(filename, 'G21 G90\nG0 X10 Y10\nG1 X200 F600\nG1 X300\n');
+			limits.checkFile(filename, function(err) {
+				expect(err).to.not.equal(null);
+				expect(err.line).to.equal(3);
+				done();
+			});
+		});
+
+		it('passes a file that stays inside the envelope', function(done) {
+			fs.writeFileSync(filename, 'G21 G90\nG0 X10 Y10\nG1 X20 F600');
+			limits.checkFile(filename, function(err) {
+				expect(err).to.equal(null);
+				done();
+			});
+		});
+	});
+
+	describe('checkStream', function() {
+		var saved;
+
+		beforeEach(function() {
+			saved = config.opensbp;
+			config.opensbp = settings({safeZpullUp : 0});
+		});
+
+		afterEach(function() {
+			config.opensbp = saved;
+		});
+
+		it('checks only the part of a file that runs when resuming', function(done) {
+			var input = new ResumeFilter(4);
+			limits.checkStream(input, function(err) {
+				expect(err).to.equal(null);
+				done();
+			});
+			input.end('G21 G90\nG0 X200 Y10\nG0 X20 Y10\nG1 X30 F600\n');
+		});
+
+		it('reports moves outside of the envelope with the line numbers of the file', function(done) {
+			var input = new ResumeFilter(2);
+			limits.checkStream(input, function(err) {
+				expect(err.line).to.equal(3);
+				done();
+			});
+			input.end('G21 G90\nG0 X20 Y10\nG1 X200 F600\n');
+		});
+
+		it('passes on the error when the file never reaches the resume line', function(done) {
+			var input = new ResumeFilter(10);
+			limits.checkStream(input, function(err) {
+				expect(err.message).to.equal('Cannot resume: Line 10 is never reached.');
+				done();
+			});
+			input.end('G21 G90\nG0 X20 Y10\n');
+		});
+	});
+});
@@ -0,0 +1,85 @@
+/*
+ * test/functions.js
+ *
+ * Tests for the built-in OpenSBP functions (runtime/opensbp/functions.js) and how the parser checks calls to them
+ */
+var expect = require('chai').expect;
+var functions = require('../runtime/opensbp/functions');
+var parser = require('../runtime/opensbp/parser');
+
+// Return the error thrown by the provided function
+function thrown(f) {
+	try {
+		f();
+	} catch(e) {
+		return e;
+	}
+	throw new Error('Nothing was thrown');
+}
+
+describe('functions.check', function() {
+	it('accepts a call with the right number of arguments', function() {
+		expect(function() { functions.check('sin', 1); }).to.not.throw();
+		expect(function() { functions.check('ROUND', 1); }).to.not.throw();
+		expect(function() { functions.check('ROUND', 2); }).to.not.throw();
+	});
+
+	it('rejects an unknown function', function() {
+		var err = thrown(function() { functions.check('foo', 1); });
+		expect(err).to.be.an.instanceof(functions.FunctionError);
+		expect(err.message).to.equal('Unknown function FOO()');
+	});
+
+	it('rejects the wrong number of arguments', function() {
+		expect(thrown(function() { functions.check('SIN', 2); }).message).to.equal('SIN() takes 1 argument but was given 2');
+		expect(thrown(function() { functions.check('ROUND', 0); }).message).to.equal('ROUND() takes 1 to 2 arguments but was given 0');
+		expect(thrown(function() { functions.check('PI', 1); }).message).to.equal('PI() takes 0 arguments but was given 1');
+	});
+});
+
+describe('functions.call', function() {
+	it('calls the function with the arguments', function() {
+		expect(functions.call('ABS', [-2])).to.equal(2);
+		expect(functions.call('ROUND', [2.567, 1])).to.equal(2.6);
+		expect(functions.call('MID', ['FabMo', 2, 2])).to.equal('ab');
+		expect(functions.call('LEN', [[1, 2, 3]])).to.equal(3);
+	});
+
+	it('converts numeric strings to numbers', function() {
+		expect(functions.call('INT', ['3.7'])).to.equal(3);
+	});
+
+	it('rejects an argument of the wrong type', function() {
+		expect(thrown(function() { functions.call('SIN', ['a']); }).message).to.equal('Argument 1 of SIN() must be a number (got "a")');
+		expect(thrown(function() { functions.call('MID', ['FabMo', '']); }).message).to.equal('Argument 2 of MID() must be a number (got "")');
+	});
+
+	it('rejects an argument that is out of range', function() {
+		expect(thrown(function() { functions.call('SQR', [-1]); }).message).to.equal('SQR of a negative number (-1)');
+	});
+});
+
+describe('Parsing function calls', function() {
+	it('parses a call with arguments', function() {
+		expect(parser.parse('&x = ROUND(&y, 2)')[0].expr).to.deep.equal({op : 'func', name : 'ROUND', args : ['&y', 2]});
+	});
+
+	it('parses a call with no arguments', function() {
+		expect(parser.parse('&x = PI()')[0].expr).to.deep.equal({op : 'func', name : 'PI', args : []});
+		expect(parser.parse('&x = PI')[0].expr).to.deep.equal({op : 'func', name : 'PI', args : []});
+	});
+
+	it('throws a FunctionError with the line number for an unknown function', function() {
+		var err = thrown(function() { parser.parse('MX, 1\n&x = FOO(1)'); });
+		expect(err).to.be.an.instanceof(functions.FunctionError);
+		expect(err.message).to.equal('Unknown function FOO()');
+		expect(err.line).to.equal(2);
+	});
+
+	it('throws a FunctionError for the wrong number of arguments', function() {
+		var err = thrown(function() { parser.parse('&x = ROUND()'); });
+		expect(err).to.be.an.instanceof(functions.FunctionError);
+		expect(err.message).to.equal('ROUND() takes 1 to 2 arguments but was given 0');
+		expect(err.line).to.equal(1);
+	});
+});
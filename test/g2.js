@@ -0,0 +1,145 @@
+/*
+ * test/g2.js
+ *
+ * Tests for the G2 driver (g2.js) losing and regaining the link to G2.  The driver is connected to the G2 simulator
+ * (g2_sim.js) in place of a serial port, and the passing of time is faked, so that the waits between attempts to
+ * reconnect can be checked without waiting for them.
+ */
+var expect = require('chai').expect;
+var sinon = require('sinon');
+var G2 = require('../g2').G2;
+var G2Simulator = require('../g2_sim');
+
+describe('G2', function() {
+	var clock;
+	var driver;
+
+	// Let the faked time pass, a little at a time, so that what happens along the way can happen
+	function wait(ms, callback) {
+		var step = Math.min(ms, 50);
+		clock.tick(step);
+		setImmediate(function() {
+			if(ms > step) {
+				return wait(ms - step, callback);
+			}
+			callback();
+		});
+	}
+
+	beforeEach(function(done) {
+		clock = sinon.useFakeTimers('setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date');
+		driver = new G2();
+		driver.connect('sim', function(err) {
+			expect(err).to.equal(null);
+			done();
+		});
+		wait(200, function() {});
+	});
+
+	afterEach(function() {
+		driver._closing = true;
+		driver._serialPort.close();
+		clock.restore();
+		if(G2Simulator.prototype.open.restore) {
+			G2Simulator.prototype.open.restore();
+		}
+	});
+
+	it('calls back everything that was waiting on G2 with an error when the link is lost', function(done) {
+		var errors = [];
+		var keep = function(name) {
+			return function(err) {
+				errors.push(name + ': ' + (err && err.message));
+			};
+		};
+		// (Expectations are called back with the driver, then the error)
+		var keepExpectation = function(name) {
+			return function(driver, err) {
+				errors.push(name + ': ' + (err && err.message));
+			};
+		};
+		driver.expectStateChange({timeout : keepExpectation('expectation')});
+		driver.expectStateChange({null : keepExpectation('other expectation')});
+		driver.get('xvm', keep('get'));
+		driver.set('yvm', 600, keep('set'));
+		driver.queueFlush(keep('flush'));
+		driver.on('disconnect', function() {
+			errors.push('disconnect');
+		});
+
+		driver._serialPort.close();
+
+		expect(errors.sort()).to.deep.equal([
+			'disconnect',
+			'expectation: G2 was disconnected.',
+			'flush: G2 was disconnected.',
+			'get: G2 was disconnected.',
+			'other expectation: G2 was disconnected.',
+			'set: G2 was disconnected.'
+		]);
+		expect(driver.expectations).to.deep.equal([]);
+		expect(driver.readers).to.deep.equal({});
+		// The timeouts that would have called back later don't call back again
+		wait(11000, function() {
+			expect(errors).to.have.length(6);
+			done();
+		});
+	});
+
+	it('waits longer after each failed attempt to reconnect', function(done) {
+		var attempts = [];
+		var start = Date.now();
+		sinon.stub(G2Simulator.prototype, 'open', function(callback) {
+			attempts.push(Date.now() - start);
+			callback(new Error('No such port'));
+		});
+		driver.on('reconnect', function() {
+			done(new Error('Should not have reconnected'));
+		});
+
+		driver._serialPort.close();
+
+		wait(1000 + 2000 + 4000 + 8000 + 16000 + 30000 + 30000, function() {
+			expect(attempts).to.deep.equal([1000, 3000, 7000, 15000, 31000, 61000, 91000]);
+			done();
+		});
+	});
+
+	it('reconnects once G2 is back', function(done) {
+		var attempts = 0;
+		var open = G2Simulator.prototype.open;
+		sinon.stub(G2Simulator.prototype, 'open', function(callback) {
+			attempts += 1;
+			if(attempts < 3) {
+				return callback(new Error('No such port'));
+			}
+			open.call(this, callback);
+		});
+		var reconnected = false;
+		driver.on('reconnect', function(g2) {
+			expect(g2).to.equal(driver);
+			reconnected = true;
+		});
+
+		driver._serialPort.close();
+
+		wait(1000 + 2000 + 4000 + 1000, function() {
+			expect(attempts).to.equal(3);
+			expect(reconnected).to.equal(true);
+			expect(driver.connected).to.equal(true);
+			done();
+		});
+	});
+
+	it('does not reconnect after the link is closed on purpose', function(done) {
+		var opened = false;
+		sinon.stub(G2Simulator.prototype, 'open', function(callback) {
+			opened = true;
+		});
+		driver.disconnect();
+		wait(5000, function() {
+			expect(opened).to.equal(false);
+			done();
+		});
+	});
+});
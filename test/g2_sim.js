@@ -0,0 +1,301 @@
+/*
+ * test/g2_sim.js
+ *
+ * Tests for the G2 simulator (g2_sim.js) which are run over its serial port interface, the same way the G2 driver
+ * talks to it.
+ */
+var expect = require('chai').expect;
+var G2Simulator = require('../g2_sim');
+
+// Open a simulator, and keep the messages it sends (parsed from JSON) in sim.messages
+function openSimulator(callback) {
+	var sim = new G2Simulator('sim', {});
+	sim.messages = [];
+	sim.on('data', function(data) {
+		data.split('\n').forEach(function(line) {
+			if(line.trim()) {
+				var message = JSON.parse(line);
+				sim.messages.push(message);
+				sim.emit('message', message);
+			}
+		});
+	});
+	sim.open();
+	waitFor(sim, function(message) {
+		return message.r && message.r.msg === 'SYSTEM READY';
+	}, function() {
+		callback(sim);
+	});
+}
+
+// Call the callback with the first message from the simulator (from now on) that the test function returns true for
+function waitFor(sim, test, callback) {
+	var onMessage = function(message) {
+		if(test(message)) {
+			sim.removeListener('message', onMessage);
+			callback(message);
+		}
+	};
+	sim.on('message', onMessage);
+}
+
+// Call the callback once the simulator reports that it has stopped (stat 3) or ended the program (stat 4)
+function waitForStop(sim, callback) {
+	waitFor(sim, function(message) {
+		return message.sr && (message.sr.stat === 3 || message.sr.stat === 4);
+	}, function(message) {
+		callback(message);
+	});
+}
+
+// Send a JSON command and call the callback with the response
+function command(sim, cmd, callback) {
+	waitFor(sim, function(message) {
+		return message.r && !message.r.msg && Object.keys(cmd).every(function(key) { return key in message.r; });
+	}, callback);
+	sim.write(JSON.stringify(cmd) + '\n');
+}
+
+describe('G2Simulator', function() {
+	var sim;
+
+	beforeEach(function(done) {
+		openSimulator(function(s) {
+			sim = s;
+			done();
+		});
+	});
+
+	afterEach(function() {
+		sim.close();
+	});
+
+	it('says SYSTEM READY when it is opened', function() {
+		expect(sim.messages[0].r.msg).to.equal('SYSTEM READY');
+		expect(sim.messages[0].f[1]).to.equal(0);
+	});
+
+	it('reads and writes settings with JSON commands', function(done) {
+		command(sim, {xvm : 12000}, function(message) {
+			expect(message.r.xvm).to.equal(12000);
+			command(sim, {xvm : null}, function(message) {
+				expect(message.r.xvm).to.equal(12000);
+				done();
+			});
+		});
+	});
+
+	it('accepts the relaxed JSON syntax that G2 does', function(done) {
+		waitFor(sim, function(message) { return message.r && 'g55x' in message.r; }, function(message) {
+			expect(message.f[1]).to.equal(0);
+			expect(message.r.g55x).to.equal(0);
+			done();
+		});
+		sim.write('{g55x:n}\n');
+	});
+
+	it('reports a name it does not know', function(done) {
+		command(sim, {nosuchthing : null}, function(message) {
+			expect(message.f[1]).to.equal(100);
+			done();
+		});
+	});
+
+	it('moves the tool to the end of a move', function(done) {
+		this.timeout(5000);
+		waitForStop(sim, function() {
+			command(sim, {mpo : null}, function(message) {
+				expect(message.r.mpo.x).to.equal(10);
+				expect(message.r.mpo.y).to.equal(5);
+				done();
+			});
+		});
+		sim.write('G21 G90\nG1 X10 Y5 F6000\n');
+	});
+
+	it('reports the position as it moves', function(done) {
+		this.timeout(5000);
+		var positions = [];
+		sim.on('message', function(message) {
+			if(message.sr && message.sr.posx !== undefined) {
+				positions.push(message.sr.posx);
+			}
+		});
+		command(sim, {si : 50}, function() {
+			waitForStop(sim, function() {
+				expect(positions.length).to.be.above(2);
+				expect(positions[positions.length-1]).to.equal(20);
+				for(var i=1; i<positions.length; i++) {
+					expect(positions[i]).to.be.at.least(positions[i-1]);
+				}
+				done();
+			});
+			sim.write('G21 G90\nG1 X20 F3000\n');
+		});
+	});
+
+	it('works in inches, and reports machine positions in mm', function(done) {
+		this.timeout(5000);
+		waitForStop(sim, function() {
+			command(sim, {posx : null, mpo : null}, function(message) {
+				expect(message.r.posx).to.equal(1);
+				expect(message.r.mpo.x).to.equal(25.4);
+				done();
+			});
+		});
+		sim.write('G20 G90\nG1 X1 F200\n');
+	});
+
+	it('applies work offsets', function(done) {
+		this.timeout(5000);
+		command(sim, {g55x : 5}, function() {
+			waitForStop(sim, function() {
+				command(sim, {posx : null, mpo : null}, function(message) {
+					expect(message.r.posx).to.equal(2);
+					expect(message.r.mpo.x).to.equal(7);
+					done();
+				});
+			});
+			sim.write('G21 G90 G55\nG0 X2\n');
+		});
+	});
+
+	it('follows an arc to its endpoint', function(done) {
+		this.timeout(5000);
+		waitForStop(sim, function() {
+			command(sim, {mpo : null}, function(message) {
+				expect(message.r.mpo.x).to.equal(10);
+				expect(message.r.mpo.y).to.equal(0);
+				done();
+			});
+		});
+		sim.write('G21 G90\nG2 X10 Y0 I5 J0 F6000\n');
+	});
+
+	it('holds and resumes a move', function(done) {
+		this.timeout(5000);
+		var held = null;
+		waitFor(sim, function(message) { return message.sr && message.sr.stat === 5; }, function() {
+			sim.write('!');
+		});
+		waitFor(sim, function(message) { return message.sr && message.sr.stat === 6; }, function() {
+			held = sim.mpos.x;
+			expect(held).to.be.below(10);
+			setTimeout(function() {
+				// Nothing moves in a feedhold
+				expect(sim.mpos.x).to.equal(held);
+				waitForStop(sim, function() {
+					expect(sim.mpos.x).to.equal(10);
+					done();
+				});
+				sim.write('~');
+			}, 200);
+		});
+		sim.write('G21 G90\nG1 X10 F1200\n');
+	});
+
+	it('flushes the queue in a feedhold', function(done) {
+		this.timeout(5000);
+		waitFor(sim, function(message) { return message.sr && message.sr.stat === 6; }, function() {
+			waitForStop(sim, function() {
+				var x = sim.mpos.x;
+				setTimeout(function() {
+					expect(sim.mpos.x).to.equal(x);
+					expect(sim.planner.length).to.equal(0);
+					done();
+				}, 200);
+			});
+			sim.write('%');
+		});
+		waitFor(sim, function(message) { return message.sr && message.sr.stat === 5; }, function() {
+			sim.write('!');
+		});
+		sim.write('G21 G90\nG1 X30 F600\nG1 Y30\n');
+	});
+
+	it('ends a probing move when the probe input is activated', function(done) {
+		this.timeout(5000);
+		command(sim, {di4fn : 4}, function() {
+			waitFor(sim, function(message) { return message.sr && message.sr.stat === 7; }, function() {
+				setTimeout(function() {
+					sim.setInput(4, 1);
+				}, 100);
+			});
+			waitForStop(sim, function() {
+				expect(sim.mpos.z).to.be.below(0);
+				expect(sim.mpos.z).to.be.above(-10);
+				done();
+			});
+			sim.write('G21 G90\nG38.2 Z-10 F600\n');
+		});
+	});
+
+	it('alarms when a limit input is activated, and rejects g-codes until cleared', function(done) {
+		command(sim, {di1fn : 1}, function() {
+			waitFor(sim, function(message) { return message.er; }, function(message) {
+				expect(message.er.st).to.equal(203);
+				waitFor(sim, function(message) { return message.f && message.f[1] === 204; }, function() {
+					command(sim, {clear : null}, function() {
+						expect(sim.stat).to.equal(3);
+						done();
+					});
+				});
+				sim.write('G0 X1\n');
+			});
+			sim.setInput(1, 1);
+		});
+	});
+
+	it('switches outputs with M100 in step with the moves', function(done) {
+		this.timeout(5000);
+		// The output doesn't change until the move before it is done
+		waitFor(sim, function(message) { return message.sr && message.sr.stat === 5; }, function() {
+			expect(sim.outputs[4]).to.equal(0);
+			waitForStop(sim, function() {
+				expect(sim.outputs[4]).to.equal(1);
+				done();
+			});
+		});
+		sim.write('G21 G90\nG1 X5 F6000\nM100 ({out4:1})\n');
+	});
+
+	it('reports the line number of the block that is running', function(done) {
+		this.timeout(5000);
+		waitFor(sim, function(message) { return message.sr && message.sr.stat === 4; }, function() {
+			command(sim, {line : null}, function(message) {
+				expect(message.r.line).to.equal(3);
+				done();
+			});
+		});
+		sim.write('N1 G21 G90\nN2 G1 X5 F6000\nN3 M30\n');
+	});
+
+	it('rejects g-codes it does not support', function(done) {
+		waitFor(sim, function(message) { return message.f && message.f[1] !== 0; }, function(message) {
+			expect(message.f[1]).to.equal(131);
+			done();
+		});
+		sim.write('G33 X1\n');
+	});
+
+	it('rejects a feed move without a feed rate', function(done) {
+		waitFor(sim, function(message) { return message.f && message.f[1] !== 0; }, function(message) {
+			expect(message.f[1]).to.equal(142);
+			done();
+		});
+		sim.write('G1 X1\n');
+	});
+
+	it('stops and discards everything on a job kill', function(done) {
+		this.timeout(5000);
+		waitFor(sim, function(message) { return message.sr && message.sr.stat === 5; }, function() {
+			waitFor(sim, function(message) { return message.sr && message.sr.stat === 4; }, function() {
+				expect(sim.planner.length).to.equal(0);
+				expect(sim.mpos.x).to.be.below(30);
+				done();
+			});
+			sim.write('\x04');
+		});
+		sim.write('G21 G90\nG1 X30 F600\nG1 Y30\n');
+	});
+});
@@ -0,0 +1,62 @@
+/*
+ * test/gcode_util.js
+ *
+ * Tests for the shared g-code functions (gcode_util.js)
+ */
+var expect = require('chai').expect;
+var gcode = require('../gcode_util');
+
+describe('gcode_util', function() {
+	describe('parseWords', function() {
+		it('breaks a line into words', function() {
+			var words = gcode.parseWords('N5 G1 X1.5 Y-2 Z.25 F60');
+			expect(words).to.deep.equal({G : [1], M : [], N : 5, X : 1.5, Y : -2, Z : 0.25, F : 60});
+		});
+
+		it('collects the G and M words, which can appear more than once', function() {
+			var words = gcode.parseWords('G21 G90 G0 M3 M8');
+			expect(words.G).to.deep.equal([21, 90, 0]);
+			expect(words.M).to.deep.equal([3, 8]);
+		});
+
+		it('ignores case and spaces between the letter and the number', function() {
+			var words = gcode.parseWords('g1 x 10 y+5');
+			expect(words.G).to.deep.equal([1]);
+			expect(words.X).to.equal(10);
+			expect(words.Y).to.equal(5);
+		});
+
+		it('reads decimal G and M codes', function() {
+			expect(gcode.parseWords('G38.2 Z-1 F10').G).to.deep.equal([38.2]);
+			expect(gcode.parseWords('M100.1').M).to.deep.equal([100.1]);
+		});
+
+		it('strips comments', function() {
+			var words = gcode.parseWords('G1 X1 (X99 Y99) Y2 ; Z99');
+			expect(words.X).to.equal(1);
+			expect(words.Y).to.equal(2);
+			expect(words.Z).to.equal(undefined);
+		});
+
+		it('returns empty lists for a blank line', function() {
+			expect(gcode.parseWords('')).to.deep.equal({G : [], M : []});
+		});
+
+		it('can be used on one line after another', function() {
+			gcode.parseWords('G1 X1');
+			expect(gcode.parseWords('G0 Y2')).to.deep.equal({G : [0], M : [], Y : 2});
+		});
+	});
+
+	describe('toMM and fromMM', function() {
+		it('convert inches', function() {
+			expect(gcode.toMM(2, 'in')).to.equal(50.8);
+			expect(gcode.fromMM(50.8, 'in')).to.equal(2);
+		});
+
+		it('leave mm alone', function() {
+			expect(gcode.toMM(2, 'mm')).to.equal(2);
+			expect(gcode.fromMM(2, 'mm')).to.equal(2);
+		});
+	});
+});
@@ -0,0 +1,344 @@
+/*
+ * test/grbl.js
+ *
+ * Tests for the GRBL driver (grbl.js) against a fake serial port that acts like GRBL 1.1 on the other end.
+ */
+var expect = require('chai').expect;
+var events = require('events');
+var util = require('util');
+var GRBL = require('../grbl').GRBL;
+var driver = require('../driver');
+
+var WELCOME = "Grbl 1.1f ['$' for help]";
+
+// A fake serial port with GRBL on the other end.  Lines are answered with "ok" right away, unless holdAcks is set,
+// in which case they wait in `waiting` until ack() is called.  Status reports are made up from `state`, `position` and `fields`
+function FakePort() {
+	events.EventEmitter.call(this);
+	this.opened = false;
+	this.state = 'Idle';
+	this.position = 'MPos:0.000,0.000,0.000';
+	this.fields = '|FS:0,0';
+	this.settings = ['$10=1', '$13=0', '$110=5000.000'];
+	this.lines = [];           // Lines received, in order
+	this.realtime = [];        // Realtime commands received, in order (not counting status queries)
+	this.holdAcks = false;
+	this.waiting = [];         // Lines received, that haven't been answered
+	this.maxWaiting = 0;       // The most bytes there have been waiting in GRBL's buffer
+	this.input = '';
+}
+util.inherits(FakePort, events.EventEmitter);
+
+FakePort.prototype.open = function(callback) {
+	this.opened = true;
+	setImmediate(callback, null);
+	this.respond(WELCOME + '\r\n');
+};
+
+FakePort.prototype.isOpen = function() {
+	return this.opened;
+};
+
+FakePort.prototype.close = function(callback) {
+	this.opened = false;
+	setImmediate(function() {
+		this.emit('close');
+		callback && callback();
+	}.bind(this));
+};
+
+FakePort.prototype.write = function(data, callback) {
+	data = Buffer.isBuffer(data) ? data.toString('binary') : data;
+	for(var i=0; i<data.length; i++) {
+		var c = data[i];
+		switch(c) {
+			case '?':
+				// (The report is made when it's sent, so that it's never older than the query)
+				setImmediate(function() {
+					this.respond('<' + this.state + '|' + this.position + this.fields + '>\r\n');
+				}.bind(this));
+				break;
+			case '!':
+				this.realtime.push(c);
+				if(this.state === 'Run') {
+					this.state = 'Hold:0';
+				}
+				break;
+			case '~':
+				this.realtime.push(c);
+				if(/^Hold/.test(this.state)) {
+					this.state = 'Run';
+				}
+				break;
+			case '\x18':
+				this.realtime.push(c);
+				this.waiting = [];
+				this.state = 'Idle';
+				this.respond('\r\n' + WELCOME + '\r\n');
+				break;
+			case '\n':
+				this.receive(this.input);
+				this.input = '';
+				break;
+			default:
+				if(c.charCodeAt(0) >= 0x80) {
+					this.realtime.push(c.charCodeAt(0));
+				} else {
+					this.input += c;
+				}
+				break;
+		}
+	}
+	setImmediate(callback || function() {});
+};
+
+FakePort.prototype.receive = function(line) {
+	this.lines.push(line);
+	this.waiting.push(line);
+	this.maxWaiting = Math.max(this.maxWaiting, this.waiting.reduce(function(total, line) {
+		return total + line.length + 1;
+	}, 0));
+	if(!this.holdAcks) {
+		this.ack(this.waiting.length);
+	}
+	this.emit('line', line);
+};
+
+// Answer the oldest lines waiting
+//   count - How many
+FakePort.prototype.ack = function(count) {
+	this.waiting.splice(0, count).forEach(function(line) {
+		if(line === '$$') {
+			this.respond(this.settings.join('\r\n') + '\r\n');
+		}
+		this.respond('ok\r\n');
+	}, this);
+};
+
+// Send a response, the way it would come back over USB (in pieces, some time later)
+FakePort.prototype.respond = function(data) {
+	setImmediate(function() {
+		var half = Math.floor(data.length/2);
+		this.emit('data', new Buffer(data.slice(0, half), 'binary'));
+		this.emit('data', new Buffer(data.slice(half), 'binary'));
+	}.bind(this));
+};
+
+// Lines to run:  Moves that are long enough that only a few fit in GRBL's buffer at once
+function moves(count) {
+	var lines = [];
+	for(var i=1; i<=count; i++) {
+		lines.push('G1 X' + i + '.0000 Y' + i + '.0000 F600');
+	}
+	return lines;
+}
+
+// Have GRBL go idle once it has been sent the provided number of lines (which ends the cycle, once they're acknowledged)
+function idleAfter(port, count) {
+	port.on('line', function() {
+		if(port.lines.length === count) {
+			port.state = 'Idle';
+		}
+	});
+}
+
+// Call the callback once the driver is in the provided state
+function waitForStat(grbl, stat, callback) {
+	var onStat = function(s) {
+		if(s === stat) {
+			grbl.removeListener('stat', onStat);
+			callback();
+		}
+	};
+	grbl.on('stat', onStat);
+}
+
+describe('GRBL', function() {
+	var port;
+	var grbl;
+
+	beforeEach(function(done) {
+		port = new FakePort();
+		grbl = new GRBL();
+		grbl._createPort = function(path) {
+			expect(path).to.equal('/dev/ttyACM0');
+			return port;
+		};
+		grbl.connect('/dev/ttyACM0', function(err, g) {
+			expect(err).to.equal(null);
+			expect(g).to.equal(grbl);
+			done();
+		});
+	});
+
+	afterEach(function() {
+		grbl.disconnect();
+	});
+
+	it('connects once GRBL has said hello, and reads its settings', function() {
+		expect(grbl.version).to.equal(WELCOME);
+		expect(port.lines).to.deep.equal(['$$']);
+		expect(grbl.settings).to.deep.equal({'$10' : 1, '$13' : 0, '$110' : 5000});
+		expect(grbl.status.stat).to.equal(driver.STAT_END);
+	});
+
+	describe('status reports', function() {
+		it('translates the state, position and feed rate', function(done) {
+			port.state = 'Run';
+			port.position = 'MPos:10.000,20.000,-1.000';
+			port.fields = '|FS:500,12000|WCO:5.000,0.000,-2.000|Ov:100,100,100|A:S';
+			grbl.requestStatusReport(function(status) {
+				expect(status.stat).to.equal(driver.STAT_RUNNING);
+				expect(status.hold).to.equal(0);
+				expect([status.mpox, status.mpoy, status.mpoz]).to.deep.equal([10, 20, -1]);
+				expect([status.posx, status.posy, status.posz]).to.deep.equal([5, 20, 1]);
+				expect(status.vel).to.equal(500);
+				expect(status.spc).to.equal(1);
+				expect(status.unit).to.equal('mm');
+				done();
+			});
+		});
+
+		it('reports work positions, and positions in inches, in the current units', function(done) {
+			port.position = 'MPos:25.400,50.800,0.000';
+			port.fields = '|FS:254,0|WCO:25.400,0.000,0.000';
+			grbl.setUnits('in', function() {
+				expect(port.lines[port.lines.length-1]).to.equal('G20');
+				var status = grbl.status;
+				expect(status.unit).to.equal('in');
+				expect(status.posx).to.equal(0);
+				expect(status.posy).to.be.closeTo(2, 1e-9);
+				// Machine positions are always in mm, like G2's
+				expect(status.mpoy).to.equal(50.8);
+				expect(status.vel).to.equal(10);
+				// With $10=0, GRBL reports work positions, and with $13=1 it reports inches
+				grbl.settings['$13'] = 1;
+				port.position = 'WPos:1.000,2.000,0.000';
+				port.fields = '|WCO:1.000,0.000,0.000|FS:0,0';
+				grbl.requestStatusReport(function(status) {
+					expect(status.posx).to.be.closeTo(1, 1e-9);
+					expect(status.posy).to.be.closeTo(2, 1e-9);
+					expect(status.mpox).to.be.closeTo(50.8, 1e-9);
+					expect(status.mpoy).to.be.closeTo(50.8, 1e-9);
+					done();
+				});
+			});
+		});
+
+		it('tells a feedhold that is stopping from one that has stopped', function(done) {
+			port.state = 'Hold:1';
+			grbl.requestStatusReport(function(status) {
+				expect(status.stat).to.equal(driver.STAT_HOLDING);
+				expect(status.hold).to.equal(1);
+				port.state = 'Hold:0';
+				grbl.requestStatusReport(function(status) {
+					expect(status.hold).to.equal(4);
+					port.state = 'Door:0';
+					grbl.requestStatusReport(function(status) {
+						expect(status.stat).to.equal(driver.STAT_HOLDING);
+						expect(status.hold).to.equal(4);
+						done();
+					});
+				});
+			});
+		});
+
+		it('reports a soft limit alarm with the G2 exception code for soft limits', function(done) {
+			port.state = 'Alarm';
+			port.respond('ALARM:2\r\n');
+			grbl.requestStatusReport(function(status) {
+				expect(status.stat).to.equal(driver.STAT_ALARM);
+				expect(grbl.getLastException()).to.deep.equal({st : 203, alarm : 2, msg : 'Soft limit: The move would leave the machine travel.'});
+				done();
+			});
+		});
+	});
+
+	describe('streaming', function() {
+		it('only sends as much as fits in GRBL\'s buffer, and more as each line is acknowledged', function(done) {
+			var lines = ['M100 ({xvm:5000})', 'G28.2 X0 Y0', '(Cut the outline)'].concat(moves(20));
+			port.holdAcks = true;
+			port.state = 'Run';
+			port.on('line', function() {
+				// Acknowledge the lines one at a time, as GRBL gets through them
+				setImmediate(function() {
+					port.ack(1);
+				});
+			});
+			grbl.runList(lines).then(function() {
+				expect(port.lines.slice(1)).to.deep.equal(['$H'].concat(moves(20)));
+				expect(port.maxWaiting).to.be.at.most(128);
+				expect(port.maxWaiting).to.be.above(100);
+				done();
+			});
+			idleAfter(port, 22);
+		});
+
+		it('calls back each command with GRBL\'s response', function(done) {
+			port.ack = function(count) {
+				this.waiting.splice(0, count).forEach(function(line) {
+					this.respond(line === 'G1 Q1' ? 'error:20\r\n' : 'ok\r\n');
+				}, this);
+			};
+			var errors = [];
+			grbl.on('error', function(err) {
+				errors.push(err);
+			});
+			grbl.command('G1 Q1', function(err) {
+				expect(err.message).to.equal('Unsupported or invalid g-code command found in block.');
+				expect(errors).to.deep.equal([[20, 'GRBL_ERROR', 'Unsupported or invalid g-code command found in block.']]);
+				grbl.command('G0 X1', function(err) {
+					expect(err).to.equal(null);
+					done();
+				});
+			});
+		});
+	});
+
+	describe('feedhold', function() {
+		it('stops sending g-codes in a feedhold, and picks up where it left off on resume', function(done) {
+			var sent;
+			port.holdAcks = true;
+			port.state = 'Run';
+			grbl.runList(moves(20)).then(function() {
+				expect(port.lines.slice(1)).to.deep.equal(moves(20));
+				done();
+			});
+			idleAfter(port, 21);
+			waitForStat(grbl, driver.STAT_RUNNING, function() {
+				grbl.feedHold();
+				expect(port.realtime).to.deep.equal(['!']);
+				waitForStat(grbl, driver.STAT_HOLDING, function() {
+					expect(grbl.status.hold).to.equal(4);
+					// GRBL finishes what it was sent, but no more is sent until the feedhold is over
+					sent = port.lines.length;
+					port.ack(port.waiting.length);
+					setTimeout(function() {
+						expect(port.lines.length).to.equal(sent);
+						port.holdAcks = false;
+						grbl.resume().then(function(stat) {
+							expect(stat).to.equal(driver.STAT_RUNNING);
+							expect(port.realtime).to.deep.equal(['!', '~']);
+						});
+					}, 50);
+				});
+			});
+		});
+
+		it('still sends commands in a feedhold', function(done) {
+			port.state = 'Run';
+			grbl.runList(moves(20));
+			waitForStat(grbl, driver.STAT_RUNNING, function() {
+				grbl.feedHold();
+				waitForStat(grbl, driver.STAT_HOLDING, function() {
+					var sent = port.lines.length;
+					grbl.command('M5', function(err) {
+						expect(port.lines.slice(sent)).to.deep.equal(['M5']);
+						grbl.quit();
+						done();
+					});
+				});
+			});
+		});
+	});
+});
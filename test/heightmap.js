@@ -0,0 +1,94 @@
+/*
+ * test/heightmap.js
+ *
+ * Tests for height maps (heightmap.js): the grid of points that is probed, and storing and loading the result
+ */
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var config = require('../config');
+var heightmap = require('../heightmap');
+
+var DATA_DIR = path.join(os.tmpdir(), 'fabmo-heightmap-test');
+
+// A stand-in for a configuration tree, with the provided values, that keeps the updates it is given
+function settings(values) {
+	return {
+		get : function(key) { return values[key]; },
+		setMany : function(data, callback) {
+			this.updates = (this.updates || []).concat([data]);
+			setImmediate(callback, null, data);
+		}
+	};
+}
+
+describe('Height maps', function() {
+	describe('getGrid', function() {
+		it('covers the rectangle, probing rows in alternating directions', function() {
+			expect(heightmap.getGrid(0, 0, 2, 1, 1)).to.deep.equal([
+				[0, 0], [1, 0], [2, 0],
+				[2, 1], [1, 1], [0, 1]
+			]);
+		});
+
+		it('starts from the lower left corner, whichever corners are given', function() {
+			var grid = heightmap.getGrid(0, 0, 2, 1, 1);
+			expect(heightmap.getGrid(2, 1, 0, 0, 1)).to.deep.equal(grid);
+			expect(heightmap.getGrid(2, 0, 0, 1, 1)).to.deep.equal(grid);
+			expect(heightmap.getGrid('0', '1', '2', '0', '1')).to.deep.equal(grid);
+		});
+
+		it('spaces the points more closely when the spacing does not divide the rectangle evenly', function() {
+			var grid = heightmap.getGrid(-1, 0, 9, 2.5, 3);
+			// 10 wide is 4 spaces of 2.5 (not 3 spaces of 3, which would fall short) and 2.5 tall is 1 space
+			expect(grid.slice(0, 5)).to.deep.equal([[-1, 0], [1.5, 0], [4, 0], [6.5, 0], [9, 0]]);
+			expect(grid.slice(5)).to.deep.equal([[9, 2.5], [6.5, 2.5], [4, 2.5], [1.5, 2.5], [-1, 2.5]]);
+		});
+
+		it('does not add a row for a rectangle that the spacing fits exactly', function() {
+			expect(heightmap.getGrid(0, 0, 0.3, 0.3, 0.1)).to.have.length(16);
+		});
+
+		it('rejects grids that are not valid', function() {
+			expect(function() { heightmap.getGrid(0, 0, 'ten', 10, 1); }).to.throw('Invalid probing grid: The corners and spacing must be numbers.');
+			expect(function() { heightmap.getGrid(0, 0, 10, 10, 0); }).to.throw('Invalid probing grid: The spacing must be more than 0.');
+			expect(function() { heightmap.getGrid(0, 0, 100, 100, 1); }).to.throw('Invalid probing grid: 10201 points is too many (The limit is 2500).  Use a larger spacing.');
+			expect(heightmap.getGrid(0, 0, 49, 49, 1)).to.have.length(heightmap.MAX_POINTS);
+		});
+	});
+
+	describe('save', function() {
+		var saved = {};
+
+		beforeEach(function() {
+			saved.getDataDir = config.getDataDir;
+			saved.opensbp = config.opensbp;
+			if(!fs.existsSync(DATA_DIR)) {
+				fs.mkdirSync(DATA_DIR);
+			}
+			config.getDataDir = function(name) { return DATA_DIR; };
+			config.opensbp = settings({});
+		});
+
+		afterEach(function() {
+			if(fs.existsSync(heightmap.getFile())) {
+				fs.unlinkSync(heightmap.getFile());
+			}
+			fs.rmdirSync(DATA_DIR);
+			config.getDataDir = saved.getDataDir;
+			config.opensbp = saved.opensbp;
+		});
+
+		it('stores the points for the leveler, and turns leveling on', function(done) {
+			heightmap.save([[0, 0, 0.1], [1, 0, -0.000001], [1.5, 1, 1/3]], 'in', function(err) {
+				expect(err).to.equal(null);
+				expect(fs.readFileSync(heightmap.getFile(), 'utf8')).to.equal('0 0 0.1\n1 0 0\n1.5 1 0.33333\n');
+				expect(config.opensbp.updates).to.deep.equal([{
+					transforms : {level : {apply : true, ptDataFile : heightmap.getFile(), units : 'in'}}
+				}]);
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,182 @@
+/*
+ * test/history.js
+ *
+ * Tests for exporting and importing the job history (history.js)
+ */
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Engine = require('tingodb')({memStore : true});
+var config = require('../config');
+var db = require('../db');
+var history = require('../history');
+
+var DATA_DIR = path.join(os.tmpdir(), 'fabmo-history-test');
+var GCODE = 'G21 G90\nG0 X10 Y10\nG1 X20 F600\nM30\n';
+
+// A stand-in for a configuration tree, with the provided values
+function settings(values) {
+	return {
+		get : function(key) { return values[key]; }
+	};
+}
+
+// Remove a directory and everything in it
+function removeDir(dir) {
+	if(!fs.existsSync(dir)) { return; }
+	fs.readdirSync(dir).forEach(function(file) {
+		var pth = path.join(dir, file);
+		if(fs.statSync(pth).isDirectory()) {
+			removeDir(pth);
+		} else {
+			fs.unlinkSync(pth);
+		}
+	});
+	fs.rmdirSync(dir);
+}
+
+// Switch to a new, empty database (a controller with no history)
+var count = 0;
+function newDatabase() {
+	count += 1;
+	db.useDB(new Engine.Db('fabmo-history-test-' + count, {}));
+}
+
+// Add a file and a job that ran it to the history
+function addJob(callback) {
+	var upload = path.join(DATA_DIR, 'upload.nc');
+	fs.writeFileSync(upload, GCODE);
+	db.File.add('sign.nc', upload, function(err, file) {
+		if(err) { return callback(err); }
+		var job = new db.Job({file_id : file._id, name : 'Sign, "big"', description : 'For the shop'});
+		job.state = 'finished';
+		job.user = 'ted';
+		job.created_at = 1499999990000;
+		job.started_at = 1500000000000;
+		job.finished_at = 1500000061000;
+		job.stats = {units : 'mm', time_in_state : {running : 61000}, spindle_time : 50000, cut_distance : 1234.5};
+		job.save(callback);
+	});
+}
+
+describe('Job history', function() {
+	var saved = {};
+
+	beforeEach(function() {
+		saved.getDataDir = config.getDataDir;
+		saved.engine = config.engine;
+		removeDir(DATA_DIR);
+		fs.mkdirSync(DATA_DIR);
+		fs.mkdirSync(path.join(DATA_DIR, 'files'));
+		config.getDataDir = function(name) {
+			return name ? path.join(DATA_DIR, name) : DATA_DIR;
+		};
+		config.engine = settings({upload_dir : DATA_DIR});
+		newDatabase();
+	});
+
+	afterEach(function() {
+		config.getDataDir = saved.getDataDir;
+		config.engine = saved.engine;
+		removeDir(DATA_DIR);
+	});
+
+	it('exports a record of each job', function(done) {
+		addJob(function(err, job) {
+			history.exportHistory({}, function(err, data) {
+				expect(err).to.equal(null);
+				expect(data.jobs).to.have.length(1);
+				var record = data.jobs[0];
+				expect(record.name).to.equal('Sign, "big"');
+				expect(record.file).to.equal('sign.nc');
+				expect(record.state).to.equal('finished');
+				expect(record.user).to.equal('ted');
+				expect(record.duration).to.equal(61);
+				expect(record.spindle_time).to.equal(50);
+				expect(record.job).to.not.have.property('_id');
+				expect(record).to.not.have.property('file_data');
+				expect(history.toCSV(data.jobs).split('\r\n')[1]).to.match(/^[^,]+,"Sign, ""big""",sign\.nc,finished,ted,2017-07-14T02:39:50.000Z,2017-07-14T02:40:00.000Z,2017-07-14T02:41:01.000Z,61,50,1234.5,mm,For the shop$/);
+				done();
+			});
+		});
+	});
+
+	it('filters the export by state', function(done) {
+		addJob(function(err, job) {
+			history.exportHistory({state : 'failed,cancelled'}, function(err, data) {
+				expect(data.jobs).to.have.length(0);
+				history.exportHistory({state : 'lost'}, function(err) {
+					expect(err.message).to.equal('Invalid state: lost (must be one of finished, cancelled, failed)');
+					done();
+				});
+			});
+		});
+	});
+
+	it('imports an export with its files on another controller', function(done) {
+		addJob(function(err, job) {
+			history.exportHistory({files : true}, function(err, data) {
+				var exported = JSON.parse(JSON.stringify(data));
+				newDatabase();
+				history.importHistory(exported, function(err, result) {
+					expect(err).to.equal(null);
+					expect(result).to.deep.equal({imported : 1, skipped : 0});
+					db.Job.findHistory({}, function(err, jobs) {
+						expect(jobs).to.have.length(1);
+						expect(jobs[0].name).to.equal('Sign, "big"');
+						expect(jobs[0].user).to.equal('ted');
+						expect(jobs[0].finished_at).to.equal(1500000061000);
+						expect(jobs[0].stats).to.deep.equal(job.stats);
+						db.File.getByID(jobs[0].file_id, function(err, file) {
+							expect(file.filename).to.equal('sign.nc');
+							expect(fs.readFileSync(file.path, 'utf8')).to.equal(GCODE);
+							// Importing the same export again doesn't duplicate the job
+							history.importHistory(exported, function(err, result) {
+								expect(result).to.deep.equal({imported : 0, skipped : 1});
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+
+	it('skips jobs whose file is not in the export or on this controller', function(done) {
+		addJob(function(err, job) {
+			history.exportHistory({}, function(err, data) {
+				newDatabase();
+				history.importHistory(data, function(err, result) {
+					expect(result).to.deep.equal({imported : 0, skipped : 1});
+					done();
+				});
+			});
+		});
+	});
+
+	it('rejects data that is not a history export', function(done) {
+		history.importHistory({name : 'sign.nc'}, function(err) {
+			expect(err.message).to.equal('Not a job history export: There is no list of jobs.');
+			history.importHistory(null, function(err) {
+				expect(err.message).to.equal('Not a job history export: There is no list of jobs.');
+				history.importHistory({jobs : 'sign.nc'}, function(err) {
+					expect(err.message).to.equal('Not a job history export: There is no list of jobs.');
+					done();
+				});
+			});
+		});
+	});
+
+	it('skips records that are not finished, cancelled or failed jobs', function(done) {
+		var data = {jobs : [null, {name : 'No job'}, {name : 'Pending', job : {name : 'Pending', state : 'pending'}, file_data : 'RzA='}]};
+		history.importHistory(data, function(err, result) {
+			expect(err).to.equal(null);
+			expect(result).to.deep.equal({imported : 0, skipped : 3});
+			db.Job.findHistory({}, function(err, jobs) {
+				expect(jobs).to.have.length(0);
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,267 @@
+/*
+ * test/inputs.js
+ *
+ * Tests for the input functions (inputs.js) and for the migration of the old input settings to input functions
+ * (config/machine_config.js)  Time is faked, so that debouncing and holding inputs can be tested without waiting.
+ */
+var expect = require('chai').expect;
+var sinon = require('sinon');
+var config = require('../config');
+var updater = require('../updater');
+var machine = require('../machine');
+var inputs = require('../inputs');
+var MachineConfig = require('../config/machine_config').MachineConfig;
+
+// A stand-in for the machine, that keeps track of what was asked of it
+function FakeMachine(state) {
+	this.status = {state : state};
+	this.calls = [];
+}
+
+['pause', 'resume', 'quit'].forEach(function(name) {
+	FakeMachine.prototype[name] = function(callback) {
+		this.calls.push(name);
+	};
+});
+
+FakeMachine.prototype.fire = function() {
+	this.calls.push('fire');
+};
+
+describe('Input functions', function() {
+	var saved = {};
+	var mappings;
+	var tool;
+	var clock;
+	var collapsed;
+
+	// Report the inputs (eg: {in2 : 1}) in a status report
+	function report(values) {
+		inputs.track(values, tool.status.state);
+	}
+
+	// Set up an input function, with no debounce time unless one is provided
+	function setMapping(mapping) {
+		mapping.debounce = mapping.debounce || 0;
+		inputs.setMapping(mapping, function(err) {
+			expect(err).to.equal(null);
+		});
+	}
+
+	beforeEach(function() {
+		saved.machine = config.machine;
+		saved.tool = machine.machine;
+		saved.APModeCollapse = updater.APModeCollapse;
+		clock = sinon.useFakeTimers('setTimeout', 'clearTimeout', 'Date');
+		mappings = {};
+		config.machine = {
+			get : function(key) { return key === 'inputs' ? mappings : undefined; },
+			update : function(data, callback) {
+				mappings = data.inputs;
+				callback(null, data);
+			}
+		};
+		tool = new FakeMachine('running');
+		machine.machine = tool;
+		collapsed = 0;
+		updater.APModeCollapse = function() { collapsed += 1; };
+	});
+
+	afterEach(function() {
+		// (Deleting the input functions forgets about their inputs)
+		Object.keys(mappings).forEach(function(id) {
+			inputs.deleteMapping(id, function() {});
+		});
+		clock.restore();
+		config.machine = saved.machine;
+		machine.machine = saved.tool;
+		updater.APModeCollapse = saved.APModeCollapse;
+	});
+
+	it('acts when an input becomes active, and not when it goes inactive', function() {
+		setMapping({id : 'pause_button', input : 3, action : 'pause'});
+		report({in3 : 0});
+		expect(tool.calls).to.deep.equal([]);
+		report({in3 : 1});
+		expect(tool.calls).to.deep.equal(['pause']);
+		report({in3 : 0});
+		report({in3 : 0});
+		expect(tool.calls).to.deep.equal(['pause']);
+	});
+
+	it('takes no action for the state an input is in when it is first reported', function() {
+		setMapping({id : 'pause_button', input : 3, action : 'pause'});
+		report({in3 : 1});
+		expect(tool.calls).to.deep.equal([]);
+		expect(inputs.getMappings()[0].active).to.equal(true);
+	});
+
+	it('only acts on changes that last for the debounce time', function() {
+		setMapping({id : 'pause_button', input : 3, action : 'pause', debounce : 50});
+		report({in3 : 0});
+		report({in3 : 1});
+		clock.tick(30);
+		report({in3 : 0});
+		clock.tick(100);
+		expect(tool.calls).to.deep.equal([]);
+		report({in3 : 1});
+		clock.tick(49);
+		expect(tool.calls).to.deep.equal([]);
+		clock.tick(1);
+		expect(tool.calls).to.deep.equal(['pause']);
+	});
+
+	it('treats an inverted input as active when it is off', function() {
+		setMapping({id : 'pause_button', input : 3, action : 'pause', polarity : 'inverted'});
+		report({in3 : 1});
+		report({in3 : 1});
+		expect(tool.calls).to.deep.equal([]);
+		report({in3 : 0});
+		expect(tool.calls).to.deep.equal(['pause']);
+	});
+
+	it('only acts on an input that is held for the hold time', function() {
+		setMapping({id : 'quit_button', input : 4, action : 'quit', hold : 2, states : ''});
+		report({in4 : 0});
+		report({in4 : 1});
+		clock.tick(1500);
+		report({in4 : 0});
+		clock.tick(1000);
+		expect(tool.calls).to.deep.equal([]);
+		report({in4 : 1});
+		clock.tick(1999);
+		expect(inputs.isActive('quit')).to.equal(false);
+		clock.tick(1);
+		expect(tool.calls).to.deep.equal(['quit']);
+		expect(inputs.isActive('quit')).to.equal(true);
+	});
+
+	it('only acts in the states of its state filter', function() {
+		setMapping({id : 'pause_button', input : 3, action : 'pause', states : 'paused'});
+		report({in3 : 0});
+		report({in3 : 1});
+		expect(tool.calls).to.deep.equal([]);
+	});
+
+	it('does not resume or quit right after a pause, in case of a double tap', function() {
+		setMapping({id : 'resume_button', input : 2, action : 'resume'});
+		report({});
+		tool.status.state = 'paused';
+		report({in2 : 0});
+		clock.tick(500);
+		report({in2 : 1});
+		report({in2 : 0});
+		expect(tool.calls).to.deep.equal([]);
+		clock.tick(500);
+		report({in2 : 1});
+		expect(tool.calls).to.deep.equal(['resume']);
+	});
+
+	it('quits, and is active (which keeps the machine from running) for as long as the e-stop is pressed', function() {
+		setMapping({id : 'estop', input : 5, action : 'estop', polarity : 'inverted'});
+		report({in5 : 1});
+		expect(inputs.isActive('estop')).to.equal(false);
+		report({in5 : 0});
+		expect(tool.calls).to.deep.equal(['quit']);
+		expect(inputs.isActive('estop')).to.equal(true);
+		expect(inputs.isActive('interlock')).to.equal(false);
+		report({in5 : 1});
+		expect(inputs.isActive('estop')).to.equal(false);
+	});
+
+	it('has nothing to quit when the e-stop is pressed while the machine is idle', function() {
+		setMapping({id : 'estop', input : 5, action : 'estop'});
+		tool.status.state = 'idle';
+		report({in5 : 0});
+		report({in5 : 1});
+		expect(tool.calls).to.deep.equal([]);
+		expect(inputs.isActive('estop')).to.equal(true);
+	});
+
+	it('only collapses to AP mode when the input is held, and not for the other functions of the input', function() {
+		setMapping({id : 'in2_start', input : 2, action : 'start', states : 'armed'});
+		setMapping({id : 'in2_ap_collapse', input : 2, action : 'ap_collapse', hold : 8});
+		tool.status.state = 'armed';
+		report({in2 : 0});
+		report({in2 : 1});
+		expect(tool.calls).to.deep.equal(['fire']);
+		clock.tick(1000);
+		report({in2 : 0});
+		clock.tick(10000);
+		expect(collapsed).to.equal(0);
+		report({in2 : 1});
+		clock.tick(8000);
+		expect(collapsed).to.equal(1);
+		expect(tool.calls).to.deep.equal(['fire', 'fire']);
+	});
+
+	it('rejects input functions that make no sense', function(done) {
+		inputs.setMapping({input : 2, action : 'explode'}, function(err) {
+			expect(err.message).to.equal('Invalid action: explode (must be one of ' + inputs.ACTIONS.join(', ') + ')');
+			inputs.setMapping({input : 0, action : 'pause'}, function(err) {
+				expect(err.message).to.equal('Invalid input: 0');
+				inputs.setMapping({input : 2, action : 'pause', polarity : 'upside down'}, function(err) {
+					expect(err.message).to.equal('Invalid polarity: upside down (must be one of normal, inverted)');
+					done();
+				});
+			});
+		});
+	});
+});
+
+describe('MachineConfig.migrateInputs', function() {
+	// A machine configuration with the provided values, that isn't loaded from (or saved to) a file
+	function machineConfig(values) {
+		var cfg = new MachineConfig();
+		cfg._cache = values;
+		return cfg;
+	}
+
+	it('turns the old input settings into input functions', function(done) {
+		var cfg = machineConfig({units : 'in', auth_input : 1, quit_input : 4, ap_input : 2, ap_time : 5, interlock_required : true, interlock_input : 3});
+		cfg.migrateInputs(function(err) {
+			expect(err).to.equal(null);
+			var mapping = function(input, action, states, hold) {
+				return {input : input, action : action, polarity : 'normal', debounce : inputs.DEBOUNCE, hold : hold || 0, states : states};
+			};
+			expect(cfg.get('inputs')).to.deep.equal({
+				in1_start : mapping(1, 'start', 'armed'),
+				in1_resume : mapping(1, 'resume', 'paused,interlock'),
+				in4_quit : mapping(4, 'quit', 'paused'),
+				in2_ap_collapse : mapping(2, 'ap_collapse', '', 5),
+				in3_interlock : mapping(3, 'interlock', '')
+			});
+			expect(Object.keys(cfg._cache).sort()).to.deep.equal(['inputs', 'units']);
+			done();
+		});
+	});
+
+	it('quits from a pause with an okay button that is also the quit button', function(done) {
+		var cfg = machineConfig({auth_input : 2, quit_input : 2, ap_input : 0});
+		cfg.migrateInputs(function(err) {
+			var inputs = cfg.get('inputs');
+			expect(Object.keys(inputs)).to.deep.equal(['in2_start', 'in2_quit', 'in2_resume']);
+			expect(inputs.in2_quit.states).to.equal('paused');
+			expect(inputs.in2_resume.states).to.equal('interlock');
+			done();
+		});
+	});
+
+	it('gives a new machine the input functions the default profile used to have', function(done) {
+		var cfg = machineConfig({});
+		cfg.migrateInputs(function(err) {
+			expect(Object.keys(cfg.get('inputs'))).to.deep.equal(['in2_start', 'in2_resume', 'in4_quit', 'in2_ap_collapse']);
+			expect(cfg.get('inputs').in2_ap_collapse.hold).to.equal(8);
+			done();
+		});
+	});
+
+	it('leaves input functions that are already set up alone', function(done) {
+		var existing = {in7_pause : {input : 7, action : 'pause', polarity : 'normal', debounce : 0, hold : 0, states : 'running'}};
+		var cfg = machineConfig({inputs : existing, auth_input : 3});
+		cfg.migrateInputs(function(err) {
+			expect(cfg.get('inputs')).to.equal(existing);
+			done();
+		});
+	});
+});
@@ -0,0 +1,132 @@
+/*
+ * test/leveling.js
+ *
+ * Tests for surface leveling of g-code files (leveling.js)
+ */
+var expect = require('chai').expect;
+var config = require('../config');
+var leveling = require('../leveling');
+var LevelingFilter = leveling.LevelingFilter;
+
+// A stand-in for a configuration tree, with the provided values
+function settings(values) {
+	return {
+		get : function(key) { return values[key]; }
+	};
+}
+
+// A stand-in for a Leveler: a surface that rises 1mm for every 100mm in X, from X=0 to X=100
+var slope = {
+	findHeight : function(x, y) {
+		if(x < 0 || x > 100) {
+			return false;
+		}
+		return x/100;
+	}
+};
+
+// Level the provided lines and return all the lines that replace them
+function level(filter, lines) {
+	var output = [];
+	lines.forEach(function(line) {
+		output.push.apply(output, filter._line(line));
+	});
+	return output;
+}
+
+describe('LevelingFilter', function() {
+	var filter;
+
+	beforeEach(function() {
+		filter = new LevelingFilter(slope, {units : 'mm', map_units : 'mm', resolution : 5});
+	});
+
+	it('passes on lines that are not moves', function() {
+		expect(level(filter, ['G21 G90', 'M3 S12000', '(a comment)'])).to.deep.equal(['G21 G90', 'M3 S12000', '(a comment)']);
+	});
+
+	it('levels the end of a move from an unknown position, but does not break it up', function() {
+		expect(level(filter, ['G21 G90', 'G0 X50 Y0 Z0'])).to.deep.equal(['G21 G90', 'G0 X50 Y0 Z0.5']);
+	});
+
+	it('breaks moves into segments that follow the surface', function() {
+		var output = level(filter, ['G21 G90', 'G0 X0 Y0 Z0', 'N4 G1 X10 F600']);
+		expect(output.slice(2)).to.deep.equal(['N4 G1 F600 X5 Y0 Z0.05', 'N4 X10 Y0 Z0.1']);
+	});
+
+	it('levels incremental moves', function() {
+		var output = level(filter, ['G21 G90', 'G0 X10 Y0 Z0', 'G91 G1 X10 F600']);
+		expect(output.slice(2)).to.deep.equal(['G1 G91 F600 X5 Y0 Z0.05', 'X5 Y0 Z0.05']);
+	});
+
+	it('turns arcs into straight segments, and restores the arc motion mode after them', function() {
+		var output = level(filter, ['G21 G90', 'G0 X10 Y0 Z0', 'G2 X20 Y0 I5 J0 F600', 'X30']);
+		// Clockwise half circle through (15,5)
+		var arc = output.slice(2, -1);
+		expect(arc.length).to.equal(4);
+		expect(arc[0]).to.match(/^G1 F600 X/);
+		expect(arc[1]).to.equal('X15 Y5 Z0.15');
+		expect(arc[3]).to.equal('X20 Y0 Z0.2');
+		expect(output[output.length-1]).to.equal('G2 X30');
+	});
+
+	it('converts inch g-code', function() {
+		var output = level(filter, ['G20 G90', 'G0 X2 Y0 Z0']);
+		// 2in is 50.8mm, which is 0.508mm up
+		expect(output[1]).to.equal('G0 X2 Y0 Z0.02');
+	});
+
+	it('works with a height map in inches', function() {
+		filter = new LevelingFilter(slope, {units : 'mm', map_units : 'in', resolution : 5});
+		// 50.8mm is 2in, which is 0.02in (0.508mm) up
+		expect(level(filter, ['G21 G90', 'G0 X50.8 Y0 Z0'])[1]).to.equal('G0 X50.8 Y0 Z0.508');
+	});
+
+	it('does not level moves outside of the height map', function() {
+		var output = level(filter, ['G21 G90', 'G0 X95 Y0 Z0', 'G1 X105 F600']);
+		expect(output.slice(2)).to.deep.equal(['G1 F600 X100 Y0 Z1', 'X105 Y0 Z0']);
+	});
+
+	it('forgets the position of axes that are set with G92', function() {
+		var output = level(filter, ['G21 G90', 'G0 X10 Y0 Z0', 'G92 X0', 'G91 G1 X10 F600']);
+		expect(output.slice(2)).to.deep.equal(['G92 X0', 'G91 G1 X10 F600']);
+	});
+
+	it('levels a file as a stream', function(done) {
+		var output = '';
+		filter.on('data', function(data) { output += data; });
+		filter.on('end', function() {
+			expect(output).to.equal('G21 G90\nG0 X0 Y0 Z0\nG1 F600 X5 Y0 Z0.05\nX10 Y0 Z0.1\nM30\n');
+			done();
+		});
+		filter.write('G21 G90\nG0 X0 Y0');
+		filter.write(' Z0\nG1 X10 F600\nM');
+		filter.end('30');
+	});
+});
+
+describe('leveling.isApplied', function() {
+	var saved;
+
+	beforeEach(function() {
+		saved = config.opensbp;
+		config.opensbp = settings({transforms : {level : {apply_gcode : true}}});
+	});
+
+	afterEach(function() {
+		config.opensbp = saved;
+	});
+
+	it('follows the configuration for jobs that do not say', function() {
+		expect(leveling.isApplied({level : null})).to.equal(true);
+		expect(leveling.isApplied(null)).to.equal(true);
+		config.opensbp = settings({transforms : {level : {apply_gcode : false}}});
+		expect(leveling.isApplied({})).to.equal(false);
+	});
+
+	it('follows the job when it says', function() {
+		expect(leveling.isApplied({level : false})).to.equal(false);
+		config.opensbp = settings({transforms : {level : {apply_gcode : false}}});
+		expect(leveling.isApplied({level : true})).to.equal(true);
+	});
+});
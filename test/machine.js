@@ -0,0 +1,89 @@
+/*
+ * test/machine.js
+ *
+ * Tests for the machine model (machine.js) that don't need a motion controller:  The machine is a stand-in with
+ * only the parts of a Machine that are being tested.
+ */
+var expect = require('chai').expect;
+var Machine = require('../machine').Machine;
+
+// A stand-in for the machine, with a driver that keeps the overrides it is sent
+function fakeMachine() {
+	var machine = {
+		status : {feed_override : 100, spindle_override : 100},
+		driver : {
+			overrides : [],
+			setOverrides : function(overrides) { this.overrides.push(overrides); }
+		},
+		statuses : 0,
+		emit : function(event) {
+			if(event === 'status') { this.statuses += 1; }
+		}
+	};
+	machine.setOverride = Machine.prototype.setOverride;
+	return machine;
+}
+
+describe('Machine', function() {
+	describe('setOverride', function() {
+		it('sends the overrides to the driver as factors, and reports them as percentages', function(done) {
+			var machine = fakeMachine();
+			machine.setOverride({feed : 50, spindle : '120'}, function(err, override) {
+				expect(err).to.equal(null);
+				expect(override).to.deep.equal({feed : 50, spindle : 120});
+				expect(machine.driver.overrides).to.deep.equal([{feed : 0.5, spindle : 1.2}]);
+				expect(machine.status.feed_override).to.equal(50);
+				expect(machine.status.spindle_override).to.equal(120);
+				expect(machine.statuses).to.equal(1);
+				done();
+			});
+		});
+
+		it('leaves an override that is not provided as it was', function(done) {
+			var machine = fakeMachine();
+			machine.status.spindle_override = 80;
+			machine.setOverride({feed : 150, spindle : ''}, function(err, override) {
+				expect(override).to.deep.equal({feed : 150, spindle : 80});
+				expect(machine.driver.overrides).to.deep.equal([{feed : 1.5, spindle : undefined}]);
+				done();
+			});
+		});
+
+		it('accepts overrides from 5 to 200 percent', function(done) {
+			var machine = fakeMachine();
+			machine.setOverride({feed : 5, spindle : 200}, function(err, override) {
+				expect(err).to.equal(null);
+				expect(override).to.deep.equal({feed : 5, spindle : 200});
+				done();
+			});
+		});
+
+		it('rejects overrides outside of 5 to 200 percent, without changing either one', function(done) {
+			var machine = fakeMachine();
+			machine.setOverride({feed : 4.9, spindle : 100}, function(err) {
+				expect(err.message).to.equal('The feed override must be a percentage between 5 and 200.');
+				machine.setOverride({feed : 100, spindle : 201}, function(err) {
+					expect(err.message).to.equal('The spindle override must be a percentage between 5 and 200.');
+					machine.setOverride({feed : 'fast'}, function(err) {
+						expect(err.message).to.equal('The feed override must be a percentage between 5 and 200.');
+						expect(machine.driver.overrides).to.deep.equal([]);
+						expect(machine.status.feed_override).to.equal(100);
+						done();
+					});
+				});
+			});
+		});
+
+		it('needs an override, and a motion controller to send it to', function(done) {
+			var machine = fakeMachine();
+			machine.setOverride({}, function(err) {
+				expect(err.message).to.equal('No feed or spindle override specified.');
+				machine.driver = null;
+				machine.setOverride({feed : 50}, function(err) {
+					expect(err.message).to.equal('Cannot set overrides: No connection to the motion controller.');
+					done();
+				});
+			});
+		});
+	});
+});
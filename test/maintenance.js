@@ -0,0 +1,168 @@
+/*
+ * test/maintenance.js
+ *
+ * Tests for the machine usage counters and maintenance reminders (maintenance.js)  Time is faked, so that hours of
+ * use go by in no time.
+ */
+var expect = require('chai').expect;
+var sinon = require('sinon');
+var config = require('../config');
+var machine = require('../machine');
+var maintenance = require('../maintenance');
+
+var HOUR = 3600000;
+var NOW = 1500000000000;
+
+// A stand-in for the instance configuration, with the provided values
+function instance(values) {
+	return {
+		get : function(key) { return values[key]; },
+		update : function(data, callback) {
+			for(var key in data) {
+				values[key] = data[key];
+			}
+			setImmediate(callback, null, data);
+		}
+	};
+}
+
+describe('Maintenance', function() {
+	var saved = {};
+	var clock;
+	var changes;
+	var usage;
+
+	beforeEach(function() {
+		saved.instance = config.instance;
+		saved.machine = machine.machine;
+		clock = sinon.useFakeTimers(NOW, 'Date');
+		changes = [];
+		machine.machine = {
+			emit : function(event, what) { changes.push(what); }
+		};
+		// Start counting from now, with a status report that doesn't count for anything
+		config.instance = instance({usage : {travel : {}, spindle_hours : 0, run_hours : 0, jobs : 0}});
+		maintenance.track({}, 'idle');
+		usage = {travel : {x : 1000}, spindle_hours : 10, run_hours : 12, jobs : 3};
+		config.instance = instance({usage : usage, maintenance : {}});
+	});
+
+	afterEach(function() {
+		clock.restore();
+		config.instance = saved.instance;
+		machine.machine = saved.machine;
+	});
+
+	describe('track', function() {
+		it('counts the hours that the spindle is on, and that the machine is running', function() {
+			maintenance.track({spc : 1}, 'running');
+			clock.tick(HOUR);
+			maintenance.track({spc : 0}, 'running');
+			clock.tick(HOUR/2);
+			maintenance.track({spc : 0}, 'idle');
+			clock.tick(HOUR);
+			maintenance.track({spc : 0}, 'idle');
+			expect(usage.spindle_hours).to.equal(11);
+			expect(usage.run_hours).to.equal(13.5);
+		});
+
+		it('counts the travel of each axis in mm, but only when the machine is moving', function() {
+			maintenance.track({unit : 'in', posx : 0, posy : 0, posa : 0, vel : 0}, 'running');
+			maintenance.track({unit : 'in', posx : 1, posy : -2, posa : 90, vel : 60}, 'running');
+			maintenance.track({unit : 'in', posx : 0, posy : -2, posa : 90, vel : 0}, 'running');
+			// Changing the work offset moves the position, but not the tool
+			maintenance.track({unit : 'in', posx : 5, posy : 5, posa : 90, vel : 0}, 'idle');
+			expect(usage.travel.x).to.be.closeTo(1000 + 2*25.4, 1e-9);
+			expect(usage.travel.y).to.be.closeTo(2*25.4, 1e-9);
+			expect(usage.travel.a).to.equal(90);
+		});
+	});
+
+	describe('tasks', function() {
+		// Add a task, and call back with the list of tasks
+		function addTask(task, callback) {
+			maintenance.setTask(task, function(err, tasks) {
+				expect(err).to.equal(null);
+				callback(tasks);
+			});
+		}
+
+		it('count from when they are added', function(done) {
+			addTask({name : 'Lubricate rails', component : 'rails', counter : 'spindle_hours', every : 40}, function(tasks) {
+				expect(tasks).to.deep.equal([{
+					id : 'lubricate_rails', name : 'Lubricate rails', component : 'rails', counter : 'spindle_hours', every : 40,
+					done_time : NOW, since : 0, remaining : 40, due : false
+				}]);
+				expect(changes).to.deep.equal(['maintenance']);
+				done();
+			});
+		});
+
+		it('come due once their counter has gone up enough, and tell the dashboard once', function(done) {
+			addTask({name : 'Check belts', counter : 'travel.x', every : 100}, function() {
+				changes = [];
+				maintenance.track({posx : 0, vel : 10}, 'running');
+				maintenance.track({posx : 60, vel : 10}, 'running');
+				maintenance.save(function(err) {
+					expect(maintenance.getTasks()[0].remaining).to.equal(40);
+					expect(changes).to.deep.equal([]);
+					maintenance.track({posx : 100, vel : 10}, 'running');
+					maintenance.save(function(err) {
+						expect(maintenance.getTasks()[0].due).to.equal(true);
+						maintenance.track({posx : 150, vel : 10}, 'running');
+						maintenance.save(function(err) {
+							expect(maintenance.getTasks()[0].since).to.equal(150);
+							expect(changes).to.deep.equal(['maintenance']);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('count from when they are acknowledged', function(done) {
+			addTask({name : 'Check belts', counter : 'jobs', every : 2}, function() {
+				maintenance.countJob();
+				maintenance.countJob();
+				expect(maintenance.getTasks()[0].due).to.equal(true);
+				clock.tick(HOUR);
+				maintenance.acknowledge('check_belts', function(err, tasks) {
+					expect(tasks[0].since).to.equal(0);
+					expect(tasks[0].due).to.equal(false);
+					expect(tasks[0].done_time).to.equal(NOW + HOUR);
+					done();
+				});
+			});
+		});
+
+		it('keep counting when they are changed, unless they count something else', function(done) {
+			addTask({name : 'Check belts', counter : 'jobs', every : 5}, function() {
+				maintenance.countJob();
+				addTask({id : 'check_belts', counter : 'jobs', every : 10}, function(tasks) {
+					expect(tasks[0].name).to.equal('Check belts');
+					expect(tasks[0].since).to.equal(1);
+					addTask({id : 'check_belts', counter : 'run_hours', every : 10}, function(tasks) {
+						expect(tasks[0].since).to.equal(0);
+						done();
+					});
+				});
+			});
+		});
+
+		it('that make no sense are rejected', function(done) {
+			maintenance.setTask({counter : 'jobs', every : 5}, function(err) {
+				expect(err.message).to.equal('A maintenance task needs a name.');
+				maintenance.setTask({name : 'Oil', counter : 'travel.q', every : 5}, function(err) {
+					expect(err.message).to.equal('Invalid counter: travel.q (must be one of ' + maintenance.COUNTERS.join(', ') + ')');
+					maintenance.setTask({name : 'Oil', counter : 'jobs', every : 0}, function(err) {
+						expect(err.message).to.equal('Invalid interval: 0');
+						maintenance.acknowledge('oil', function(err) {
+							expect(err.message).to.equal('No such maintenance task: oil');
+							done();
+						});
+					});
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,265 @@
+/*
+ * test/opensbp.js
+ *
+ * Tests for the OpenSBP runtime (runtime/opensbp/opensbp.js), which are run by simulating programs and looking at
+ * the g-codes that they produce.
+ */
+var expect = require('chai').expect;
+var config = require('../config');
+var SBPRuntime = require('../runtime/opensbp/opensbp').SBPRuntime;
+
+// A stand-in for a configuration tree, with the provided values
+function settings(values) {
+	return {
+		get : function(key) { return values[key]; },
+		getMany : function(keys) {
+			var retval = {};
+			keys.forEach(function(key) { retval[key] = values[key]; });
+			return retval;
+		},
+		setMany : function(data, callback) { callback(null, data); },
+		hasVariable : function(name) { return false; },
+		getVariable : function(name) { return undefined; },
+		setVariable : function(name, value, callback) { callback(); }
+	};
+}
+
+var TRANSFORMS = {};
+['level', 'rotate', 'shearx', 'sheary', 'scale', 'move', 'interpolate'].forEach(function(name) {
+	TRANSFORMS[name] = {apply : false};
+});
+
+// Simulate an OpenSBP program, and call the callback with the g-code lines it produces (without line numbers)
+//   lines - The lines of the program
+function simulate(lines, callback) {
+	var runtime = new SBPRuntime();
+	runtime.loadCommands(function() {});
+	runtime.simulateString(lines.join('\n') + '\n', function(err, gcode) {
+		if(err) {
+			return callback(err);
+		}
+		callback(null, gcode.split('\n').filter(Boolean).map(function(line) {
+			return line.replace(/^N\d+\s*/, '');
+		}));
+	});
+}
+
+// Return the moves (G0/G1) in the provided g-code lines, eg: ['X1', 'Y2']
+function moves(gcode) {
+	return gcode.filter(function(line) {
+		return /^G[01][A-Z]/.test(line);
+	}).map(function(line) {
+		return line.replace(/^G[01]/, '').replace(/F.*$/, '').replace(/\.?0+$/, '');
+	});
+}
+
+describe('SBPRuntime', function() {
+	var saved = {};
+
+	beforeEach(function() {
+		['opensbp', 'machine', 'driver', 'tools'].forEach(function(name) {
+			saved[name] = config[name];
+		});
+		config.opensbp = settings({units : 'in', movexy_speed : 1, movez_speed : 1, safeZpullUp : 0.5, transforms : TRANSFORMS});
+		config.machine = settings({units : 'in', envelope : {}});
+		config.driver = settings({xvm : 600, yvm : 600, zvm : 600});
+		config.tools = settings({current : 0});
+	});
+
+	afterEach(function() {
+		for(var name in saved) {
+			config[name] = saved[name];
+		}
+	});
+
+	it('reports the error that ends a program', function(done) {
+		simulate(['MX, 1', 'FAIL "Out of material"', 'MX, 2'], function(err) {
+			expect(err.message).to.equal('Out of material');
+			done();
+		});
+	});
+
+	describe('functions', function() {
+		it('are evaluated in expressions', function(done) {
+			simulate(['&x = ROUND(2.567, 1)', 'MX, &x', 'MY, LEN("abc") + PI() - PI', 'MZ, INT(-0.5)'], function(err, gcode) {
+				expect(err).to.equal(null);
+				expect(moves(gcode)).to.deep.equal(['X2.6', 'Y3', 'Z-1']);
+				done();
+			});
+		});
+
+		it('end the program when given an argument of the wrong type', function(done) {
+			simulate(['&s = "abc"', '&x = SIN(&s)', 'MX, 1'], function(err) {
+				expect(err.message).to.equal('Argument 1 of SIN() must be a number (got "abc")');
+				done();
+			});
+		});
+	});
+
+	describe('conditions', function() {
+		it('evaluate comparisons before OR', function(done) {
+			simulate(['&x = 1 = 2 OR 3 = 4', '&y = 1 = 2 OR 3 = 3', 'MX, &x + 1', 'MY, &y + 1'], function(err, gcode) {
+				expect(err).to.equal(null);
+				expect(moves(gcode)).to.deep.equal(['X1', 'Y2']);
+				done();
+			});
+		});
+
+		it('apply NOT to the comparison that follows, before AND', function(done) {
+			simulate([
+				'IF NOT 1 = 2 AND 2 = 2 THEN', 'MX, 1', 'ENDIF',
+				'IF NOT 1 = 1 AND 2 = 2 THEN', 'MY, 1', 'ENDIF',
+				'IF NOT (1 = 1 AND 2 = 3) THEN', 'MZ, 1', 'ENDIF'
+			], function(err, gcode) {
+				expect(err).to.equal(null);
+				expect(moves(gcode)).to.deep.equal(['X1', 'Z1']);
+				done();
+			});
+		});
+
+		it('evaluate AND before OR', function(done) {
+			simulate([
+				'IF 1 = 1 OR 1 = 2 AND 1 = 2 THEN', 'MX, 1', 'ENDIF',
+				'IF (1 = 1 OR 1 = 2) AND 1 = 2 THEN', 'MY, 1', 'ENDIF'
+			], function(err, gcode) {
+				expect(moves(gcode)).to.deep.equal(['X1']);
+				done();
+			});
+		});
+	});
+
+	describe('arrays', function() {
+		it('grow to fit an element that is assigned past the end', function(done) {
+			simulate(['&a[3] = 5', 'MX, LEN(&a)', 'MY, &a[3]', '&a[5][1] = 2', 'MZ, LEN(&a) + LEN(&a[5])'], function(err, gcode) {
+				expect(err).to.equal(null);
+				expect(moves(gcode)).to.deep.equal(['X4', 'Y5', 'Z8']);
+				done();
+			});
+		});
+
+		it('are copied when assigned to another variable', function(done) {
+			simulate(['&a[1] = 2', '&b = &a', '&b[1] = 3', 'MX, &a[1]', 'MY, &b[1]'], function(err, gcode) {
+				expect(moves(gcode)).to.deep.equal(['X2', 'Y3']);
+				done();
+			});
+		});
+
+		describe('that are not used correctly', function() {
+			var errors = {
+				'Variable &a[1] was used but not defined.' : ['&a[3] = 5', 'MX, &a[1]'],
+				'Variable &a[4] was used but not defined.' : ['&a[3] = 5', 'MX, &a[4]'],
+				'&s is not an array.' : ['&s = 5', 'MX, &s[0]'],
+				'&a[0] is not an array.' : ['&a[0] = 1', '&a[0][1] = 2'],
+				'Invalid index for &a: -1 (Must be a whole number, 0 or more)' : ['&a[-1] = 2']
+			};
+			Object.keys(errors).forEach(function(message) {
+				it('end the program: ' + message, function(done) {
+					simulate(errors[message], function(err) {
+						expect(err.message).to.equal(message);
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	describe('blocks', function() {
+		it('runs the IF part of an IF/ELSE/ENDIF when the condition is true', function(done) {
+			simulate(['IF 1 = 1 THEN', 'MX, 1', 'ELSE', 'MX, 2', 'ENDIF', 'MY, 3'], function(err, gcode) {
+				expect(err).to.equal(null);
+				expect(moves(gcode)).to.deep.equal(['X1', 'Y3']);
+				done();
+			});
+		});
+
+		it('runs the ELSE part of an IF/ELSE/ENDIF when the condition is false', function(done) {
+			simulate(['IF 1 = 2 THEN', 'MX, 1', 'ELSE', 'MX, 2', 'ENDIF', 'MY, 3'], function(err, gcode) {
+				expect(moves(gcode)).to.deep.equal(['X2', 'Y3']);
+				done();
+			});
+		});
+
+		it('skips an IF block with no ELSE when the condition is false', function(done) {
+			simulate(['IF 1 = 2 THEN', 'MX, 1', 'ENDIF', 'MY, 3'], function(err, gcode) {
+				expect(moves(gcode)).to.deep.equal(['Y3']);
+				done();
+			});
+		});
+
+		it('runs a WHILE loop until its condition is false', function(done) {
+			simulate(['&k = 0', 'WHILE &k < 3', '&k = &k + 1', 'MX, &k', 'WEND'], function(err, gcode) {
+				expect(moves(gcode)).to.deep.equal(['X1', 'X2', 'X3']);
+				done();
+			});
+		});
+
+		it('runs nested FOR loops, counting down with a negative STEP', function(done) {
+			simulate(['FOR &i = 3 TO 1 STEP -1', 'FOR &j = 1 TO 2', 'MX, &i', 'MY, &j', 'NEXT', 'NEXT &i'], function(err, gcode) {
+				expect(err).to.equal(null);
+				expect(moves(gcode)).to.deep.equal(['X3', 'Y1', 'Y2', 'X2', 'Y1', 'Y2', 'X1', 'Y1', 'Y2']);
+				done();
+			});
+		});
+
+		it('never runs the body of a FOR loop that is already past its limit', function(done) {
+			simulate(['FOR &i = 1 TO 0', 'MX, 5', 'NEXT', 'MY, 1'], function(err, gcode) {
+				expect(moves(gcode)).to.deep.equal(['Y1']);
+				done();
+			});
+		});
+
+		it('can GOTO out of a loop', function(done) {
+			simulate(['FOR &i = 1 TO 10', 'IF &i = 3 THEN GOTO out', 'MX, &i', 'NEXT', 'out:', 'MY, 9'], function(err, gcode) {
+				expect(moves(gcode)).to.deep.equal(['X1', 'X2', 'Y9']);
+				done();
+			});
+		});
+
+		describe('that are not matched', function() {
+			var errors = {
+				'IF without ENDIF on line 1' : ['IF 1 = 1 THEN', 'MX, 1'],
+				'ENDIF without IF on line 1' : ['ENDIF'],
+				'ELSE without IF on line 1' : ['ELSE'],
+				'WEND without WHILE on line 2' : ['MX, 1', 'WEND'],
+				'NEXT without FOR on line 3' : ['WHILE 1 = 1', 'MX, 1', 'NEXT'],
+				'FOR without NEXT on line 1' : ['FOR &i = 1 TO 2', 'MX, &i'],
+				'NEXT &j does not match FOR &i on line 2' : ['FOR &i = 1 TO 2', 'NEXT &j']
+			};
+			Object.keys(errors).forEach(function(message) {
+				it('are reported: ' + message, function(done) {
+					simulate(errors[message], function(err) {
+						expect(err.message).to.equal(message);
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	describe('named outputs', function() {
+		beforeEach(function() {
+			config.machine = settings({units : 'in', envelope : {}, outputs : {
+				dust_collector : {output : 2, description : 'Dust collector', on : 'job_start', off : 'job_end', on_delay : 0, off_delay : 10},
+				router : {output : 1, description : 'Router', on : '', off : '', on_delay : 0, off_delay : 0}
+			}});
+		});
+
+		it('are switched by SO in step with the moves, like numbered outputs', function(done) {
+			simulate(['SO, dust_collector, 1', 'MX, 1', 'SO, 3, 1', 'SO, router, 1', 'SO, dust_collector, 0'], function(err, gcode) {
+				expect(err).to.equal(null);
+				expect(gcode.filter(function(line) {
+					return !/^G[01]/.test(line);
+				})).to.deep.equal(['M100 ({out2:1})', 'M100 ({out3:1})', 'M3', 'M100 ({out2:0})', 'M30']);
+				expect(gcode[1]).to.match(/^G1X1\./);
+				done();
+			});
+		});
+
+		it('that do not exist end the program with an error', function(done) {
+			simulate(['SO, dust_collector, 1', 'SO, vacuum, 1', 'MX, 1'], function(err) {
+				expect(err.message).to.equal('SO: There is no output named vacuum.  (See the named outputs in the machine configuration)');
+				done();
+			});
+		});
+	});
+});
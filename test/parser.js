@@ -0,0 +1,67 @@
+/*
+ * test/parser.js
+ *
+ * Tests for the OpenSBP parser (runtime/opensbp/parser.js and sbp_parser.pegjs)
+ */
+var expect = require('chai').expect;
+var parser = require('../runtime/opensbp/parser');
+
+// Return the parsed condition of an IF ... THEN GOTO statement
+function condition(cmp) {
+	return parser.parse('IF ' + cmp + ' THEN GOTO done')[0].cmp;
+}
+
+// A comparison, as it appears in the parse tree
+function compare(left, op, right) {
+	return {left : left, op : op, right : right};
+}
+
+describe('Parsing conditions', function() {
+	it('binds comparisons more tightly than OR', function() {
+		expect(parser.parse('&x = 1 = 2 OR 3 = 4')[0].expr).to.deep.equal(
+			{left : compare(1, '=', 2), op : 'OR', right : compare(3, '=', 4)});
+	});
+
+	it('binds AND more tightly than OR', function() {
+		expect(condition('&a = 1 OR &b = 2 AND &c = 3')).to.deep.equal({
+			left : compare('&a', '=', 1),
+			op : 'OR',
+			right : {left : compare('&b', '=', 2), op : 'AND', right : compare('&c', '=', 3)}
+		});
+	});
+
+	it('binds NOT more tightly than AND, but less tightly than a comparison', function() {
+		expect(condition('NOT &a = 1 AND &b = 2')).to.deep.equal({
+			left : {op : 'NOT', right : compare('&a', '=', 1)},
+			op : 'AND',
+			right : compare('&b', '=', 2)
+		});
+	});
+
+	it('applies NOT to a condition in parentheses', function() {
+		expect(condition('NOT (&a = 1 OR &b = 2)')).to.deep.equal({
+			op : 'NOT',
+			right : {left : compare('&a', '=', 1), op : 'OR', right : compare('&b', '=', 2)}
+		});
+	});
+
+	it('groups a chain of ANDs from the left', function() {
+		expect(condition('&a = 1 AND &b = 2 AND &c = 3')).to.deep.equal({
+			left : {left : compare('&a', '=', 1), op : 'AND', right : compare('&b', '=', 2)},
+			op : 'AND',
+			right : compare('&c', '=', 3)
+		});
+	});
+});
+
+describe('Parsing array variables', function() {
+	it('parses an element as a variable with a list of subscripts', function() {
+		expect(parser.parse('&x = &points[&i + 1][2]')[0].expr).to.deep.equal(
+			{op : 'index', name : '&points', index : [{left : '&i', op : '+', right : 1}, 2]});
+	});
+
+	it('parses an assignment to an element', function() {
+		expect(parser.parse('&points[3] = 5')[0]).to.deep.equal(
+			{type : 'assign', var : {op : 'index', name : '&points', index : [3]}, expr : 5});
+	});
+});
@@ -0,0 +1,111 @@
+/*
+ * test/resume.js
+ *
+ * Tests for resuming a job part way through a file (resume.js)
+ */
+var expect = require('chai').expect;
+var config = require('../config');
+var resume = require('../resume');
+var ResumeState = resume.ResumeState;
+var ResumeFilter = resume.ResumeFilter;
+
+// A stand-in for a configuration tree, with the provided values
+function settings(values) {
+	return {
+		get : function(key) { return values[key]; }
+	};
+}
+
+// Return a ResumeState that has followed the provided lines
+function follow(lines) {
+	var state = new ResumeState('mm');
+	lines.forEach(function(line) {
+		state.update(line);
+	});
+	return state;
+}
+
+describe('ResumeState', function() {
+	var saved = {};
+
+	beforeEach(function() {
+		saved.machine = config.machine;
+		saved.opensbp = config.opensbp;
+		config.machine = settings({units : 'mm'});
+		config.opensbp = settings({safeZpullUp : 10});
+	});
+
+	afterEach(function() {
+		config.machine = saved.machine;
+		config.opensbp = saved.opensbp;
+	});
+
+	it('retracts before starting the spindle, then approaches and feeds down', function() {
+		var state = follow(['G21 G90 G55', 'M3 S12000', 'G0 X10 Y20 Z5', 'G1 Z-2 F300', 'G1 X30']);
+		expect(state.getPreamble()).to.deep.equal([
+			'G21', 'G55', 'G90',
+			'G0 Z10',
+			'M3 S12000', 'G4 P3',
+			'G0 X30 Y20',
+			'G1 Z-2 F300'
+		]);
+	});
+
+	it('does not start a spindle that was off', function() {
+		var state = follow(['G21 G90', 'M3 S12000', 'G0 X10 Y20 Z5', 'M5', 'G1 Z-2 F300']);
+		var preamble = state.getPreamble();
+		expect(preamble).to.not.include('G4 P3');
+		expect(preamble.some(function(line) { return /^M[34]/.test(line); })).to.equal(false);
+	});
+
+	it('retracts to the resume height if it is above the safe height', function() {
+		var state = follow(['G21 G90', 'G0 X1 Y1 Z15']);
+		expect(state.getPreamble()).to.deep.equal(['G21', 'G90', 'G0 Z15', 'G0 X1 Y1']);
+	});
+
+	it('restores incremental mode after the approach', function() {
+		var state = follow(['G21 G90', 'G0 X1 Y1 Z0', 'G91 G1 X1 F100']);
+		var preamble = state.getPreamble();
+		expect(preamble[preamble.length-1]).to.equal('G91');
+		expect(preamble).to.include('G0 X2 Y1');
+	});
+});
+
+describe('ResumeFilter', function() {
+	var saved = {};
+
+	beforeEach(function() {
+		saved.machine = config.machine;
+		saved.opensbp = config.opensbp;
+		config.machine = settings({units : 'mm'});
+		config.opensbp = settings({safeZpullUp : 10});
+	});
+
+	afterEach(function() {
+		config.machine = saved.machine;
+		config.opensbp = saved.opensbp;
+	});
+
+	it('replaces the lines before the start line with the preamble, and numbers the rest', function(done) {
+		var filter = new ResumeFilter(3);
+		var output = '';
+		filter.on('data', function(data) { output += data; });
+		filter.on('end', function() {
+			expect(output).to.equal('N3 G21\nN3 G90\nN3 G0 Z10\nN3 G0 X5 Y0\nN3 F100\nN3 G1 X10\nN4 M30\n');
+			done();
+		});
+		filter.end('G21 G90\nG1 X5 Y0 F100\nG1 X10\nM30');
+	});
+
+	it('fails if the file never reaches the start line', function(done) {
+		var filter = new ResumeFilter(10);
+		filter.on('data', function() {
+			done(new Error('Nothing should be passed on'));
+		});
+		filter.on('error', function(err) {
+			expect(err.message).to.equal('Cannot resume: Line 10 is never reached.');
+			done();
+		});
+		filter.end('G21 G90\nG1 X5 Y0 F100\nM30\n');
+	});
+});
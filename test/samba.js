@@ -0,0 +1,251 @@
+/*
+ * test/samba.js
+ *
+ * Tests for the SAM-BA monitor protocol (samba.js) against a fake serial port that acts like the monitor in the ROM
+ * of a SAM3X8E.
+ */
+var expect = require('chai').expect;
+var events = require('events');
+var util = require('util');
+var SamBA = require('../samba').SamBA;
+
+var FLASH = 0x80000;
+var FLASH_SIZE = 512*1024;
+var EEFC = [0x400E0A00, 0x400E0C00];
+var CHIPID_CIDR = 0x400E0940;
+var RSTC_CR = 0x400E1A00;
+
+// A fake serial port with the SAM-BA monitor (in binary mode) on the other end
+function FakePort() {
+	events.EventEmitter.call(this);
+	this.flash = new Buffer(FLASH_SIZE);
+	this.flash.fill(0x55);
+	this.latch = {};           // Words written to the flash address space, waiting for a write page command
+	this.gpnvm = 0;
+	this.reset = null;
+	this.commands = [];
+	this.input = '';
+}
+util.inherits(FakePort, events.EventEmitter);
+
+FakePort.prototype.write = function(data, callback) {
+	this.input += data.toString('binary');
+	var end;
+	while((end = this.input.indexOf('#')) >= 0) {
+		var command = this.input.slice(0, end);
+		this.input = this.input.slice(end + 1);
+		this.commands.push(command);
+		this.execute(command);
+	}
+	setImmediate(callback || function() {});
+};
+
+// Send a response, the way it would come back over USB (in pieces, some time later)
+FakePort.prototype.respond = function(data) {
+	setImmediate(function() {
+		var half = Math.floor(data.length/2);
+		this.emit('data', data.slice(0, half));
+		this.emit('data', data.slice(half));
+	}.bind(this));
+};
+
+FakePort.prototype.readWord = function(addr) {
+	if(addr === CHIPID_CIDR) {
+		return 0x285e0a61;
+	}
+	if(addr === EEFC[0] + 8 || addr === EEFC[1] + 8) {
+		return 1;   // Flash ready
+	}
+	if(addr >= FLASH && addr < FLASH + FLASH_SIZE) {
+		return this.flash.readUInt32LE(addr - FLASH);
+	}
+	return 0;
+};
+
+FakePort.prototype.execute = function(command) {
+	var args = command.slice(1).split(',').map(function(arg) {
+		return parseInt(arg, 16);
+	});
+	switch(command[0]) {
+		case 'N':
+			this.respond(new Buffer('\n\r'));
+			break;
+		case 'V':
+			this.respond(new Buffer('v1.1 Dec 15 2010 19:25:04\n\r'));
+			break;
+		case 'w':
+			var word = new Buffer(4);
+			word.writeUInt32LE(this.readWord(args[0]) >>> 0, 0);
+			this.respond(word);
+			break;
+		case 'R':
+			this.respond(this.flash.slice(args[0] - FLASH, args[0] - FLASH + args[1]));
+			break;
+		case 'W':
+			this.writeWord(args[0], args[1] >>> 0);
+			break;
+	}
+};
+
+FakePort.prototype.writeWord = function(addr, value) {
+	if(addr >= FLASH && addr < FLASH + FLASH_SIZE) {
+		this.latch[addr] = value;
+		return;
+	}
+	if(addr === RSTC_CR) {
+		this.reset = value;
+		return;
+	}
+	var plane = EEFC.map(function(base) { return base + 4; }).indexOf(addr);
+	if(plane < 0 || (value >>> 24) !== 0x5A) {
+		return;
+	}
+	var cmd = value & 0xff;
+	var arg = (value >> 8) & 0xffff;
+	switch(cmd) {
+		case 0x01:
+			// Write page
+			var base = FLASH + (plane*1024 + arg)*256;
+			for(var i=0; i<256; i+=4) {
+				if((base + i) in this.latch) {
+					this.flash.writeUInt32LE(this.latch[base + i], base + i - FLASH);
+				}
+			}
+			this.latch = {};
+			break;
+		case 0x05:
+			// Erase all
+			this.flash.fill(0xff, plane*FLASH_SIZE/2, (plane + 1)*FLASH_SIZE/2);
+			break;
+		case 0x0B:
+			// Set GPNVM bit
+			this.gpnvm |= 1 << arg;
+			break;
+	}
+};
+
+// A firmware image of the specified size
+function image(size) {
+	var data = new Buffer(size);
+	for(var i=0; i<size; i++) {
+		data[i] = (i*7) & 0xff;
+	}
+	return data;
+}
+
+describe('SamBA', function() {
+	var port;
+	var samba;
+
+	beforeEach(function() {
+		port = new FakePort();
+		samba = new SamBA(port);
+	});
+
+	afterEach(function() {
+		samba.close();
+	});
+
+	it('identifies the chip', function(done) {
+		samba.init(function(err, chip) {
+			expect(err).to.equal(null);
+			expect(chip.name).to.equal('ATSAM3X8E');
+			expect(chip.version).to.equal('v1.1 Dec 15 2010 19:25:04');
+			expect(port.commands.slice(0, 2)).to.deep.equal(['N', 'V']);
+			done();
+		});
+	});
+
+	it('rejects a chip it does not know', function(done) {
+		port.readWord = function() { return 0x12345678; };
+		samba.init(function(err) {
+			expect(err.message).to.match(/Unsupported chip/);
+			done();
+		});
+	});
+
+	it('reads and writes words', function(done) {
+		samba.init(function() {
+			samba.writeWord(FLASH + 8, 0xDEADBEEF, function(err) {
+				expect(err).to.equal(null);
+				expect(port.commands[port.commands.length-1]).to.equal('W00080008,DEADBEEF');
+				samba.readWord(CHIPID_CIDR, function(err, value) {
+					expect(value).to.equal(0x285e0a61);
+					done();
+				});
+			});
+		});
+	});
+
+	it('reads blocks of memory, working around the monitor bug with power of 2 sizes', function(done) {
+		image(256).copy(port.flash);
+		samba.init(function() {
+			samba.read(FLASH, 256, function(err, data) {
+				expect(err).to.equal(null);
+				expect(data.equals(image(256))).to.equal(true);
+				expect(port.commands.slice(-2)).to.deep.equal(['R00080000,000000FF', 'R000800FF,00000001']);
+				done();
+			});
+		});
+	});
+
+	it('writes, verifies and boots from the flash', function(done) {
+		var data = image(1000);
+		var progress = {};
+		samba.on('progress', function(p) { progress[p.stage] = p; });
+		samba.init(function() {
+			samba.flash(data, function(err) {
+				expect(err).to.equal(null);
+				expect(port.flash.slice(0, data.length).equals(data)).to.equal(true);
+				// The last page is padded like erased flash
+				expect(port.flash[data.length]).to.equal(0xff);
+				expect(progress.write).to.deep.equal({stage : 'write', done : 4, total : 4});
+				expect(progress.verify).to.deep.equal({stage : 'verify', done : 4, total : 4});
+				expect(port.gpnvm).to.equal(2);
+				done();
+			});
+		});
+	});
+
+	it('reports a page that does not verify', function(done) {
+		var writeWord = port.writeWord;
+		port.writeWord = function(addr, value) {
+			writeWord.call(this, addr, addr === FLASH + 0x100 ? 0 : value);
+		};
+		samba.init(function() {
+			samba.flash(image(1000), function(err) {
+				expect(err.message).to.equal('Verify failed at page 1 (0x00080100)');
+				expect(port.gpnvm).to.equal(0);
+				done();
+			});
+		});
+	});
+
+	it('will not write firmware that does not fit', function(done) {
+		samba.init(function() {
+			samba.flash(new Buffer(FLASH_SIZE + 4), function(err) {
+				expect(err.message).to.match(/does not fit/);
+				done();
+			});
+		});
+	});
+
+	it('resets the chip to run the new firmware', function(done) {
+		samba.init(function() {
+			samba.reset(function(err) {
+				expect(err).to.equal(null);
+				expect(port.reset).to.equal(0xA500000D);
+				done();
+			});
+		});
+	});
+
+	it('times out when the monitor does not answer', function(done) {
+		this.timeout(5000);
+		port.execute = function() {};
+		samba.init(function(err) {
+			expect(err.message).to.equal('No response from the SAM-BA monitor to N#');
+			done();
+		});
+	});
+});
@@ -0,0 +1,178 @@
+/*
+ * test/tools.js
+ *
+ * Tests for the tool table (config/tool_config.js) and the tool change workflow (tools.js)
+ */
+var expect = require('chai').expect;
+var stream = require('stream');
+var config = require('../config');
+var tools = require('../tools');
+var ToolConfig = require('../config/tool_config').ToolConfig;
+
+// A tool table with the provided values, that isn't loaded from (or saved to) a file
+function toolTable(values) {
+	var table = new ToolConfig();
+	table._cache = values;
+	return table;
+}
+
+// Run g-code through a tool change filter, finishing each tool change with the codes from getChangeCodes
+// Call back with the output, and the tool changes
+function filter(gcode, units, tool, callback) {
+	var f = new tools.ToolChangeFilter(units, tool);
+	var output = '';
+	var changes = [];
+	f.on('toolchange', function(change) {
+		changes.push(change);
+		setImmediate(function() {
+			f.release(tools.getChangeCodes(change.tool, f.units));
+		});
+	});
+	f.on('data', function(data) { output += data; });
+	f.on('end', function() { callback(output.split('\n'), changes); });
+	var input = new stream.Readable();
+	input.push(gcode);
+	input.push(null);
+	input.pipe(f);
+}
+
+describe('Tools', function() {
+	var saved = {};
+
+	beforeEach(function() {
+		saved.tools = config.tools;
+		config.tools = toolTable({
+			units : 'in',
+			current : 1,
+			macro : null,
+			tools : {
+				1 : {number : 1, name : 'Reference', diameter : 0.25, length : 0},
+				2 : {number : 2, name : '1/8 in. Ball Nose', diameter : 0.125, length : 0.5},
+				3 : {number : 3, name : 'Short', diameter : 0.5, length : -0.25}
+			}
+		});
+	});
+
+	afterEach(function() {
+		config.tools = saved.tools;
+	});
+
+	describe('tool table', function() {
+		it('gives length offsets in the units asked for', function() {
+			expect(config.tools.getLengthOffset(2)).to.equal(0.5);
+			expect(config.tools.getLengthOffset(2, 'in')).to.equal(0.5);
+			expect(config.tools.getLengthOffset(2, 'mm')).to.equal(12.7);
+			expect(config.tools.getLengthOffset(9, 'mm')).to.equal(0);
+		});
+
+		it('converts the tools when the units change', function(done) {
+			config.tools.update({units : 'mm'}, function(err) {
+				expect(err).to.equal(null);
+				expect(config.tools.getTool(2).length).to.equal(12.7);
+				expect(config.tools.getTool(2).diameter).to.equal(3.18);
+				expect(config.tools.getLengthOffset(3, 'in')).to.be.closeTo(-0.25, 0.001);
+				done();
+			});
+		});
+
+		it('rejects tools that are not valid', function(done) {
+			config.tools.setTool(0, {name : 'None'}, function(err) {
+				expect(err.message).to.equal('Invalid tool number: 0 (Tool numbers are whole numbers, 1 or more)');
+				config.tools.setTool(4, {diameter : -1}, function(err) {
+					expect(err.message).to.equal('Invalid diameter for tool 4: -1');
+					config.tools.setTool(4, {length : -1}, function(err, tool) {
+						expect(err).to.equal(null);
+						expect(tool).to.deep.equal({number : 4, name : 'Tool 4', diameter : 0, length : -1, feedrate : null, plunge_rate : null, spindle_speed : null});
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	describe('getOffsetCode', function() {
+		it('applies the length offset of a tool in the current units, or cancels it', function() {
+			expect(tools.getOffsetCode(2, 'in')).to.equal('G43.1 Z0.5');
+			expect(tools.getOffsetCode(2, 'mm')).to.equal('G43.1 Z12.7');
+			expect(tools.getOffsetCode(3, 'mm')).to.equal('G43.1 Z-6.35');
+			expect(tools.getOffsetCode(1, 'mm')).to.equal('G49');
+			expect(tools.getOffsetCode(9, 'in')).to.equal('G49');
+		});
+	});
+
+	describe('getPrompt', function() {
+		it('asks for the tool, noting a tool that is not in the table', function() {
+			expect(tools.getPrompt(2)).to.equal('Install tool 2 (1/8 in. Ball Nose, 0.125 in), then press Resume to continue.');
+			expect(tools.getPrompt(9)).to.equal('Install tool 9, then press Resume to continue.  (Tool 9 is not in the tool table, so no length offset will be applied.)');
+			expect(tools.getPrompt(0)).to.equal('Remove the tool from the spindle, then press Resume to continue.');
+		});
+	});
+
+	describe('recordMeasurement', function() {
+		it('measures tools relative to where the reference tool touched the plate', function(done) {
+			config.tools._cache.reference_tool = 1;
+			config.tools._cache.reference_z = null;
+			tools.recordMeasurement(2, -50, function(err) {
+				expect(err.message).to.equal("Can't measure the length of tool 2: Measure the reference tool (tool 1) first.");
+				tools.recordMeasurement(1, -50, function(err, offset) {
+					expect(err).to.equal(null);
+					expect(offset).to.equal(0);
+					expect(config.tools.get('reference_z')).to.equal(-50);
+					// The plate is touched in mm, and the tool table is in inches
+					tools.recordMeasurement(2, -37.3, function(err, offset) {
+						expect(offset).to.equal(0.5);
+						tools.recordMeasurement(3, -56.35, function(err, offset) {
+							expect(offset).to.equal(-0.25);
+							expect(config.tools.getTool(3)).to.deep.equal({number : 3, name : 'Short', diameter : 0.5, length : -0.25, feedrate : null, plunge_rate : null, spindle_speed : null});
+							expect(tools.getOffsetCode(3, 'mm')).to.equal('G43.1 Z-6.35');
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('gives offsets in mm for a tool table in mm, and adds a tool that is not in the table', function(done) {
+			config.tools._cache.units = 'mm';
+			config.tools._cache.reference_tool = 1;
+			config.tools._cache.reference_z = -50;
+			tools.recordMeasurement(7, -62.347, function(err, offset) {
+				expect(offset).to.equal(-12.35);
+				expect(config.tools.getTool(7).name).to.equal('Tool 7');
+				expect(config.tools.getLengthOffset(7, 'in')).to.be.closeTo(-0.486, 0.001);
+				done();
+			});
+		});
+
+		it('needs a tool in the spindle', function(done) {
+			tools.recordMeasurement(0, -50, function(err) {
+				expect(err.message).to.equal("Can't measure the tool length: There is no tool in the spindle.");
+				done();
+			});
+		});
+	});
+
+	describe('ToolChangeFilter', function() {
+		it('holds the file at each tool change, and applies the offset of the new tool in the units in effect', function(done) {
+			var gcode = 'N1 G20\nN2 G0 X1\nN3 T2 M6\nN4 G21\nN5 G1 X2\nN6 M6 T3 (Short)\nN7 M30\n';
+			filter(gcode, 'mm', 1, function(lines, changes) {
+				expect(changes).to.deep.equal([{line : 3, tool : 2}, {line : 6, tool : 3}]);
+				expect(lines).to.deep.equal([
+					'G49',
+					'N1 G20', 'N2 G0 X1', 'N3', 'N3 G43.1 Z0.5',
+					'N4 G21', 'N5 G1 X2', 'N6', 'N6 G43.1 Z-6.35',
+					'N7 M30', ''
+				]);
+				done();
+			});
+		});
+
+		it('ignores an M6 with no tool selected', function(done) {
+			filter('G0 X1\nM6\nG0 X2\n', 'in', null, function(lines, changes) {
+				expect(changes).to.deep.equal([]);
+				expect(lines).to.deep.equal(['G0 X1', 'M6', 'G0 X2', '']);
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,167 @@
+/*
+ * test/transform.js
+ *
+ * Tests for the coordinate transformations of g-code jobs (transform.js)
+ */
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var config = require('../config');
+var transform = require('../transform');
+
+// A stand-in for a configuration tree, with the provided values
+function settings(values) {
+	return {
+		get : function(key) { return values[key]; }
+	};
+}
+
+// Transform the provided lines and return the result
+//   transformation - The transformations (see transform.normalize)
+//          options - Options for the TransformFilter (units default to mm)
+function run(transformation, lines, options) {
+	var filter = new transform.TransformFilter(transform.normalize(transformation), options || {units : 'mm'});
+	return lines.map(function(line) {
+		return filter._line(line);
+	});
+}
+
+describe('transform', function() {
+	var saved;
+
+	beforeEach(function() {
+		saved = config.machine;
+		config.machine = settings({units : 'mm'});
+	});
+
+	afterEach(function() {
+		config.machine = saved;
+	});
+
+	describe('normalize', function() {
+		it('fills in the parameters that are left out', function() {
+			expect(transform.normalize({move : {x : 1}})).to.deep.equal({units : 'mm', move : {x : 1, y : 0, z : 0}});
+		});
+
+		it('reads JSON', function() {
+			expect(transform.normalize('{"units":"in","rotate":{"angle":"90"}}')).to.deep.equal({units : 'in', rotate : {angle : 90, x : 0, y : 0}});
+		});
+
+		it('rejects transformations it does not know', function() {
+			expect(function() { transform.normalize({bogus : {}}); }).to.throw(/Unknown transformation 'bogus'/);
+		});
+
+		it('rejects parameters that are not numbers', function() {
+			expect(function() { transform.normalize({move : {x : 'far'}}); }).to.throw(/move x must be a number/);
+		});
+
+		it('rejects arrays that are not whole rows and columns', function() {
+			expect(function() { transform.normalize({array : {columns : 1.5}}); }).to.throw(/whole numbers/);
+			expect(function() { transform.normalize({array : {columns : 100, rows : 100}}); }).to.throw(/too many/);
+		});
+	});
+
+	describe('getCopies', function() {
+		it('cuts the rows of an array in alternating directions', function() {
+			var copies = transform.getCopies(transform.normalize({array : {columns : 3, rows : 2, x : 10, y : 5}}));
+			expect(copies).to.deep.equal([{x : 0, y : 0}, {x : 10, y : 0}, {x : 20, y : 0}, {x : 20, y : 5}, {x : 10, y : 5}, {x : 0, y : 5}]);
+		});
+	});
+
+	describe('normalizeArray', function() {
+		it('takes a list of offsets', function() {
+			var array = transform.normalizeArray({units : 'in', offsets : [[1, 2], {x : 3, y : 4}]});
+			expect(array).to.deep.equal({units : 'in', offsets : [{x : 1, y : 2}, {x : 3, y : 4}]});
+		});
+
+		it('takes a grid', function() {
+			var array = transform.normalizeArray({columns : 2, rows : 1, x : 10, y : 0});
+			expect(array).to.deep.equal({units : 'mm', offsets : [{x : 0, y : 0}, {x : 10, y : 0}]});
+		});
+
+		it('rejects offsets that are not X,Y pairs', function() {
+			expect(function() { transform.normalizeArray({offsets : [['a', 1]]}); }).to.throw(/not an X,Y pair/);
+		});
+	});
+
+	describe('TransformFilter', function() {
+		it('moves the part, keeping line numbers and comments', function() {
+			var output = run({move : {x : 10, y : 5, z : -1}}, ['G21 G90', 'N3 G0 X1 Y2 Z3 (start)']);
+			expect(output).to.deep.equal(['G21 G90', 'N3 G0 X11 Y7 Z2 (start)']);
+		});
+
+		it('does not move incremental moves', function() {
+			var output = run({move : {x : 10, y : 5}}, ['G21 G91', 'G1 X1 F100']);
+			expect(output[1]).to.equal('G1 F100 X1');
+		});
+
+		it('rotates moves and arcs clockwise', function() {
+			var output = run({rotate : {angle : 90}}, ['G21 G90', 'G0 X10 Y0', 'G2 X20 Y0 I5 J0', 'G91 G1 X5']);
+			expect(output.slice(1)).to.deep.equal(['G0 X0 Y-10', 'G2 X0 Y-20 I0 J-5', 'G91 G1 X0 Y-5']);
+		});
+
+		it('needs to know where a rotated move starts', function() {
+			expect(function() { run({rotate : {angle : 90}}, ['G21 G90', 'G0 X10']); }).to.throw(/unknown position/);
+		});
+
+		it('reverses the direction of arcs when the part is mirrored', function() {
+			var output = run({scale : {scalex : -1}}, ['G21 G90', 'G0 X10 Y0', 'G2 X20 Y0 I5 J0']);
+			expect(output.slice(1)).to.deep.equal(['G0 X-10 Y0', 'G3 X-20 Y0 I-5 J0']);
+		});
+
+		it('refuses to stretch arcs', function() {
+			expect(function() { run({scale : {scalex : 2}}, ['G21 G90', 'G0 X10 Y0', 'G2 X20 Y0 I5 J0']); }).to.throw(/Arcs can't be sheared/);
+		});
+
+		it('converts between the units of the file and the transformations', function() {
+			var output = run({units : 'in', move : {x : 1}}, ['G21 G90', 'G0 X10 Y0']);
+			expect(output[1]).to.equal('G0 X35.4 Y0');
+		});
+
+		it('does not transform moves in machine coordinates', function() {
+			var output = run({move : {x : 1}}, ['G21 G90', 'G53 G0 X10']);
+			expect(output[1]).to.equal('G53 G0 X10');
+		});
+
+		it('leaves out the program end when another copy follows', function() {
+			var output = run({move : {x : 1}}, ['G21 G90', 'M30'], {units : 'mm', last : false});
+			expect(output[1]).to.equal('');
+		});
+	});
+
+	describe('transformFile', function() {
+		var infile = path.join(os.tmpdir(), 'fabmo-transform-test.nc');
+		var outfile = path.join(os.tmpdir(), 'fabmo-transform-test.out.nc');
+
+		afterEach(function() {
+			[infile, outfile].forEach(function(filename) {
+				try { fs.unlinkSync(filename); } catch(e) {}
+			});
+		});
+
+		it('writes the copies of an array, clearing the part between them', function(done) {
+			fs.writeFileSync(infile, 'G21 G90\nG0 Z5\nG0 X1 Y1\nG1 Z-1 F100\nG1 X2\nM30\n');
+			transform.transformFile(infile, outfile, transform.normalize({array : {columns : 2, x : 10}}), function(err) {
+				expect(err).to.not.be.ok;
+				var lines = fs.readFileSync(outfile, 'utf8').split('\n');
+				expect(lines[0]).to.equal('(Copy 1 of 2)');
+				expect(lines.indexOf('M30')).to.equal(lines.lastIndexOf('M30'));
+				var second = lines.indexOf('(Copy 2 of 2)');
+				expect(lines.slice(second-2, second)).to.deep.equal(['G90', 'G0 Z5']);
+				expect(lines.slice(second+1)).to.deep.equal(['G21 G90', 'G0 Z5', 'G0 X11 Y1', 'G1 F100 Z-1', 'G1 X12', 'M30', '']);
+				done();
+			});
+		});
+
+		it('reports the line that can not be transformed, and does not leave a file behind', function(done) {
+			fs.writeFileSync(infile, 'G21 G90\nG0 X1\nG0 X1 Y1\n');
+			transform.transformFile(infile, outfile, transform.normalize({rotate : {angle : 90}}), function(err) {
+				expect(err.message).to.match(/unknown position/);
+				expect(err.line).to.equal(2);
+				expect(fs.existsSync(outfile)).to.equal(false);
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,266 @@
+/*
+ * tools.js
+ *
+ * The tool change workflow, which is shared by the G-Code (M6 Tn) and OpenSBP (&Tool = n) runtimes:
+ *
+ * 1. The program pauses, with a message asking the operator to install the new tool (see getPrompt)
+ * 2. When the program is resumed, the tool change macro is run, if one is configured (config.tools macro)
+ * 3. The length offset of the new tool is applied (see getOffsetCode) and the new tool becomes the current tool
+ *
+ * The tools themselves live in the tool table (see config/tool_config.js)
+ *
+ * G-Code files are run through a ToolChangeFilter, which holds back the rest of the file at each M6 until the
+ * tool change is done, so the runtime can pause once the tool has stopped, and the codes for steps 2 and 3 can be
+ * inserted into the file.
+ */
+var stream = require('stream');
+var util = require('util');
+var config = require('./config');
+var macros = require('./macros');
+var log = require('./log').logger('tools');
+
+// Format a number for a g-code word
+function fmt(value) {
+	return Number(value.toFixed(4)).toString();
+}
+
+// Return a description of the specified tool, eg: 'tool 2 (1/8 in. Ball Nose, 0.125 in)'
+//   number - The tool number
+var describe = function(number) {
+	var tool = config.tools.getTool(number);
+	if(!tool) {
+		return 'tool ' + number;
+	}
+	var retval = 'tool ' + number + ' (' + tool.name;
+	if(tool.diameter) {
+		retval += ', ' + tool.diameter + ' ' + config.tools.get('units');
+	}
+	return retval + ')';
+}
+
+// Return the message displayed to the operator when the program pauses for a tool change
+// (Problems that will come up when the program is resumed are noted in the message, too)
+//   number - The tool number
+var getPrompt = function(number) {
+	if(Number(number) === 0) {
+		return 'Remove the tool from the spindle, then press Resume to continue.';
+	}
+	var prompt = 'Install ' + describe(number) + ', then press Resume to continue.';
+	if(!config.tools.getTool(number)) {
+		prompt += '  (Tool ' + number + ' is not in the tool table, so no length offset will be applied.)';
+	}
+	try {
+		getMacro();
+	} catch(e) {
+		prompt += '  (' + e.message + ')';
+	}
+	return prompt;
+}
+
+// Return the configured tool change macro, or null if none is configured.
+// Throw an error if the macro doesn't exist.
+var getMacro = function() {
+	var number = config.tools.get('macro');
+	if(number === null || number === undefined || number === '') {
+		return null;
+	}
+	var macro = macros.get(number);
+	if(!macro) {
+		throw new Error("Tool change macro C" + number + " not found.");
+	}
+	return macro;
+}
+
+// Return the g-code that applies the length offset of the specified tool
+//   number - The tool number
+//    units - The units the offset should be in ('in' or 'mm')
+var getOffsetCode = function(number, units) {
+	var offset = config.tools.getLengthOffset(number, units);
+	return offset ? 'G43.1 Z' + fmt(offset) : 'G49';
+}
+
+// Make the specified tool the current tool
+//   number - The tool number
+var setCurrent = function(number) {
+	log.info('Current tool is now ' + describe(number));
+	config.tools.set('current', Number(number), function(err) {
+		if(err) { log.error(err); }
+	});
+}
+
+// Record a tool length measurement made on the touch-off plate (see the TM command)
+// Measuring the reference tool sets the reference position; any other tool gets a length offset that is the
+// difference between where it touched the plate and where the reference tool did.
+//     number - The number of the tool that was measured
+//    contact - The machine Z position (in mm) where the tool touched the plate
+//   callback - Called with the length offset (in the units of the tool table) or with error if error
+var recordMeasurement = function(number, contact, callback) {
+	number = Number(number);
+	if(!number) {
+		return callback(new Error("Can't measure the tool length: There is no tool in the spindle."));
+	}
+	var u = {};
+	var reference_tool = Number(config.tools.get('reference_tool'));
+	var reference_z = config.tools.get('reference_z');
+	if(number === reference_tool) {
+		u.reference_z = reference_z = contact;
+	} else if(reference_z === null || reference_z === undefined) {
+		return callback(new Error("Can't measure the length of tool " + number + ": Measure the reference tool (tool " + reference_tool + ") first."));
+	}
+
+	var units = config.tools.get('units');
+	var offset = contact - reference_z;
+	offset = units === 'mm' ? Math.round(offset*100)/100 : Math.round(offset/25.4*1000)/1000;
+
+	var tool = config.tools.getTool(number) || {};
+	u.tools = {};
+	u.tools[number] = {};
+	for(var key in tool) {
+		u.tools[number][key] = tool[key];
+	}
+	u.tools[number].length = offset;
+
+	log.info('Measured ' + describe(number) + ': Length offset is ' + offset + ' ' + units);
+	config.tools.setMany(u, function(err) {
+		if(err) { return callback(err); }
+		callback(null, offset);
+	});
+}
+
+// Return the g-codes that finish a tool change in a G-Code file: The lines of the tool change macro
+// (if there is one) followed by the code that applies the tool length offset.
+//   number - The tool number
+//    units - The units that are in effect at the tool change
+var getChangeCodes = function(number, units) {
+	var codes = [];
+	try {
+		var macro = getMacro();
+	} catch(e) {
+		log.warn(e.message + '  Continuing without it.');
+	}
+	if(macro) {
+		if(macro.type === 'nc') {
+			codes = macro.content.split('\n').filter(function(line) {
+				return line.trim() !== '';
+			});
+		} else {
+			log.warn('The tool change macro (C' + macro.index + ') is an OpenSBP macro, which cannot be run from a G-Code file.');
+		}
+	}
+	codes.push(getOffsetCode(number, units));
+	return codes;
+}
+
+// A transform stream that watches a numbered g-code file (see LineNumberer in util.js) for tool changes.
+// When it sees an M6, it passes on that line (minus the M6), emits a `toolchange` event, and holds back
+// the rest of the file until release() is called.
+//   units - The units in effect at the start of the file
+//    tool - The tool in the spindle at the start of the file, whose length offset is applied before anything else
+function ToolChangeFilter(units, tool, options) {
+	if (!(this instanceof ToolChangeFilter)) {
+		return new ToolChangeFilter(units, tool, options);
+	}
+	this.units = units || 'in';
+	this.tool = null;
+	this.pending = null;
+	this._lines = [];
+	this._next = null;
+	stream.Transform.call(this, options);
+	if(tool !== undefined && tool !== null) {
+		this.push(getOffsetCode(tool, this.units) + '\n');
+	}
+}
+util.inherits(ToolChangeFilter, stream.Transform);
+
+// Examine a single line.  Return a tool change ({line : N, tool : T}) if it contains an M6, or null if not
+ToolChangeFilter.prototype._check = function(line) {
+	var code = line.replace(/\([^)]*\)/g, '').replace(/;.*$/, '').toUpperCase();
+	if(code.match(/G\s*0*20(?![\d\.])/)) {
+		this.units = 'in';
+	}
+	if(code.match(/G\s*0*21(?![\d\.])/)) {
+		this.units = 'mm';
+	}
+	var m = code.match(/T\s*(\d+)/);
+	if(m) {
+		this.tool = parseInt(m[1], 10);
+	}
+	if(!code.match(/M\s*0*6(?![\d\.])/)) {
+		return null;
+	}
+	var n = code.match(/^\s*N\s*(\d+)/);
+	if(this.tool === null) {
+		log.warn('M6 with no tool selected' + (n ? ' at line ' + n[1] : '') + ' - ignoring it.');
+		return null;
+	}
+	return {line : n ? parseInt(n[1], 10) : null, tool : this.tool};
+};
+
+// Pass on lines until the next tool change (or until there are none left)
+ToolChangeFilter.prototype._process = function() {
+	var block = [];
+	while(this._lines.length) {
+		var line = this._lines.shift();
+		var change = this._check(line);
+		if(change) {
+			// Strip the tool change from the line, since the motion system doesn't do anything useful with it
+			block.push(line.replace(/\([^)]*\)/g, '').replace(/;.*$/, '').replace(/M\s*0*6(?![\d\.])/i, '').replace(/T\s*\d+/i, '').trim());
+			this.push(block.join('\n') + '\n');
+			this.pending = change;
+			log.info('Tool change to tool ' + change.tool + (change.line ? ' at line ' + change.line : ''));
+			this.emit('toolchange', change);
+			return;
+		}
+		block.push(line);
+	}
+	if(block.length) {
+		this.push(block.join('\n') + '\n');
+	}
+	var next = this._next;
+	this._next = null;
+	next();
+};
+
+// Finish the pending tool change: Pass on the provided g-codes, and then the rest of the file
+//   codes - List of g-codes to insert (numbered with the line of the tool change)
+ToolChangeFilter.prototype.release = function(codes) {
+	var change = this.pending;
+	if(!change) {
+		return;
+	}
+	this.pending = null;
+	var n = change.line ? 'N' + change.line + ' ' : '';
+	if(codes && codes.length) {
+		this.push(codes.map(function(code) {
+			return n + code;
+		}).join('\n') + '\n');
+	}
+	this._process();
+};
+
+ToolChangeFilter.prototype._transform = function(chunk, enc, next) {
+	var data = chunk.toString();
+	if (this._lastLineData) { data = this._lastLineData + data; }
+
+	var lines = data.split('\n');
+	this._lastLineData = lines.splice(lines.length-1,1)[0];
+	this._lines = lines;
+	this._next = next;
+	this._process();
+};
+
+ToolChangeFilter.prototype._flush = function(done) {
+	this._lines = this._lastLineData ? [this._lastLineData] : [];
+	this._lastLineData = null;
+	this._next = done;
+	this._process();
+};
+
+exports.describe = describe;
+exports.getPrompt = getPrompt;
+exports.getMacro = getMacro;
+exports.getOffsetCode = getOffsetCode;
+exports.getChangeCodes = getChangeCodes;
+exports.setCurrent = setCurrent;
+exports.recordMeasurement = recordMeasurement;
+exports.ToolChangeFilter = ToolChangeFilter;
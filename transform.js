@@ -0,0 +1,563 @@
+/*
+ * transform.js
+ *
+ * Coordinate transformations for G-Code files.
+ *
+ * OpenSBP files are transformed as they are run, according to the transforms settings (see transformation.js and
+ * SBPRuntime.transformation)  G-Code jobs can have the same transformations, but they are applied when the job is
+ * submitted: The file that is stored for the job is the transformed file, so it's what the previewer shows, and what
+ * is run every time the job is run again.
+ *
+ * The transformations for a job look like the transforms settings, without the apply flags (a transformation applies
+ * if it's there) and are applied in the same order:
+ *    {
+ *       units : 'in',                                        (Units of all of the distances below)
+ *      rotate : {angle : 90, x : 0, y : 0},                  (Angle in degrees (clockwise) about the point x,y)
+ *      shearx : {angle : 0},
+ *      sheary : {angle : 0},
+ *       scale : {scalex : 1, scaley : 1, x : 0, y : 0},      (About the point x,y - A scale of -1 mirrors the part)
+ *        move : {x : 0, y : 0, z : 0},
+ *       array : {columns : 1, rows : 1, x : 0, y : 0}        (Copies of the part, x and y apart)
+ *    }
+ * Moves in machine coordinates (G53) are not transformed.
+ *
+ * Array jobs cut copies of a part too, but the copies are written when the job is run rather than when it's submitted,
+ * so that a job that doesn't finish can pick up at the next copy (see normalizeArray and Machine.runJob)
+ */
+var fs = require('fs');
+var stream = require('stream');
+var util = require('util');
+var config = require('./config');
+var tform = require('./runtime/opensbp/transformation');
+var gcode = require('./gcode_util');
+var log = require('./log').logger('transform');
+
+// Limit on the number of copies in an array
+var MAX_COPIES = 1000;
+
+// The transformations, and their parameters (with default values)
+var TRANSFORMS = {
+	rotate : {angle : 0, x : 0, y : 0},
+	shearx : {angle : 0},
+	sheary : {angle : 0},
+	scale : {scalex : 1, scaley : 1, x : 0, y : 0},
+	move : {x : 0, y : 0, z : 0},
+	array : {columns : 1, rows : 1, x : 0, y : 0}
+};
+
+// Convert a value between units
+function convert(value, from, to) {
+	if(from === to) {
+		return value;
+	}
+	return to === 'in' ? value/25.4 : value*25.4;
+}
+
+// Format a number for a g-code word
+function fmt(value) {
+	return Number(value.toFixed(5)).toString();
+}
+
+// Check and fill in the transformations for a job.  Return the transformations with all of their parameters, or
+// throw an error if they're not valid.
+//   transform - The transformations (an object like the one described above, or its JSON)
+var normalize = function(transform) {
+	if(typeof transform === 'string') {
+		try {
+			transform = JSON.parse(transform);
+		} catch(e) {
+			throw new Error('Invalid transform: ' + e.message);
+		}
+	}
+	if(!transform || typeof transform !== 'object') {
+		throw new Error('Invalid transform: ' + JSON.stringify(transform));
+	}
+
+	var units = transform.units || config.machine.get('units');
+	if(units !== 'in' && units !== 'mm') {
+		throw new Error("Invalid transform: Units must be 'in' or 'mm' (not '" + units + "')");
+	}
+	var retval = {units : units};
+	Object.keys(transform).forEach(function(name) {
+		if(name === 'units') {
+			return;
+		}
+		var defaults = TRANSFORMS[name];
+		var params = transform[name];
+		if(!defaults) {
+			throw new Error("Invalid transform: Unknown transformation '" + name + "'");
+		}
+		if(!params || typeof params !== 'object') {
+			throw new Error("Invalid transform: The parameters of '" + name + "' must be an object");
+		}
+		retval[name] = {};
+		Object.keys(defaults).forEach(function(key) {
+			var value = (params[key] === undefined || params[key] === null || params[key] === '') ? defaults[key] : Number(params[key]);
+			if(isNaN(value)) {
+				throw new Error("Invalid transform: " + name + " " + key + " must be a number");
+			}
+			retval[name][key] = value;
+		});
+	});
+
+	if(retval.array) {
+		var columns = retval.array.columns;
+		var rows = retval.array.rows;
+		if(columns < 1 || rows < 1 || columns % 1 || rows % 1) {
+			throw new Error("Invalid transform: The rows and columns of an array must be whole numbers of at least 1");
+		}
+		if(columns*rows > MAX_COPIES) {
+			throw new Error("Invalid transform: " + columns*rows + " copies is too many (The limit is " + MAX_COPIES + ")");
+		}
+	}
+	return retval;
+}
+
+// Return the offsets ({x : 0, y : 0}) of the copies of the part, in the order they are cut.
+// Rows are cut in alternating directions, so the tool doesn't have to travel back across the sheet for each row.
+//   transform - Normalized transformations (see normalize())
+var getCopies = function(transform) {
+	var array = transform.array || TRANSFORMS.array;
+	var copies = [];
+	for(var row=0; row<array.rows; row++) {
+		for(var i=0; i<array.columns; i++) {
+			var column = (row % 2) ? array.columns - i - 1 : i;
+			copies.push({x : column*array.x, y : row*array.y});
+		}
+	}
+	return copies;
+}
+
+// A transform stream that applies the transformations to a g-code file
+//   transform - Normalized transformations (see normalize())
+//     options - units : The units in effect at the start of the file
+//              offset : The offset ({x, y}) of this copy of the part
+//                last : False to leave out the program end (M2/M30) so that another copy can follow
+function TransformFilter(transform, options) {
+	if (!(this instanceof TransformFilter)) {
+		return new TransformFilter(transform, options);
+	}
+	options = options || {};
+	this.transform = transform;
+	this.work_units = transform.units;
+	this.units = options.units || config.machine.get('units');
+	this.offset = options.offset || {x : 0, y : 0};
+	this.last = options.last === undefined ? true : options.last;
+	this.absolute = true;
+	this.plane = 17;
+	this.motion = null;
+	this.line = 0;
+
+	// Tool position (before transformation) in the transform units - null if unknown
+	this.position = {X : null, Y : null, Z : null};
+
+	// Highest (transformed) Z in the transform units
+	this.max_z = null;
+
+	// The linear part of the transformation, which is what happens to arcs and incremental moves
+	var ex = this._vector({X : 1, Y : 0});
+	var ey = this._vector({X : 0, Y : 1});
+	this.mixed = Math.abs(ex.Y) > 1e-9 || Math.abs(ey.X) > 1e-9;
+	this.mirrored = (ex.X*ey.Y - ex.Y*ey.X) < 0;
+	this.conformal = Math.abs(ex.X*ey.X + ex.Y*ey.Y) < 1e-9 && Math.abs(Math.sqrt(ex.X*ex.X + ex.Y*ex.Y) - Math.sqrt(ey.X*ey.X + ey.Y*ey.Y)) < 1e-9;
+	this.arc_scale = Math.sqrt(ex.X*ex.X + ex.Y*ex.Y);
+	this.planar = !(transform.rotate || transform.shearx || transform.sheary || transform.scale);
+	stream.Transform.call(this, options);
+}
+util.inherits(TransformFilter, stream.Transform);
+
+// Transform a point (in the transform units) the same way SBPRuntime.transformation does, then offset it for this copy
+TransformFilter.prototype._point = function(pt) {
+	var t = this.transform;
+	pt = {X : pt.X, Y : pt.Y};
+	if(t.rotate) {
+		pt = tform.rotate(pt, t.rotate.angle, t.rotate.x, t.rotate.y);
+	}
+	if(t.shearx) {
+		pt = tform.shearX(pt, t.shearx.angle);
+	}
+	if(t.sheary) {
+		pt = tform.shearY(pt, t.sheary.angle);
+	}
+	if(t.scale) {
+		pt = tform.scale(pt, t.scale.scalex, t.scale.scaley, t.scale.x, t.scale.y);
+	}
+	if(t.move) {
+		pt = tform.translate(pt, t.move.x, t.move.y, 0);
+	}
+	pt.X += this.offset.x;
+	pt.Y += this.offset.y;
+	return pt;
+};
+
+// Transform a vector (an incremental move or an arc center offset)
+TransformFilter.prototype._vector = function(v) {
+	var a = this._point({X : 0, Y : 0});
+	var b = this._point(v);
+	return {X : b.X - a.X, Y : b.Y - a.Y};
+};
+
+// Convert a value in the file units to the transform units
+TransformFilter.prototype._toWork = function(value) {
+	return convert(value, this.units, this.work_units);
+};
+
+// Convert a value in the transform units to the file units
+TransformFilter.prototype._fromWork = function(value) {
+	return convert(value, this.work_units, this.units);
+};
+
+// Transform a single line.  Return the transformed line, or throw an error if it can't be transformed.
+TransformFilter.prototype._line = function(line) {
+	var comments = (line.match(/\([^)]*\)|;.*$/g) || []).join(' ');
+	var code = line.replace(/\([^)]*\)|;.*$/g, '').toUpperCase();
+	var words = gcode.parseWords(code);
+
+	// Only the last copy ends the program
+	if(!this.last && (words.M.indexOf(2) >= 0 || words.M.indexOf(30) >= 0)) {
+		code = code.replace(/M\s*0*(2|30)(?![\d\.])/g, '').trim();
+		line = code + (comments ? ' ' + comments : '');
+	}
+
+	var nonModal = null;
+	words.G.forEach(function(g) {
+		switch(g) {
+			case 0: case 1: case 2: case 3: case 38.2: case 38.3: case 38.4: case 38.5: case 80:
+				this.motion = g;
+				break;
+			case 17: case 18: case 19:
+				this.plane = g;
+				break;
+			case 20:
+				this.units = 'in';
+				break;
+			case 21:
+				this.units = 'mm';
+				break;
+			case 90:
+				this.absolute = true;
+				break;
+			case 91:
+				this.absolute = false;
+				break;
+			case 54: case 55: case 56: case 57: case 58: case 59:
+				this.position = {X : null, Y : null, Z : null};
+				break;
+			case 10: case 28: case 28.2: case 28.3: case 30: case 53: case 92:
+				nonModal = g;
+				break;
+		}
+	}.bind(this));
+
+	var axes = ['X','Y','Z','I','J','R'].filter(function(axis) {
+		return words[axis] !== undefined;
+	});
+	var isMove = [0, 1, 2, 3, 38.2, 38.3, 38.4, 38.5].indexOf(this.motion) >= 0;
+
+	switch(nonModal) {
+		case 10:
+			return line;
+		case 28: case 30:
+			this.position = {X : null, Y : null, Z : null};
+			return line;
+		case 28.2: case 28.3: case 53: case 92:
+			// Not transformed, and they leave the tool somewhere we can't relate to the part
+			['X','Y','Z'].forEach(function(axis) {
+				if(words[axis] !== undefined) {
+					this.position[axis] = null;
+				}
+			}.bind(this));
+			return line;
+	}
+	if(!isMove || axes.length === 0) {
+		return line;
+	}
+
+	var isArc = (this.motion === 2 || this.motion === 3);
+	if(isArc && this.plane !== 17 && !this.planar) {
+		throw new Error("Arcs that are not in the XY plane (G18/G19) can only be moved, not rotated, sheared or scaled");
+	}
+	if(isArc && this.plane === 17 && !this.conformal) {
+		throw new Error("Arcs can't be sheared, or scaled differently in X and Y");
+	}
+
+	var out = {};
+	var xy = {X : words.X, Y : words.Y};
+	['X','Y'].forEach(function(axis) {
+		if(xy[axis] !== undefined) {
+			xy[axis] = this._toWork(xy[axis]);
+		}
+	}.bind(this));
+	var hasXY = (xy.X !== undefined || xy.Y !== undefined);
+
+	if(this.absolute) {
+		var target = {
+			X : xy.X === undefined ? this.position.X : xy.X,
+			Y : xy.Y === undefined ? this.position.Y : xy.Y
+		};
+		if(hasXY) {
+			if(this.mixed) {
+				if(target.X === null || target.Y === null) {
+					throw new Error("Can't rotate or shear a move from an unknown position.  (Give both X and Y for the first move.)");
+				}
+				var p = this._point(target);
+				out.X = p.X;
+				out.Y = p.Y;
+			} else {
+				var p = this._point({X : target.X || 0, Y : target.Y || 0});
+				if(xy.X !== undefined) { out.X = p.X; }
+				if(xy.Y !== undefined) { out.Y = p.Y; }
+			}
+		}
+		this.position.X = target.X;
+		this.position.Y = target.Y;
+		if(words.Z !== undefined) {
+			this.position.Z = this._toWork(words.Z);
+			out.Z = this.position.Z + (this.transform.move ? this.transform.move.z : 0);
+			this.max_z = this.max_z === null ? out.Z : Math.max(this.max_z, out.Z);
+		}
+	} else {
+		if(hasXY) {
+			var d = this._vector({X : xy.X || 0, Y : xy.Y || 0});
+			if(this.mixed || xy.X !== undefined) { out.X = d.X; }
+			if(this.mixed || xy.Y !== undefined) { out.Y = d.Y; }
+		}
+		['X','Y','Z'].forEach(function(axis) {
+			if(words[axis] !== undefined && this.position[axis] !== null) {
+				this.position[axis] += this._toWork(words[axis]);
+			}
+		}.bind(this));
+		if(words.Z !== undefined) {
+			out.Z = this._toWork(words.Z);
+		}
+	}
+
+	var motion = this.motion;
+	if(isArc && this.plane === 17) {
+		if(words.I !== undefined || words.J !== undefined) {
+			var c = this._vector({X : this._toWork(words.I || 0), Y : this._toWork(words.J || 0)});
+			out.I = c.X;
+			out.J = c.Y;
+		}
+		if(words.R !== undefined) {
+			out.R = this._toWork(words.R)*this.arc_scale;
+		}
+		if(this.mirrored) {
+			motion = (motion === 2) ? 3 : 2;
+		}
+	}
+
+	if(this.motion === 38.2 || this.motion === 38.3 || this.motion === 38.4 || this.motion === 38.5) {
+		// Probing moves stop wherever the probe does
+		['X','Y','Z'].forEach(function(axis) {
+			if(words[axis] !== undefined) {
+				this.position[axis] = null;
+			}
+		}.bind(this));
+	}
+
+	// Replace the words that changed (Arcs that change direction get their motion word, even if it was modal)
+	var replaced = Object.keys(out);
+	if(replaced.length === 0) {
+		return line;
+	}
+	var n = code.match(/^\s*N\s*\d+/);
+	code = code.replace(/^\s*N\s*\d+/, '').replace(new RegExp('[' + replaced.join('') + ']\\s*[-+]?(?:\\d+\\.?\\d*|\\.\\d+)', 'g'), '');
+	if(motion !== this.motion) {
+		code = 'G' + motion + ' ' + code.replace(/G\s*0*[23](?![\d\.])/g, '');
+	}
+	code = (n ? n[0].trim() + ' ' : '') + code.replace(/\s+/g, ' ').trim() + ' ' + replaced.map(function(axis) {
+		return axis + fmt(this._fromWork(out[axis]));
+	}.bind(this)).join(' ');
+	return code.trim() + (comments ? ' ' + comments : '');
+};
+
+TransformFilter.prototype._transform = function(chunk, enc, next) {
+	var data = chunk.toString();
+	if (this._lastLineData) { data = this._lastLineData + data; }
+
+	var lines = data.split('\n');
+	this._lastLineData = lines.splice(lines.length-1,1)[0];
+
+	try {
+		var block = lines.map(function(line) {
+			this.line++;
+			return this._line(line.replace(/\r$/, ''));
+		}.bind(this));
+	} catch(e) {
+		e.line = this.line;
+		return next(e);
+	}
+	if(block.length) {
+		this.push(block.join('\n') + '\n');
+	}
+	next();
+};
+
+TransformFilter.prototype._flush = function(done) {
+	if(this._lastLineData) {
+		this.line++;
+		try {
+			this.push(this._line(this._lastLineData.replace(/\r$/, '')) + '\n');
+		} catch(e) {
+			e.line = this.line;
+			return done(e);
+		}
+	}
+	this._lastLineData = null;
+	done();
+};
+
+// Write copies of a g-code file, transformed and offset, one after the other.  Between copies, the tool retracts to the
+// highest Z in the file.  Only the last copy ends the program.
+//   filename - The file to transform
+//    outfile - The file to write
+//  transform - Normalized transformations (see normalize())
+//     copies - The offsets ({x, y}) of the copies to write
+//      first - The number of copies that come before these (Copies are labeled with a comment, counting from first+1)
+//   callback - Called with the lines of the output file where each copy starts, or with error if error.  Errors have
+//              the line of the file that could not be transformed (err.line)
+var writeCopies = function(filename, outfile, transform, copies, first, callback) {
+	var total = first + copies.length;
+	var units = config.machine.get('units');
+	var out = fs.createWriteStream(outfile);
+	var done = false;
+	var safe_z = null;
+	var lines_written = 0;
+	var starts = [];
+
+	var finish = function(err) {
+		if(done) { return; }
+		done = true;
+		if(err) {
+			out.end();
+			return fs.unlink(outfile, function() {
+				callback(err);
+			});
+		}
+		out.end(function() {
+			log.info('Wrote ' + copies.length + ' copies of ' + filename + ' to ' + outfile);
+			callback(null, starts);
+		});
+	};
+	out.on('error', finish);
+
+	var write = function(lines) {
+		lines_written += lines.length;
+		out.write(lines.join('\n') + '\n');
+	};
+
+	var copy = function(i) {
+		if(i >= copies.length) {
+			return finish();
+		}
+		var filter = new TransformFilter(transform, {
+			units : units,
+			offset : copies[i],
+			last : i === copies.length - 1
+		});
+		starts.push(lines_written + 1);
+		if(total > 1) {
+			write(['(Copy ' + (first+i+1) + ' of ' + total + ')']);
+		}
+		filter.on('data', function(data) {
+			lines_written += (data.toString().match(/\n/g) || []).length;
+		});
+		filter.on('error', finish);
+		filter.on('end', function() {
+			if(done) { return; }
+			if(filter.max_z !== null) {
+				safe_z = (safe_z === null) ? filter.max_z : Math.max(safe_z, filter.max_z);
+			}
+			if(i < copies.length - 1) {
+				// Clear the part before moving on to the next copy, and start it in the same state as the first
+				var lines = ['G90'];
+				if(safe_z !== null) {
+					lines.push('G0 Z' + fmt(convert(safe_z, transform.units, filter.units)));
+				}
+				if(filter.units !== units) {
+					lines.push(units === 'in' ? 'G20' : 'G21');
+				}
+				write(lines);
+			}
+			copy(i+1);
+		});
+		var input = fs.createReadStream(filename);
+		input.on('error', finish);
+		input.pipe(filter).pipe(out, {end : false});
+	};
+	copy(0);
+}
+
+// Write a transformed copy of a g-code file (or copies, for an array)
+//   filename - The file to transform
+//    outfile - The file to write
+//  transform - Normalized transformations (see normalize())
+//   callback - Called once the file is written, or with error if error.  Errors have the line of the file that
+//              could not be transformed (err.line)
+var transformFile = function(filename, outfile, transform, callback) {
+	writeCopies(filename, outfile, transform, getCopies(transform), 0, function(err) {
+		callback(err);
+	});
+}
+
+// Check and fill in the array for an array job (a job that cuts its file several times at different offsets)
+// Return the array ({units : 'in', offsets : [{x, y}, ...]}) or throw an error if it's not valid.
+//   array - Either a list of offsets:  {units : 'in', offsets : [[x, y], ...]}  (or [{x, y}, ...])
+//           or a grid:                 {units : 'in', columns : 3, rows : 2, x : 10, y : 8}  (x and y apart)
+//           or the JSON of either one
+var normalizeArray = function(array) {
+	if(typeof array === 'string') {
+		try {
+			array = JSON.parse(array);
+		} catch(e) {
+			throw new Error('Invalid array: ' + e.message);
+		}
+	}
+	if(!array || typeof array !== 'object') {
+		throw new Error('Invalid array: ' + JSON.stringify(array));
+	}
+
+	var units = array.units || config.machine.get('units');
+	if(units !== 'in' && units !== 'mm') {
+		throw new Error("Invalid array: Units must be 'in' or 'mm' (not '" + units + "')");
+	}
+
+	var offsets;
+	if(array.offsets) {
+		if(!Array.isArray(array.offsets) || array.offsets.length === 0) {
+			throw new Error('Invalid array: The offsets must be a list of at least one offset');
+		}
+		offsets = array.offsets.map(function(offset) {
+			var x = Number(Array.isArray(offset) ? offset[0] : offset.x);
+			var y = Number(Array.isArray(offset) ? offset[1] : offset.y);
+			if(isNaN(x) || isNaN(y)) {
+				throw new Error('Invalid array: Offset ' + JSON.stringify(offset) + ' is not an X,Y pair');
+			}
+			return {x : x, y : y};
+		});
+	} else {
+		offsets = getCopies(normalize({units : units, array : array}));
+	}
+	if(offsets.length > MAX_COPIES) {
+		throw new Error("Invalid array: " + offsets.length + " copies is too many (The limit is " + MAX_COPIES + ")");
+	}
+	return {units : units, offsets : offsets};
+}
+
+// Write the copies of an array job that are left to cut, starting at the specified copy
+//   filename - The file of the job
+//    outfile - The file to write
+//      array - Normalized array (see normalizeArray())
+//      first - The first copy to write (0 for all of them)
+//   callback - Called with the lines of the output file where each copy starts, or with error if error
+var arrayFile = function(filename, outfile, array, first, callback) {
+	writeCopies(filename, outfile, {units : array.units}, array.offsets.slice(first), first, callback);
+}
+
+exports.normalize = normalize;
+exports.getCopies = getCopies;
+exports.transformFile = transformFile;
+exports.normalizeArray = normalizeArray;
+exports.arrayFile = arrayFile;
+exports.TransformFilter = TransformFilter;
@@ -588,6 +588,7 @@ exports.getSize = getSize;
 exports.Queue = Queue;
 exports.Watchdog = Watchdog;
 exports.allowed_file = allowed_file;
+exports.isGCodeFile = isGCodeFile;
 exports.allowedAppFile = allowedAppFile;
 exports.move = move;
 exports.walkDir = walkDir;